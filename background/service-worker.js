@@ -0,0 +1,149 @@
+/**
+ * Background Service Worker
+ * Calls the GitHub REST API for content scripts when the user has saved a
+ * personal access token. The token stays here; content scripts only get
+ * the results.
+ * Also merges orders and preferences synced from the user's other devices,
+ * prunes stale orders on startup, and relays bus messages so open PR tabs
+ * stay consistent with storage and with each other.
+ */
+
+import { handleRestMessage, REST_MESSAGE_TYPE } from '../utils/github-rest.js';
+import {
+  loadGitHubToken,
+  syncStorage,
+  pruneStoredOrders,
+  loadOrder,
+  loadPreference,
+} from '../utils/storage.js';
+import {
+  BUS_MESSAGE_TYPE,
+  BusMessageKind,
+  createBusMessage,
+  handleBusMessage,
+  getStorageChangeMessages,
+  broadcastToTabs,
+} from '../utils/message-bus.js';
+
+// PRs whose orders a sync is copying from another device, so open tabs
+// offer them instead of reordering files under the reader
+const pulledOrders = new Set();
+
+/**
+ * Merge synced data, logging failures
+ */
+function runSync() {
+  let pulling = [];
+
+  syncStorage({
+    beforePull: (prIds) => {
+      pulling = prIds;
+      prIds.forEach((prId) => pulledOrders.add(prId));
+    },
+  }).catch((error) => {
+    // Nothing was written, so no change will claim them
+    pulling.forEach((prId) => pulledOrders.delete(prId));
+    console.error('[PR-Reorder] Failed to sync storage:', error);
+  });
+}
+
+/**
+ * Prune stale orders, then merge synced data
+ */
+async function runStartupTasks() {
+  try {
+    await pruneStoredOrders();
+  } catch (error) {
+    console.error('[PR-Reorder] Failed to prune stored orders:', error);
+  }
+
+  runSync();
+}
+
+chrome.runtime.onStartup.addListener(runStartupTasks);
+chrome.runtime.onInstalled.addListener(runStartupTasks);
+
+/**
+ * Tell open PR tabs about saved orders and changed preferences
+ * @param {Object} changes - chrome.storage.onChanged changes
+ */
+function relayStorageChanges(changes) {
+  const isFromSync = (prId) => pulledOrders.delete(prId);
+
+  getStorageChangeMessages(changes, isFromSync).forEach((message) => {
+    broadcastToTabs(message).catch((error) => {
+      console.error('[PR-Reorder] Failed to notify tabs:', error);
+    });
+  });
+}
+
+// Fires for changes from other devices as well as this one's own pushes,
+// which merge as no-ops. Local changes come from any tab, the popup, the
+// options page or a sync merge.
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'sync') {
+    runSync();
+  } else if (areaName === 'local') {
+    relayStorageChanges(changes);
+  }
+});
+
+// Bus messages the service worker answers
+const busHandlers = {
+  /**
+   * Get the saved state for a PR
+   * @param {Object} payload - {prId}
+   * @returns {Promise<Object>} {prId, order, autoApplyConsensus}, where
+   *   order is the user's saved order or null
+   */
+  async getState({ prId }) {
+    return {
+      prId,
+      order: await loadOrder(prId),
+      autoApplyConsensus: await loadPreference('autoApplyConsensus', true),
+    };
+  },
+
+  /**
+   * Show files in the given order on every open tab of the PR
+   * @param {Object} payload - {prId, order, sections}
+   * @returns {Promise<Object>} {tabs} number of tabs that applied it
+   */
+  async applyOrder(payload) {
+    const results = await broadcastToTabs(
+      createBusMessage(BusMessageKind.APPLY_ORDER, payload)
+    );
+    return { tabs: results.filter(Boolean).length };
+  },
+};
+
+/**
+ * Answer a message from a content script or extension page
+ * @param {Object} message - REST or bus message
+ * @returns {Promise<*>} Result
+ */
+async function handleMessage(message) {
+  if (message.type === BUS_MESSAGE_TYPE) {
+    return handleBusMessage(message, busHandlers);
+  }
+
+  const token = await loadGitHubToken();
+  return handleRestMessage(message, { token });
+}
+
+chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
+  if (
+    !message ||
+    (message.type !== REST_MESSAGE_TYPE && message.type !== BUS_MESSAGE_TYPE)
+  ) {
+    return false;
+  }
+
+  handleMessage(message).then(
+    (result) => sendResponse({ ok: true, result }),
+    (error) => sendResponse({ ok: false, error: error.message })
+  );
+
+  // Keep the message channel open for the async response
+  return true;
+});
@@ -0,0 +1,108 @@
+/**
+ * Consensus Watcher
+ * Notices when teammates save new orders while the Files tab is open
+ */
+
+// How often to look for new orders; the comment observer covers the
+// conversation tab between polls
+export const CONSENSUS_POLL_INTERVAL = 60000;
+
+/**
+ * Get a key that changes whenever an order is saved again
+ * @param {Object} order - Order data
+ * @returns {string} Version key
+ */
+function getOrderVersion(order) {
+  return `${order.timestamp}#${order.revision || 1}`;
+}
+
+/**
+ * Find teammates whose order is new or was saved again
+ * @param {Array<Object>} previous - Orders seen before
+ * @param {Array<Object>} orders - Orders seen now
+ * @param {string|null} user - Current user, whose own saves are ignored
+ * @returns {Array<string>} Logins of teammates with new orders
+ */
+export function getChangedTeammates(previous, orders, user) {
+  const seen = new Map(
+    previous.map((order) => [order.user, getOrderVersion(order)])
+  );
+
+  return orders
+    .filter(
+      (order) =>
+        order.user !== user &&
+        order.source !== 'local' &&
+        seen.get(order.user) !== getOrderVersion(order)
+    )
+    .map((order) => order.user);
+}
+
+/**
+ * Create a watcher that reloads orders and reports teammates' new ones
+ * Call check() on a timer or when new comments appear. Checks are skipped
+ * while the tab is hidden or another check is still running; call
+ * resume() when the tab is shown again to catch up on a skipped one.
+ *
+ * @param {Object} options - Watcher options
+ * @param {Array<Object>} options.initialOrders - Orders already applied
+ * @param {Function} options.loadOrders - Loads the current orders
+ * @param {Function} options.getUser - Returns the current user's login
+ * @param {Function} options.onChange - Called with (orders, teammates)
+ *   when teammates have saved new orders
+ * @returns {Object} Watcher instance ({check, resume})
+ */
+export function createConsensusWatcher(options) {
+  const { initialOrders = [], loadOrders, getUser, onChange } = options;
+
+  let knownOrders = initialOrders;
+  let checking = false;
+  let missedCheck = false;
+
+  /**
+   * Reload orders and report teammates' changes
+   * @returns {Promise<boolean>} True if teammates saved new orders
+   */
+  async function check() {
+    if (checking) {
+      return false;
+    }
+    if (document.hidden) {
+      missedCheck = true;
+      return false;
+    }
+
+    checking = true;
+    missedCheck = false;
+    try {
+      const orders = await loadOrders();
+      const teammates = getChangedTeammates(knownOrders, orders, getUser());
+      knownOrders = orders;
+
+      if (teammates.length === 0) {
+        return false;
+      }
+
+      await onChange(orders, teammates);
+      return true;
+    } catch (error) {
+      console.error('[PR-Reorder] Failed to check for new orders:', error);
+      return false;
+    } finally {
+      checking = false;
+    }
+  }
+
+  /**
+   * Run a check that was skipped while the tab was hidden
+   * @returns {Promise<boolean>} True if teammates saved new orders
+   */
+  async function resume() {
+    if (!missedCheck || document.hidden) {
+      return false;
+    }
+    return check();
+  }
+
+  return { check, resume };
+}
@@ -5,18 +5,103 @@
 
 import { sortByAveragePosition } from '../utils/array-utils.js';
 
+export const DEFAULT_STRATEGY = 'average';
+
+// Largest file count for which the exact Kemeny optimizer is used.
+// Beyond this, a local-search heuristic approximates the optimum.
+const KEMENY_EXACT_MAX_FILES = 10;
+const KEMENY_MAX_PASSES = 20;
+
+export const DEFAULT_FRESHNESS = 'all';
+
+// Freshness decay: weight halves every DECAY_HALF_LIFE_HOURS, and orders
+// made against an older head commit are further scaled by STALE_COMMIT_FACTOR
+const DECAY_HALF_LIFE_HOURS = 72;
+const STALE_COMMIT_FACTOR = 0.25;
+
+// Vote weight per PR role; repos can override these via their repo config
+export const DEFAULT_ROLE_WEIGHTS = {
+  author: 1.5,
+  codeOwner: 2,
+  reviewer: 1.5,
+  default: 1,
+};
+
+/**
+ * Get all available consensus strategies
+ * @returns {Array<Object>} Array of strategy definitions
+ */
+export function getConsensusStrategies() {
+  return [
+    {
+      id: 'average',
+      name: 'Average Position',
+      description: 'Sort files by their average position across all orders',
+      calculate: sortByAveragePosition,
+    },
+    {
+      id: 'borda',
+      name: 'Borda Count',
+      description:
+        'Award each file points for every file ranked below it, normalized per order',
+      calculate: sortByBordaCount,
+    },
+    {
+      id: 'copeland',
+      name: 'Copeland',
+      description:
+        'Rank files by pairwise majority wins minus losses against every other file',
+      calculate: sortByCopeland,
+    },
+    {
+      id: 'kemeny-approx',
+      name: 'Kemeny (pairwise majority)',
+      description:
+        'Minimize pairwise disagreements with all orders (exact for small PRs, heuristic for large ones)',
+      calculate: sortByKemeny,
+    },
+  ];
+}
+
+/**
+ * Get a consensus strategy by ID
+ * @param {string} strategyId - Strategy identifier
+ * @returns {Object} Strategy definition
+ * @throws {Error} If strategy ID is invalid
+ */
+export function getConsensusStrategy(strategyId) {
+  const strategy = getConsensusStrategies().find((s) => s.id === strategyId);
+
+  if (!strategy) {
+    throw new Error(`Unknown consensus strategy: ${strategyId}`);
+  }
+
+  return strategy;
+}
+
 /**
  * Calculate consensus order from multiple user orders
- * Uses weighted average of file positions across all orders
+ * Defaults to the average of file positions across all orders. Only the
+ * file order is aggregated; section dividers are kept beside it and
+ * never vote.
  *
- * @param {Array<Object>} orders - Array of order objects with {user, order, timestamp}
+ * @param {Array<Object>} orders - Array of order objects with {user, order, timestamp, weight?}
  * @param {Object} [options={}] - Calculation options
+ * @param {string} [options.strategy='average'] - Strategy ID ('average', 'borda', 'copeland', 'kemeny-approx')
  * @param {boolean} [options.excludeOutliers=false] - Remove outlier orders
  * @param {number} [options.outlierThreshold=2] - Standard deviations for outlier detection
- * @returns {Array<string>} Consensus file order
+ * @returns {Array<string>} Consensus file order, empty if no order has
+ *   any weight
+ * @throws {Error} If input is invalid or strategy is unknown
  */
 export function calculateConsensus(orders, options = {}) {
-  const { excludeOutliers = false, outlierThreshold = 2 } = options;
+  const {
+    strategy = DEFAULT_STRATEGY,
+    excludeOutliers = false,
+    outlierThreshold = 2,
+  } = options;
+
+  const { calculate } = getConsensusStrategy(strategy);
 
   // Validate input
   if (!Array.isArray(orders)) {
@@ -27,52 +112,417 @@ export function calculateConsensus(orders, options = {}) {
     return [];
   }
 
-  // Extract order arrays
-  let orderArrays = orders.map((o) => o.order);
-
   // Validate all orders have arrays
-  if (orderArrays.some((arr) => !Array.isArray(arr))) {
+  if (orders.some((o) => !Array.isArray(o.order))) {
     throw new Error('Each order must have an array of files');
   }
 
-  // Filter out empty orders
-  orderArrays = orderArrays.filter((arr) => arr.length > 0);
+  // Filter out empty orders, and orders with no vote such as stale ones
+  // when only the current head counts
+  let entries = orders
+    .filter((o) => o.order.length > 0)
+    .map((o) => ({ order: o.order, weight: getOrderWeight(o) }))
+    .filter((e) => e.weight > 0);
 
-  if (orderArrays.length === 0) {
+  if (entries.length === 0) {
     return [];
   }
 
   // Single order - return as-is
-  if (orderArrays.length === 1) {
-    return orderArrays[0];
+  if (entries.length === 1) {
+    return entries[0].order;
   }
 
   // Remove outliers if requested
-  if (excludeOutliers && orderArrays.length > 2) {
-    orderArrays = removeOutlierOrders(orderArrays, outlierThreshold);
+  if (excludeOutliers && entries.length > 2) {
+    entries = removeOutlierOrders(entries, outlierThreshold);
   }
 
-  // Calculate consensus using average positions
-  return sortByAveragePosition(orderArrays);
+  return calculate(
+    entries.map((e) => e.order),
+    entries.map((e) => e.weight)
+  );
 }
 
 /**
- * Remove outlier orders that differ significantly from consensus
+ * Get the vote weight of an order
+ * @param {Object} order - Order object
+ * @returns {number} Weight (1 if missing or invalid)
+ */
+function getOrderWeight(order) {
+  const { weight } = order;
+  return typeof weight === 'number' && Number.isFinite(weight) && weight >= 0
+    ? weight
+    : 1;
+}
+
+/**
+ * Get the roles a user holds on the PR
+ * @param {string} user - GitHub username
+ * @param {Object} participants - PR participants from the page
+ * @param {string|null} participants.author - PR author
+ * @param {Array<string>} participants.reviewers - Requested reviewers
+ * @param {Array<string>} participants.codeOwners - Code owners of touched paths
+ * @returns {Array<string>} Role names ('author', 'codeOwner', 'reviewer')
+ */
+export function getParticipantRoles(user, participants = {}) {
+  if (!user) return [];
+
+  const login = user.toLowerCase();
+  const matches = (name) => !!name && name.toLowerCase() === login;
+  const { author = null, reviewers = [], codeOwners = [] } = participants;
+
+  const roles = [];
+  if (matches(author)) roles.push('author');
+  if (codeOwners.some(matches)) roles.push('codeOwner');
+  if (reviewers.some(matches)) roles.push('reviewer');
+
+  return roles;
+}
+
+/**
+ * Assign vote weights to orders based on each user's PR role
+ * A user holding several roles gets the highest of their role weights.
+ * @param {Array<Object>} orders - Array of order objects
+ * @param {Object} participants - PR participants (see getParticipantRoles)
+ * @param {Object} [roleWeights={}] - Overrides for DEFAULT_ROLE_WEIGHTS
+ * @returns {Array<Object>} Orders with {weight, roles} added
+ */
+export function assignOrderWeights(orders, participants, roleWeights = {}) {
+  const weights = { ...DEFAULT_ROLE_WEIGHTS, ...roleWeights };
+
+  return orders.map((order) => {
+    const roles = getParticipantRoles(order.user, participants);
+    const weight =
+      roles.length > 0
+        ? Math.max(...roles.map((role) => weights[role]))
+        : weights.default;
+
+    return { ...order, weight, roles };
+  });
+}
+
+/**
+ * Get all available freshness modes
+ * @returns {Array<Object>} Array of freshness mode definitions
+ */
+export function getFreshnessModes() {
+  return [
+    {
+      id: 'all',
+      name: 'All orders',
+      description: 'Count every order fully, regardless of age',
+    },
+    {
+      id: 'decay',
+      name: 'Favor recent',
+      description:
+        'Reduce the weight of older orders and of orders made against an earlier commit',
+    },
+    {
+      id: 'current-head',
+      name: 'Current commit only',
+      description: 'Ignore orders made against an earlier head commit',
+    },
+  ];
+}
+
+/**
+ * Check if an order was made against an older head commit
+ * Orders without a recorded commit can't be judged and are not stale.
+ * @param {Object} order - Order object
+ * @param {string|null} headSha - Current head commit SHA
+ * @returns {boolean} True if order is stale
+ */
+export function isOrderStale(order, headSha) {
+  if (!headSha || !order.headSha) {
+    return false;
+  }
+
+  // Either side may be an abbreviated SHA
+  const a = order.headSha.toLowerCase();
+  const b = headSha.toLowerCase();
+  return !(a.startsWith(b) || b.startsWith(a));
+}
+
+/**
+ * Flag stale orders and scale their weight by the freshness mode
+ * Dropped orders keep a weight of 0 so they still show in the viewer.
+ * @param {Array<Object>} orders - Array of order objects
+ * @param {Object} [options={}] - Freshness options
+ * @param {string} [options.mode='all'] - Freshness mode ('all', 'decay', 'current-head')
+ * @param {string|null} [options.headSha=null] - Current head commit SHA
+ * @param {number} [options.now=Date.now()] - Reference time in ms
+ * @returns {Array<Object>} Orders with {stale, weight} set
+ * @throws {Error} If mode is unknown
+ */
+export function applyFreshness(orders, options = {}) {
+  const {
+    mode = DEFAULT_FRESHNESS,
+    headSha = null,
+    now = Date.now(),
+  } = options;
+
+  if (!getFreshnessModes().some((m) => m.id === mode)) {
+    throw new Error(`Unknown freshness mode: ${mode}`);
+  }
+
+  return orders.map((order) => {
+    const stale = isOrderStale(order, headSha);
+    let weight = getOrderWeight(order);
+
+    if (mode === 'current-head' && stale) {
+      weight = 0;
+    }
+
+    if (mode === 'decay') {
+      const time = order.timestamp ? new Date(order.timestamp).getTime() : now;
+      const ageHours = Math.max(0, (now - time) / 3600000) || 0;
+      weight *= Math.pow(0.5, ageHours / DECAY_HALF_LIFE_HOURS);
+
+      if (stale) {
+        weight *= STALE_COMMIT_FACTOR;
+      }
+    }
+
+    return { ...order, stale, weight };
+  });
+}
+
+/**
+ * Build pairwise preference matrix
+ * matrix[i][j] sums the weights of orders that rank files[i] before files[j].
+ * Pairs are only counted when both files appear in an order.
+ * @param {Array<Array<string>>} orderArrays - Array of file order arrays
+ * @param {Array<string>} files - All unique files
+ * @param {Array<number>} [weights] - Weight per order (defaults to 1 each)
+ * @returns {Array<Float64Array>} Pairwise preference matrix
+ */
+function buildPairwiseMatrix(orderArrays, files, weights) {
+  const index = new Map(files.map((file, i) => [file, i]));
+  const matrix = files.map(() => new Float64Array(files.length));
+
+  orderArrays.forEach((order, orderIndex) => {
+    const weight = weights ? weights[orderIndex] : 1;
+    const indexes = order.map((file) => index.get(file));
+    for (let a = 0; a < indexes.length; a++) {
+      for (let b = a + 1; b < indexes.length; b++) {
+        matrix[indexes[a]][indexes[b]] += weight;
+      }
+    }
+  });
+
+  return matrix;
+}
+
+/**
+ * Sort files by descending score, keeping the base order for ties
+ * @param {Array<string>} files - Files in base order
+ * @param {Array<number>} scores - Score per file (same indexes as files)
+ * @returns {Array<string>} Sorted files
+ */
+function sortByScore(files, scores) {
+  return files
+    .map((file, i) => ({ file, score: scores[i], i }))
+    .sort((a, b) => b.score - a.score || a.i - b.i)
+    .map((item) => item.file);
+}
+
+/**
+ * Sort files by Borda count
+ * Each order awards a file (len - 1 - position) / (len - 1) points, so
+ * orders covering fewer files don't carry more weight per position.
  * @param {Array<Array<string>>} orderArrays - Array of file order arrays
+ * @param {Array<number>} [weights] - Weight per order (defaults to 1 each)
+ * @returns {Array<string>} Consensus order
+ */
+export function sortByBordaCount(orderArrays, weights) {
+  const files = sortByAveragePosition(orderArrays, weights);
+  const index = new Map(files.map((file, i) => [file, i]));
+  const scores = new Array(files.length).fill(0);
+
+  orderArrays.forEach((order, orderIndex) => {
+    const weight = weights ? weights[orderIndex] : 1;
+    const span = Math.max(order.length - 1, 1);
+    order.forEach((file, position) => {
+      scores[index.get(file)] +=
+        (weight * (order.length - 1 - position)) / span;
+    });
+  });
+
+  return sortByScore(files, scores);
+}
+
+/**
+ * Sort files by Copeland score
+ * A file scores +1 for every other file a majority ranks it before and
+ * -1 for every file a majority ranks it after. Ties keep average order.
+ * @param {Array<Array<string>>} orderArrays - Array of file order arrays
+ * @param {Array<number>} [weights] - Weight per order (defaults to 1 each)
+ * @returns {Array<string>} Consensus order
+ */
+export function sortByCopeland(orderArrays, weights) {
+  const files = sortByAveragePosition(orderArrays, weights);
+  const matrix = buildPairwiseMatrix(orderArrays, files, weights);
+  const scores = new Array(files.length).fill(0);
+
+  for (let i = 0; i < files.length; i++) {
+    for (let j = i + 1; j < files.length; j++) {
+      if (matrix[i][j] > matrix[j][i]) {
+        scores[i] += 1;
+        scores[j] -= 1;
+      } else if (matrix[j][i] > matrix[i][j]) {
+        scores[j] += 1;
+        scores[i] -= 1;
+      }
+    }
+  }
+
+  return sortByScore(files, scores);
+}
+
+/**
+ * Sort files by Kemeny ranking
+ * Finds the order with the fewest pairwise disagreements across all
+ * orders. Exact for up to KEMENY_EXACT_MAX_FILES files, otherwise a
+ * Copeland start refined by local search.
+ * @param {Array<Array<string>>} orderArrays - Array of file order arrays
+ * @param {Array<number>} [weights] - Weight per order (defaults to 1 each)
+ * @returns {Array<string>} Consensus order
+ */
+export function sortByKemeny(orderArrays, weights) {
+  const files = sortByAveragePosition(orderArrays, weights);
+  const matrix = buildPairwiseMatrix(orderArrays, files, weights);
+
+  if (files.length <= KEMENY_EXACT_MAX_FILES) {
+    return solveKemenyExact(matrix).map((i) => files[i]);
+  }
+
+  const index = new Map(files.map((file, i) => [file, i]));
+  const start = sortByCopeland(orderArrays, weights).map((file) =>
+    index.get(file)
+  );
+
+  return improveKemenyRanking(matrix, start).map((i) => files[i]);
+}
+
+/**
+ * Solve Kemeny ranking exactly with dynamic programming over subsets
+ * @param {Array<Float64Array>} matrix - Pairwise preference matrix
+ * @returns {Array<number>} Optimal ranking as file indexes
+ */
+function solveKemenyExact(matrix) {
+  const n = matrix.length;
+  const full = (1 << n) - 1;
+  const cost = new Float64Array(full + 1).fill(Infinity);
+  const choice = new Int8Array(full + 1).fill(-1);
+  cost[0] = 0;
+
+  // cost[mask] = fewest disagreements with the files in mask ranked first
+  for (let mask = 0; mask < full; mask++) {
+    if (cost[mask] === Infinity) continue;
+
+    for (let j = 0; j < n; j++) {
+      if (mask & (1 << j)) continue;
+
+      // Placing j next puts it before every remaining file i, which
+      // disagrees with every order that ranks i before j
+      let added = 0;
+      for (let i = 0; i < n; i++) {
+        if (i !== j && !(mask & (1 << i))) {
+          added += matrix[i][j];
+        }
+      }
+
+      const next = mask | (1 << j);
+      if (cost[mask] + added < cost[next]) {
+        cost[next] = cost[mask] + added;
+        choice[next] = j;
+      }
+    }
+  }
+
+  const ranking = [];
+  for (let mask = full; mask > 0; mask &= ~(1 << choice[mask])) {
+    ranking.unshift(choice[mask]);
+  }
+
+  return ranking;
+}
+
+/**
+ * Improve a ranking by repeatedly moving single files to the position
+ * that most reduces pairwise disagreements
+ * @param {Array<Float64Array>} matrix - Pairwise preference matrix
+ * @param {Array<number>} ranking - Starting ranking as file indexes
+ * @returns {Array<number>} Improved ranking
+ */
+function improveKemenyRanking(matrix, ranking) {
+  const result = [...ranking];
+
+  for (let pass = 0; pass < KEMENY_MAX_PASSES; pass++) {
+    let improved = false;
+
+    for (let from = 0; from < result.length; from++) {
+      const file = result[from];
+      let bestDelta = 0;
+      let bestTo = from;
+
+      // Moving up past `other` gains orders preferring file first and
+      // loses orders preferring other first
+      let delta = 0;
+      for (let to = from - 1; to >= 0; to--) {
+        const other = result[to];
+        delta += matrix[other][file] - matrix[file][other];
+        if (delta < bestDelta) {
+          bestDelta = delta;
+          bestTo = to;
+        }
+      }
+
+      delta = 0;
+      for (let to = from + 1; to < result.length; to++) {
+        const other = result[to];
+        delta += matrix[file][other] - matrix[other][file];
+        if (delta < bestDelta) {
+          bestDelta = delta;
+          bestTo = to;
+        }
+      }
+
+      if (bestTo !== from) {
+        result.splice(from, 1);
+        result.splice(bestTo, 0, file);
+        improved = true;
+      }
+    }
+
+    if (!improved) break;
+  }
+
+  return result;
+}
+
+/**
+ * Remove outlier orders that differ significantly from consensus
+ * @param {Array<Object>} entries - Array of {order, weight} entries
  * @param {number} threshold - Standard deviations threshold
- * @returns {Array<Array<string>>} Filtered order arrays
+ * @returns {Array<Object>} Filtered entries
  */
-function removeOutlierOrders(orderArrays, threshold = 2) {
-  if (orderArrays.length <= 2) {
-    return orderArrays; // Not enough data for outlier detection
+function removeOutlierOrders(entries, threshold = 2) {
+  if (entries.length <= 2) {
+    return entries; // Not enough data for outlier detection
   }
 
   // Calculate preliminary consensus
-  const preliminaryConsensus = sortByAveragePosition(orderArrays);
+  const preliminaryConsensus = sortByAveragePosition(
+    entries.map((e) => e.order),
+    entries.map((e) => e.weight)
+  );
 
   // Calculate distance of each order from preliminary consensus
-  const distances = orderArrays.map((order) =>
-    calculateOrderDistance(order, preliminaryConsensus)
+  const distances = entries.map((entry) =>
+    calculateOrderDistance(entry.order, preliminaryConsensus)
   );
 
   // Calculate mean and standard deviation
@@ -83,14 +533,14 @@ function removeOutlierOrders(orderArrays, threshold = 2) {
   const stdDev = Math.sqrt(variance);
 
   // Filter out outliers
-  const filtered = orderArrays.filter((order, index) => {
+  const filtered = entries.filter((entry, index) => {
     const distance = distances[index];
     return Math.abs(distance - mean) <= threshold * stdDev;
   });
 
   // Return original if we filtered out too many
-  if (filtered.length < orderArrays.length / 2) {
-    return orderArrays;
+  if (filtered.length < entries.length / 2) {
+    return entries;
   }
 
   return filtered;
@@ -129,12 +579,22 @@ function calculateOrderDistance(order1, order2) {
  * Get consensus metadata
  * @param {Array<Object>} orders - Array of order objects
  * @param {Array<string>} consensus - Consensus order
+ * @param {Object} [options={}] - Metadata options
+ * @param {string} [options.strategy='average'] - Strategy that produced the consensus
+ * @param {string} [options.freshness='all'] - Freshness mode that weighted the orders
  * @returns {Object} Metadata about consensus
  */
-export function getConsensusMetadata(orders, consensus) {
+export function getConsensusMetadata(orders, consensus, options = {}) {
+  const { strategy = DEFAULT_STRATEGY, freshness = DEFAULT_FRESHNESS } =
+    options;
+
   if (orders.length === 0) {
     return {
+      strategy,
+      freshness,
+      staleCount: 0,
       participantCount: 0,
+      participants: [],
       agreementScore: 0,
       conflicts: [],
       mostRecentTimestamp: null,
@@ -163,8 +623,19 @@ export function getConsensusMetadata(orders, consensus) {
   const mostRecentTimestamp =
     timestamps.length > 0 ? timestamps[0].toISOString() : null;
 
+  // Effective vote weight of each participant
+  const participants = orders.map((o) => ({
+    user: o.user,
+    weight: getOrderWeight(o),
+    roles: o.roles || [],
+  }));
+
   return {
+    strategy,
+    freshness,
+    staleCount: orders.filter((o) => o.stale).length,
     participantCount: orders.length,
+    participants,
     agreementScore,
     conflicts,
     mostRecentTimestamp,
@@ -12,22 +12,66 @@ import {
 } from './dom-manipulator.js';
 import { createReorderModal } from '../ui/reorder-modal.js';
 import { createOrderViewerModal } from '../ui/order-viewer.js';
-import { saveOrder } from '../utils/storage.js';
+import { createConfigErrorPanel } from '../ui/config-error-panel.js';
+import { createConsensusBanner } from '../ui/consensus-banner.js';
+import { createNavigationKeyHandler } from './file-navigation.js';
+import { renderNoteBadges } from './note-badges.js';
+import {
+  saveOrder,
+  loadOrder,
+  savePreference,
+  loadPreference,
+  loadRepoConfig,
+  markOrderPrState,
+} from '../utils/storage.js';
 import {
   getPRId,
+  getRepoId,
+  getCurrentUser,
+  getHeadSha,
+  getPRParticipants,
+  getPRState,
   loadAllOrders,
+  loadRepoOrderConfig,
   saveOrderEverywhere,
   isOnFilesTab,
+  clearTimelineCache,
+  watchForNewComments,
 } from './github-api.js';
-import { calculateConsensus, getConsensusMetadata } from './consensus.js';
+import {
+  createConsensusWatcher,
+  CONSENSUS_POLL_INTERVAL,
+} from './consensus-watcher.js';
+import {
+  calculateConsensus,
+  getConsensusMetadata,
+  assignOrderWeights,
+  applyFreshness,
+  DEFAULT_STRATEGY,
+  DEFAULT_FRESHNESS,
+} from './consensus.js';
 import { getCleanupManager, cleanup } from '../utils/cleanup-manager.js';
 import { shouldShowTour } from '../utils/onboarding.js';
+import { extractAllFilesMetadata } from '../utils/parser.js';
+import { sortByRules } from '../utils/presets.js';
+import { pickSections } from '../utils/sections.js';
 import { createOnboardingTour } from '../ui/onboarding-tour.js';
+import {
+  POPUP_MESSAGE_TYPE,
+  handlePopupMessage,
+} from '../utils/popup-bridge.js';
+import { BUS_MESSAGE_TYPE, handleBusMessage } from '../utils/message-bus.js';
+import { parseShareableURL } from '../utils/export-import.js';
+import { getShareFragment } from '../utils/share-link.js';
+import { showNotification } from '../utils/error-handler.js';
 
 // Extension state
 let extensionLoaded = false;
 let buttonsInjected = false;
 let currentConsensusOrder = null; // BUG-001: Store order for re-application
+let currentSections = []; // Section dividers shown with the applied order
+let currentOrders = []; // Orders whose notes are shown on diff headers
+let originalOrder = []; // GitHub's own order, before anything was applied
 
 /**
  * Initialize extension on GitHub PR pages
@@ -40,6 +84,9 @@ async function init() {
     buttonsInjected = false;
     // BUG-001: Reset consensus order on cleanup
     currentConsensusOrder = null;
+    currentSections = [];
+    currentOrders = [];
+    originalOrder = [];
     stopObserving();
   }
 
@@ -49,6 +96,9 @@ async function init() {
     return;
   }
 
+  // Merged and closed PRs' orders can be pruned by the retention settings
+  recordPRState(prId);
+
   // Check if we're on the Files tab
   if (!isOnFilesTab()) {
     return;
@@ -57,9 +107,25 @@ async function init() {
   // Inject buttons
   injectButtons();
 
+  // BUG-002: Track shortcut listener so re-initialization doesn't stack them
+  getCleanupManager().trackEventListener(
+    document,
+    'keydown',
+    createNavigationKeyHandler({ onOpenReorder: handleReorderClick })
+  );
+
+  // Remember GitHub's order so the popup can reset to it
+  originalOrder = getCurrentOrder();
+
   // Load and apply saved order (BUG-001: also sets up dynamic file observer)
   await applySavedOrder();
 
+  // Opened from a share link: offer its order over the saved one
+  await offerSharedOrder();
+
+  // Offer teammates' new orders as they're saved
+  watchTeammateOrders();
+
   // Mark as loaded
   extensionLoaded = true;
   document.documentElement.setAttribute('data-pr-reorder', 'loaded');
@@ -68,6 +134,21 @@ async function init() {
   initializeOnboarding();
 }
 
+/**
+ * Remember whether the PR is still open on its saved order
+ * @param {string} prId - PR identifier
+ */
+async function recordPRState(prId) {
+  const prState = getPRState();
+  if (!prState) return;
+
+  try {
+    await markOrderPrState(prId, prState);
+  } catch (error) {
+    console.error('[PR-Reorder] Failed to record PR state:', error);
+  }
+}
+
 /**
  * Initialize onboarding tour for first-time users
  */
@@ -202,61 +283,179 @@ function injectButtons() {
 /**
  * Handle Reorder button click
  */
-function handleReorderClick() {
+async function handleReorderClick() {
   const currentOrder = getCurrentOrder();
+  const prId = getPRId();
+
+  // Start from the notes and sections of the user's last saved order
+  let initialNotes = {};
+  let initialSections = [];
+  try {
+    const saved = prId ? await loadOrder(prId) : null;
+    initialNotes = saved?.notes || {};
+    initialSections = saved?.sections || [];
+  } catch (error) {
+    console.error('[PR-Reorder] Failed to load saved notes:', error);
+  }
 
   createReorderModal({
     initialOrder: currentOrder,
-    onSave: async (newOrder) => {
-      // Apply to DOM
-      reorderFiles(newOrder);
+    initialNotes,
+    initialSections,
+    // Only start from the default preset while the page shows GitHub's own
+    // order, so it never replaces a saved, shared or consensus order
+    applyDefaultPreset: !currentConsensusOrder,
+    onSave: async (newOrder, notes, sections) => {
+      // Apply to DOM and keep it applied as files load; other tabs on
+      // this PR follow once it's saved
+      applyConsensus(newOrder, sections);
 
       // Save to storage and GitHub
-      const prId = getPRId();
       if (prId) {
-        await saveOrder(prId, newOrder);
+        await saveOrder(prId, newOrder, {
+          headSha: getHeadSha(),
+          notes,
+          sections,
+        });
 
-        // Post to GitHub comments
+        // Post to GitHub comments, unless the user keeps orders local
         await saveOrderEverywhere(newOrder, {
-          postToGitHub: true,
+          postToGitHub: await loadPreference('postToGitHub', true),
           metadata: {
             source: 'manual-reorder',
           },
+          notes,
+          sections,
         });
+
+        await refreshNoteBadges();
       }
     },
     onCancel: () => {},
   });
 }
 
+/**
+ * Reload orders and show their notes on the diff headers
+ */
+async function refreshNoteBadges() {
+  try {
+    currentOrders = await loadAllOrders();
+    renderNoteBadges(currentOrders);
+  } catch (error) {
+    console.error('[PR-Reorder] Failed to show notes:', error);
+  }
+}
+
 /**
  * Handle View Orders button click
  */
 async function handleViewOrdersClick() {
   try {
     // Load all orders
-    const orders = await loadAllOrders();
-
-    // Calculate consensus
-    const consensus = calculateConsensus(orders, { excludeOutliers: false });
-    const metadata = getConsensusMetadata(orders, consensus);
-
-    // Show modal
-    createOrderViewerModal({
-      orders,
-      consensus,
-      metadata,
-      onSelectOrder: (order) => {
-        reorderFiles(order);
-      },
-      onClose: () => {},
-    });
+    const orders = await loadWeightedOrders();
+    const settings = await loadConsensusSettings();
+
+    showOrderViewer(orders, settings);
   } catch (error) {
     console.error('[PR-Reorder] Failed to load orders:', error);
     alert('Failed to load orders. Please try again.');
   }
 }
 
+/**
+ * Load all orders weighted by each user's role on the PR
+ * Role weights come from the per-repo config, falling back to defaults
+ * @returns {Promise<Array<Object>>} Orders with {weight, roles}
+ */
+async function loadWeightedOrders() {
+  const orders = await loadAllOrders();
+  const { roleWeights = {} } = await loadRepoConfig(getRepoId());
+
+  return assignOrderWeights(orders, getPRParticipants(), roleWeights);
+}
+
+/**
+ * Load the user's consensus settings
+ * @returns {Promise<Object>} {strategy, freshness}
+ */
+async function loadConsensusSettings() {
+  const strategy = await loadPreference('consensusStrategy', DEFAULT_STRATEGY);
+  const freshness = await loadPreference(
+    'consensusFreshness',
+    DEFAULT_FRESHNESS
+  );
+
+  return { strategy, freshness };
+}
+
+/**
+ * Calculate consensus with the given settings
+ * @param {Array<Object>} orders - Weighted user orders
+ * @param {Object} settings - {strategy, freshness}
+ * @returns {Object} {orders, consensus, metadata} with stale orders flagged
+ */
+function computeConsensus(orders, settings) {
+  const { strategy, freshness } = settings;
+
+  const scoredOrders = applyFreshness(orders, {
+    mode: freshness,
+    headSha: getHeadSha(),
+  });
+  const consensus = calculateConsensus(scoredOrders, {
+    strategy,
+    excludeOutliers: false,
+  });
+  const metadata = getConsensusMetadata(scoredOrders, consensus, {
+    strategy,
+    freshness,
+  });
+
+  return { orders: scoredOrders, consensus, metadata };
+}
+
+/**
+ * Show order viewer with consensus calculated by the given settings
+ * @param {Array<Object>} orders - Weighted user orders
+ * @param {Object} settings - {strategy, freshness}
+ */
+function showOrderViewer(orders, settings) {
+  const result = computeConsensus(orders, settings);
+
+  // Switching a setting only recalculates the preview
+  const changeSettings = (newSettings) => {
+    viewer.close();
+    showOrderViewer(orders, newSettings);
+  };
+
+  // Applying reorders the page and remembers the settings that produced it
+  const applySettings = async () => {
+    applyConsensus(result.consensus, pickSections(orders, getCurrentUser()));
+
+    try {
+      await savePreference('consensusStrategy', settings.strategy);
+      await savePreference('consensusFreshness', settings.freshness);
+    } catch (error) {
+      console.error('[PR-Reorder] Failed to save consensus settings:', error);
+    }
+  };
+
+  // Show modal
+  const viewer = createOrderViewerModal({
+    orders: result.orders,
+    consensus: result.consensus,
+    metadata: result.metadata,
+    onSelectOrder: (order, sections) => {
+      reorderFiles(order, undefined, { sections });
+    },
+    onStrategyChange: (strategy) => changeSettings({ ...settings, strategy }),
+    onFreshnessChange: (freshness) =>
+      changeSettings({ ...settings, freshness }),
+    onApplyConsensus: applySettings,
+    onClose: () => {},
+  });
+}
+
 /**
  * Apply saved order from storage
  * BUG-001: Also sets up observer for dynamic file loading
@@ -267,27 +466,183 @@ async function applySavedOrder() {
 
   try {
     // Load all orders and calculate consensus
-    const orders = await loadAllOrders();
+    const orders = await loadWeightedOrders();
+
+    // Show the orders' notes on the diff headers
+    currentOrders = orders;
+    renderNoteBadges(orders);
+
+    // The repository's committed config is the default until someone
+    // saves an order; it is still checked so config errors surface
+    const repoOrder = await loadRepoOrder();
+
+    // Turned off on the options page: orders are still loaded, but only
+    // applied from the popup or the order viewer
+    if (!(await loadPreference('autoApplyConsensus', true))) {
+      return;
+    }
 
     if (orders.length === 0) {
+      if (repoOrder) {
+        applyConsensus(repoOrder);
+      }
       return;
     }
 
-    // Calculate consensus
-    const consensus = calculateConsensus(orders, { excludeOutliers: false });
+    const settings = await loadConsensusSettings();
+    const { consensus } = computeConsensus(orders, settings);
 
-    if (consensus.length > 0) {
-      reorderFiles(consensus);
+    applyConsensus(consensus, pickSections(orders, getCurrentUser()));
+  } catch (error) {
+    console.error('[PR-Reorder] Failed to apply saved order:', error);
+  }
+}
 
-      // BUG-001: Store consensus for re-application when files load dynamically
-      currentConsensusOrder = consensus;
+/**
+ * Offer to apply an order shared in the page's #pr-order= fragment
+ * The fragment is cleared once answered, so reloading doesn't ask again.
+ */
+async function offerSharedOrder() {
+  if (!getShareFragment(location.hash)) return;
 
-      // BUG-001: Set up observer for dynamic file loading
-      setupDynamicFileObserver();
-    }
+  const clearFragment = () => {
+    history.replaceState(null, '', location.pathname + location.search);
+  };
+
+  let shared;
+  try {
+    shared = await parseShareableURL(location.href, getCurrentOrder());
   } catch (error) {
-    console.error('[PR-Reorder] Failed to apply saved order:', error);
+    console.error('[PR-Reorder] Failed to read shared order:', error);
+    showNotification(`Could not read shared order: ${error.message}`, 'error');
+    clearFragment();
+    return;
+  }
+
+  const intro = shared.user
+    ? `${shared.user} shared a file order`
+    : 'A file order was shared';
+  const banner = createConsensusBanner({
+    message: `${intro} for this PR (${shared.order.length} files) – apply?`,
+    onApply: () => {
+      clearFragment();
+      applyConsensus(shared.order, shared.sections);
+    },
+    onDismiss: clearFragment,
+  });
+  // BUG-002: Track injected element
+  getCleanupManager().trackElement(banner.element);
+}
+
+/**
+ * Poll for orders teammates save while the page is open
+ * Also checks whenever new comments appear on the conversation timeline.
+ */
+function watchTeammateOrders() {
+  const manager = getCleanupManager();
+
+  const watcher = createConsensusWatcher({
+    initialOrders: currentOrders,
+    loadOrders: () => {
+      // Polls must see comments saved since the last one; unchanged
+      // timeline pages aren't downloaded again
+      clearTimelineCache(getPRId());
+      return loadWeightedOrders();
+    },
+    getUser: getCurrentUser,
+    onChange: offerNewConsensus,
+  });
+
+  // BUG-002: Track interval, listener and observer for cleanup
+  manager.trackInterval(watcher.check, CONSENSUS_POLL_INTERVAL);
+  // Hidden tabs skip polls, and catch up when shown
+  manager.trackEventListener(document, 'visibilitychange', watcher.resume);
+  const observer = watchForNewComments(watcher.check);
+  if (observer) {
+    manager.trackObserver(observer);
+  }
+}
+
+/**
+ * Offer to apply the consensus after teammates save new orders
+ * Files are never reordered under the reader without asking.
+ * @param {Array<Object>} orders - Weighted user orders
+ * @param {Array<string>} teammates - Teammates with new orders
+ */
+async function offerNewConsensus(orders, teammates) {
+  currentOrders = orders;
+  renderNoteBadges(orders);
+
+  const settings = await loadConsensusSettings();
+  const { consensus } = computeConsensus(orders, settings);
+
+  if (
+    consensus.length === 0 ||
+    JSON.stringify(consensus) === JSON.stringify(currentConsensusOrder)
+  ) {
+    return;
+  }
+
+  const banner = createConsensusBanner({
+    teammates,
+    onApply: () =>
+      applyConsensus(consensus, pickSections(orders, getCurrentUser())),
+  });
+  // BUG-002: Track injected element
+  getCleanupManager().trackElement(banner.element);
+}
+
+/**
+ * Load the order defined by the repository's committed config
+ * Shows the config error panel if the config is malformed.
+ * @returns {Promise<Array<string>|null>} File order, or null if the
+ *   repository has no usable config
+ */
+async function loadRepoOrder() {
+  let config;
+  try {
+    config = await loadRepoOrderConfig();
+  } catch (error) {
+    console.error('[PR-Reorder] Failed to load repository config:', error);
+    return null;
+  }
+
+  if (!config) {
+    return null;
+  }
+
+  if (!config.preset) {
+    const panel = createConfigErrorPanel({
+      path: config.path,
+      url: config.url,
+      errors: config.errors,
+    });
+    // BUG-002: Track injected element
+    getCleanupManager().trackElement(panel.element);
+    return null;
   }
+
+  return sortByRules(extractAllFilesMetadata(), config.preset).map(
+    (file) => file.path
+  );
+}
+
+/**
+ * Apply consensus order to the page and keep it applied
+ * @param {Array<string>} consensus - Consensus order
+ * @param {Array<Object>} [sections=[]] - Section dividers to show with it
+ */
+function applyConsensus(consensus, sections = []) {
+  if (consensus.length === 0) return;
+
+  reorderFiles(consensus, undefined, { sections });
+
+  // BUG-001: Store consensus for re-application when files load dynamically
+  currentConsensusOrder = consensus;
+  currentSections = sections;
+
+  // BUG-001: Set up observer for dynamic file loading
+  setupDynamicFileObserver();
 }
 
 /**
@@ -303,7 +658,13 @@ function setupDynamicFileObserver() {
   // Create new observer
   const observer = observeFileChanges(() => {
     if (currentConsensusOrder && currentConsensusOrder.length > 0) {
-      reapplySavedOrder(currentConsensusOrder);
+      reapplySavedOrder(currentConsensusOrder, undefined, {
+        sections: currentSections,
+      });
+    }
+    // Newly loaded files need their note badges
+    if (currentOrders.length > 0) {
+      renderNoteBadges(currentOrders);
     }
   }, 500); // 500ms debounce for dynamic loading
 
@@ -313,6 +674,211 @@ function setupDynamicFileObserver() {
   }
 }
 
+/**
+ * Actions the toolbar popup can run on this page
+ * Reordering actions need the Files tab, where the extension is loaded.
+ */
+const popupHandlers = {
+  /**
+   * Describe the PR on this tab
+   * @returns {Promise<Object>} {prId, filesTab, orderCount, agreementScore,
+   *   hasOwnOrder}
+   */
+  async status() {
+    const prId = getPRId();
+    if (!extensionLoaded) {
+      return { prId, filesTab: false };
+    }
+
+    const settings = await loadConsensusSettings();
+    const { metadata } = computeConsensus(currentOrders, settings);
+    const ownOrder = prId ? await loadOrder(prId) : null;
+
+    return {
+      prId,
+      filesTab: true,
+      orderCount: currentOrders.length,
+      agreementScore: currentOrders.length > 0 ? metadata.agreementScore : null,
+      hasOwnOrder: Boolean(ownOrder),
+    };
+  },
+
+  /**
+   * Apply the consensus of everyone's orders
+   */
+  async applyConsensus() {
+    requireFilesTab();
+    const settings = await loadConsensusSettings();
+    const { consensus } = computeConsensus(currentOrders, settings);
+    if (consensus.length === 0) {
+      throw new Error(
+        currentOrders.length > 0
+          ? 'No orders have been saved for the current commit'
+          : 'No orders have been saved for this PR'
+      );
+    }
+    applyConsensus(consensus, pickSections(currentOrders, getCurrentUser()));
+  },
+
+  /**
+   * Apply the current user's saved order
+   */
+  async applyMine() {
+    requireFilesTab();
+    const saved = await loadOrder(getPRId());
+    if (!saved) {
+      throw new Error("You haven't saved an order for this PR");
+    }
+    applyConsensus(saved.order, saved.sections || []);
+  },
+
+  /**
+   * Put files back in GitHub's order
+   */
+  async reset() {
+    requireFilesTab();
+    // Stop reapplying the previous order as files load
+    currentConsensusOrder = null;
+    currentSections = [];
+    stopObserving();
+    if (originalOrder.length > 0) {
+      reorderFiles(originalOrder);
+    }
+  },
+
+  /**
+   * Open the reorder modal
+   */
+  async openReorder() {
+    requireFilesTab();
+    handleReorderClick();
+  },
+};
+
+/**
+ * Check that the extension is loaded on this page
+ * @throws {Error} If the page isn't a PR's Files tab
+ */
+function requireFilesTab() {
+  if (!extensionLoaded) {
+    throw new Error('Open the Files changed tab first');
+  }
+}
+
+/**
+ * Answer requests from the toolbar popup
+ */
+function listenForPopup() {
+  chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
+    if (!message || message.type !== POPUP_MESSAGE_TYPE) {
+      return false;
+    }
+
+    handlePopupMessage(message, popupHandlers).then(
+      (result) => sendResponse({ ok: true, result }),
+      (error) => sendResponse({ ok: false, error: error.message })
+    );
+
+    // Keep the message channel open for the async response
+    return true;
+  });
+}
+
+// Preferences that change which order is applied
+const CONSENSUS_PREFERENCES = [
+  'consensusStrategy',
+  'consensusFreshness',
+  'autoApplyConsensus',
+];
+
+/**
+ * Check whether a bus message is for the PR this tab shows
+ * @param {string} prId - PR identifier from the message
+ * @returns {boolean} True if the Files tab of that PR is loaded here
+ */
+function isShowingPR(prId) {
+  return extensionLoaded && prId === getPRId();
+}
+
+// Bus messages relayed by the background service worker
+const busHandlers = {
+  /**
+   * Show files in the given order
+   * @param {Object} payload - {prId, order, sections}
+   * @returns {Promise<boolean>} True if this tab applied it
+   */
+  async applyOrder({ prId, order, sections }) {
+    if (!isShowingPR(prId)) return false;
+    applyConsensus(order, sections);
+    return true;
+  },
+
+  /**
+   * Follow an order the user saved in another tab, or offer one saved on
+   * another device. The tab that saved it already shows it, so it does
+   * nothing there.
+   * @param {Object} payload - {prId, order, sections, fromSync}
+   * @returns {Promise<boolean>} True if this tab applied it
+   */
+  async ordersChanged({ prId, order, sections, fromSync }) {
+    if (!isShowingPR(prId)) return false;
+    if (
+      currentConsensusOrder &&
+      JSON.stringify(currentConsensusOrder) === JSON.stringify(order)
+    ) {
+      return false;
+    }
+
+    // Another device's save can arrive at any time, so ask first
+    if (fromSync) {
+      const banner = createConsensusBanner({
+        message: 'You saved a new order for this PR on another device – apply?',
+        onApply: () => applyConsensus(order, sections),
+      });
+      // BUG-002: Track injected element
+      getCleanupManager().trackElement(banner.element);
+      await refreshNoteBadges();
+      return false;
+    }
+
+    applyConsensus(order, sections);
+    await refreshNoteBadges();
+    return true;
+  },
+
+  /**
+   * Recompute the applied order when a consensus setting changes
+   * @param {Object} payload - {key, value}
+   * @returns {Promise<boolean>} True if the order was recomputed
+   */
+  async preferenceChanged({ key }) {
+    if (!extensionLoaded || !CONSENSUS_PREFERENCES.includes(key)) {
+      return false;
+    }
+    await applySavedOrder();
+    return true;
+  },
+};
+
+/**
+ * Answer bus messages relayed by the background service worker
+ */
+function listenForBus() {
+  chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
+    if (!message || message.type !== BUS_MESSAGE_TYPE) {
+      return false;
+    }
+
+    handleBusMessage(message, busHandlers).then(
+      (result) => sendResponse({ ok: true, result }),
+      (error) => sendResponse({ ok: false, error: error.message })
+    );
+
+    // Keep the message channel open for the async response
+    return true;
+  });
+}
+
 /**
  * Wait for GitHub to finish loading the PR page
  */
@@ -343,6 +909,9 @@ async function main() {
     return;
   }
 
+  listenForPopup();
+  listenForBus();
+
   // Initialize extension
   await init();
 
@@ -365,10 +934,12 @@ function observeNavigation() {
   // GitHub fires these events on navigation
   manager.trackEventListener(document, 'pjax:end', handleNavigation);
 
-  // Also watch for URL changes
-  let lastUrl = location.href;
+  // Also watch for URL changes; fragment changes, such as clearing a shared
+  // order's, stay on the same page
+  const getPageUrl = () => location.href.split('#')[0];
+  let lastUrl = getPageUrl();
   const urlObserver = new MutationObserver(() => {
-    const currentUrl = location.href;
+    const currentUrl = getPageUrl();
     if (currentUrl !== lastUrl) {
       lastUrl = currentUrl;
       // BUG-002: Track timeout for cleanup
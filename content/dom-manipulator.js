@@ -6,14 +6,23 @@
 import {
   extractFiles,
   getFilePath,
+  getFileAnchor,
   getFilesContainer,
 } from '../utils/parser.js';
+import { getSectionRanges } from '../utils/sections.js';
 
 // MutationObserver instance
 let observer = null;
 let observerCallback = null;
 let debounceTimer = null;
 
+// Entries of the file tree sidebar and the jump-to-file menu
+const NAVIGATION_ENTRY_SELECTOR = 'li, [role="treeitem"], .select-menu-item';
+const NAVIGATION_ROOT_SELECTOR =
+  'file-tree, nav, [role="tree"], details, .select-menu-list';
+
+const SECTION_HEADER_CLASS = 'pr-reorder-section-header';
+
 /**
  * Validate order array
  * @param {Array<string>} order - Array of file paths
@@ -79,22 +88,60 @@ export function validateFileOrder(order, container) {
   };
 }
 
+/**
+ * Create a sticky header for a section of the order
+ * @param {Object} section - Section with {name, start, files}
+ * @returns {HTMLElement}
+ */
+function createSectionHeader(section) {
+  const header = document.createElement('div');
+  header.className = SECTION_HEADER_CLASS;
+  header.setAttribute('role', 'heading');
+  header.setAttribute('aria-level', '2');
+  header.dataset.sectionStart = section.start;
+
+  const name = document.createElement('span');
+  name.className = 'pr-reorder-section-header-name';
+  // SECURITY: Using textContent for user data
+  name.textContent = section.name;
+
+  const count = document.createElement('span');
+  count.className = 'pr-reorder-section-header-count';
+  const files = section.files.length;
+  count.textContent = `${files} ${files === 1 ? 'file' : 'files'}`;
+
+  header.appendChild(name);
+  header.appendChild(count);
+
+  return header;
+}
+
 /**
  * Reorder files in the DOM according to specified order
  * Uses DocumentFragment for efficient DOM manipulation
  *
  * @param {Array<string>} order - Array of file paths in desired order
  * @param {HTMLElement} [container] - Optional container element
+ * @param {Object} [options={}] - Reorder options
+ * @param {Array<Object>} [options.sections=[]] - Section dividers with
+ *   {name, start}, shown as headers before each section's first file
  * @throws {Error} If order is invalid
  */
-export function reorderFiles(order, container) {
+export function reorderFiles(order, container, options = {}) {
   validateOrderInput(order);
 
+  const { sections = [] } = options;
+
   const filesContainer = getFilesContainer(container);
   if (!filesContainer) {
     return;
   }
 
+  // Headers from a previous call are rebuilt for the new order
+  filesContainer
+    .querySelectorAll(`:scope > .${SECTION_HEADER_CLASS}`)
+    .forEach((header) => header.remove());
+
   const files = extractFiles(container);
   if (files.length === 0) {
     return;
@@ -111,6 +158,7 @@ export function reorderFiles(order, container) {
 
   // Create DocumentFragment for efficient DOM manipulation
   const fragment = document.createDocumentFragment();
+  const movedElements = new Map();
 
   // Add files in specified order
   order.forEach((filePath) => {
@@ -138,11 +186,20 @@ export function reorderFiles(order, container) {
       if (elementToMove.parentNode) {
         elementToMove.parentNode.removeChild(elementToMove);
         fragment.appendChild(elementToMove);
+        movedElements.set(filePath, elementToMove);
         fileMap.delete(filePath); // Mark as processed
       }
     }
   });
 
+  // Put each section's header before its first file
+  getSectionRanges(sections, order).forEach((section) => {
+    const firstElement = movedElements.get(section.start);
+    if (firstElement) {
+      fragment.insertBefore(createSectionHeader(section), firstElement);
+    }
+  });
+
   // Add any remaining files (not in order) at the end
   fileMap.forEach((fileElement) => {
     if (filesContainer.contains(fileElement)) {
@@ -174,6 +231,127 @@ export function reorderFiles(order, container) {
 
   // Apply all changes in single DOM operation
   filesContainer.appendChild(fragment);
+
+  // Keep sidebar navigation in the same sequence as the diffs
+  syncFileNavigation(container);
+}
+
+/**
+ * Check whether an element is part of a file's diff
+ * @param {HTMLElement} element - Element to check
+ * @param {Set<HTMLElement>} fileElements - File elements
+ * @returns {boolean}
+ */
+function isInsideFile(element, fileElements) {
+  for (let node = element; node; node = node.parentElement) {
+    if (fileElements.has(node)) return true;
+  }
+  return false;
+}
+
+/**
+ * Get the diff position a navigation link or entry points to
+ * @param {HTMLElement} target - Link or element with data-file-path
+ * @param {Map<string, number>} anchorPositions - Diff anchor to position
+ * @param {Map<string, number>} pathPositions - File path to position
+ * @returns {number|undefined} Position, or undefined if unknown
+ */
+function getNavigationPosition(target, anchorPositions, pathPositions) {
+  const href = target.getAttribute('href');
+  if (href && href.includes('#diff-')) {
+    return anchorPositions.get(href.slice(href.indexOf('#') + 1));
+  }
+  return pathPositions.get(target.dataset.filePath);
+}
+
+/**
+ * Reorder the file tree sidebar and jump-to-file menu to match the diffs
+ * Entries are matched to files through the #diff- anchors they link to
+ * (or their data-file-path). Each list is reordered in place: file
+ * entries follow the diff order and directory entries move to the
+ * position of their first file, so nested trees keep their structure.
+ *
+ * @param {HTMLElement} [container] - Optional container element
+ * @returns {number} Number of navigation lists that were reordered
+ */
+export function syncFileNavigation(container) {
+  const files = extractFiles(container);
+  const fileElements = new Set(files);
+  const anchorPositions = new Map();
+  const pathPositions = new Map();
+
+  files.forEach((file, position) => {
+    const anchor = getFileAnchor(file);
+    const path = getFilePath(file);
+    if (anchor) anchorPositions.set(anchor, position);
+    if (path) pathPositions.set(path, position);
+  });
+
+  // Rank each entry by the earliest file it contains
+  const entryPositions = new Map();
+  const lists = new Set();
+
+  document
+    .querySelectorAll('a[href*="#diff-"], [data-file-path]')
+    .forEach((target) => {
+      if (isInsideFile(target, fileElements)) return;
+
+      const position = getNavigationPosition(
+        target,
+        anchorPositions,
+        pathPositions
+      );
+      if (position === undefined) return;
+
+      const root = target.closest(NAVIGATION_ROOT_SELECTOR);
+      if (!root) return;
+
+      const closestEntry = target.closest(NAVIGATION_ENTRY_SELECTOR);
+      let entry =
+        closestEntry && root.contains(closestEntry) ? closestEntry : target;
+
+      // Walk up through directory entries, staying inside the navigation
+      while (entry && entry.parentElement) {
+        const current = entryPositions.get(entry);
+        entryPositions.set(
+          entry,
+          current === undefined ? position : Math.min(current, position)
+        );
+        lists.add(entry.parentElement);
+
+        const parentEntry = entry.parentElement.closest(
+          NAVIGATION_ENTRY_SELECTOR
+        );
+        entry = parentEntry && root.contains(parentEntry) ? parentEntry : null;
+      }
+    });
+
+  let reordered = 0;
+
+  lists.forEach((list) => {
+    const entries = Array.from(list.children).filter((child) =>
+      entryPositions.has(child)
+    );
+    const sorted = [...entries].sort(
+      (a, b) => entryPositions.get(a) - entryPositions.get(b)
+    );
+
+    if (sorted.every((entry, index) => entry === entries[index])) return;
+
+    // Swap entries through placeholders so unrelated children (headings,
+    // separators) keep their place
+    const placeholders = entries.map((entry) => {
+      const placeholder = document.createComment('');
+      entry.replaceWith(placeholder);
+      return placeholder;
+    });
+    placeholders.forEach((placeholder, index) =>
+      placeholder.replaceWith(sorted[index])
+    );
+    reordered++;
+  });
+
+  return reordered;
 }
 
 /**
@@ -266,9 +444,10 @@ export function stopObserving() {
  *
  * @param {Array<string>} savedOrder - Previously saved order
  * @param {HTMLElement} [container] - Optional container element
+ * @param {Object} [options={}] - Reorder options, see reorderFiles
  * @returns {boolean} True if order was applied successfully
  */
-export function reapplySavedOrder(savedOrder, container) {
+export function reapplySavedOrder(savedOrder, container, options = {}) {
   try {
     const validation = validateFileOrder(savedOrder, container);
 
@@ -276,7 +455,7 @@ export function reapplySavedOrder(savedOrder, container) {
       return false;
     }
 
-    reorderFiles(savedOrder, container);
+    reorderFiles(savedOrder, container, options);
     return true;
   } catch (error) {
     console.error('[PR-Reorder] Error reapplying order:', error);
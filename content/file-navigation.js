@@ -0,0 +1,181 @@
+/**
+ * File Navigation
+ * Page-level shortcuts to step through files in review order
+ */
+
+import { extractFiles, isFileViewed } from '../utils/parser.js';
+import { getCleanupManager } from '../utils/cleanup-manager.js';
+
+// Height of GitHub's sticky header; a file scrolled under it is current
+const HEADER_OFFSET = 80;
+// Repeated presses within this window continue from the last target,
+// since smooth scrolling may not have reached it yet
+const REPEAT_WINDOW_MS = 1000;
+const INDICATOR_DURATION_MS = 2500;
+
+let lastNavigation = null;
+let indicatorTimer = null;
+
+/**
+ * Get the index of the file currently at the top of the viewport
+ * @param {Array<HTMLElement>} files - File elements in page order
+ * @returns {number} Index, or -1 if the first file is still below the top
+ */
+export function getCurrentFileIndex(files) {
+  if (
+    lastNavigation &&
+    Date.now() - lastNavigation.time < REPEAT_WINDOW_MS &&
+    files[lastNavigation.index] === lastNavigation.file
+  ) {
+    return lastNavigation.index;
+  }
+
+  let current = -1;
+  files.forEach((file, index) => {
+    if (file.getBoundingClientRect().top <= HEADER_OFFSET + 1) {
+      current = index;
+    }
+  });
+
+  return current;
+}
+
+/**
+ * Find the next file to visit in a direction, skipping viewed files
+ * @param {Array<HTMLElement>} files - File elements in page order
+ * @param {number} fromIndex - Current index (-1 before the first file)
+ * @param {number} direction - 1 for next, -1 for previous
+ * @param {Function} [isViewed=isFileViewed] - Viewed check per file
+ * @returns {number} Index of the file, or -1 if there is none
+ */
+export function findAdjacentFile(
+  files,
+  fromIndex,
+  direction,
+  isViewed = isFileViewed
+) {
+  for (
+    let index = fromIndex + direction;
+    index >= 0 && index < files.length;
+    index += direction
+  ) {
+    if (!isViewed(files[index])) {
+      return index;
+    }
+  }
+
+  return -1;
+}
+
+/**
+ * Show the floating position indicator
+ * @param {string} message - Text to show
+ */
+function showIndicator(message) {
+  let indicator = document.querySelector('.pr-reorder-position-indicator');
+
+  if (!indicator) {
+    indicator = document.createElement('div');
+    indicator.className = 'pr-reorder-position-indicator';
+    indicator.setAttribute('role', 'status');
+    indicator.setAttribute('aria-live', 'polite');
+    document.body.appendChild(indicator);
+
+    // BUG-002: Track injected element so re-initialization removes it
+    getCleanupManager().trackElement(indicator);
+  }
+
+  indicator.textContent = message;
+  indicator.hidden = false;
+
+  clearTimeout(indicatorTimer);
+  indicatorTimer = getCleanupManager().trackTimeout(() => {
+    indicator.hidden = true;
+  }, INDICATOR_DURATION_MS);
+}
+
+/**
+ * Scroll to the next or previous unviewed file in review order
+ * The page's file order is the applied (consensus) order.
+ * @param {number} direction - 1 for next, -1 for previous
+ * @param {HTMLElement} [container] - Optional files container
+ * @returns {HTMLElement|null} File scrolled to, or null if none
+ */
+export function navigateToFile(direction, container) {
+  const files = extractFiles(container);
+  if (files.length === 0) {
+    return null;
+  }
+
+  const index = findAdjacentFile(files, getCurrentFileIndex(files), direction);
+
+  if (index === -1) {
+    showIndicator(
+      direction > 0 ? 'No more unviewed files' : 'No earlier unviewed files'
+    );
+    return null;
+  }
+
+  const file = files[index];
+  file.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  lastNavigation = { index, file, time: Date.now() };
+
+  showIndicator(`File ${index + 1} of ${files.length}`);
+  return file;
+}
+
+/**
+ * Check whether a key event comes from a text field
+ * @param {EventTarget} target - Event target
+ * @returns {boolean}
+ */
+function isTypingTarget(target) {
+  return (
+    target instanceof HTMLElement &&
+    (['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) ||
+      target.isContentEditable)
+  );
+}
+
+/**
+ * Create the page-level keydown handler
+ * "]" and "[" move to the next and previous unviewed file;
+ * Ctrl+Shift+R opens the reorder modal.
+ * @param {Object} [options={}] - Handler options
+ * @param {Function} [options.onOpenReorder] - Opens the reorder modal
+ * @returns {Function} Keydown handler
+ */
+export function createNavigationKeyHandler(options = {}) {
+  const { onOpenReorder } = options;
+
+  return (e) => {
+    if (
+      e.defaultPrevented ||
+      isTypingTarget(e.target) ||
+      document.querySelector('.pr-reorder-modal-overlay, [aria-modal="true"]')
+    ) {
+      return;
+    }
+
+    if (
+      e.ctrlKey &&
+      e.shiftKey &&
+      !e.altKey &&
+      !e.metaKey &&
+      e.key.toLowerCase() === 'r'
+    ) {
+      e.preventDefault();
+      if (onOpenReorder) onOpenReorder();
+      return;
+    }
+
+    if (e.ctrlKey || e.metaKey || e.altKey) {
+      return;
+    }
+
+    if (e.key === ']' || e.key === '[') {
+      e.preventDefault();
+      navigateToFile(e.key === ']' ? 1 : -1);
+    }
+  };
+}
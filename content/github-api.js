@@ -4,9 +4,37 @@
  */
 
 import { validateOrderCommentData } from '../utils/sanitizer.js';
+import { requestGitHubRest, isRestBackendEnabled } from './rest-backend.js';
+import {
+  parseRepoOrderConfig,
+  REPO_ORDER_CONFIG_PATHS,
+} from '../utils/repo-order-config.js';
+import { clearStaleCache } from '../utils/performance.js';
 
 const COMMENT_PREFIX = 'pr-file-order-data';
-const CURRENT_VERSION = '1.0';
+const CURRENT_VERSION = '1.1';
+
+// "Load more" controls for timeline items GitHub leaves off the page.
+// Other deferred fragments, such as menus and previews, have no comments.
+const MORE_ITEMS_SELECTOR =
+  'form.ajax-pagination-form[action*="timeline"], include-fragment[src*="timeline"]';
+const MAX_TIMELINE_PAGES = 20;
+
+// A comment with its header, which names the author
+const COMMENT_CONTAINER_SELECTOR = '.js-comment-container, .timeline-comment';
+const TIMELINE_CACHE_MAX_AGE = 60000;
+
+// Orders loaded from the full timeline, per PR: {promise, timestamp}
+const timelineCache = new Map();
+
+// Repository order configs, per repository, base branch and head commit:
+// {promise, timestamp}
+const repoConfigCache = new Map();
+const REPO_CONFIG_CACHE_MAX_AGE = 600000;
+
+// Timeline pages last fetched, per PR and then URL:
+// {orders, moreUrls, etag, lastModified}
+const timelinePages = new Map();
 
 /**
  * Get current GitHub username
@@ -39,10 +67,12 @@ export function getCurrentUser() {
 
 /**
  * Check if current user has write permission
+ * @param {Document} [doc=document] - Page to check, e.g. a fetched
+ *   conversation page
  * @returns {boolean} True if user can post comments
  */
-export function hasWritePermission() {
-  const commentForm = document.querySelector('#new_comment_field');
+export function hasWritePermission(doc = document) {
+  const commentForm = doc.querySelector('#new_comment_field');
   return !!(commentForm && !commentForm.disabled);
 }
 
@@ -63,6 +93,273 @@ export function getPRId() {
   return null;
 }
 
+/**
+ * Get the PR's current head commit SHA from the page
+ * @returns {string|null} Head commit SHA or null if not found
+ */
+export function getHeadSha() {
+  // Try multiple selectors for robustness
+  const selectors = [
+    'input[name="head_sha"]',
+    'input[name="commit_oid"]',
+    '[data-head-sha]',
+  ];
+
+  for (const selector of selectors) {
+    const element = document.querySelector(selector);
+    if (element) {
+      const sha = element.getAttribute('value') || element.dataset.headSha;
+
+      if (sha && /^[0-9a-f]{7,40}$/i.test(sha.trim())) {
+        return sha.trim().toLowerCase();
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get repository ID from current URL
+ * @returns {string|null} Repository ID in format "org/repo"
+ */
+export function getRepoId() {
+  const prId = getPRId();
+  return prId ? prId.split('/').slice(0, 2).join('/') : null;
+}
+
+/**
+ * Get the PR's base branch from the page
+ * @returns {string|null} Branch name or null if not found
+ */
+export function getBaseBranch() {
+  // Try multiple selectors for robustness
+  const selectors = ['[data-base-ref]', '.base-ref'];
+
+  for (const selector of selectors) {
+    const element = document.querySelector(selector);
+    if (element) {
+      // Cross-repository refs are shown as "owner:branch"
+      const ref = (
+        element.dataset.baseRef ||
+        element.getAttribute('title') ||
+        element.textContent ||
+        ''
+      )
+        .trim()
+        .split(':')
+        .pop();
+
+      if (ref) {
+        return ref;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Fetch a file from the repository through github.com raw URLs
+ * @param {string} repoId - Repository in format "org/repo"
+ * @param {string} ref - Branch, tag or commit
+ * @param {string} path - File path within the repository
+ * @returns {Promise<string|null>} File contents, or null if not found
+ * @throws {Error} If the request fails for another reason
+ */
+async function fetchRepoFile(repoId, ref, path) {
+  const encodedRef = ref.split('/').map(encodeURIComponent).join('/');
+  const response = await fetch(
+    `https://github.com/${repoId}/raw/${encodedRef}/${path}`
+  );
+
+  if (response.status === 404) {
+    return null;
+  }
+  if (!response.ok) {
+    throw new Error(`Failed to fetch ${path}: HTTP ${response.status}`);
+  }
+
+  return await response.text();
+}
+
+/**
+ * Fetch the ordering config committed to a branch
+ * @param {string} repoId - Repository identifier (e.g., "org/repo")
+ * @param {string} ref - Branch name
+ * @returns {Promise<Object|null>} {path, url, preset, errors}, or null if
+ *   the repository has no config
+ * @throws {Error} If a request fails
+ */
+async function fetchRepoOrderConfig(repoId, ref) {
+  for (const path of REPO_ORDER_CONFIG_PATHS) {
+    const text = await fetchRepoFile(repoId, ref, path);
+
+    if (text !== null) {
+      const { preset, errors } = parseRepoOrderConfig(text, path);
+      return {
+        path,
+        url: `https://github.com/${repoId}/blob/${ref}/${path}`,
+        preset,
+        errors,
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Load the ordering config committed to the PR's base branch
+ * Falls back to the default branch when the base branch isn't on the page.
+ * Results are cached until the PR gets new commits, so reapplying orders
+ * doesn't refetch the config.
+ * @returns {Promise<Object|null>} {path, url, preset, errors}, or null if
+ *   the repository has no config
+ * @throws {Error} If a request fails
+ */
+export function loadRepoOrderConfig() {
+  const repoId = getRepoId();
+  if (!repoId) {
+    return Promise.resolve(null);
+  }
+
+  // "HEAD" resolves to the repository's default branch
+  const ref = getBaseBranch() || 'HEAD';
+  const key = `${repoId}:${ref}:${getHeadSha()}`;
+
+  clearStaleCache(repoConfigCache, REPO_CONFIG_CACHE_MAX_AGE);
+
+  if (!repoConfigCache.has(key)) {
+    const promise = fetchRepoOrderConfig(repoId, ref).catch((error) => {
+      // Don't cache failures
+      repoConfigCache.delete(key);
+      throw error;
+    });
+    repoConfigCache.set(key, { promise, timestamp: Date.now() });
+  }
+
+  return repoConfigCache.get(key).promise;
+}
+
+/**
+ * Forget cached repository order configs
+ */
+export function clearRepoOrderConfigCache() {
+  repoConfigCache.clear();
+}
+
+/**
+ * Extract a GitHub login from a user link or label element
+ * @param {Element} element - User element
+ * @returns {string|null} Login or null
+ */
+function extractLogin(element) {
+  const hovercard = element.getAttribute('data-hovercard-url');
+  const hovercardMatch = hovercard && hovercard.match(/^\/users\/([^/]+)\//);
+  if (hovercardMatch) {
+    return hovercardMatch[1];
+  }
+
+  const login =
+    element.getAttribute('data-assignee-name') ||
+    element.getAttribute('data-login') ||
+    element.textContent;
+
+  return login && login.trim() ? login.trim().replace(/^@/, '') : null;
+}
+
+/**
+ * Find user elements matching any of the given selectors
+ * @param {Array<string>} selectors - CSS selectors for user elements
+ * @returns {Array<Element>} Matching elements
+ */
+function findUserElements(selectors) {
+  return selectors.flatMap((selector) =>
+    Array.from(document.querySelectorAll(selector))
+  );
+}
+
+/**
+ * Get unique logins from user elements
+ * @param {Array<Element>} elements - User elements
+ * @returns {Array<string>} Unique logins
+ */
+function uniqueLogins(elements) {
+  return [...new Set(elements.map(extractLogin).filter(Boolean))];
+}
+
+/**
+ * Get PR participants with a role from the page (header and sidebar)
+ * Code owners come from the reviewers sidebar and "Owned by" file headers.
+ * @returns {Object} {author, reviewers, codeOwners}
+ */
+export function getPRParticipants() {
+  // Try multiple selectors for robustness
+  const [author = null] = uniqueLogins(
+    findUserElements([
+      '.gh-header-meta .author',
+      '.js-discussion .timeline-comment-header .author',
+      '[data-testid="pr-author-link"]',
+    ])
+  );
+
+  const reviewerElements = findUserElements([
+    'form[aria-label="Select reviewers"] .assignee',
+    '.sidebar-assignee [data-hovercard-type="user"]',
+    '[data-testid="reviewers-section"] [data-hovercard-type="user"]',
+  ]);
+  const reviewers = uniqueLogins(reviewerElements);
+
+  // Reviewers flagged as code owners in the sidebar
+  const codeOwners = new Set(
+    uniqueLogins(
+      reviewerElements.filter((element) =>
+        element.parentElement?.querySelector(
+          '[aria-label*="code owner"], [aria-label*="Code owner"]'
+        )
+      )
+    )
+  );
+
+  // "Owned by @alice and @org/team" tooltips on file headers (teams skipped)
+  document.querySelectorAll('[aria-label^="Owned by"]').forEach((element) => {
+    const label = element.getAttribute('aria-label');
+    for (const match of label.matchAll(/@([\w-]+)(?![\w/-])/g)) {
+      codeOwners.add(match[1]);
+    }
+  });
+
+  return {
+    author,
+    reviewers,
+    codeOwners: Array.from(codeOwners),
+  };
+}
+
+/**
+ * Get whether the PR is open, closed or merged from its header
+ * @returns {string|null} 'open', 'closed', 'merged' or null if not found
+ */
+export function getPRState() {
+  const badge = document.querySelector(
+    '.gh-header-meta .State, [data-testid="header-state"]'
+  );
+  if (!badge) {
+    return null;
+  }
+
+  // Classic headers use State--merged etc.; newer ones only have the label
+  const label = `${badge.className} ${badge.textContent}`.toLowerCase();
+  for (const state of ['merged', 'closed', 'open', 'draft']) {
+    if (label.includes(state)) {
+      return state === 'draft' ? 'open' : state;
+    }
+  }
+
+  return null;
+}
+
 /**
  * Check if we're on the Files Changed tab
  * @returns {boolean} True if on /files or /changes page or files tab is active
@@ -99,11 +396,13 @@ export function isOnFilesTab() {
  */
 export function createOrderComment(order, metadata = {}) {
   const user = getCurrentUser();
+  const headSha = getHeadSha();
   const data = {
     user,
     order,
     timestamp: new Date().toISOString(),
     version: CURRENT_VERSION,
+    ...(headSha && { headSha }),
     ...metadata,
   };
 
@@ -138,14 +437,46 @@ export function parseOrderComment(commentHTML) {
   }
 }
 
+/**
+ * Find who wrote a comment on the page
+ * @param {Element} commentBody - The comment's .comment-body
+ * @returns {string|null} Author's login, or null if it isn't shown
+ */
+function getCommentAuthor(commentBody) {
+  const container = commentBody.closest(COMMENT_CONTAINER_SELECTOR);
+  const author = container && container.querySelector('.author');
+  return author ? extractLogin(author) : null;
+}
+
+/**
+ * Check that an order comment was written by the user it names
+ * SECURITY: The JSON is written by whoever posts the comment, so an order
+ * naming someone else would take over their place and weight in consensus
+ * @param {Object} data - Parsed order data
+ * @param {string|null} author - Login of the comment's author
+ * @returns {boolean} True if the order's user wrote the comment
+ */
+function isWrittenByUser(data, author) {
+  if (author && author.toLowerCase() === data.user.toLowerCase()) {
+    return true;
+  }
+
+  console.warn(
+    `[PR-Reorder] Ignoring order for ${data.user} in a comment by ${author}`
+  );
+  return false;
+}
+
 /**
  * Extract all orders from PR comments
- * SECURITY: Reads comment HTML safely - only for parsing, never injecting
+ * SECURITY: Reads comment HTML safely - only for parsing, never injecting.
+ * Orders are only taken from comments their user wrote.
+ * @param {Document|Element} [root=document] - Page or fragment to search
  * @returns {Array<Object>} Array of order data objects
  */
-export function extractOrdersFromComments() {
+export function extractOrdersFromComments(root = document) {
   const orders = [];
-  const commentBodies = document.querySelectorAll('.comment-body');
+  const commentBodies = root.querySelectorAll('.comment-body');
 
   commentBodies.forEach((commentBody) => {
     // SECURITY: We need to read the comment HTML to find our hidden comments.
@@ -156,7 +487,10 @@ export function extractOrdersFromComments() {
     const html = commentBody.innerHTML;
     const orderData = parseOrderComment(html);
 
-    if (orderData) {
+    if (
+      orderData &&
+      isWrittenByUser(orderData, getCommentAuthor(commentBody))
+    ) {
       orders.push(orderData);
     }
   });
@@ -164,6 +498,248 @@ export function extractOrdersFromComments() {
   return orders;
 }
 
+/**
+ * Load orders from PR comments through the REST backend
+ * Unlike the page, the API returns every comment, including ones GitHub
+ * hides behind "Load more" in long timelines.
+ * @param {string} prId - PR identifier
+ * @returns {Promise<Array<Object>>} Array of order data objects
+ */
+async function loadOrdersWithRest(prId) {
+  const comments = await requestGitHubRest('listComments', { prId });
+  const orders = [];
+
+  comments.forEach((comment) => {
+    const data = parseOrderComment(comment.body);
+    if (data && isWrittenByUser(data, comment.user)) {
+      orders.push(data);
+    }
+  });
+
+  return orders;
+}
+
+/**
+ * Find the URLs of the "load more" fragments in a timeline
+ * Only same-origin URLs are followed, so the user's session never leaves
+ * GitHub.
+ * @param {Document} doc - Conversation page or fragment
+ * @returns {Array<string>} Fragment URLs
+ */
+function findMoreItemsUrls(doc) {
+  const urls = [];
+
+  doc.querySelectorAll(MORE_ITEMS_SELECTOR).forEach((element) => {
+    const isForm = element.tagName === 'FORM';
+    const url = new URL(
+      element.getAttribute(isForm ? 'action' : 'src'),
+      window.location.origin
+    );
+    if (url.origin !== window.location.origin) return;
+
+    // Pagination forms carry their cursor in hidden inputs
+    if (isForm) {
+      element
+        .querySelectorAll('input[type="hidden"][name]')
+        .forEach((input) => url.searchParams.set(input.name, input.value));
+    }
+
+    urls.push(url.href);
+  });
+
+  return urls;
+}
+
+/**
+ * Request a timeline page with the user's session
+ * @param {string} url - Page or fragment URL
+ * @param {Object} [headers={}] - Extra request headers
+ * @returns {Promise<Response>} Response, which may be 304 Not Modified
+ *   when conditional headers are given
+ * @throws {Error} If the request fails
+ */
+async function requestTimelinePage(url, headers = {}) {
+  const response = await fetch(url, {
+    credentials: 'same-origin',
+    headers: {
+      Accept: 'text/html',
+      'X-Requested-With': 'XMLHttpRequest',
+      ...headers,
+    },
+  });
+
+  if (!response.ok && response.status !== 304) {
+    throw new Error(`Failed to fetch timeline: HTTP ${response.status}`);
+  }
+
+  return response;
+}
+
+/**
+ * Parse a timeline page
+ * @param {Response} response - Response from requestTimelinePage
+ * @returns {Promise<Document>} Parsed page
+ */
+async function parseTimelinePage(response) {
+  // SECURITY: Parsed into an inert document, never inserted into the page
+  return new DOMParser().parseFromString(await response.text(), 'text/html');
+}
+
+/**
+ * Fetch a timeline page with the user's session
+ * @param {string} url - Page or fragment URL
+ * @returns {Promise<Document>} Parsed page
+ * @throws {Error} If the request fails
+ */
+async function fetchTimelinePage(url) {
+  return parseTimelinePage(await requestTimelinePage(url));
+}
+
+/**
+ * Fetch the orders on a timeline page, unless it hasn't changed
+ * Sends the page's ETag and Last-Modified back to GitHub, so an unchanged
+ * page costs an empty 304 response.
+ * @param {string} url - Page or fragment URL
+ * @param {Object} [previous] - The page as last fetched
+ * @returns {Promise<Object>} {orders, moreUrls, etag, lastModified}
+ * @throws {Error} If the request fails
+ */
+async function fetchTimelinePageOrders(url, previous) {
+  const headers = {};
+  if (previous && previous.etag) {
+    headers['If-None-Match'] = previous.etag;
+  }
+  if (previous && previous.lastModified) {
+    headers['If-Modified-Since'] = previous.lastModified;
+  }
+
+  const response = await requestTimelinePage(url, headers);
+  if (response.status === 304 && previous) {
+    return previous;
+  }
+
+  const doc = await parseTimelinePage(response);
+  return {
+    orders: extractOrdersFromComments(doc),
+    moreUrls: findMoreItemsUrls(doc),
+    etag: response.headers.get('ETag'),
+    lastModified: response.headers.get('Last-Modified'),
+  };
+}
+
+/**
+ * Visit a PR's conversation page and the "load more" fragments GitHub
+ * uses for long timelines
+ * @param {string} prId - PR identifier
+ * @param {Function} visit - Called with each page's URL; resolves to the
+ *   URLs of the fragments the page links to
+ * @returns {Promise<void>}
+ * @throws {Error} If visiting a page fails
+ */
+async function walkTimeline(prId, visit) {
+  const [org, repo, number] = prId.split('/');
+  const queue = [`${window.location.origin}/${org}/${repo}/pull/${number}`];
+  const seen = new Set(queue);
+
+  for (let page = 0; page < MAX_TIMELINE_PAGES && queue.length > 0; page++) {
+    const moreUrls = await visit(queue.shift());
+
+    moreUrls.forEach((url) => {
+      if (!seen.has(url)) {
+        seen.add(url);
+        queue.push(url);
+      }
+    });
+  }
+}
+
+/**
+ * Fetch a PR's conversation page
+ * @param {string} prId - PR identifier
+ * @returns {Promise<Array<Document>>} The page and its fragments
+ * @throws {Error} If a request fails
+ */
+async function fetchTimelineDocuments(prId) {
+  const docs = [];
+
+  await walkTimeline(prId, async (url) => {
+    const doc = await fetchTimelinePage(url);
+    docs.push(doc);
+    return findMoreItemsUrls(doc);
+  });
+
+  return docs;
+}
+
+/**
+ * Fetch every order comment on a PR's conversation page
+ * Pages that haven't changed since the last fetch aren't downloaded again.
+ * @param {string} prId - PR identifier
+ * @returns {Promise<Array<Object>>} Array of order data objects
+ */
+async function fetchTimelineOrders(prId) {
+  const previous = timelinePages.get(prId) || new Map();
+  const pages = new Map();
+  const orders = [];
+
+  await walkTimeline(prId, async (url) => {
+    const page = await fetchTimelinePageOrders(url, previous.get(url));
+    pages.set(url, page);
+    orders.push(...page.orders);
+    return page.moreUrls;
+  });
+
+  timelinePages.set(prId, pages);
+  return orders;
+}
+
+/**
+ * Check whether some of the PR's comments are missing from the page
+ * True on the Files tab, and on conversations with collapsed hidden items.
+ * @returns {boolean} True if the page doesn't show the whole timeline
+ */
+export function isTimelineIncomplete() {
+  return isOnFilesTab() || document.querySelector(MORE_ITEMS_SELECTOR) !== null;
+}
+
+/**
+ * Load orders from a PR's full timeline
+ * Results are cached per PR for a minute, so switching tabs doesn't
+ * refetch the conversation.
+ * @param {string} prId - PR identifier
+ * @returns {Promise<Array<Object>>} Array of order data objects
+ * @throws {Error} If the conversation page can't be fetched
+ */
+export function loadTimelineOrders(prId) {
+  clearStaleCache(timelineCache, TIMELINE_CACHE_MAX_AGE);
+
+  if (!timelineCache.has(prId)) {
+    const promise = fetchTimelineOrders(prId).catch((error) => {
+      // Don't cache failures
+      timelineCache.delete(prId);
+      throw error;
+    });
+    timelineCache.set(prId, { promise, timestamp: Date.now() });
+  }
+
+  return timelineCache.get(prId).promise;
+}
+
+/**
+ * Forget cached timeline orders
+ * A PR's pages are still revalidated rather than downloaded again on the
+ * next load, unless every PR is forgotten.
+ * @param {string} [prId] - PR to forget, or every PR if omitted
+ */
+export function clearTimelineCache(prId) {
+  if (prId) {
+    timelineCache.delete(prId);
+  } else {
+    timelineCache.clear();
+    timelinePages.clear();
+  }
+}
+
 /**
  * Check rate limit before posting
  * @returns {boolean} True if allowed to post
@@ -185,20 +761,49 @@ export function checkRateLimit() {
 }
 
 /**
- * Post order as GitHub comment
- * @param {Array<string>} order - File order
- * @param {Object} [metadata={}] - Additional metadata
+ * Post a new comment through the REST backend
+ * @param {string} commentText - Comment text
  * @returns {Promise<boolean>} True if posted successfully
  */
-export async function postOrderComment(order, metadata = {}) {
-  if (!hasWritePermission()) {
+async function postRestComment(commentText) {
+  try {
+    await requestGitHubRest('createComment', {
+      prId: getPRId(),
+      body: commentText,
+    });
+    return true;
+  } catch (error) {
+    console.error('[PR-Reorder] Failed to post order comment:', error);
     return false;
   }
+}
 
-  if (!checkRateLimit()) {
+/**
+ * Replace a comment's text through the REST backend
+ * @param {number} commentId - Comment ID
+ * @param {string} commentText - New comment text
+ * @returns {Promise<boolean>} True if updated successfully
+ */
+async function editRestComment(commentId, commentText) {
+  try {
+    await requestGitHubRest('updateComment', {
+      prId: getPRId(),
+      commentId,
+      body: commentText,
+    });
+    return true;
+  } catch (error) {
+    console.error('[PR-Reorder] Failed to update order comment:', error);
     return false;
   }
+}
 
+/**
+ * Post a new comment through the page's comment form
+ * @param {string} commentText - Comment text
+ * @returns {Promise<boolean>} True if posted successfully
+ */
+async function submitPageComment(commentText) {
   const commentField = document.querySelector('#new_comment_field');
   const submitButton = document.querySelector(
     'button[type="submit"].js-comment-button'
@@ -209,8 +814,6 @@ export async function postOrderComment(order, metadata = {}) {
     return false;
   }
 
-  const commentText = createOrderComment(order, metadata);
-
   // Set comment text
   commentField.value = commentText;
   commentField.dispatchEvent(new Event('input', { bubbles: true }));
@@ -228,6 +831,237 @@ export async function postOrderComment(order, metadata = {}) {
   return checkCommentPosted(commentText);
 }
 
+/**
+ * Submit a comment form with new text
+ * The form may come from a fetched conversation page, so it is posted
+ * with fetch rather than clicked.
+ * @param {HTMLFormElement} form - A comment's edit form, or the new
+ *   comment form
+ * @param {string} commentText - Comment text
+ * @returns {Promise<boolean>} True if GitHub saved the comment
+ */
+async function submitCommentForm(form, commentText) {
+  const commentField = form.querySelector('textarea[name]');
+  const action = form.getAttribute('action');
+
+  if (!commentField || !action) {
+    return false;
+  }
+
+  // Only send the user's session to GitHub
+  const url = new URL(action, window.location.origin);
+  if (url.origin !== window.location.origin) {
+    return false;
+  }
+
+  // Keeps the form's hidden fields, such as its CSRF token
+  const body = new FormData(form);
+  body.set(commentField.name, commentText);
+
+  try {
+    const response = await fetch(url.href, {
+      method: 'POST',
+      credentials: 'same-origin',
+      headers: { 'X-Requested-With': 'XMLHttpRequest' },
+      body,
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    return true;
+  } catch (error) {
+    console.error('[PR-Reorder] Failed to submit order comment:', error);
+    return false;
+  }
+}
+
+/**
+ * Load the pages that show the PR's comments, for saving without a token
+ * The Files tab has neither the comments nor the comment form, so the
+ * conversation page is fetched instead.
+ * @returns {Promise<Array<Document>>} Pages, the one with the comment form
+ *   first
+ * @throws {Error} If the conversation page can't be fetched
+ */
+async function loadCommentPages() {
+  return isTimelineIncomplete()
+    ? await fetchTimelineDocuments(getPRId())
+    : [document];
+}
+
+/**
+ * Find the current user's newest order comment
+ * @param {boolean} useRest - Search through the REST backend
+ * @param {Array<Document>} [pages=[]] - Pages to search otherwise, see
+ *   loadCommentPages
+ * @returns {Promise<Object|null>} {data, commentId} from the API or
+ *   {data, form} from the page, or null if the user has none
+ */
+async function findOwnOrderComment(useRest, pages = []) {
+  const user = getCurrentUser();
+  if (!user) {
+    return null;
+  }
+
+  let found = null;
+
+  if (useRest) {
+    const comments = await requestGitHubRest('listComments', {
+      prId: getPRId(),
+    });
+
+    // Comments are listed oldest first
+    comments.forEach((comment) => {
+      if (comment.user !== user) return;
+      const data = parseOrderComment(comment.body);
+      if (data && data.user === user) {
+        found = { data, commentId: comment.id };
+      }
+    });
+
+    return found;
+  }
+
+  pages.forEach((doc) => {
+    doc.querySelectorAll('.comment-body').forEach((commentBody) => {
+      // SECURITY: Only parsed for JSON, see extractOrdersFromComments
+      const data = parseOrderComment(commentBody.innerHTML);
+      if (!data || data.user !== user) return;
+
+      // Maintainers get an edit form on other people's comments too, so the
+      // comment must also be the user's own
+      if (!isWrittenByUser(data, getCommentAuthor(commentBody))) return;
+
+      const container = commentBody.closest(COMMENT_CONTAINER_SELECTOR);
+      const form =
+        container && container.querySelector('form.js-comment-update');
+
+      // Fragments aren't in timeline order, so the revision tells which
+      // comment is newest
+      if (
+        form &&
+        (!found || (data.revision || 1) >= (found.data.revision || 1))
+      ) {
+        found = { data, form };
+      }
+    });
+  });
+
+  return found;
+}
+
+/**
+ * Post order as a new GitHub comment
+ * Uses the REST backend when a token is configured, otherwise the page's
+ * comment form.
+ * @param {Array<string>} order - File order
+ * @param {Object} [metadata={}] - Additional metadata
+ * @returns {Promise<boolean>} True if posted successfully
+ */
+export async function postOrderComment(order, metadata = {}) {
+  const useRest = await isRestBackendEnabled();
+
+  if (!useRest && !hasWritePermission()) {
+    return false;
+  }
+
+  if (!checkRateLimit()) {
+    return false;
+  }
+
+  const commentText = createOrderComment(order, metadata);
+
+  return useRest
+    ? await postRestComment(commentText)
+    : await submitPageComment(commentText);
+}
+
+/**
+ * Replace the order in an existing GitHub comment
+ * Only available through the REST backend.
+ * @param {number} commentId - ID of the order comment
+ * @param {Array<string>} order - File order
+ * @param {Object} [metadata={}] - Additional metadata
+ * @returns {Promise<boolean>} True if updated successfully
+ */
+export async function updateOrderComment(commentId, order, metadata = {}) {
+  if (!(await isRestBackendEnabled())) {
+    return false;
+  }
+
+  return await editRestComment(commentId, createOrderComment(order, metadata));
+}
+
+/**
+ * Save the current user's order comment
+ * Edits the user's newest order comment in place with the next revision
+ * number, so repeated saves don't add a comment each time. A new comment
+ * is posted when the user has none yet or it can't be edited. Without a
+ * token, comments are found and posted through the conversation page,
+ * fetched when it isn't the one shown.
+ *
+ * @param {Array<string>} order - File order
+ * @param {Object} [metadata={}] - Additional metadata
+ * @returns {Promise<boolean>} True if saved successfully
+ */
+export async function saveOrderComment(order, metadata = {}) {
+  const useRest = await isRestBackendEnabled();
+
+  let pages = [];
+  if (!useRest) {
+    try {
+      pages = await loadCommentPages();
+    } catch (error) {
+      console.error('[PR-Reorder] Failed to load the conversation:', error);
+      return false;
+    }
+
+    if (!hasWritePermission(pages[0])) {
+      return false;
+    }
+  }
+
+  if (!checkRateLimit()) {
+    return false;
+  }
+
+  let existing = null;
+  try {
+    existing = await findOwnOrderComment(useRest, pages);
+  } catch (error) {
+    console.error('[PR-Reorder] Failed to find order comment:', error);
+  }
+
+  // Comments from before revisions were counted are revision 1
+  const revision = existing ? (existing.data.revision || 1) + 1 : 1;
+  const commentText = createOrderComment(order, { ...metadata, revision });
+
+  // The cached timeline no longer has the user's latest order
+  clearTimelineCache(getPRId());
+
+  if (existing) {
+    const updated = useRest
+      ? await editRestComment(existing.commentId, commentText)
+      : await submitCommentForm(existing.form, commentText);
+    if (updated) {
+      return true;
+    }
+  }
+
+  if (useRest) {
+    return await postRestComment(commentText);
+  }
+
+  if (hasWritePermission()) {
+    return await submitPageComment(commentText);
+  }
+
+  // A fetched page's form can't be clicked
+  const { form } = pages[0].querySelector('#new_comment_field');
+  return form ? await submitCommentForm(form, commentText) : false;
+}
+
 /**
  * Check if comment was successfully posted
  * @param {string} _commentText - Expected comment text (unused, checks for prefix)
@@ -287,9 +1121,47 @@ export function stopWatching(observer) {
   }
 }
 
+/**
+ * Check whether an order is newer than another from the same user
+ * Compares timestamps, then revisions.
+ * @param {Object} order - Order data
+ * @param {Object} other - Order data
+ * @returns {boolean} True if order is newer
+ */
+function isNewerOrder(order, other) {
+  const time = new Date(order.timestamp).getTime() || 0;
+  const otherTime = new Date(other.timestamp).getTime() || 0;
+
+  if (time !== otherTime) {
+    return time > otherTime;
+  }
+  return (order.revision || 0) > (other.revision || 0);
+}
+
+/**
+ * Keep only each user's newest order
+ * Older comments from before orders were edited in place would otherwise
+ * all count in consensus.
+ * @param {Array<Object>} orders - Orders with {user, timestamp, revision?}
+ * @returns {Array<Object>} One order per user, in order of first appearance
+ */
+export function dedupeOrders(orders) {
+  const newest = new Map();
+
+  orders.forEach((order) => {
+    const current = newest.get(order.user);
+    if (!current || isNewerOrder(order, current)) {
+      newest.set(order.user, order);
+    }
+  });
+
+  return Array.from(newest.values());
+}
+
 /**
  * Load orders from both local storage and GitHub comments
- * @returns {Promise<Array<Object>>} Combined orders with metadata
+ * @returns {Promise<Array<Object>>} Combined orders with metadata, newest
+ *   per user
  */
 export async function loadAllOrders() {
   const prId = getPRId();
@@ -297,8 +1169,27 @@ export async function loadAllOrders() {
     return [];
   }
 
-  // Get orders from GitHub comments
-  const githubOrders = extractOrdersFromComments();
+  // Get orders from GitHub comments, through the API when a token is set
+  let githubOrders = null;
+  if (await isRestBackendEnabled()) {
+    try {
+      githubOrders = await loadOrdersWithRest(prId);
+    } catch (error) {
+      console.error('[PR-Reorder] Failed to load comments via API:', error);
+    }
+  }
+  if (!githubOrders) {
+    githubOrders = extractOrdersFromComments();
+
+    // Comments missing from the page are fetched from the conversation
+    if (isTimelineIncomplete()) {
+      try {
+        githubOrders.push(...(await loadTimelineOrders(prId)));
+      } catch (error) {
+        console.error('[PR-Reorder] Failed to load the PR timeline:', error);
+      }
+    }
+  }
 
   // Get local order from chrome.storage
   const { loadOrder } = await import('../utils/storage.js');
@@ -321,12 +1212,15 @@ export async function loadAllOrders() {
         order: localOrder.order,
         timestamp: localOrder.timestamp,
         version: localOrder.version,
+        ...(localOrder.headSha && { headSha: localOrder.headSha }),
+        ...(localOrder.notes && { notes: localOrder.notes }),
+        ...(localOrder.sections && { sections: localOrder.sections }),
         source: 'local',
       });
     }
   }
 
-  return orders;
+  return dedupeOrders(orders);
 }
 
 /**
@@ -335,10 +1229,18 @@ export async function loadAllOrders() {
  * @param {Object} [options={}] - Save options
  * @param {boolean} [options.postToGitHub=true] - Whether to post to GitHub
  * @param {Object} [options.metadata={}] - Additional metadata
- * @returns {Promise<boolean>} True if saved successfully
+ * @param {Object} [options.notes={}] - Notes by file path or folder path
+ * @param {Array<Object>} [options.sections=[]] - Section dividers with {name, start}
+ * @returns {Promise<boolean>} True if saved successfully, false if the
+ *   order couldn't be posted
  */
 export async function saveOrderEverywhere(order, options = {}) {
-  const { postToGitHub = true, metadata = {} } = options;
+  const {
+    postToGitHub = true,
+    metadata = {},
+    notes = {},
+    sections = [],
+  } = options;
 
   const prId = getPRId();
   if (!prId) {
@@ -347,11 +1249,16 @@ export async function saveOrderEverywhere(order, options = {}) {
 
   // Save to local storage
   const { saveOrder } = await import('../utils/storage.js');
-  await saveOrder(prId, order);
+  await saveOrder(prId, order, { headSha: getHeadSha(), notes, sections });
 
-  // Post to GitHub if allowed
-  if (postToGitHub && hasWritePermission()) {
-    return await postOrderComment(order, metadata);
+  // Post to GitHub; saveOrderComment checks the user may comment
+  if (postToGitHub) {
+    const hasNotes = Object.keys(notes).length > 0;
+    return await saveOrderComment(order, {
+      ...metadata,
+      ...(hasNotes && { notes }),
+      ...(sections.length > 0 && { sections }),
+    });
   }
 
   return true;
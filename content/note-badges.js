@@ -0,0 +1,70 @@
+/**
+ * Note Badges
+ * Shows ordering notes ("why is this first") on diff headers
+ */
+
+import { extractFiles, getFilePath, getFileHeader } from '../utils/parser.js';
+import { collectFileNotes, formatNote } from '../utils/annotations.js';
+
+const BADGE_CLASS = 'pr-reorder-note-badge';
+
+/**
+ * Create the badge for a file's notes
+ * The first note is shown; every note is listed in the tooltip.
+ * @param {Array<Object>} notes - Notes with {user, target, text}
+ * @returns {HTMLElement}
+ */
+function createNoteBadge(notes) {
+  const badge = document.createElement('span');
+  badge.className = `pr-reorder-badge ${BADGE_CLASS}`;
+
+  const text = document.createElement('span');
+  text.className = 'pr-reorder-note-badge-text';
+  // SECURITY: Using textContent for user data
+  text.textContent = `📝 ${notes[0].text}`;
+  badge.appendChild(text);
+
+  if (notes.length > 1) {
+    const more = document.createElement('span');
+    more.className = 'pr-reorder-note-badge-more';
+    more.textContent = `+${notes.length - 1}`;
+    badge.appendChild(more);
+  }
+
+  const lines = notes.map(formatNote);
+  badge.title = lines.join('\n');
+  badge.setAttribute('aria-label', `Ordering notes: ${lines.join('; ')}`);
+
+  return badge;
+}
+
+/**
+ * Show every order's notes on the matching diff headers
+ * Replaces badges from a previous render, so it can be called again
+ * after orders change or files load.
+ *
+ * @param {Array<Object>} orders - Orders with {user, notes}
+ * @param {HTMLElement} [container] - Optional files container
+ * @returns {number} Number of files given a badge
+ */
+export function renderNoteBadges(orders, container) {
+  document.querySelectorAll(`.${BADGE_CLASS}`).forEach((badge) => {
+    badge.remove();
+  });
+
+  let count = 0;
+
+  extractFiles(container).forEach((file) => {
+    const path = getFilePath(file);
+    const header = getFileHeader(file);
+    if (!path || !header) return;
+
+    const notes = collectFileNotes(orders, path);
+    if (notes.length === 0) return;
+
+    header.appendChild(createNoteBadge(notes));
+    count++;
+  });
+
+  return count;
+}
@@ -0,0 +1,52 @@
+/**
+ * REST Backend
+ * Sends GitHub REST requests to the background service worker, which
+ * holds the user's personal access token
+ */
+
+import { REST_MESSAGE_TYPE } from '../utils/github-rest.js';
+
+/**
+ * Send a REST request to the service worker
+ * @param {string} action - 'status', 'listComments', 'createComment' or
+ *   'updateComment'
+ * @param {Object} [params={}] - {prId, commentId, body}
+ * @returns {Promise<*>} Action result
+ * @throws {Error} If the request fails
+ */
+export function requestGitHubRest(action, params = {}) {
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(
+      { type: REST_MESSAGE_TYPE, action, ...params },
+      (response) => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+        } else if (!response) {
+          reject(new Error('No response from the background service worker'));
+        } else if (!response.ok) {
+          reject(new Error(response.error));
+        } else {
+          resolve(response.result);
+        }
+      }
+    );
+  });
+}
+
+/**
+ * Check whether the user has set up the REST backend
+ * @returns {Promise<boolean>} True if a token is configured
+ */
+export async function isRestBackendEnabled() {
+  if (typeof chrome === 'undefined' || !chrome.runtime?.sendMessage) {
+    return false;
+  }
+
+  try {
+    const { enabled } = await requestGitHubRest('status');
+    return enabled;
+  } catch (error) {
+    console.error('[PR-Reorder] REST backend unavailable:', error);
+    return false;
+  }
+}
@@ -0,0 +1,457 @@
+/**
+ * Options Page
+ * Preferences for how orders are applied and saved, custom presets,
+ * per-repo vote weights, the guided tour, clearing saved orders, and
+ * exporting and importing all of it as one workspace bundle
+ */
+
+import {
+  savePreference,
+  loadPreference,
+  getAllOrders,
+  clearAllOrders,
+  getStorageStats,
+  getAllRepoConfigs,
+  saveRepoConfig,
+  deleteRepoConfig,
+} from '../utils/storage.js';
+import { getAllPresets, loadCustomPresets } from '../utils/presets.js';
+import { resetTour } from '../utils/onboarding.js';
+import {
+  exportWorkspaceToJSON,
+  importWorkspaceFromJSON,
+  downloadJSON,
+} from '../utils/export-import.js';
+import {
+  exportWorkspace,
+  importWorkspace,
+  findOrderConflicts,
+} from '../utils/workspace.js';
+import { createPresetEditorModal } from '../ui/preset-editor.js';
+import { DEFAULT_ROLE_WEIGHTS } from '../content/consensus.js';
+
+const defaultPresetSelect = document.getElementById('default-preset');
+const autoApplyInput = document.getElementById('auto-apply');
+const postInputs = document.querySelectorAll('input[name="post-to-github"]');
+const behaviorStatus = document.getElementById('behavior-status');
+
+/**
+ * Save a preference from a form control and report the result
+ * @param {string} key - Preference key
+ * @param {*} value - Preference value
+ */
+async function saveBehavior(key, value) {
+  try {
+    await savePreference(key, value);
+    behaviorStatus.textContent = 'Saved';
+  } catch (error) {
+    behaviorStatus.textContent = `Not saved: ${error.message}`;
+  }
+}
+
+/**
+ * Fill the default preset dropdown with built-in and custom presets
+ * @param {Array<Object>} customPresets - Custom preset definitions
+ */
+function showPresetOptions(customPresets) {
+  // Keep the "Last used preset" option (safe: no user content)
+  while (defaultPresetSelect.options.length > 1) {
+    defaultPresetSelect.remove(1);
+  }
+
+  getAllPresets(customPresets).forEach((preset) => {
+    const option = document.createElement('option');
+    option.value = preset.id;
+    // SECURITY: Using textContent for custom preset names
+    option.textContent = preset.name;
+    defaultPresetSelect.appendChild(option);
+  });
+}
+
+defaultPresetSelect.addEventListener('change', () => {
+  saveBehavior('defaultPreset', defaultPresetSelect.value || null);
+});
+
+autoApplyInput.addEventListener('change', () => {
+  saveBehavior('autoApplyConsensus', autoApplyInput.checked);
+});
+
+postInputs.forEach((input) => {
+  input.addEventListener('change', () => {
+    saveBehavior('postToGitHub', input.value === 'true');
+  });
+});
+
+const presetList = document.getElementById('preset-list');
+const presetsEmpty = document.getElementById('presets-empty');
+const editPresetsBtn = document.getElementById('edit-presets');
+
+let customPresets = [];
+
+/**
+ * List custom presets and offer them as the default preset
+ * @param {Array<Object>} presets - Custom preset definitions
+ */
+async function showCustomPresets(presets) {
+  customPresets = presets;
+
+  // Clear list (safe: no user content)
+  while (presetList.firstChild) {
+    presetList.firstChild.remove();
+  }
+  presetsEmpty.hidden = presets.length > 0;
+
+  presets.forEach((preset) => {
+    const item = document.createElement('li');
+    // SECURITY: Using textContent for custom preset names
+    item.textContent = preset.name;
+    presetList.appendChild(item);
+  });
+
+  showPresetOptions(presets);
+  defaultPresetSelect.value = (await loadPreference('defaultPreset')) || '';
+}
+
+editPresetsBtn.addEventListener('click', () => {
+  createPresetEditorModal({
+    presets: customPresets,
+    onSave: showCustomPresets,
+  });
+});
+
+const weightsList = document.getElementById('weights-list');
+const weightsEmpty = document.getElementById('weights-empty');
+const weightsForm = document.getElementById('weights-form');
+const weightsRepoInput = document.getElementById('weights-repo');
+const weightInputs = weightsForm.querySelectorAll('input[type="number"]');
+const weightsStatus = document.getElementById('weights-status');
+
+const ROLE_LABELS = {
+  codeOwner: 'code owners',
+  author: 'author',
+  reviewer: 'reviewers',
+  default: 'everyone else',
+};
+
+weightInputs.forEach((input) => {
+  input.placeholder = String(DEFAULT_ROLE_WEIGHTS[input.name]);
+});
+
+/**
+ * Summarize a repo's weights, e.g. "code owners ×3, reviewers ×1"
+ * @param {Object} roleWeights - Weights by role
+ * @returns {string} Summary
+ */
+function formatRoleWeights(roleWeights) {
+  return Object.keys(ROLE_LABELS)
+    .filter((role) => roleWeights[role] !== undefined)
+    .map((role) => `${ROLE_LABELS[role]} ×${roleWeights[role]}`)
+    .join(', ');
+}
+
+/**
+ * Fill the weights form with a repo's weights
+ * @param {string} repoId - Repository identifier
+ * @param {Object} roleWeights - Weights by role
+ */
+function editRoleWeights(repoId, roleWeights) {
+  weightsRepoInput.value = repoId;
+  weightInputs.forEach((input) => {
+    const weight = roleWeights[input.name];
+    input.value = weight === undefined ? '' : String(weight);
+  });
+  weightsStatus.textContent = '';
+  weightsRepoInput.focus();
+}
+
+/**
+ * List the repositories with their own vote weights
+ */
+async function showRoleWeights() {
+  const configs = await getAllRepoConfigs();
+  const repos = Object.keys(configs)
+    .filter((repoId) => configs[repoId].roleWeights)
+    .sort();
+
+  // Clear list (safe: no user content)
+  while (weightsList.firstChild) {
+    weightsList.firstChild.remove();
+  }
+  weightsEmpty.hidden = repos.length > 0;
+
+  repos.forEach((repoId) => {
+    const { roleWeights } = configs[repoId];
+    const item = document.createElement('li');
+    // SECURITY: Using textContent for the repo name the user typed
+    item.textContent = `${repoId}: ${formatRoleWeights(roleWeights) || 'default weights'}`;
+
+    const editBtn = document.createElement('button');
+    editBtn.type = 'button';
+    editBtn.textContent = 'Edit';
+    editBtn.addEventListener('click', () =>
+      editRoleWeights(repoId, roleWeights)
+    );
+
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.textContent = 'Remove';
+    removeBtn.addEventListener('click', async () => {
+      try {
+        await deleteRepoConfig(repoId);
+        weightsStatus.textContent = `${repoId} uses the default weights again`;
+        await showRoleWeights();
+      } catch (error) {
+        weightsStatus.textContent = `Not removed: ${error.message}`;
+      }
+    });
+
+    item.append(editBtn, removeBtn);
+    weightsList.appendChild(item);
+  });
+}
+
+weightsForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+
+  const repoId = weightsRepoInput.value.trim();
+  if (!/^[\w.-]+\/[\w.-]+$/.test(repoId)) {
+    weightsStatus.textContent = 'Enter the repository as owner/repo';
+    return;
+  }
+
+  // Empty fields fall back to the default weight
+  const roleWeights = {};
+  weightInputs.forEach((input) => {
+    if (input.value !== '') {
+      roleWeights[input.name] = input.valueAsNumber;
+    }
+  });
+
+  try {
+    if (Object.keys(roleWeights).length === 0) {
+      await deleteRepoConfig(repoId);
+    } else {
+      await saveRepoConfig(repoId, { roleWeights });
+    }
+    weightsForm.reset();
+    weightsStatus.textContent = `Saved weights for ${repoId}`;
+    await showRoleWeights();
+  } catch (error) {
+    weightsStatus.textContent = `Not saved: ${error.message}`;
+  }
+});
+
+const resetTourBtn = document.getElementById('reset-tour');
+const tourStatus = document.getElementById('tour-status');
+
+resetTourBtn.addEventListener('click', async () => {
+  await resetTour();
+  tourStatus.textContent =
+    'The tour will show the next time you open a pull request.';
+});
+
+const ordersStats = document.getElementById('orders-stats');
+const ordersStatus = document.getElementById('orders-status');
+const clearBtn = document.getElementById('clear-orders');
+
+/**
+ * Show how many orders are saved
+ */
+async function showOrdersStats() {
+  const { totalOrders } = await getStorageStats();
+  ordersStats.textContent = `${totalOrders} saved on this device`;
+  clearBtn.disabled = totalOrders === 0;
+}
+
+clearBtn.addEventListener('click', async () => {
+  if (!confirm('Delete every saved order on this and your synced devices?')) {
+    return;
+  }
+
+  try {
+    await clearAllOrders();
+    ordersStatus.textContent = 'All saved orders deleted';
+    await showOrdersStats();
+  } catch (error) {
+    ordersStatus.textContent = `Clear failed: ${error.message}`;
+  }
+});
+
+const exportBtn = document.getElementById('export-workspace');
+const importBtn = document.getElementById('import-workspace');
+const importFile = document.getElementById('import-file');
+const importPanel = document.getElementById('import-panel');
+const importSummary = document.getElementById('import-summary');
+const importConflicts = document.getElementById('import-conflicts');
+const conflictList = document.getElementById('conflict-list');
+const importCancelBtn = document.getElementById('import-cancel');
+const workspaceStatus = document.getElementById('workspace-status');
+
+// Validated bundle waiting for the user to confirm the import
+let pendingWorkspace = null;
+
+exportBtn.addEventListener('click', async () => {
+  try {
+    const workspace = await exportWorkspace();
+    const date = new Date().toISOString().slice(0, 10);
+    downloadJSON(
+      exportWorkspaceToJSON(workspace),
+      `pr-reorder-workspace-${date}.json`
+    );
+    workspaceStatus.textContent = `Exported ${Object.keys(workspace.orders).length} orders and ${workspace.customPresets.length} custom presets`;
+  } catch (error) {
+    workspaceStatus.textContent = `Export failed: ${error.message}`;
+  }
+});
+
+importBtn.addEventListener('click', () => {
+  importFile.click();
+});
+
+/**
+ * Format when an order was saved
+ * @param {Object} data - Saved order
+ * @returns {string} Date and time
+ */
+function formatSaved(data) {
+  return new Date(data.timestamp).toLocaleString();
+}
+
+/**
+ * List PRs saved both here and in the import, each with a choice of which
+ * order to keep. The newer one is preselected.
+ * @param {Array<Object>} conflicts - See findOrderConflicts
+ */
+function showConflicts(conflicts) {
+  // Clear list (safe: no user content)
+  while (conflictList.firstChild) {
+    conflictList.firstChild.remove();
+  }
+  importConflicts.hidden = conflicts.length === 0;
+
+  conflicts.forEach(({ prId, existing, incoming, newer }) => {
+    const item = document.createElement('li');
+    const label = document.createElement('label');
+    // SECURITY: Using textContent for the imported PR ID
+    label.textContent = prId;
+
+    const select = document.createElement('select');
+    select.dataset.prId = prId;
+    [
+      ['existing', `Keep mine (${formatSaved(existing)})`],
+      ['incoming', `Use imported (${formatSaved(incoming)})`],
+    ].forEach(([value, text]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = text;
+      select.appendChild(option);
+    });
+    select.value = newer;
+
+    label.appendChild(select);
+    item.appendChild(label);
+    conflictList.appendChild(item);
+  });
+}
+
+/**
+ * Close the import panel without importing
+ */
+function closeImportPanel() {
+  pendingWorkspace = null;
+  importPanel.hidden = true;
+}
+
+importFile.addEventListener('change', async () => {
+  const [file] = importFile.files;
+  if (!file) return;
+
+  try {
+    pendingWorkspace = importWorkspaceFromJSON(await file.text());
+    const { orders, customPresets, preferences } = pendingWorkspace;
+
+    importSummary.textContent = `${Object.keys(orders).length} orders, ${customPresets.length} custom presets and ${Object.keys(preferences).length} settings`;
+    showConflicts(findOrderConflicts(await getAllOrders(), orders));
+    importPanel.reset();
+    importConflicts.disabled = false;
+    importPanel.hidden = false;
+    workspaceStatus.textContent = '';
+  } catch (error) {
+    closeImportPanel();
+    workspaceStatus.textContent = `Import failed: ${error.message}`;
+  } finally {
+    importFile.value = '';
+  }
+});
+
+importPanel.addEventListener('change', (e) => {
+  if (e.target.name === 'import-strategy') {
+    // Replacing takes every imported order, so there's nothing to choose
+    importConflicts.disabled = e.target.value === 'replace';
+  }
+});
+
+importPanel.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  if (!pendingWorkspace) return;
+
+  const strategy = importPanel.querySelector(
+    'input[name="import-strategy"]:checked'
+  ).value;
+  if (
+    strategy === 'replace' &&
+    !confirm('Replace all saved orders, custom presets and settings?')
+  ) {
+    return;
+  }
+
+  const choices = {};
+  conflictList.querySelectorAll('select').forEach((select) => {
+    choices[select.dataset.prId] = select.value;
+  });
+
+  try {
+    const { imported, skipped, removed, presets } = await importWorkspace(
+      pendingWorkspace,
+      { strategy, choices }
+    );
+    closeImportPanel();
+
+    const kept = skipped > 0 ? `, kept ${skipped} of yours` : '';
+    const deleted = removed > 0 ? `, removed ${removed}` : '';
+    workspaceStatus.textContent = `Imported ${imported} orders${kept}${deleted} and ${presets} custom presets`;
+
+    await showOrdersStats();
+    await loadSettings();
+  } catch (error) {
+    workspaceStatus.textContent = `Import failed: ${error.message}`;
+  }
+});
+
+importCancelBtn.addEventListener('click', closeImportPanel);
+
+/**
+ * Show the saved preferences and custom presets
+ */
+async function loadSettings() {
+  const [autoApply, postToGitHub] = await Promise.all([
+    loadPreference('autoApplyConsensus', true),
+    loadPreference('postToGitHub', true),
+  ]);
+  autoApplyInput.checked = autoApply;
+  postInputs.forEach((input) => {
+    input.checked = input.value === String(postToGitHub);
+  });
+
+  let presets = [];
+  try {
+    presets = await loadCustomPresets();
+  } catch (error) {
+    console.error('[PR-Reorder] Failed to load custom presets:', error);
+  }
+  await showCustomPresets(presets);
+}
+
+loadSettings();
+showRoleWeights();
+showOrdersStats();
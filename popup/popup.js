@@ -0,0 +1,231 @@
+/**
+ * Popup
+ * Shows the active PR's orders with quick actions, lists recently
+ * reordered PRs, and lets the user save the personal access token for the
+ * REST backend and manage how long saved orders are kept. Everything else
+ * is on the options page.
+ */
+
+import { createGitHubClient } from '../utils/github-rest.js';
+import {
+  saveGitHubToken,
+  loadGitHubToken,
+  clearGitHubToken,
+  getStorageStats,
+  loadRetentionSettings,
+  saveRetentionSettings,
+  pruneStoredOrders,
+  getRecentOrders,
+} from '../utils/storage.js';
+import { formatBytes } from '../utils/retention.js';
+import { requestActiveTab } from '../utils/popup-bridge.js';
+
+const API_ORIGIN = 'https://api.github.com/*';
+
+const form = document.getElementById('token-form');
+const input = document.getElementById('token-input');
+const removeBtn = document.getElementById('token-remove');
+const status = document.getElementById('token-status');
+
+/**
+ * Show whether a token is saved
+ * @param {boolean} saved - True if a token is saved
+ * @param {string} message - Status message
+ */
+function showTokenState(saved, message) {
+  removeBtn.hidden = !saved;
+  input.value = '';
+  input.placeholder = saved ? 'Token saved' : 'github_pat_...';
+  // SECURITY: Using textContent for user data
+  status.textContent = message;
+}
+
+form.addEventListener('submit', async (e) => {
+  e.preventDefault();
+
+  const token = input.value.trim();
+  if (!token) return;
+
+  // Must be asked during the click; the API also allows CORS, so a
+  // refusal doesn't block saving
+  const permission = chrome.permissions
+    .request({ origins: [API_ORIGIN] })
+    .catch(() => false);
+
+  status.textContent = 'Checking token...';
+
+  try {
+    const { login } = await createGitHubClient({
+      token,
+    }).getAuthenticatedUser();
+    await permission;
+    await saveGitHubToken(token);
+    showTokenState(true, `Connected as ${login}`);
+  } catch (error) {
+    status.textContent = `Token not saved: ${error.message}`;
+  }
+});
+
+removeBtn.addEventListener('click', async () => {
+  await clearGitHubToken();
+  showTokenState(false, 'Token removed. Orders use the comment box again.');
+});
+
+loadGitHubToken().then((token) => {
+  showTokenState(Boolean(token), token ? 'Saving orders through the API' : '');
+});
+
+const retentionForm = document.getElementById('retention-form');
+const maxAgeInput = document.getElementById('retention-max-age');
+const maxCountInput = document.getElementById('retention-max-count');
+const pruneClosedInput = document.getElementById('retention-prune-closed');
+const pruneBtn = document.getElementById('retention-prune');
+const retentionStatus = document.getElementById('retention-status');
+const storageStats = document.getElementById('storage-stats');
+
+/**
+ * Show how many orders are saved and how much space they use
+ */
+async function showStorageStats() {
+  const { totalOrders, bytesInUse } = await getStorageStats();
+  const size = bytesInUse === null ? '' : ` · ${formatBytes(bytesInUse)}`;
+  storageStats.textContent = `${totalOrders} saved${size}`;
+}
+
+/**
+ * Read the retention settings from the form
+ * @returns {Object} {maxAgeDays, maxCount, pruneClosed}
+ */
+function readRetentionForm() {
+  return {
+    maxAgeDays: Number(maxAgeInput.value),
+    maxCount: Number(maxCountInput.value),
+    pruneClosed: pruneClosedInput.checked,
+  };
+}
+
+retentionForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+
+  try {
+    await saveRetentionSettings(readRetentionForm());
+    retentionStatus.textContent = 'Saved. Old orders are removed on startup.';
+  } catch (error) {
+    retentionStatus.textContent = error.message;
+  }
+});
+
+pruneBtn.addEventListener('click', async () => {
+  try {
+    const settings = await saveRetentionSettings(readRetentionForm());
+    const { pruned, bytesReclaimed } = await pruneStoredOrders(settings);
+    const freed =
+      bytesReclaimed === null ? '' : `, freed ${formatBytes(bytesReclaimed)}`;
+    retentionStatus.textContent = `Removed ${pruned.length} orders${freed}`;
+    await showStorageStats();
+  } catch (error) {
+    retentionStatus.textContent = `Clean up failed: ${error.message}`;
+  }
+});
+
+loadRetentionSettings().then(({ maxAgeDays, maxCount, pruneClosed }) => {
+  maxAgeInput.value = maxAgeDays;
+  maxCountInput.value = maxCount;
+  pruneClosedInput.checked = pruneClosed;
+});
+showStorageStats();
+
+const prStatus = document.getElementById('pr-status');
+const prStats = document.getElementById('pr-stats');
+const prOrderCount = document.getElementById('pr-order-count');
+const prAgreement = document.getElementById('pr-agreement');
+const prActions = document.getElementById('pr-actions');
+const recentList = document.getElementById('recent-list');
+const recentEmpty = document.getElementById('recent-empty');
+
+/**
+ * Show the active tab's PR and which actions apply to it
+ */
+async function showTabStatus() {
+  let status;
+  try {
+    status = await requestActiveTab('status');
+  } catch (error) {
+    prStatus.textContent = `${error.message}. Open a GitHub pull request to reorder files.`;
+    return;
+  }
+
+  // SECURITY: Using textContent for the PR ID from the page URL
+  prStatus.textContent = status.prId;
+
+  if (!status.filesTab) {
+    prStatus.textContent += ' · open the Files changed tab to reorder';
+    return;
+  }
+
+  prOrderCount.textContent = String(status.orderCount);
+  prAgreement.textContent =
+    status.agreementScore === null
+      ? '–'
+      : `${Math.round(status.agreementScore * 100)}%`;
+  prStats.hidden = false;
+
+  prActions.querySelector('[data-action="applyConsensus"]').disabled =
+    status.orderCount === 0;
+  prActions.querySelector('[data-action="applyMine"]').disabled =
+    !status.hasOwnOrder;
+  prActions.hidden = false;
+}
+
+prActions.addEventListener('click', async (e) => {
+  const button = e.target.closest('button[data-action]');
+  if (!button) return;
+
+  try {
+    await requestActiveTab(button.dataset.action);
+    if (button.dataset.action === 'openReorder') {
+      // Get out of the way of the modal
+      window.close();
+      return;
+    }
+    prStatus.textContent = `${button.textContent.trim()}: done`;
+  } catch (error) {
+    prStatus.textContent = error.message;
+  }
+});
+
+/**
+ * List the PRs the user reordered most recently
+ */
+async function showRecentOrders() {
+  const recent = await getRecentOrders();
+  recentEmpty.hidden = recent.length > 0;
+
+  recent.forEach(({ prId, timestamp, fileCount }) => {
+    const [org, repo, number] = prId.split('/');
+    const item = document.createElement('li');
+
+    const link = document.createElement('a');
+    link.href = `https://github.com/${org}/${repo}/pull/${number}/files`;
+    link.target = '_blank';
+    link.rel = 'noopener noreferrer';
+    // SECURITY: Using textContent for the stored PR ID
+    link.textContent = `${org}/${repo}#${number}`;
+    link.title = `${fileCount} files, saved ${new Date(timestamp).toLocaleString()}`;
+
+    const date = document.createElement('span');
+    date.textContent = new Date(timestamp).toLocaleDateString();
+
+    item.appendChild(link);
+    item.appendChild(date);
+    recentList.appendChild(item);
+  });
+}
+
+document.getElementById('open-options').addEventListener('click', (e) => {
+  e.preventDefault();
+  chrome.runtime.openOptionsPage();
+});
+
+showTabStatus();
+showRecentOrders();
@@ -192,12 +192,37 @@ if (manifest.action && manifest.action.default_popup) {
   );
 }
 
-// Background scripts (should not have background for this extension)
+// Options page
+if (manifest.options_ui) {
+  check(
+    'Options page HTML',
+    fileExists(manifest.options_ui.page),
+    `Options page not found: ${manifest.options_ui.page}`
+  );
+}
+
+// Background service worker (only used for the optional REST backend)
+if (manifest.background) {
+  check(
+    'Background service worker file exists',
+    fileExists(manifest.background.service_worker),
+    `Service worker not found: ${manifest.background.service_worker}`
+  );
+  check(
+    'Background service worker is a module',
+    manifest.background.type === 'module',
+    'Service worker must be an ES module (it imports utils/)'
+  );
+}
+
+// Optional hosts must stay scoped to the GitHub API
 check(
-  'No background script',
-  !manifest.background,
+  'Optional host permissions scoped',
+  (manifest.optional_host_permissions || []).every(
+    (host) => host === 'https://api.github.com/*'
+  ),
   null,
-  'Background scripts detected - ensure they are necessary'
+  'Optional host permissions should be scoped to api.github.com'
 );
 
 // Print results
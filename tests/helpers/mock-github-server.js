@@ -0,0 +1,158 @@
+/**
+ * Local mock of the GitHub REST issue comment endpoints for testing
+ */
+
+import http from 'node:http';
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {*} data - JSON body
+ */
+function sendJSON(res, status, data) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+}
+
+/**
+ * Read a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Object>}
+ */
+function readJSON(req) {
+  return new Promise((resolve, reject) => {
+    let raw = '';
+    req.on('data', (chunk) => {
+      raw += chunk;
+    });
+    req.on('end', () => {
+      try {
+        resolve(raw ? JSON.parse(raw) : {});
+      } catch (error) {
+        reject(error);
+      }
+    });
+  });
+}
+
+/**
+ * Start a mock GitHub API server on a random local port
+ * Comments are kept in memory per "owner/repo/number" key.
+ * @param {Object} [options={}] - Server options
+ * @param {string} [options.token='test-token'] - Accepted token
+ * @param {string} [options.login='alice'] - Login the token belongs to
+ * @returns {Promise<Object>} {url, comments, requests, addComment, close}
+ */
+export async function startMockGitHubServer(options = {}) {
+  const { token = 'test-token', login = 'alice' } = options;
+  const comments = new Map();
+  const requests = [];
+  let nextId = 1;
+
+  const now = () => new Date().toISOString();
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    requests.push({ method: req.method, path: url.pathname + url.search });
+
+    if (req.headers.authorization !== `Bearer ${token}`) {
+      sendJSON(res, 401, { message: 'Bad credentials' });
+      return;
+    }
+
+    if (req.method === 'GET' && url.pathname === '/user') {
+      sendJSON(res, 200, { login });
+      return;
+    }
+
+    const list = url.pathname.match(
+      /^\/repos\/([^/]+)\/([^/]+)\/issues\/(\d+)\/comments$/
+    );
+    if (list) {
+      const key = list.slice(1).join('/');
+      const thread = comments.get(key) || [];
+
+      if (req.method === 'GET') {
+        const perPage = Number(url.searchParams.get('per_page') || 30);
+        const page = Number(url.searchParams.get('page') || 1);
+        sendJSON(res, 200, thread.slice((page - 1) * perPage, page * perPage));
+        return;
+      }
+
+      if (req.method === 'POST') {
+        const { body } = await readJSON(req);
+        const comment = {
+          id: nextId++,
+          user: { login },
+          body,
+          created_at: now(),
+          updated_at: now(),
+        };
+        comments.set(key, [...thread, comment]);
+        sendJSON(res, 201, comment);
+        return;
+      }
+    }
+
+    const single = url.pathname.match(
+      /^\/repos\/[^/]+\/[^/]+\/issues\/comments\/(\d+)$/
+    );
+    if (single && req.method === 'PATCH') {
+      const id = Number(single[1]);
+      const comment = [...comments.values()]
+        .flat()
+        .find((candidate) => candidate.id === id);
+
+      if (!comment) {
+        sendJSON(res, 404, { message: 'Not Found' });
+        return;
+      }
+      if (comment.user.login !== login) {
+        sendJSON(res, 403, { message: 'Must have admin rights' });
+        return;
+      }
+
+      const { body } = await readJSON(req);
+      comment.body = body;
+      comment.updated_at = now();
+      sendJSON(res, 200, comment);
+      return;
+    }
+
+    sendJSON(res, 404, { message: 'Not Found' });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    comments,
+    requests,
+    /**
+     * Add a comment by any user
+     * @param {string} prId - PR identifier
+     * @param {string} body - Comment body
+     * @param {string} [author=login] - Comment author
+     * @returns {Object} Stored comment
+     */
+    addComment(prId, body, author = login) {
+      const comment = {
+        id: nextId++,
+        user: { login: author },
+        body,
+        created_at: now(),
+        updated_at: now(),
+      };
+      comments.set(prId, [...(comments.get(prId) || []), comment]);
+      return comment;
+    },
+    close: () =>
+      new Promise((resolve) => {
+        // fetch keeps connections alive, which would hold the server open
+        server.closeAllConnections();
+        server.close(resolve);
+      }),
+  };
+}
@@ -0,0 +1,95 @@
+/**
+ * Unit tests for Annotations
+ */
+import {
+  normalizeNote,
+  isFolderTarget,
+  noteAppliesTo,
+  pruneNotes,
+  getFileNotes,
+  collectFileNotes,
+  formatNote,
+} from '../../utils/annotations.js';
+
+describe('annotations', () => {
+  describe('normalizeNote', () => {
+    it('should collapse whitespace and control characters to one line', () => {
+      expect(normalizeNote('  read\nthis\u0000 first\t ')).toBe(
+        'read this first'
+      );
+      expect(normalizeNote(null)).toBe('');
+      expect(normalizeNote(42)).toBe('42');
+    });
+  });
+
+  describe('noteAppliesTo', () => {
+    it('should match files exactly and folders by prefix', () => {
+      expect(isFolderTarget('src/api/')).toBe(true);
+      expect(isFolderTarget('src/api.js')).toBe(false);
+
+      expect(noteAppliesTo('src/a.js', 'src/a.js')).toBe(true);
+      expect(noteAppliesTo('src/a.js', 'src/a.jsx')).toBe(false);
+      expect(noteAppliesTo('src/', 'src/api/a.js')).toBe(true);
+      expect(noteAppliesTo('src/', 'srcs/a.js')).toBe(false);
+    });
+  });
+
+  describe('pruneNotes', () => {
+    it('should keep non-empty notes for files and folders in the order', () => {
+      const order = ['src/a.js', 'README.md'];
+
+      expect(
+        pruneNotes(
+          {
+            'src/a.js': ' entry  point ',
+            'src/': 'core',
+            'lib/': 'gone',
+            'old.js': 'renamed',
+            'README.md': '   ',
+          },
+          order
+        )
+      ).toEqual({ 'src/a.js': 'entry point', 'src/': 'core' });
+      expect(pruneNotes(undefined, order)).toEqual({});
+    });
+  });
+
+  describe('getFileNotes', () => {
+    it('should return folder notes outermost first, then the file note', () => {
+      const notes = {
+        'src/api/client.js': 'start here',
+        'src/api/': 'new client',
+        'src/': 'core',
+        'test/': 'tests',
+      };
+
+      expect(getFileNotes(notes, 'src/api/client.js')).toEqual([
+        { target: 'src/', text: 'core' },
+        { target: 'src/api/', text: 'new client' },
+        { target: 'src/api/client.js', text: 'start here' },
+      ]);
+      expect(getFileNotes(undefined, 'a.js')).toEqual([]);
+    });
+  });
+
+  describe('collectFileNotes', () => {
+    it("should gather every user's notes for a file", () => {
+      const orders = [
+        { user: 'alice', order: ['a.js'], notes: { 'a.js': 'first' } },
+        { user: 'bob', order: ['a.js'] },
+        { user: 'carol', order: ['a.js'], notes: { 'a.js': 'agreed' } },
+      ];
+
+      const notes = collectFileNotes(orders, 'a.js');
+
+      expect(notes).toEqual([
+        { user: 'alice', target: 'a.js', text: 'first' },
+        { user: 'carol', target: 'a.js', text: 'agreed' },
+      ]);
+      expect(notes.map(formatNote)).toEqual(['alice: first', 'carol: agreed']);
+      expect(
+        formatNote({ user: 'dan', target: 'src/', text: 'read together' })
+      ).toBe('dan (src/): read together');
+    });
+  });
+});
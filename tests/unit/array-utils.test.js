@@ -3,6 +3,7 @@
  */
 import {
   moveElement,
+  moveElements,
   calculateAveragePosition,
   sortByAveragePosition,
   haveSameElements,
@@ -48,6 +49,44 @@ describe('array-utils', () => {
     });
   });
 
+  describe('moveElements', () => {
+    it('should move elements as a block keeping their order', () => {
+      const input = ['a', 'b', 'c', 'd', 'e'];
+      const result = moveElements(input, ['d', 'b'], 0);
+      expect(result).toEqual(['b', 'd', 'a', 'c', 'e']);
+    });
+
+    it('should index into the array without the moved elements', () => {
+      const input = ['a', 'b', 'c', 'd', 'e'];
+      expect(moveElements(input, ['a', 'b'], 3)).toEqual([
+        'c',
+        'd',
+        'e',
+        'a',
+        'b',
+      ]);
+      expect(moveElements(input, ['a', 'e'], 2)).toEqual([
+        'b',
+        'c',
+        'a',
+        'e',
+        'd',
+      ]);
+    });
+
+    it('should not mutate original array', () => {
+      const input = ['a', 'b', 'c'];
+      moveElements(input, ['c'], 0);
+      expect(input).toEqual(['a', 'b', 'c']);
+    });
+
+    it('should throw on invalid toIndex', () => {
+      const input = ['a', 'b', 'c'];
+      expect(() => moveElements(input, ['a'], -1)).toThrow('Invalid toIndex');
+      expect(() => moveElements(input, ['a'], 3)).toThrow('Invalid toIndex');
+    });
+  });
+
   describe('calculateAveragePosition', () => {
     it('should calculate average position for element in multiple arrays', () => {
       const arrays = [
@@ -91,6 +130,35 @@ describe('array-utils', () => {
     });
   });
 
+  describe('weighted averages', () => {
+    it('should weight positions per array', () => {
+      const arrays = [
+        ['a', 'b'],
+        ['b', 'a'],
+      ];
+
+      expect(calculateAveragePosition(arrays, 'a', [3, 1])).toBe(0.25);
+    });
+
+    it('should fall back to plain average when weights are zero', () => {
+      const arrays = [
+        ['a', 'b'],
+        ['b', 'a'],
+      ];
+
+      expect(calculateAveragePosition(arrays, 'a', [0, 0])).toBe(0.5);
+    });
+
+    it('should sort by weighted average position', () => {
+      const arrays = [
+        ['a', 'b', 'c'],
+        ['c', 'b', 'a'],
+      ];
+
+      expect(sortByAveragePosition(arrays, [1, 2])).toEqual(['c', 'b', 'a']);
+    });
+  });
+
   describe('sortByAveragePosition', () => {
     it('should sort elements by average position', () => {
       const arrays = [
@@ -0,0 +1,52 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import { jest } from '@jest/globals';
+import { createConfigErrorPanel } from '../../ui/config-error-panel.js';
+
+describe('Config Error Panel', () => {
+  afterEach(() => {
+    while (document.body.firstChild) {
+      document.body.removeChild(document.body.firstChild);
+    }
+  });
+
+  it('should list errors and link to the config file', () => {
+    createConfigErrorPanel({
+      path: '.github/pr-file-order.yml',
+      url: 'https://github.com/org/repo/blob/main/.github/pr-file-order.yml',
+      errors: ['Line 2: unexpected indentation', '<b>not html</b>'],
+    });
+
+    const panel = document.querySelector('.pr-reorder-config-errors');
+    expect(panel.getAttribute('role')).toBe('alert');
+    expect(panel.querySelector('a').getAttribute('href')).toBe(
+      'https://github.com/org/repo/blob/main/.github/pr-file-order.yml'
+    );
+
+    const items = panel.querySelectorAll('li');
+    expect(items).toHaveLength(2);
+    expect(items[1].textContent).toBe('<b>not html</b>');
+    expect(items[1].querySelector('b')).toBeNull();
+  });
+
+  it('should replace an existing panel', () => {
+    createConfigErrorPanel({ path: 'a.yml', errors: ['first'] });
+    createConfigErrorPanel({ path: 'a.yml', errors: ['second'] });
+
+    const panels = document.querySelectorAll('.pr-reorder-config-errors');
+    expect(panels).toHaveLength(1);
+    expect(panels[0].querySelector('li').textContent).toBe('second');
+  });
+
+  it('should be dismissible', () => {
+    const onClose = jest.fn();
+    createConfigErrorPanel({ path: 'a.yml', errors: ['x'], onClose });
+
+    document.querySelector('.pr-reorder-modal-close').click();
+
+    expect(document.querySelector('.pr-reorder-config-errors')).toBeNull();
+    expect(onClose).toHaveBeenCalled();
+  });
+});
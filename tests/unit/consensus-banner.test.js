@@ -0,0 +1,75 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import { jest } from '@jest/globals';
+import { createConsensusBanner } from '../../ui/consensus-banner.js';
+
+describe('Consensus Banner', () => {
+  afterEach(() => {
+    while (document.body.firstChild) {
+      document.body.removeChild(document.body.firstChild);
+    }
+  });
+
+  const getButton = (label) =>
+    Array.from(document.querySelectorAll('button')).find(
+      (button) => button.textContent === label
+    );
+
+  it('should name the teammates with new orders', () => {
+    createConsensusBanner({ teammates: ['bob', '<b>carol</b>'] });
+
+    const banner = document.querySelector('.pr-reorder-consensus-banner');
+    expect(banner.getAttribute('role')).toBe('status');
+    expect(banner.textContent).toContain(
+      'New order from bob and <b>carol</b>. Consensus changed – apply?'
+    );
+    expect(banner.querySelector('b')).toBeNull();
+
+    createConsensusBanner({ teammates: ['bob', 'carol', 'dave'] });
+    expect(document.body.textContent).toContain(
+      'New orders from bob and 2 others.'
+    );
+  });
+
+  it('should show a custom message', () => {
+    createConsensusBanner({ message: 'Apply the order <b>bob</b> shared?' });
+
+    const banner = document.querySelector('.pr-reorder-consensus-banner');
+    expect(banner.textContent).toContain('Apply the order <b>bob</b> shared?');
+    expect(banner.querySelector('b')).toBeNull();
+  });
+
+  it('should replace an existing banner', () => {
+    createConsensusBanner({ teammates: ['bob'] });
+    createConsensusBanner({ teammates: ['carol'] });
+
+    expect(
+      document.querySelectorAll('.pr-reorder-consensus-banner')
+    ).toHaveLength(1);
+  });
+
+  it('should only apply when asked', () => {
+    const onApply = jest.fn();
+    createConsensusBanner({ teammates: ['bob'], onApply });
+
+    expect(onApply).not.toHaveBeenCalled();
+    getButton('Apply').click();
+
+    expect(onApply).toHaveBeenCalled();
+    expect(document.querySelector('.pr-reorder-consensus-banner')).toBeNull();
+  });
+
+  it('should be dismissible without applying', () => {
+    const onApply = jest.fn();
+    const onDismiss = jest.fn();
+    createConsensusBanner({ teammates: ['bob'], onApply, onDismiss });
+
+    getButton('Dismiss').click();
+
+    expect(onApply).not.toHaveBeenCalled();
+    expect(onDismiss).toHaveBeenCalled();
+    expect(document.querySelector('.pr-reorder-consensus-banner')).toBeNull();
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * Unit tests for Consensus Watcher
+ */
+import { jest } from '@jest/globals';
+import {
+  getChangedTeammates,
+  createConsensusWatcher,
+} from '../../content/consensus-watcher.js';
+
+describe('Consensus Watcher', () => {
+  const bob = { user: 'bob', order: ['a.js'], timestamp: '2024-01-01' };
+  const carol = { user: 'carol', order: ['b.js'], timestamp: '2024-01-01' };
+  const alice = { user: 'alice', order: ['c.js'], timestamp: '2024-01-02' };
+
+  describe('getChangedTeammates', () => {
+    it('should find new and re-saved orders from teammates', () => {
+      const resaved = { ...bob, revision: 2 };
+
+      expect(getChangedTeammates([bob], [resaved, carol], 'alice')).toEqual([
+        'bob',
+        'carol',
+      ]);
+      expect(getChangedTeammates([bob, carol], [bob, carol], 'alice')).toEqual(
+        []
+      );
+    });
+
+    it("should ignore the current user's own orders", () => {
+      expect(getChangedTeammates([], [alice], 'alice')).toEqual([]);
+      expect(
+        getChangedTeammates([], [{ ...bob, source: 'local' }], null)
+      ).toEqual([]);
+    });
+  });
+
+  describe('createConsensusWatcher', () => {
+    const createWatcher = (loadOrders, onChange = jest.fn()) =>
+      createConsensusWatcher({
+        initialOrders: [bob],
+        loadOrders,
+        getUser: () => 'alice',
+        onChange,
+      });
+
+    afterEach(() => {
+      Object.defineProperty(document, 'hidden', {
+        configurable: true,
+        value: false,
+      });
+    });
+
+    it('should report teammates once per change', async () => {
+      const onChange = jest.fn();
+      const watcher = createWatcher(async () => [bob, carol, alice], onChange);
+
+      await expect(watcher.check()).resolves.toBe(true);
+      await expect(watcher.check()).resolves.toBe(false);
+
+      expect(onChange).toHaveBeenCalledTimes(1);
+      expect(onChange).toHaveBeenCalledWith([bob, carol, alice], ['carol']);
+    });
+
+    it('should skip checks while the tab is hidden', async () => {
+      const loadOrders = jest.fn(async () => [bob, carol]);
+      const watcher = createWatcher(loadOrders);
+      Object.defineProperty(document, 'hidden', {
+        configurable: true,
+        value: true,
+      });
+
+      await expect(watcher.check()).resolves.toBe(false);
+      expect(loadOrders).not.toHaveBeenCalled();
+    });
+
+    it('should catch up on a skipped check when the tab is shown', async () => {
+      const loadOrders = jest.fn(async () => [bob, carol]);
+      const watcher = createWatcher(loadOrders);
+
+      await expect(watcher.resume()).resolves.toBe(false);
+      expect(loadOrders).not.toHaveBeenCalled();
+
+      Object.defineProperty(document, 'hidden', {
+        configurable: true,
+        value: true,
+      });
+      await watcher.check();
+      await expect(watcher.resume()).resolves.toBe(false);
+
+      Object.defineProperty(document, 'hidden', {
+        configurable: true,
+        value: false,
+      });
+      await expect(watcher.resume()).resolves.toBe(true);
+      await expect(watcher.resume()).resolves.toBe(false);
+      expect(loadOrders).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not overlap checks', async () => {
+      let finish;
+      const loadOrders = jest.fn(
+        () =>
+          new Promise((resolve) => {
+            finish = () => resolve([bob, carol]);
+          })
+      );
+      const watcher = createWatcher(loadOrders);
+
+      const first = watcher.check();
+      await expect(watcher.check()).resolves.toBe(false);
+      finish();
+
+      await expect(first).resolves.toBe(true);
+      expect(loadOrders).toHaveBeenCalledTimes(1);
+    });
+
+    it('should keep watching after a failed load', async () => {
+      const loadOrders = jest
+        .fn()
+        .mockRejectedValueOnce(new Error('offline'))
+        .mockResolvedValueOnce([bob, carol]);
+      const errorSpy = jest
+        .spyOn(console, 'error')
+        .mockImplementation(() => {});
+      const watcher = createWatcher(loadOrders);
+
+      await expect(watcher.check()).resolves.toBe(false);
+      await expect(watcher.check()).resolves.toBe(true);
+
+      expect(errorSpy).toHaveBeenCalled();
+      errorSpy.mockRestore();
+    });
+  });
+});
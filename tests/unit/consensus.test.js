@@ -5,6 +5,13 @@
 import {
   calculateConsensus,
   getConsensusMetadata,
+  getConsensusStrategies,
+  getParticipantRoles,
+  assignOrderWeights,
+  DEFAULT_ROLE_WEIGHTS,
+  getFreshnessModes,
+  isOrderStale,
+  applyFreshness,
   mergeOrder,
   validateConsensus,
 } from '../../content/consensus.js';
@@ -133,9 +140,326 @@ describe('Consensus Algorithm', () => {
       // Should exclude outlier and return majority consensus
       expect(result).toEqual(['a.js', 'b.js', 'c.js', 'd.js']);
     });
+
+    it('should ignore section dividers when aggregating', () => {
+      const orders = [
+        { user: 'user1', order: ['a.js', 'b.js', 'c.js'] },
+        { user: 'user2', order: ['b.js', 'a.js', 'c.js'] },
+        { user: 'user3', order: ['a.js', 'c.js', 'b.js'] },
+      ];
+      const withSections = orders.map((order) => ({
+        ...order,
+        sections: [{ name: 'Tests', start: order.order[2] }],
+      }));
+
+      getConsensusStrategies().forEach(({ id }) => {
+        expect(calculateConsensus(withSections, { strategy: id })).toEqual(
+          calculateConsensus(orders, { strategy: id })
+        );
+      });
+    });
+  });
+
+  describe('consensus strategies', () => {
+    // Two reviewers agree; a third drags e.js from last to first
+    const skewedOrders = [
+      { user: 'user1', order: ['a.js', 'b.js', 'c.js', 'd.js', 'e.js'] },
+      { user: 'user2', order: ['a.js', 'b.js', 'c.js', 'd.js', 'e.js'] },
+      { user: 'user3', order: ['e.js', 'a.js', 'b.js', 'c.js', 'd.js'] },
+    ];
+
+    it('should list all strategies', () => {
+      const ids = getConsensusStrategies().map((s) => s.id);
+
+      expect(ids).toEqual(['average', 'borda', 'copeland', 'kemeny-approx']);
+    });
+
+    it('should default to average position', () => {
+      const result = calculateConsensus(skewedOrders);
+
+      expect(result).toEqual(
+        calculateConsensus(skewedOrders, { strategy: 'average' })
+      );
+      expect(result).toEqual(['a.js', 'b.js', 'c.js', 'e.js', 'd.js']);
+    });
+
+    it('should throw on unknown strategy', () => {
+      expect(() =>
+        calculateConsensus(skewedOrders, { strategy: 'invalid' })
+      ).toThrow('Unknown consensus strategy: invalid');
+    });
+
+    it('should rank by normalized Borda points', () => {
+      const result = calculateConsensus(skewedOrders, { strategy: 'borda' });
+
+      expect(result).toEqual(['a.js', 'b.js', 'c.js', 'e.js', 'd.js']);
+    });
+
+    it('should follow pairwise majority with Copeland', () => {
+      const result = calculateConsensus(skewedOrders, {
+        strategy: 'copeland',
+      });
+
+      expect(result).toEqual(['a.js', 'b.js', 'c.js', 'd.js', 'e.js']);
+    });
+
+    it('should follow pairwise majority with Kemeny', () => {
+      const result = calculateConsensus(skewedOrders, {
+        strategy: 'kemeny-approx',
+      });
+
+      expect(result).toEqual(['a.js', 'b.js', 'c.js', 'd.js', 'e.js']);
+    });
+
+    it('should minimize pairwise disagreements when majorities tie', () => {
+      const orders = [
+        { user: 'user1', order: ['a.js', 'b.js', 'c.js'] },
+        { user: 'user2', order: ['b.js', 'c.js', 'a.js'] },
+        { user: 'user3', order: ['c.js', 'a.js', 'b.js'] },
+        { user: 'user4', order: ['a.js', 'b.js', 'c.js'] },
+      ];
+
+      const result = calculateConsensus(orders, { strategy: 'kemeny-approx' });
+
+      expect(result).toEqual(['a.js', 'b.js', 'c.js']);
+    });
+
+    it('should use heuristic Kemeny for large PRs', () => {
+      const files = Array.from({ length: 40 }, (_, i) => `file${i}.js`);
+      const orders = [
+        { user: 'user1', order: files },
+        { user: 'user2', order: files },
+        { user: 'user3', order: [...files].reverse() },
+      ];
+
+      const result = calculateConsensus(orders, { strategy: 'kemeny-approx' });
+
+      expect(result).toEqual(files);
+    });
+
+    it('should include every file for partial orders', () => {
+      const orders = [
+        { user: 'user1', order: ['a.js', 'b.js'] },
+        { user: 'user2', order: ['b.js', 'c.js'] },
+      ];
+
+      getConsensusStrategies().forEach(({ id }) => {
+        const result = calculateConsensus(orders, { strategy: id });
+        expect(validateConsensus(result, orders).valid).toBe(true);
+      });
+    });
+  });
+
+  describe('weighted votes', () => {
+    const participants = {
+      author: 'Alice',
+      reviewers: ['bob', 'carol'],
+      codeOwners: ['carol'],
+    };
+
+    it('should detect participant roles case-insensitively', () => {
+      expect(getParticipantRoles('alice', participants)).toEqual(['author']);
+      expect(getParticipantRoles('carol', participants)).toEqual([
+        'codeOwner',
+        'reviewer',
+      ]);
+      expect(getParticipantRoles('dave', participants)).toEqual([]);
+      expect(getParticipantRoles(null, participants)).toEqual([]);
+    });
+
+    it('should assign the highest role weight', () => {
+      const orders = [
+        { user: 'alice', order: ['a.js'] },
+        { user: 'carol', order: ['a.js'] },
+        { user: 'dave', order: ['a.js'] },
+      ];
+
+      const weighted = assignOrderWeights(orders, participants);
+
+      expect(weighted.map((o) => o.weight)).toEqual([
+        DEFAULT_ROLE_WEIGHTS.author,
+        DEFAULT_ROLE_WEIGHTS.codeOwner,
+        DEFAULT_ROLE_WEIGHTS.default,
+      ]);
+      expect(weighted[1].roles).toEqual(['codeOwner', 'reviewer']);
+    });
+
+    it('should apply configured role weights', () => {
+      const orders = [{ user: 'alice', order: ['a.js'] }];
+
+      const weighted = assignOrderWeights(orders, participants, {
+        author: 4,
+      });
+
+      expect(weighted[0].weight).toBe(4);
+    });
+
+    it('should let heavier orders outvote lighter ones', () => {
+      const orders = [
+        { user: 'alice', order: ['a.js', 'b.js'], weight: 1 },
+        { user: 'bob', order: ['a.js', 'b.js'], weight: 1 },
+        { user: 'carol', order: ['b.js', 'a.js'], weight: 3 },
+      ];
+
+      getConsensusStrategies().forEach(({ id }) => {
+        expect(calculateConsensus(orders, { strategy: id })).toEqual([
+          'b.js',
+          'a.js',
+        ]);
+      });
+    });
+
+    it('should treat missing or invalid weights as 1', () => {
+      const orders = [
+        { user: 'alice', order: ['a.js', 'b.js'] },
+        { user: 'bob', order: ['a.js', 'b.js'], weight: 'heavy' },
+        { user: 'carol', order: ['b.js', 'a.js'], weight: -5 },
+      ];
+
+      expect(calculateConsensus(orders, { strategy: 'copeland' })).toEqual([
+        'a.js',
+        'b.js',
+      ]);
+    });
+
+    it('should report effective weight per participant', () => {
+      const orders = assignOrderWeights(
+        [
+          { user: 'alice', order: ['a.js', 'b.js'] },
+          { user: 'dave', order: ['b.js', 'a.js'] },
+        ],
+        participants
+      );
+
+      const metadata = getConsensusMetadata(orders, ['a.js', 'b.js']);
+
+      expect(metadata.participants).toEqual([
+        { user: 'alice', weight: 1.5, roles: ['author'] },
+        { user: 'dave', weight: 1, roles: [] },
+      ]);
+    });
+  });
+
+  describe('freshness', () => {
+    const now = new Date('2024-01-10T00:00:00Z').getTime();
+    const orders = [
+      {
+        user: 'alice',
+        order: ['a.js', 'b.js'],
+        timestamp: '2024-01-10T00:00:00Z',
+        headSha: 'abc1234def',
+      },
+      {
+        user: 'bob',
+        order: ['b.js', 'a.js'],
+        timestamp: '2024-01-07T00:00:00Z',
+        headSha: '0001112223',
+      },
+      { user: 'carol', order: ['a.js', 'b.js'], timestamp: null },
+    ];
+
+    it('should list all freshness modes', () => {
+      expect(getFreshnessModes().map((m) => m.id)).toEqual([
+        'all',
+        'decay',
+        'current-head',
+      ]);
+    });
+
+    it('should detect stale orders, allowing abbreviated SHAs', () => {
+      expect(isOrderStale(orders[0], 'abc1234')).toBe(false);
+      expect(isOrderStale(orders[1], 'abc1234')).toBe(true);
+      expect(isOrderStale(orders[2], 'abc1234')).toBe(false);
+      expect(isOrderStale(orders[1], null)).toBe(false);
+    });
+
+    it('should flag stale orders without changing weight in "all" mode', () => {
+      const result = applyFreshness(orders, { headSha: 'abc1234', now });
+
+      expect(result.map((o) => o.stale)).toEqual([false, true, false]);
+      expect(result.map((o) => o.weight)).toEqual([1, 1, 1]);
+    });
+
+    it('should zero stale orders in "current-head" mode', () => {
+      const result = applyFreshness(orders, {
+        mode: 'current-head',
+        headSha: 'abc1234',
+        now,
+      });
+
+      expect(result.map((o) => o.weight)).toEqual([1, 0, 1]);
+    });
+
+    it('should decay by age and staleness in "decay" mode', () => {
+      const result = applyFreshness(orders, {
+        mode: 'decay',
+        headSha: 'abc1234',
+        now,
+      });
+
+      // bob: 72h old (one half-life) and stale
+      expect(result[0].weight).toBe(1);
+      expect(result[1].weight).toBeCloseTo(0.5 * 0.25);
+      expect(result[2].weight).toBe(1);
+    });
+
+    it('should keep role weights when decaying', () => {
+      const result = applyFreshness([{ ...orders[0], weight: 2 }], {
+        mode: 'decay',
+        now,
+      });
+
+      expect(result[0].weight).toBe(2);
+    });
+
+    it('should throw on unknown mode', () => {
+      expect(() => applyFreshness(orders, { mode: 'invalid' })).toThrow(
+        'Unknown freshness mode: invalid'
+      );
+    });
+
+    it('should let fresh orders win once stale ones are dropped', () => {
+      const scored = applyFreshness(
+        [orders[1], { ...orders[1], user: 'dave' }, orders[0]],
+        { mode: 'current-head', headSha: 'abc1234', now }
+      );
+
+      expect(calculateConsensus(scored)).toEqual(['a.js', 'b.js']);
+      expect(getConsensusMetadata(scored, ['a.js', 'b.js']).staleCount).toBe(2);
+    });
+
+    it('should have no consensus when every order is stale', () => {
+      const stale = [
+        { user: 'bob', order: ['b.js', 'a.js'], headSha: '0001112' },
+        { user: 'dave', order: ['a.js', 'b.js'], headSha: '0001112' },
+      ];
+      const options = { mode: 'current-head', headSha: 'abc1234' };
+
+      expect(calculateConsensus(applyFreshness(stale, options))).toEqual([]);
+      expect(
+        calculateConsensus(applyFreshness(stale.slice(0, 1), options))
+      ).toEqual([]);
+      expect(
+        calculateConsensus(applyFreshness(stale, options), {
+          strategy: 'borda',
+        })
+      ).toEqual([]);
+    });
   });
 
   describe('getConsensusMetadata', () => {
+    it('should report the strategy used', () => {
+      const orders = [{ user: 'user1', order: ['a.js', 'b.js'] }];
+
+      expect(getConsensusMetadata(orders, ['a.js', 'b.js']).strategy).toBe(
+        'average'
+      );
+      expect(
+        getConsensusMetadata(orders, ['a.js', 'b.js'], { strategy: 'borda' })
+          .strategy
+      ).toBe('borda');
+    });
+
     it('should return default metadata for empty orders', () => {
       const metadata = getConsensusMetadata([], []);
 
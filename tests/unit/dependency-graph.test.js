@@ -0,0 +1,214 @@
+/**
+ * Unit tests for Dependency Graph
+ */
+import {
+  getLanguage,
+  extractImports,
+  buildDependencyGraph,
+  sortByDependencies,
+} from '../../utils/dependency-graph.js';
+
+describe('dependency-graph', () => {
+  const paths = (files) => files.map((file) => file.path);
+
+  describe('getLanguage', () => {
+    it('should detect supported languages by extension', () => {
+      expect(getLanguage('src/a.tsx')).toBe('javascript');
+      expect(getLanguage('lib/b.MJS')).toBe('javascript');
+      expect(getLanguage('pkg/c.py')).toBe('python');
+      expect(getLanguage('cmd/main.go')).toBe('go');
+      expect(getLanguage('README.md')).toBeNull();
+      expect(getLanguage('Makefile')).toBeNull();
+    });
+  });
+
+  describe('extractImports', () => {
+    it('should extract JavaScript and TypeScript imports', () => {
+      const source = [
+        "import React from 'react';",
+        'import {',
+        '  a,',
+        '  b,',
+        "} from './utils';",
+        "import './styles.css';",
+        "export * from '../shared/index.js';",
+        "const config = require('./config');",
+        "const lazy = await import('./lazy');",
+      ].join('\n');
+
+      expect(extractImports(source, 'src/app.ts')).toEqual([
+        'react',
+        './utils',
+        '../shared/index.js',
+        './styles.css',
+        './config',
+        './lazy',
+      ]);
+    });
+
+    it('should extract Python imports', () => {
+      const source = [
+        'import os, app.models as models',
+        'from . import utils',
+        'from ..core.db import (Session,',
+        'from app.services import billing  # noqa',
+      ].join('\n');
+
+      expect(extractImports(source, 'app/api/views.py')).toEqual([
+        'os',
+        'app.models',
+        '.',
+        '.utils',
+        '..core.db',
+        '..core.db.Session',
+        'app.services',
+        'app.services.billing',
+      ]);
+    });
+
+    it('should extract Go imports', () => {
+      const source = [
+        'import "fmt"',
+        'import (',
+        '  "github.com/org/repo/internal/store"',
+        '  log "github.com/sirupsen/logrus"',
+        ')',
+      ].join('\n');
+
+      expect(extractImports(source, 'cmd/main.go')).toEqual([
+        'github.com/org/repo/internal/store',
+        'github.com/sirupsen/logrus',
+        'fmt',
+      ]);
+    });
+
+    it('should return nothing for unsupported files or empty source', () => {
+      expect(extractImports("import x from './x'", 'notes.md')).toEqual([]);
+      expect(extractImports('', 'a.js')).toEqual([]);
+    });
+  });
+
+  describe('buildDependencyGraph', () => {
+    it('should resolve relative JavaScript imports to changed files', () => {
+      const graph = buildDependencyGraph([
+        {
+          path: 'src/app.ts',
+          imports: ['./api', './util.js', 'react', '../../outside'],
+        },
+        { path: 'src/api/index.ts', imports: [] },
+        { path: 'src/util.ts', imports: [] },
+      ]);
+
+      expect(graph.get('src/app.ts')).toEqual([
+        'src/api/index.ts',
+        'src/util.ts',
+      ]);
+    });
+
+    it('should resolve Python imports relative to the package or by suffix', () => {
+      const graph = buildDependencyGraph([
+        {
+          path: 'src/app/api/views.py',
+          imports: ['.', '.serializers', '..models', 'app.services.billing'],
+        },
+        { path: 'src/app/api/__init__.py' },
+        { path: 'src/app/api/serializers.py' },
+        { path: 'src/app/models/__init__.py' },
+        { path: 'src/app/services/billing.py' },
+      ]);
+
+      expect(graph.get('src/app/api/views.py')).toEqual([
+        'src/app/api/__init__.py',
+        'src/app/api/serializers.py',
+        'src/app/models/__init__.py',
+        'src/app/services/billing.py',
+      ]);
+    });
+
+    it('should resolve Go imports to every file in the package directory', () => {
+      const graph = buildDependencyGraph([
+        {
+          path: 'cmd/server/main.go',
+          imports: ['github.com/org/repo/internal/store'],
+        },
+        { path: 'internal/store/store.go' },
+        { path: 'internal/store/cache.go' },
+        { path: 'internal/store/store_test.go' },
+      ]);
+
+      expect(graph.get('cmd/server/main.go')).toEqual([
+        'internal/store/store.go',
+        'internal/store/cache.go',
+      ]);
+    });
+
+    it('should ignore self-imports and files without imports', () => {
+      const graph = buildDependencyGraph([
+        { path: 'a.js', imports: ['./a'] },
+        { path: 'b.md' },
+      ]);
+
+      expect(graph.get('a.js')).toEqual([]);
+      expect(graph.get('b.md')).toEqual([]);
+    });
+  });
+
+  describe('sortByDependencies', () => {
+    it('should place dependencies before dependents', () => {
+      const files = [
+        { path: 'app.js', imports: ['./routes'] },
+        { path: 'routes.js', imports: ['./db'] },
+        { path: 'db.js', imports: [] },
+      ];
+
+      expect(paths(sortByDependencies(files))).toEqual([
+        'db.js',
+        'routes.js',
+        'app.js',
+      ]);
+    });
+
+    it('should keep input order when files are independent', () => {
+      const files = [{ path: 'c.js' }, { path: 'a.js' }, { path: 'b.js' }];
+
+      expect(paths(sortByDependencies(files))).toEqual([
+        'c.js',
+        'a.js',
+        'b.js',
+      ]);
+    });
+
+    it('should keep import cycles together in input order', () => {
+      const files = [
+        { path: 'main.js', imports: ['./b'] },
+        { path: 'a.js', imports: ['./b', './base'] },
+        { path: 'b.js', imports: ['./a'] },
+        { path: 'base.js', imports: [] },
+      ];
+
+      expect(paths(sortByDependencies(files))).toEqual([
+        'base.js',
+        'a.js',
+        'b.js',
+        'main.js',
+      ]);
+    });
+
+    it('should give the same result for the same input', () => {
+      const files = [
+        { path: 'x.js', imports: ['./y'] },
+        { path: 'y.js', imports: ['./x'] },
+        { path: 'z.js', imports: ['./x'] },
+      ];
+
+      expect(paths(sortByDependencies(files))).toEqual(
+        paths(sortByDependencies(files))
+      );
+      expect(paths(sortByDependencies(files))).toEqual([
+        'x.js',
+        'y.js',
+        'z.js',
+      ]);
+    });
+  });
+});
@@ -8,6 +8,7 @@ import {
   validateFileOrder,
   observeFileChanges,
   stopObserving,
+  syncFileNavigation,
 } from '../../content/dom-manipulator.js';
 
 describe('DOM Manipulator - Simple Tests', () => {
@@ -121,6 +122,179 @@ describe('DOM Manipulator - Simple Tests', () => {
         expect(currentElements).toContain(el);
       });
     });
+
+    it('should put section headers before each section', () => {
+      reorderFiles(['file3.js', 'file1.js', 'file2.js'], undefined, {
+        sections: [
+          { name: 'Tests', start: 'file2.js' },
+          { name: 'API contract', start: 'file3.js' },
+        ],
+      });
+
+      const children = Array.from(container.children).map((el) =>
+        el.classList.contains('pr-reorder-section-header')
+          ? `# ${el.textContent}`
+          : el.dataset.path
+      );
+      expect(children).toEqual([
+        '# API contract2 files',
+        'file3.js',
+        'file1.js',
+        '# Tests1 file',
+        'file2.js',
+      ]);
+      expect(getFilePaths()).toEqual(['file3.js', 'file1.js', 'file2.js']);
+    });
+
+    it('should rebuild section headers on every reorder', () => {
+      const sections = [{ name: '<b>Tests</b>', start: 'file1.js' }];
+      reorderFiles(['file1.js', 'file2.js', 'file3.js'], undefined, {
+        sections,
+      });
+      reorderFiles(['file2.js', 'file1.js', 'file3.js'], undefined, {
+        sections,
+      });
+
+      const headers = container.querySelectorAll('.pr-reorder-section-header');
+      expect(headers.length).toBe(1);
+      expect(headers[0].nextElementSibling.dataset.path).toBe('file1.js');
+      expect(headers[0].querySelector('b')).toBeNull();
+      expect(headers[0].getAttribute('role')).toBe('heading');
+
+      reorderFiles(['file1.js', 'file2.js', 'file3.js']);
+      expect(container.querySelector('.pr-reorder-section-header')).toBeNull();
+    });
+  });
+
+  describe('syncFileNavigation', () => {
+    /**
+     * Build a nested file tree sidebar from [label, children|anchor] pairs
+     */
+    function buildTree(entries) {
+      const list = document.createElement('ul');
+      entries.forEach(([label, value]) => {
+        const item = document.createElement('li');
+        if (Array.isArray(value)) {
+          item.dataset.directory = label;
+          item.appendChild(buildTree(value));
+        } else {
+          const link = document.createElement('a');
+          link.setAttribute('href', `#${value}`);
+          link.textContent = label;
+          item.appendChild(link);
+        }
+        list.appendChild(item);
+      });
+      return list;
+    }
+
+    const labels = (list) =>
+      Array.from(list.children).map(
+        (item) => item.dataset.directory || item.textContent
+      );
+
+    beforeEach(() => {
+      while (container.firstChild) {
+        container.removeChild(container.firstChild);
+      }
+      ['lib/a.js', 'lib/b.js', 'src/c.js', 'README.md'].forEach((path) => {
+        const file = addMockFile(container, path);
+        file.id = `diff-${path.replace(/\W/g, '')}`;
+      });
+    });
+
+    it('should reorder a nested file tree to follow the diffs', () => {
+      const tree = document.createElement('file-tree');
+      const root = buildTree([
+        [
+          'lib',
+          [
+            ['a.js', 'diff-libajs'],
+            ['b.js', 'diff-libbjs'],
+          ],
+        ],
+        ['src', [['c.js', 'diff-srccjs']]],
+        ['README.md', 'diff-READMEmd'],
+      ]);
+      tree.appendChild(root);
+      document.body.appendChild(tree);
+
+      reorderFiles(['README.md', 'lib/b.js', 'src/c.js', 'lib/a.js']);
+
+      expect(labels(root)).toEqual(['README.md', 'lib', 'src']);
+      expect(labels(root.children[1].querySelector('ul'))).toEqual([
+        'b.js',
+        'a.js',
+      ]);
+    });
+
+    it('should reorder the jump-to-file menu', () => {
+      const menu = document.createElement('div');
+      menu.className = 'select-menu-list';
+      ['diff-libajs', 'diff-libbjs', 'diff-srccjs', 'diff-READMEmd'].forEach(
+        (anchor) => {
+          const item = document.createElement('a');
+          item.className = 'select-menu-item';
+          item.setAttribute('href', `/org/repo/pull/1/files#${anchor}`);
+          item.textContent = anchor;
+          menu.appendChild(item);
+        }
+      );
+      document.body.appendChild(menu);
+
+      reorderFiles(['src/c.js', 'README.md', 'lib/a.js', 'lib/b.js']);
+
+      expect(labels(menu)).toEqual([
+        'diff-srccjs',
+        'diff-READMEmd',
+        'diff-libajs',
+        'diff-libbjs',
+      ]);
+    });
+
+    it('should match entries by data-file-path', () => {
+      const nav = document.createElement('nav');
+      const list = document.createElement('ul');
+      ['lib/a.js', 'README.md'].forEach((path) => {
+        const item = document.createElement('li');
+        item.dataset.filePath = path;
+        item.textContent = path;
+        list.appendChild(item);
+      });
+      nav.appendChild(list);
+      document.body.appendChild(nav);
+
+      reorderFiles(['README.md', 'lib/a.js', 'lib/b.js', 'src/c.js']);
+
+      expect(labels(list)).toEqual(['README.md', 'lib/a.js']);
+    });
+
+    it('should leave unrelated lists and diff links alone', () => {
+      const unrelated = buildTree([
+        ['first', 'diff-libbjs'],
+        ['second', 'diff-libajs'],
+      ]);
+      document.body.appendChild(unrelated);
+      const headerLink = document.createElement('a');
+      headerLink.setAttribute('href', '#diff-libajs');
+      container.querySelector('.file').appendChild(headerLink);
+
+      expect(syncFileNavigation()).toBe(0);
+      expect(labels(unrelated)).toEqual(['first', 'second']);
+    });
+
+    it('should report nothing to do when already in order', () => {
+      const tree = document.createElement('nav');
+      tree.appendChild(
+        buildTree([
+          ['a.js', 'diff-libajs'],
+          ['README.md', 'diff-READMEmd'],
+        ])
+      );
+      document.body.appendChild(tree);
+
+      expect(syncFileNavigation()).toBe(0);
+    });
   });
 
   describe('validateFileOrder', () => {
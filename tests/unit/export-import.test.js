@@ -1,5 +1,7 @@
 /**
  * Export/Import functionality tests
+ *
+ * @jest-environment node
  */
 
 import { describe, it, expect } from '@jest/globals';
@@ -9,6 +11,8 @@ import {
   generateShareableURL,
   parseShareableURL,
   validateImportData,
+  exportWorkspaceToJSON,
+  importWorkspaceFromJSON,
 } from '../../utils/export-import.js';
 
 describe('Export/Import Functionality', () => {
@@ -105,61 +109,61 @@ describe('Export/Import Functionality', () => {
   });
 
   describe('generateShareableURL', () => {
-    it('should generate base64 encoded URL', () => {
-      const order = ['file1.js', 'file2.js'];
-      const prId = 'owner/repo/123';
-      const user = 'testuser';
-
-      const url = generateShareableURL(order, prId, user);
+    it('should link to the PR files with the order in the fragment', async () => {
+      const url = await generateShareableURL(
+        ['file2.js', 'file1.js'],
+        'owner/repo/123',
+        'testuser',
+        { files: ['file1.js', 'file2.js'] }
+      );
 
-      expect(url).toContain('data:text/plain;base64,');
-      expect(url.length).toBeGreaterThan(50);
+      expect(url).toMatch(
+        /^https:\/\/github\.com\/owner\/repo\/pull\/123\/files#pr-order=[A-Za-z0-9_-]+$/
+      );
     });
 
-    it('should be reversible with parseShareableURL', () => {
+    it('should be reversible with parseShareableURL', async () => {
       const order = ['src/main.js', 'src/helper.js', 'test/main.test.js'];
-      const prId = 'org/repo/456';
-      const user = 'alice';
+      const files = [...order].sort();
 
-      const url = generateShareableURL(order, prId, user);
-      const parsed = parseShareableURL(url);
+      const url = await generateShareableURL(order, 'org/repo/456', 'alice', {
+        files,
+        sections: [{ name: 'Tests', start: 'test/main.test.js' }],
+      });
+      const parsed = await parseShareableURL(url, files);
 
-      expect(parsed.order).toEqual(order);
-      expect(parsed.prId).toBe(prId);
-      expect(parsed.user).toBe(user);
+      expect(parsed).toEqual({
+        prId: 'org/repo/456',
+        user: 'alice',
+        order,
+        sections: [{ name: 'Tests', start: 'test/main.test.js' }],
+      });
     });
-  });
 
-  describe('parseShareableURL', () => {
-    it('should parse valid shareable URL', () => {
-      const data = {
-        version: '1.0',
-        prId: 'owner/repo/789',
-        user: 'bob',
-        order: ['index.js', 'utils.js'],
-        timestamp: new Date().toISOString(),
-      };
-      const json = JSON.stringify(data);
-      const base64 = btoa(json);
-      const url = `data:text/plain;base64,${base64}`;
-
-      const parsed = parseShareableURL(url);
-
-      expect(parsed.order).toEqual(['index.js', 'utils.js']);
-      expect(parsed.prId).toBe('owner/repo/789');
-      expect(parsed.user).toBe('bob');
+    it('should reject invalid PR IDs', async () => {
+      await expect(
+        generateShareableURL(['a.js'], 'not-a-pr', 'alice')
+      ).rejects.toThrow('Invalid PR ID: not-a-pr');
     });
+  });
 
-    it('should throw error for invalid URL format', () => {
-      expect(() => parseShareableURL('not-a-valid-url')).toThrow(
+  describe('parseShareableURL', () => {
+    it('should throw error for invalid URL format', async () => {
+      await expect(parseShareableURL('not-a-valid-url')).rejects.toThrow(
         'Invalid shareable URL format'
       );
+      await expect(
+        parseShareableURL('https://example.com/o/r/pull/1/files#pr-order=abc')
+      ).rejects.toThrow('Invalid shareable URL format');
+      await expect(
+        parseShareableURL('https://github.com/o/r/pull/1/files#diff-abc')
+      ).rejects.toThrow('Invalid shareable URL format');
     });
 
-    it('should throw error for malformed base64', () => {
-      expect(() =>
-        parseShareableURL('data:text/plain;base64,!!!invalid!!!')
-      ).toThrow();
+    it('should throw error for malformed data', async () => {
+      await expect(
+        parseShareableURL('https://github.com/o/r/pull/1/files#pr-order=AAAA')
+      ).rejects.toThrow('Invalid shared order');
     });
   });
 
@@ -259,4 +263,169 @@ describe('Export/Import Functionality', () => {
       );
     });
   });
+
+  describe('workspace export and import', () => {
+    const workspace = {
+      orders: {
+        'org/repo/1': {
+          order: ['src/a.js', 'src/b.js'],
+          timestamp: '2024-01-01T00:00:00.000Z',
+          version: '1.1',
+          headSha: 'ABCDEF1',
+          notes: { 'src/a.js': 'Start here', 'gone.js': 'Dropped' },
+          sections: [{ name: 'Core', start: 'src/a.js' }],
+        },
+        'org/repo/2': {
+          order: ['README.md'],
+          timestamp: '2024-01-02T00:00:00.000Z',
+          version: '1.1',
+        },
+      },
+      customPresets: [
+        {
+          id: 'custom:docs',
+          name: 'Docs first',
+          buckets: [{ name: 'Docs', patterns: ['**/*.md'] }],
+        },
+      ],
+      preferences: { lastPreset: 'alphabetical', autoApplyConsensus: false },
+    };
+
+    const importWith = (changes) =>
+      importWorkspaceFromJSON(
+        JSON.stringify({
+          ...JSON.parse(exportWorkspaceToJSON(workspace)),
+          ...changes,
+        })
+      );
+
+    it('should round-trip orders, presets and preferences', () => {
+      const json = exportWorkspaceToJSON(workspace);
+      const parsed = JSON.parse(json);
+
+      expect(parsed.type).toBe('pr-reorder-workspace');
+      expect(parsed.version).toBe('1.0');
+      expect(parsed.exportedAt).toBeDefined();
+
+      const imported = importWorkspaceFromJSON(json);
+      expect(imported.orders['org/repo/1']).toEqual({
+        order: ['src/a.js', 'src/b.js'],
+        timestamp: '2024-01-01T00:00:00.000Z',
+        version: '1.1',
+        headSha: 'abcdef1',
+        notes: { 'src/a.js': 'Start here' },
+        sections: [{ name: 'Core', start: 'src/a.js' }],
+      });
+      expect(imported.orders['org/repo/2'].order).toEqual(['README.md']);
+      expect(imported.customPresets).toEqual([
+        expect.objectContaining({ id: 'custom:docs', name: 'Docs first' }),
+      ]);
+      expect(imported.preferences).toEqual(workspace.preferences);
+    });
+
+    it('should treat missing sections as empty', () => {
+      expect(
+        importWith({
+          orders: undefined,
+          customPresets: undefined,
+          preferences: undefined,
+        })
+      ).toEqual({ orders: {}, customPresets: [], preferences: {} });
+    });
+
+    it('should reject files that are not a workspace export', () => {
+      expect(() => importWorkspaceFromJSON('{bad')).toThrow('Invalid JSON');
+      expect(() =>
+        importWorkspaceFromJSON(
+          exportOrderToJSON(['a.js'], 'org/repo/1', 'user')
+        )
+      ).toThrow('Not a PR File Reorder workspace export');
+      expect(() => importWith({ version: '9.0' })).toThrow(
+        'Unsupported version: 9.0'
+      );
+      expect(() => importWith({ orders: [] })).toThrow(
+        'Orders must be an object'
+      );
+      expect(() => importWith({ customPresets: {} })).toThrow(
+        'Custom presets must be an array'
+      );
+      expect(() => importWith({ preferences: 'dark' })).toThrow(
+        'Preferences must be an object'
+      );
+    });
+
+    it('should validate preferences against their allowed values', () => {
+      const withPreferences = (preferences) => importWith({ preferences });
+
+      expect(() => withPreferences({ consensusStrategy: 'bogus' })).toThrow(
+        'Invalid preference consensusStrategy: "bogus"'
+      );
+      expect(() => withPreferences({ consensusFreshness: 'soon' })).toThrow(
+        'Invalid preference consensusFreshness: "soon"'
+      );
+      expect(() => withPreferences({ autoApplyConsensus: 'yes' })).toThrow(
+        'Invalid preference autoApplyConsensus: "yes"'
+      );
+      expect(() => withPreferences({ reorderView: 'grid' })).toThrow(
+        'Invalid preference reorderView: "grid"'
+      );
+      expect(() => withPreferences({ defaultPreset: 'custom:gone' })).toThrow(
+        'Invalid preference defaultPreset: "custom:gone"'
+      );
+      expect(() => withPreferences({ retention: { maxCount: 0 } })).toThrow(
+        'Invalid preference retention: Max count must be a whole number'
+      );
+      expect(() => withPreferences({ retention: 'forever' })).toThrow(
+        'Invalid preference retention: must be an object'
+      );
+    });
+
+    it('should keep valid preferences and drop unknown ones', () => {
+      const { preferences } = importWith({
+        preferences: {
+          consensusStrategy: 'borda',
+          consensusFreshness: 'decay',
+          defaultPreset: 'custom:docs',
+          lastPreset: null,
+          reorderView: 'tree',
+          retention: { maxAgeDays: 30 },
+          customPresets: [{ id: 'custom:sneaky' }],
+          theme: 'dark',
+        },
+      });
+
+      expect(preferences).toEqual({
+        consensusStrategy: 'borda',
+        consensusFreshness: 'decay',
+        defaultPreset: 'custom:docs',
+        lastPreset: null,
+        reorderView: 'tree',
+        retention: { maxAgeDays: 30, maxCount: 200, pruneClosed: false },
+      });
+    });
+
+    it('should validate orders like order comments', () => {
+      const withOrder = (prId, data) =>
+        importWith({ orders: { [prId]: data } });
+
+      expect(() =>
+        withOrder('not-a-pr', { order: ['a.js'], timestamp: 1 })
+      ).toThrow('Invalid PR ID: not-a-pr');
+      expect(() =>
+        withOrder('org/repo/1', { order: ['a.js', 'a.js'], timestamp: 1 })
+      ).toThrow('Invalid order for org/repo/1: Order contains duplicate files');
+      expect(() =>
+        withOrder('org/repo/1', { order: ['a.js'], timestamp: 'never' })
+      ).toThrow('Invalid order for org/repo/1: Invalid timestamp');
+      expect(() => withOrder('org/repo/1', { order: ['a.js'] })).toThrow(
+        'Invalid order for org/repo/1: Missing timestamp'
+      );
+    });
+
+    it('should reject invalid custom presets', () => {
+      expect(() =>
+        importWith({ customPresets: [{ name: 'Empty', buckets: [] }] })
+      ).toThrow('Invalid preset');
+    });
+  });
 });
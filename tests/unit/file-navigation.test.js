@@ -0,0 +1,226 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import { jest } from '@jest/globals';
+import {
+  findAdjacentFile,
+  getCurrentFileIndex,
+  navigateToFile,
+  createNavigationKeyHandler,
+} from '../../content/file-navigation.js';
+import { isFileViewed } from '../../utils/parser.js';
+import { cleanup } from '../../utils/cleanup-manager.js';
+import { createMockFilesContainer } from '../helpers/dom.js';
+
+describe('File Navigation', () => {
+  let container;
+  let files;
+
+  /**
+   * Place files so that the ones before `currentIndex` are scrolled past
+   */
+  const scrollTo = (currentIndex) => {
+    files.forEach((file, index) => {
+      file.getBoundingClientRect = () => ({
+        top: (index - currentIndex) * 500,
+      });
+    });
+  };
+
+  const markViewed = (file) => {
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.className = 'js-reviewed-checkbox';
+    checkbox.checked = true;
+    file.appendChild(checkbox);
+  };
+
+  const press = (key, init = {}) => {
+    const event = new KeyboardEvent('keydown', {
+      key,
+      bubbles: true,
+      cancelable: true,
+      ...init,
+    });
+    document.dispatchEvent(event);
+    return event;
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    container = createMockFilesContainer(
+      ['a.js', 'b.js', 'c.js', 'd.js'].map((path) => ({ path }))
+    );
+    document.body.appendChild(container);
+    files = Array.from(container.querySelectorAll('.file'));
+    files.forEach((file) => {
+      file.scrollIntoView = jest.fn();
+    });
+    scrollTo(-1);
+  });
+
+  afterEach(() => {
+    // Let the repeat window expire between tests
+    jest.advanceTimersByTime(5000);
+    jest.setSystemTime(Date.now() + 5000);
+    jest.useRealTimers();
+    while (document.body.firstChild) {
+      document.body.removeChild(document.body.firstChild);
+    }
+  });
+
+  describe('isFileViewed', () => {
+    it('should detect the Viewed checkbox and toggle button', () => {
+      expect(isFileViewed(files[0])).toBe(false);
+
+      markViewed(files[0]);
+      expect(isFileViewed(files[0])).toBe(true);
+
+      const button = document.createElement('button');
+      button.setAttribute('aria-pressed', 'true');
+      button.textContent = ' Viewed ';
+      files[1].appendChild(button);
+      expect(isFileViewed(files[1])).toBe(true);
+    });
+  });
+
+  describe('findAdjacentFile', () => {
+    const viewed = (indexes) => (file) => indexes.includes(files.indexOf(file));
+
+    it('should skip viewed files in both directions', () => {
+      expect(findAdjacentFile(files, 0, 1, viewed([1, 2]))).toBe(3);
+      expect(findAdjacentFile(files, 3, -1, viewed([1, 2]))).toBe(0);
+    });
+
+    it('should start from the first file before the list', () => {
+      expect(findAdjacentFile(files, -1, 1, viewed([]))).toBe(0);
+      expect(findAdjacentFile(files, -1, -1, viewed([]))).toBe(-1);
+    });
+
+    it('should return -1 when every remaining file is viewed', () => {
+      expect(findAdjacentFile(files, 1, 1, viewed([2, 3]))).toBe(-1);
+    });
+  });
+
+  describe('getCurrentFileIndex', () => {
+    it('should use the last file scrolled to the top', () => {
+      scrollTo(2);
+      expect(getCurrentFileIndex(files)).toBe(2);
+
+      scrollTo(-1);
+      expect(getCurrentFileIndex(files)).toBe(-1);
+    });
+  });
+
+  describe('navigateToFile', () => {
+    it('should scroll to the next unviewed file and show its position', () => {
+      scrollTo(0);
+      markViewed(files[1]);
+
+      expect(navigateToFile(1)).toBe(files[2]);
+      expect(files[2].scrollIntoView).toHaveBeenCalledWith({
+        behavior: 'smooth',
+        block: 'start',
+      });
+
+      const indicator = document.querySelector(
+        '.pr-reorder-position-indicator'
+      );
+      expect(indicator.textContent).toBe('File 3 of 4');
+      expect(indicator.getAttribute('role')).toBe('status');
+
+      jest.advanceTimersByTime(3000);
+      expect(indicator.hidden).toBe(true);
+    });
+
+    it('should continue from the last target while scrolling', () => {
+      navigateToFile(1);
+      expect(navigateToFile(1)).toBe(files[1]);
+    });
+
+    it('should say when there are no more unviewed files', () => {
+      scrollTo(3);
+
+      expect(navigateToFile(1)).toBeNull();
+      expect(
+        document.querySelector('.pr-reorder-position-indicator').textContent
+      ).toBe('No more unviewed files');
+    });
+
+    it('should remove the indicator on cleanup', () => {
+      navigateToFile(1);
+      expect(
+        document.querySelector('.pr-reorder-position-indicator')
+      ).not.toBeNull();
+
+      cleanup();
+      expect(
+        document.querySelector('.pr-reorder-position-indicator')
+      ).toBeNull();
+
+      // Shown again after re-initialization
+      navigateToFile(1);
+      expect(
+        document.querySelector('.pr-reorder-position-indicator').hidden
+      ).toBe(false);
+    });
+  });
+
+  describe('createNavigationKeyHandler', () => {
+    let onOpenReorder;
+    let handler;
+
+    beforeEach(() => {
+      onOpenReorder = jest.fn();
+      handler = createNavigationKeyHandler({ onOpenReorder });
+      document.addEventListener('keydown', handler);
+    });
+
+    afterEach(() => {
+      document.removeEventListener('keydown', handler);
+    });
+
+    it('should move between files with ] and [', () => {
+      scrollTo(1);
+
+      expect(press(']').defaultPrevented).toBe(true);
+      expect(files[2].scrollIntoView).toHaveBeenCalled();
+
+      press('[');
+      expect(files[1].scrollIntoView).toHaveBeenCalled();
+    });
+
+    it('should open the reorder modal with Ctrl+Shift+R', () => {
+      const event = press('R', { ctrlKey: true, shiftKey: true });
+
+      expect(onOpenReorder).toHaveBeenCalled();
+      expect(event.defaultPrevented).toBe(true);
+    });
+
+    it('should ignore keys typed into fields or with modifiers', () => {
+      const input = document.createElement('textarea');
+      document.body.appendChild(input);
+      input.dispatchEvent(
+        new KeyboardEvent('keydown', { key: ']', bubbles: true })
+      );
+      press(']', { metaKey: true });
+
+      files.forEach((file) =>
+        expect(file.scrollIntoView).not.toHaveBeenCalled()
+      );
+    });
+
+    it('should do nothing while a modal is open', () => {
+      const overlay = document.createElement('div');
+      overlay.className = 'pr-reorder-modal-overlay';
+      document.body.appendChild(overlay);
+
+      press('R', { ctrlKey: true, shiftKey: true });
+      press(']');
+
+      expect(onOpenReorder).not.toHaveBeenCalled();
+      expect(files[0].scrollIntoView).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import { jest } from '@jest/globals';
+import { createFileTreeView } from '../../ui/file-tree-view.js';
+
+describe('File Tree View', () => {
+  const order = ['src/a.js', 'src/b.js', 'test/a.test.js', 'README.md'];
+  const filesMetadata = order.map((path) => ({
+    path,
+    additions: 2,
+    deletions: 1,
+  }));
+
+  const getNode = (view, path) =>
+    Array.from(view.element.querySelectorAll('.pr-reorder-tree-node')).find(
+      (item) => item.dataset.nodePath === path
+    );
+
+  const pressKey = (target, key, options = {}) => {
+    target.dispatchEvent(
+      new KeyboardEvent('keydown', { key, bubbles: true, ...options })
+    );
+  };
+
+  afterEach(() => {
+    while (document.body.firstChild) {
+      document.body.removeChild(document.body.firstChild);
+    }
+  });
+
+  it('should render directories and files as tree items', () => {
+    const view = createFileTreeView({ order, filesMetadata });
+
+    expect(view.element.getAttribute('role')).toBe('tree');
+    const folder = getNode(view, 'src/');
+    expect(folder.getAttribute('aria-expanded')).toBe('true');
+    expect(folder.getAttribute('aria-label')).toBe(
+      'src/ folder, 2 files, position 1 of 3'
+    );
+    expect(getNode(view, 'src/a.js').getAttribute('aria-level')).toBe('2');
+    expect(
+      getNode(view, 'src/a.js').querySelector('.pr-reorder-file-additions')
+        .textContent
+    ).toBe('+2');
+  });
+
+  it('should collapse and expand folders from the keyboard', () => {
+    const view = createFileTreeView({ order, filesMetadata });
+    document.body.appendChild(view.element);
+    const folder = getNode(view, 'src/');
+
+    pressKey(folder, 'ArrowLeft');
+    expect(folder.getAttribute('aria-expanded')).toBe('false');
+    expect(folder.querySelector('.pr-reorder-tree-group').hidden).toBe(true);
+
+    pressKey(folder, 'ArrowRight');
+    expect(folder.getAttribute('aria-expanded')).toBe('true');
+  });
+
+  it('should skip collapsed children when moving focus', () => {
+    const view = createFileTreeView({ order, filesMetadata });
+    document.body.appendChild(view.element);
+    const folder = getNode(view, 'src/');
+    folder.focus();
+
+    pressKey(folder, 'Enter');
+    pressKey(folder, 'ArrowDown');
+
+    expect(document.activeElement).toBe(getNode(view, 'test/'));
+  });
+
+  it('should move a folder with its files using Ctrl+Arrow', () => {
+    const onChange = jest.fn();
+    const announce = jest.fn();
+    const view = createFileTreeView({
+      order,
+      filesMetadata,
+      onChange,
+      announce,
+    });
+    document.body.appendChild(view.element);
+
+    pressKey(getNode(view, 'src/'), 'ArrowDown', { ctrlKey: true });
+
+    const expected = ['test/a.test.js', 'src/a.js', 'src/b.js', 'README.md'];
+    expect(onChange).toHaveBeenCalledWith(expected);
+    expect(view.getOrder()).toEqual(expected);
+    expect(announce).toHaveBeenCalledWith('Moved src to position 2 of 3');
+    expect(document.activeElement).toBe(getNode(view, 'src/'));
+  });
+
+  it('should keep collapsed folders collapsed after a move', () => {
+    const view = createFileTreeView({ order, filesMetadata });
+    document.body.appendChild(view.element);
+
+    pressKey(getNode(view, 'src/'), 'Enter');
+    pressKey(getNode(view, 'src/'), 'ArrowDown', { ctrlKey: true });
+
+    expect(getNode(view, 'src/').getAttribute('aria-expanded')).toBe('false');
+  });
+
+  it('should edit notes on folders and files', () => {
+    const notes = { 'src/a.js': 'entry point' };
+    const onNoteChange = jest.fn((target, note) => {
+      notes[target] = note;
+    });
+    const view = createFileTreeView({
+      order,
+      filesMetadata,
+      getNote: (target) => notes[target],
+      onNoteChange,
+    });
+    document.body.appendChild(view.element);
+
+    expect(
+      getNode(view, 'src/a.js').querySelector('.pr-reorder-note-text')
+        .textContent
+    ).toBe('entry point');
+
+    const folderRow = getNode(view, 'src/').querySelector(
+      '.pr-reorder-tree-row'
+    );
+    folderRow.querySelector('.pr-reorder-note-btn').click();
+    const input = folderRow.querySelector('.pr-reorder-note-input');
+    input.value = '  all of the new API  ';
+    pressKey(input, 'Enter');
+
+    expect(onNoteChange).toHaveBeenCalledWith('src/', 'all of the new API');
+    expect(folderRow.querySelector('.pr-reorder-note-input')).toBeNull();
+
+    // Notes survive re-rendering after a move
+    pressKey(getNode(view, 'test/'), 'ArrowUp', { ctrlKey: true });
+    expect(
+      getNode(view, 'src/').querySelector('.pr-reorder-note-text').textContent
+    ).toBe('all of the new API');
+  });
+
+  it('should rebuild the tree when the order is replaced', () => {
+    const view = createFileTreeView({ order, filesMetadata });
+
+    view.setOrder(['README.md', 'test/a.test.js', 'src/b.js', 'src/a.js']);
+
+    expect(view.getOrder()).toEqual([
+      'README.md',
+      'test/a.test.js',
+      'src/b.js',
+      'src/a.js',
+    ]);
+  });
+});
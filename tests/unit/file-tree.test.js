@@ -0,0 +1,148 @@
+/**
+ * Unit tests for File Tree
+ */
+import {
+  buildFileTree,
+  flattenFileTree,
+  countFiles,
+  findSiblings,
+  moveTreeNode,
+} from '../../utils/file-tree.js';
+
+describe('file-tree', () => {
+  describe('buildFileTree', () => {
+    it('should group files by directory', () => {
+      const tree = buildFileTree(['src/a.js', 'README.md', 'src/b.js']);
+
+      expect(tree.map((node) => node.path)).toEqual(['src/', 'README.md']);
+      expect(tree[0].type).toBe('directory');
+      expect(tree[0].children.map((node) => node.path)).toEqual([
+        'src/a.js',
+        'src/b.js',
+      ]);
+    });
+
+    it('should place directories at the position of their first file', () => {
+      const tree = buildFileTree(['docs/x.md', 'src/a.js', 'docs/y.md']);
+
+      expect(flattenFileTree(tree)).toEqual([
+        'docs/x.md',
+        'docs/y.md',
+        'src/a.js',
+      ]);
+    });
+
+    it('should collapse single-child directory chains', () => {
+      const tree = buildFileTree([
+        'src/utils/deep/a.js',
+        'src/utils/deep/b.js',
+      ]);
+
+      expect(tree).toHaveLength(1);
+      expect(tree[0].name).toBe('src/utils/deep');
+      expect(tree[0].path).toBe('src/utils/deep/');
+      expect(tree[0].children).toHaveLength(2);
+    });
+
+    it('should not collapse directories that also contain files', () => {
+      const tree = buildFileTree(['src/index.js', 'src/lib/a.js']);
+
+      expect(tree[0].name).toBe('src');
+      expect(tree[0].children.map((node) => node.name)).toEqual([
+        'index.js',
+        'lib',
+      ]);
+    });
+
+    it('should handle an empty order', () => {
+      expect(buildFileTree([])).toEqual([]);
+    });
+  });
+
+  describe('flattenFileTree', () => {
+    it('should round-trip an already grouped order', () => {
+      const order = ['a/1.js', 'a/b/2.js', 'a/b/3.js', 'c.js', 'd/4.js'];
+      expect(flattenFileTree(buildFileTree(order))).toEqual(order);
+    });
+  });
+
+  describe('countFiles', () => {
+    it('should count descendant files', () => {
+      const tree = buildFileTree(['a/1.js', 'a/b/2.js', 'a/b/3.js', 'c.js']);
+
+      expect(countFiles(tree[0])).toBe(3);
+      expect(countFiles(tree[1])).toBe(1);
+    });
+  });
+
+  describe('findSiblings', () => {
+    it('should find the sibling list of a nested node', () => {
+      const tree = buildFileTree(['a/1.js', 'a/b/2.js', 'a/b/3.js']);
+      const siblings = findSiblings(tree, 'a/b/');
+
+      expect(siblings.map((node) => node.path)).toEqual(['a/1.js', 'a/b/']);
+    });
+
+    it('should return null for unknown paths', () => {
+      expect(findSiblings(buildFileTree(['a.js']), 'b.js')).toBeNull();
+    });
+  });
+
+  describe('moveTreeNode', () => {
+    const order = ['src/a.js', 'src/b.js', 'test/a.test.js', 'README.md'];
+
+    it('should move a directory with all its descendants', () => {
+      const tree = moveTreeNode(buildFileTree(order), 'test/', 'src/');
+
+      expect(flattenFileTree(tree)).toEqual([
+        'test/a.test.js',
+        'src/a.js',
+        'src/b.js',
+        'README.md',
+      ]);
+    });
+
+    it('should place the node after the target when moving down', () => {
+      const tree = moveTreeNode(buildFileTree(order), 'src/', 'README.md');
+
+      expect(flattenFileTree(tree)).toEqual([
+        'test/a.test.js',
+        'README.md',
+        'src/a.js',
+        'src/b.js',
+      ]);
+    });
+
+    it('should resolve a nested target to its sibling ancestor', () => {
+      const tree = moveTreeNode(buildFileTree(order), 'README.md', 'src/b.js');
+
+      expect(flattenFileTree(tree)[0]).toBe('README.md');
+    });
+
+    it('should reorder files within a directory', () => {
+      const tree = moveTreeNode(buildFileTree(order), 'src/b.js', 'src/a.js');
+
+      expect(flattenFileTree(tree).slice(0, 2)).toEqual([
+        'src/b.js',
+        'src/a.js',
+      ]);
+    });
+
+    it('should reject moves out of the node directory', () => {
+      expect(
+        moveTreeNode(buildFileTree(order), 'src/a.js', 'README.md')
+      ).toBeNull();
+    });
+
+    it('should reject dropping a directory onto itself', () => {
+      expect(moveTreeNode(buildFileTree(order), 'src/', 'src/a.js')).toBeNull();
+    });
+
+    it('should not mutate the original tree', () => {
+      const tree = buildFileTree(order);
+      moveTreeNode(tree, 'test/', 'src/');
+
+      expect(flattenFileTree(tree)).toEqual(order);
+    });
+  });
+});
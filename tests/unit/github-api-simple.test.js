@@ -2,18 +2,41 @@
  * @jest-environment jsdom
  */
 
+import { jest } from '@jest/globals';
 import {
   getCurrentUser,
   hasWritePermission,
   getPRId,
+  getRepoId,
+  getHeadSha,
+  getBaseBranch,
+  loadRepoOrderConfig,
+  clearRepoOrderConfigCache,
+  getPRParticipants,
+  getPRState,
   createOrderComment,
   parseOrderComment,
   extractOrdersFromComments,
   checkRateLimit,
   watchForNewComments,
   stopWatching,
+  postOrderComment,
+  updateOrderComment,
+  saveOrderComment,
+  dedupeOrders,
+  isTimelineIncomplete,
+  loadTimelineOrders,
+  clearTimelineCache,
+  loadAllOrders,
 } from '../../content/github-api.js';
 
+// A comment as GitHub shows it, with its author in the header
+const authoredComment = (author, body) =>
+  `<div class="timeline-comment">
+     <a class="author">${author}</a>
+     <div class="comment-body">${body}</div>
+   </div>`;
+
 describe('GitHub API - Simple Tests', () => {
   beforeEach(() => {
     // Clear DOM body
@@ -110,6 +133,188 @@ describe('GitHub API - Simple Tests', () => {
     });
   });
 
+  describe('getRepoId', () => {
+    it('should extract repo ID from URL', () => {
+      expect(getRepoId()).toBe('org/repo');
+    });
+
+    it('should return null for non-PR URLs', () => {
+      window.location = new URL('https://github.com/org/repo');
+
+      expect(getRepoId()).toBeNull();
+    });
+  });
+
+  describe('getHeadSha', () => {
+    it('should read head SHA from hidden input', () => {
+      document.body.innerHTML =
+        '<input type="hidden" name="head_sha" value="ABCDEF1234567">';
+
+      expect(getHeadSha()).toBe('abcdef1234567');
+    });
+
+    it('should return null when head SHA is missing or invalid', () => {
+      expect(getHeadSha()).toBeNull();
+
+      document.body.innerHTML =
+        '<input type="hidden" name="head_sha" value="not-a-sha">';
+
+      expect(getHeadSha()).toBeNull();
+    });
+
+    it('should record head SHA in order comment', () => {
+      document.body.innerHTML = '<div data-head-sha="abcdef1234567"></div>';
+
+      const comment = createOrderComment(['a.js']);
+
+      expect(comment).toContain('"headSha": "abcdef1234567"');
+    });
+  });
+
+  describe('getBaseBranch', () => {
+    it('should read the base branch from the PR header', () => {
+      document.body.innerHTML =
+        '<span class="commit-ref base-ref" title="org/repo:release/2.0">release/2.0</span>';
+
+      expect(getBaseBranch()).toBe('release/2.0');
+    });
+
+    it('should return null when the base branch is missing', () => {
+      expect(getBaseBranch()).toBeNull();
+    });
+  });
+
+  describe('loadRepoOrderConfig', () => {
+    const mockFetch = (files) => {
+      global.fetch = jest.fn(async (url) => {
+        const path = Object.keys(files).find((p) => url.endsWith(p));
+        return path
+          ? { ok: true, status: 200, text: async () => files[path] }
+          : { ok: false, status: 404 };
+      });
+    };
+
+    afterEach(() => {
+      clearRepoOrderConfigCache();
+      delete global.fetch;
+    });
+
+    it('should fetch the config from the base branch', async () => {
+      document.body.innerHTML =
+        '<span class="base-ref" title="org/repo:release/2.0">release/2.0</span>';
+      mockFetch({
+        '.github/pr-file-order.yml': 'buckets:\n  - patterns: [docs/**]',
+      });
+
+      const config = await loadRepoOrderConfig();
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        'https://github.com/org/repo/raw/release/2.0/.github/pr-file-order.yml'
+      );
+      expect(config.path).toBe('.github/pr-file-order.yml');
+      expect(config.url).toBe(
+        'https://github.com/org/repo/blob/release/2.0/.github/pr-file-order.yml'
+      );
+      expect(config.preset.buckets[0].patterns).toEqual(['docs/**']);
+      expect(config.errors).toEqual([]);
+    });
+
+    it('should fall back to the JSON config on the default branch', async () => {
+      mockFetch({
+        '.github/pr-file-order.json': '{"buckets": []}',
+      });
+
+      const config = await loadRepoOrderConfig();
+
+      expect(global.fetch).toHaveBeenLastCalledWith(
+        'https://github.com/org/repo/raw/HEAD/.github/pr-file-order.json'
+      );
+      expect(config.preset).toBeNull();
+      expect(config.errors).toEqual(['Preset needs at least one bucket']);
+    });
+
+    it('should return null when the repository has no config', async () => {
+      mockFetch({});
+
+      expect(await loadRepoOrderConfig()).toBeNull();
+    });
+
+    it('should throw on server errors', async () => {
+      global.fetch = jest.fn(async () => ({ ok: false, status: 500 }));
+
+      await expect(loadRepoOrderConfig()).rejects.toThrow(
+        'Failed to fetch .github/pr-file-order.yml: HTTP 500'
+      );
+
+      // Failures aren't cached
+      mockFetch({});
+      await expect(loadRepoOrderConfig()).resolves.toBeNull();
+    });
+
+    it('should fetch the config once per head commit', async () => {
+      document.body.innerHTML = '<input name="head_sha" value="abc1234">';
+      mockFetch({});
+
+      await loadRepoOrderConfig();
+      await loadRepoOrderConfig();
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+
+      document.body.innerHTML = '<input name="head_sha" value="def5678">';
+      await loadRepoOrderConfig();
+      expect(global.fetch).toHaveBeenCalledTimes(4);
+    });
+  });
+
+  describe('getPRState', () => {
+    it('should read the state badge in the PR header', () => {
+      expect(getPRState()).toBeNull();
+
+      document.body.innerHTML =
+        '<div class="gh-header-meta"><span class="State State--merged">Merged</span></div>';
+      expect(getPRState()).toBe('merged');
+
+      document.body.innerHTML =
+        '<span data-testid="header-state">Closed</span>';
+      expect(getPRState()).toBe('closed');
+
+      document.body.innerHTML =
+        '<div class="gh-header-meta"><span class="State">Draft</span></div>';
+      expect(getPRState()).toBe('open');
+    });
+  });
+
+  describe('getPRParticipants', () => {
+    it('should return empty participants when page has none', () => {
+      expect(getPRParticipants()).toEqual({
+        author: null,
+        reviewers: [],
+        codeOwners: [],
+      });
+    });
+
+    it('should extract author, reviewers and code owners', () => {
+      document.body.innerHTML = `
+        <div class="gh-header-meta"><a class="author">alice</a></div>
+        <div class="sidebar-assignee">
+          <p>
+            <a data-hovercard-type="user" data-hovercard-url="/users/bob/hovercard">bob</a>
+          </p>
+          <p>
+            <a data-hovercard-type="user" data-hovercard-url="/users/carol/hovercard">carol</a>
+            <span aria-label="carol is a code owner"></span>
+          </p>
+        </div>
+        <span aria-label="Owned by @dave and @org/team"></span>
+      `;
+
+      expect(getPRParticipants()).toEqual({
+        author: 'alice',
+        reviewers: ['bob', 'carol'],
+        codeOwners: ['carol', 'dave'],
+      });
+    });
+  });
+
   describe('createOrderComment', () => {
     it('should create valid comment with order data', () => {
       // Mock getCurrentUser
@@ -125,7 +330,7 @@ describe('GitHub API - Simple Tests', () => {
       expect(comment).toContain('"user": "testuser"');
       expect(comment).toContain('"order": [');
       expect(comment).toContain('"file1.js"');
-      expect(comment).toContain('"version": "1.0"');
+      expect(comment).toContain('"version": "1.1"');
     });
 
     it('should include metadata if provided', () => {
@@ -165,6 +370,45 @@ describe('GitHub API - Simple Tests', () => {
       expect(data.version).toBe('1.0');
     });
 
+    it('should round-trip notes through the hidden comment', () => {
+      document.head.innerHTML = '<meta name="user-login" content="alice">';
+
+      const comment = createOrderComment(['src/a.js', 'src/b.js'], {
+        notes: {
+          'src/a.js': 'read first: defines the interface',
+          'src/': 'core changes',
+          'deleted.js': 'no longer in the PR',
+        },
+      });
+
+      const data = parseOrderComment(comment);
+
+      expect(data.notes).toEqual({
+        'src/a.js': 'read first: defines the interface',
+        'src/': 'core changes',
+      });
+    });
+
+    it('should round-trip section dividers through the hidden comment', () => {
+      document.head.innerHTML = '<meta name="user-login" content="alice">';
+
+      const comment = createOrderComment(['api.ts', 'impl.ts', 'api.test.ts'], {
+        sections: [
+          { name: 'Tests', start: 'api.test.ts' },
+          { name: 'API contract', start: 'api.ts' },
+        ],
+      });
+
+      const data = parseOrderComment(comment);
+
+      expect(data.version).toBe('1.1');
+      expect(data.order).toEqual(['api.ts', 'impl.ts', 'api.test.ts']);
+      expect(data.sections).toEqual([
+        { name: 'API contract', start: 'api.ts' },
+        { name: 'Tests', start: 'api.test.ts' },
+      ]);
+    });
+
     it('should return null for comments without order data', () => {
       const commentHTML = '<p>Just a regular comment</p>';
 
@@ -189,35 +433,30 @@ describe('GitHub API - Simple Tests', () => {
   describe('extractOrdersFromComments', () => {
     it('should extract multiple orders from comments', () => {
       // SECURITY: Test code using innerHTML to create mock GitHub comments (safe - static test data)
-      // Create comment 1
-      const comment1 = document.createElement('div');
-      comment1.className = 'comment-body';
-      comment1.innerHTML = `
-        <!-- pr-file-order-data
+      document.body.innerHTML = [
+        authoredComment(
+          'user1',
+          `<!-- pr-file-order-data
 {
   "user": "user1",
   "order": ["a.js", "b.js"],
   "timestamp": "2024-01-01T00:00:00.000Z",
   "version": "1.0"
 }
--->
-      `;
-      document.body.appendChild(comment1);
-
-      // Create comment 2
-      const comment2 = document.createElement('div');
-      comment2.className = 'comment-body';
-      comment2.innerHTML = `
-        <!-- pr-file-order-data
+-->`
+        ),
+        authoredComment(
+          'user2',
+          `<!-- pr-file-order-data
 {
   "user": "user2",
   "order": ["b.js", "a.js"],
   "timestamp": "2024-01-01T01:00:00.000Z",
   "version": "1.0"
 }
--->
-      `;
-      document.body.appendChild(comment2);
+-->`
+        ),
+      ].join('');
 
       const orders = extractOrdersFromComments();
 
@@ -226,6 +465,23 @@ describe('GitHub API - Simple Tests', () => {
       expect(orders[1].user).toBe('user2');
     });
 
+    it('should ignore orders posted in the name of someone else', () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      document.head.innerHTML = '<meta name="user-login" content="alice">';
+      const spoofed = createOrderComment(['z.js'], {
+        timestamp: '2099-01-01T00:00:00.000Z',
+      });
+
+      document.body.innerHTML = [
+        authoredComment('mallory', spoofed),
+        `<div class="comment-body">${spoofed}</div>`,
+      ].join('');
+
+      expect(extractOrdersFromComments()).toEqual([]);
+      expect(warn).toHaveBeenCalled();
+      warn.mockRestore();
+    });
+
     it('should skip regular comments', () => {
       // SECURITY: Test code using innerHTML to create mock comment (safe - static test data)
       const comment = document.createElement('div');
@@ -332,4 +588,491 @@ describe('GitHub API - Simple Tests', () => {
       }, 100);
     });
   });
+
+  describe('REST backend', () => {
+    let messages;
+    let comments;
+
+    // Stand-in for the background service worker
+    const useBackend = (enabled) => {
+      messages = [];
+      comments = [];
+      global.chrome = {
+        storage: { local: { get: (keys, callback) => callback({}) } },
+        runtime: {
+          lastError: null,
+          sendMessage: (message, callback) => {
+            messages.push(message);
+            let result;
+            if (message.action === 'status') {
+              result = { enabled };
+            } else if (message.action === 'listComments') {
+              result = comments;
+            } else if (message.action === 'createComment') {
+              result = {
+                id: comments.length + 1,
+                user: 'alice',
+                body: message.body,
+              };
+              comments.push(result);
+            } else {
+              result = comments.find((c) => c.id === message.commentId) || {};
+              result.body = message.body;
+            }
+            callback({ ok: true, result });
+          },
+        },
+      };
+    };
+
+    beforeEach(() => {
+      document.head.innerHTML = '<meta name="user-login" content="alice">';
+    });
+
+    afterEach(() => {
+      delete global.chrome;
+    });
+
+    it('should post through the API without using the comment form', async () => {
+      useBackend(true);
+
+      await expect(postOrderComment(['b.js', 'a.js'])).resolves.toBe(true);
+
+      const post = messages.find((m) => m.action === 'createComment');
+      expect(post.type).toBe('pr-reorder:github-rest');
+      expect(post.prId).toBe('org/repo/123');
+      expect(parseOrderComment(post.body).order).toEqual(['b.js', 'a.js']);
+    });
+
+    it('should update an existing comment through the API', async () => {
+      useBackend(true);
+
+      await expect(updateOrderComment(7, ['a.js'])).resolves.toBe(true);
+
+      const update = messages.find((m) => m.action === 'updateComment');
+      expect(update.commentId).toBe(7);
+      expect(parseOrderComment(update.body).order).toEqual(['a.js']);
+    });
+
+    it('should load orders from API comments instead of the page', async () => {
+      useBackend(true);
+      comments.push(
+        { id: 1, user: 'bob', body: 'LGTM' },
+        {
+          id: 2,
+          user: 'bob',
+          body: createOrderComment(['a.js', 'b.js']).replace('alice', 'bob'),
+        },
+        {
+          id: 3,
+          user: 'mallory',
+          body: createOrderComment(['z.js'], {
+            timestamp: '2099-01-01T00:00:00.000Z',
+          }),
+        }
+      );
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      document.body.innerHTML = `<div class="comment-body">${createOrderComment(['z.js'])}</div>`;
+
+      const orders = await loadAllOrders();
+
+      expect(orders.map((order) => order.user)).toEqual(['bob']);
+      expect(orders[0].order).toEqual(['a.js', 'b.js']);
+      expect(warn).toHaveBeenCalled();
+      warn.mockRestore();
+    });
+
+    it('should use the page when no token is configured', async () => {
+      useBackend(false);
+
+      await expect(postOrderComment(['a.js'])).resolves.toBe(false);
+      await expect(updateOrderComment(7, ['a.js'])).resolves.toBe(false);
+      expect(messages.every((m) => m.action === 'status')).toBe(true);
+    });
+
+    it("should edit the user's order comment in place with a new revision", async () => {
+      useBackend(true);
+      comments.push({
+        id: 1,
+        user: 'bob',
+        body: createOrderComment(['x.js']).replace('alice', 'bob'),
+      });
+
+      await saveOrderComment(['a.js', 'b.js']);
+      localStorage.clear();
+      await saveOrderComment(['b.js', 'a.js']);
+
+      expect(comments.length).toBe(2);
+      const own = parseOrderComment(comments[1].body);
+      expect(own.order).toEqual(['b.js', 'a.js']);
+      expect(own.revision).toBe(2);
+      expect(parseOrderComment(comments[0].body).user).toBe('bob');
+      expect(messages.map((m) => m.action)).toContain('updateComment');
+    });
+  });
+
+  describe('saveOrderComment on the page', () => {
+    beforeEach(() => {
+      jest.useFakeTimers();
+      document.head.innerHTML = '<meta name="user-login" content="alice">';
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    const addNewCommentForm = () => {
+      document.body.insertAdjacentHTML(
+        'beforeend',
+        `<textarea id="new_comment_field"></textarea>
+         <button type="submit" class="js-comment-button"></button>`
+      );
+      return document.querySelector('.js-comment-button');
+    };
+
+    // The user's order comment with its edit form, as GitHub renders it.
+    // Maintainers see the same form on comments by others.
+    const ownComment = (revision, author = 'alice') =>
+      `<div class="timeline-comment">
+         <a class="author">${author}</a>
+         <div class="comment-body">${createOrderComment(['a.js'], { revision })}</div>
+         <form class="js-comment-update" action="/org/repo/issue_comments/${revision}" method="post">
+           <input type="hidden" name="_method" value="put">
+           <input type="hidden" name="authenticity_token" value="token">
+           <textarea name="issue_comment[body]"></textarea>
+           <button type="submit"></button>
+         </form>
+       </div>`;
+
+    const mockFetch = (pages = {}, editStatus = 200) => {
+      global.fetch = jest.fn(async (url, init = {}) => {
+        if (init.method === 'POST') {
+          return { ok: editStatus === 200, status: editStatus };
+        }
+        const page = pages[url];
+        return page === undefined
+          ? { ok: false, status: 404 }
+          : { ok: true, status: 200, text: async () => page };
+      });
+    };
+
+    const getEdits = () =>
+      global.fetch.mock.calls.filter(([, init = {}]) => init.method === 'POST');
+
+    afterEach(() => {
+      clearTimelineCache();
+      delete global.fetch;
+    });
+
+    it("should edit the user's existing order comment", async () => {
+      const newCommentButton = addNewCommentForm();
+      const newCommentClick = jest.fn();
+      newCommentButton.addEventListener('click', newCommentClick);
+      document.body.insertAdjacentHTML('afterbegin', ownComment(4));
+      mockFetch();
+
+      const saved = saveOrderComment(['b.js', 'a.js']);
+      await jest.advanceTimersByTimeAsync(1100);
+
+      await expect(saved).resolves.toBe(true);
+      expect(newCommentClick).not.toHaveBeenCalled();
+
+      const [[url, init]] = getEdits();
+      expect(url).toBe('https://github.com/org/repo/issue_comments/4');
+      expect(init.credentials).toBe('same-origin');
+      expect(init.body.get('_method')).toBe('put');
+      expect(init.body.get('authenticity_token')).toBe('token');
+
+      const data = parseOrderComment(init.body.get('issue_comment[body]'));
+      expect(data.order).toEqual(['b.js', 'a.js']);
+      expect(data.revision).toBe(5);
+    });
+
+    it("should not edit another user's comment that claims the user's name", async () => {
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      addNewCommentForm();
+      document.body.insertAdjacentHTML(
+        'afterbegin',
+        `${ownComment(2)}${ownComment(9, 'mallory')}`
+      );
+      mockFetch();
+
+      const saved = saveOrderComment(['b.js', 'a.js']);
+      await jest.advanceTimersByTimeAsync(1100);
+
+      await expect(saved).resolves.toBe(true);
+      const [[url, init]] = getEdits();
+      expect(url).toBe('https://github.com/org/repo/issue_comments/2');
+      expect(
+        parseOrderComment(init.body.get('issue_comment[body]')).revision
+      ).toBe(3);
+      expect(warnSpy).toHaveBeenCalledWith(
+        '[PR-Reorder] Ignoring order for alice in a comment by mallory'
+      );
+      warnSpy.mockRestore();
+    });
+
+    // The conversation page's new comment form
+    const newCommentForm = `
+      <form action="/org/repo/issue_comments" method="post">
+        <input type="hidden" name="authenticity_token" value="token">
+        <textarea id="new_comment_field" name="comment[body]"></textarea>
+      </form>`;
+
+    it('should edit the comment on the conversation page from the Files tab', async () => {
+      window.location = new URL('https://github.com/org/repo/pull/123/files');
+      mockFetch({
+        'https://github.com/org/repo/pull/123': `
+          ${ownComment(2)}
+          <include-fragment src="/org/repo/pull/123/timeline_more_items"></include-fragment>
+          ${newCommentForm}`,
+        'https://github.com/org/repo/pull/123/timeline_more_items':
+          ownComment(3),
+      });
+
+      const saved = saveOrderComment(['b.js', 'a.js']);
+      await jest.advanceTimersByTimeAsync(1100);
+
+      await expect(saved).resolves.toBe(true);
+      const [[url, init]] = getEdits();
+      expect(url).toBe('https://github.com/org/repo/issue_comments/3');
+      expect(
+        parseOrderComment(init.body.get('issue_comment[body]')).revision
+      ).toBe(4);
+    });
+
+    it('should post through the conversation page from the Files tab', async () => {
+      window.location = new URL('https://github.com/org/repo/pull/123/files');
+      mockFetch({ 'https://github.com/org/repo/pull/123': newCommentForm });
+
+      await expect(saveOrderComment(['a.js'])).resolves.toBe(true);
+
+      const [[url, init]] = getEdits();
+      expect(url).toBe('https://github.com/org/repo/issue_comments');
+      expect(init.body.get('authenticity_token')).toBe('token');
+      expect(parseOrderComment(init.body.get('comment[body]')).order).toEqual([
+        'a.js',
+      ]);
+    });
+
+    it('should not post from the Files tab without a comment form', async () => {
+      window.location = new URL('https://github.com/org/repo/pull/123/files');
+      mockFetch({ 'https://github.com/org/repo/pull/123': ownComment(1) });
+
+      await expect(saveOrderComment(['a.js'])).resolves.toBe(false);
+      expect(getEdits()).toHaveLength(0);
+    });
+
+    it('should post a new comment when GitHub rejects the edit', async () => {
+      const errorSpy = jest
+        .spyOn(console, 'error')
+        .mockImplementation(() => {});
+      const newCommentButton = addNewCommentForm();
+      const newCommentClick = jest.fn();
+      newCommentButton.addEventListener('click', newCommentClick);
+      document.body.insertAdjacentHTML('afterbegin', ownComment(1));
+      mockFetch({}, 422);
+
+      const saved = saveOrderComment(['b.js', 'a.js']);
+      await jest.advanceTimersByTimeAsync(1100);
+      await saved;
+
+      expect(getEdits()).toHaveLength(1);
+      expect(newCommentClick).toHaveBeenCalled();
+      expect(errorSpy).toHaveBeenCalledWith(
+        '[PR-Reorder] Failed to submit order comment:',
+        expect.any(Error)
+      );
+      errorSpy.mockRestore();
+    });
+
+    it('should post a first revision when the user has no order comment', async () => {
+      addNewCommentForm();
+
+      const saved = saveOrderComment(['a.js']);
+      await jest.advanceTimersByTimeAsync(1100);
+      await saved;
+
+      const field = document.querySelector('#new_comment_field');
+      expect(parseOrderComment(field.value).revision).toBe(1);
+    });
+  });
+
+  describe('dedupeOrders', () => {
+    it('should keep the newest order per user', () => {
+      const orders = [
+        { user: 'alice', order: ['a'], timestamp: '2024-01-01T00:00:00Z' },
+        { user: 'bob', order: ['b'], timestamp: '2024-01-01T00:00:00Z' },
+        { user: 'alice', order: ['c'], timestamp: '2024-01-03T00:00:00Z' },
+        {
+          user: 'bob',
+          order: ['d'],
+          timestamp: '2024-01-01T00:00:00Z',
+          revision: 2,
+        },
+        { user: 'alice', order: ['e'], timestamp: '2024-01-02T00:00:00Z' },
+      ];
+
+      expect(dedupeOrders(orders).map((o) => [o.user, o.order[0]])).toEqual([
+        ['alice', 'c'],
+        ['bob', 'd'],
+      ]);
+    });
+
+    it('should count only the newest of several order comments', async () => {
+      global.chrome = {
+        storage: { local: { get: (keys, callback) => callback({}) } },
+        runtime: { lastError: null },
+      };
+      document.head.innerHTML = '<meta name="user-login" content="alice">';
+      document.body.innerHTML = [
+        createOrderComment(['a.js', 'b.js']),
+        createOrderComment(['b.js', 'a.js'], { revision: 2 }),
+      ]
+        .map((comment) => authoredComment('alice', comment))
+        .join('');
+
+      const orders = await loadAllOrders();
+      delete global.chrome;
+
+      expect(orders.length).toBe(1);
+      expect(orders[0].order).toEqual(['b.js', 'a.js']);
+    });
+  });
+
+  describe('timeline loader', () => {
+    const prId = 'org/repo/123';
+    const orderComment = (user, order) =>
+      authoredComment(user, createOrderComment(order).replace('alice', user));
+
+    // Pages are served with their content as ETag, and answer 304 when
+    // it is sent back
+    const mockTimeline = (pages) => {
+      global.fetch = jest.fn(async (url, init) => {
+        const page = pages[url];
+        if (page === undefined) {
+          return { ok: false, status: 404 };
+        }
+        if (init.headers['If-None-Match'] === page) {
+          return { ok: false, status: 304 };
+        }
+        return {
+          ok: true,
+          status: 200,
+          headers: new Map([['ETag', page]]),
+          text: async () => page,
+        };
+      });
+    };
+
+    beforeEach(() => {
+      document.head.innerHTML = '<meta name="user-login" content="alice">';
+      mockTimeline({
+        'https://github.com/org/repo/pull/123': `
+          ${orderComment('bob', ['a.js', 'b.js'])}
+          <form class="ajax-pagination-form" action="/org/repo/pull/123/timeline_more_items">
+            <input type="hidden" name="cursor" value="abc">
+          </form>`,
+        'https://github.com/org/repo/pull/123/timeline_more_items?cursor=abc': `
+          ${orderComment('carol', ['b.js', 'a.js'])}
+          <include-fragment src="https://evil.example/timeline"></include-fragment>
+          <include-fragment src="/org/repo/pull/123/review_menu"></include-fragment>`,
+      });
+    });
+
+    afterEach(() => {
+      clearTimelineCache();
+      delete global.fetch;
+    });
+
+    it('should follow "load more" fragments on the same origin', async () => {
+      const orders = await loadTimelineOrders(prId);
+
+      expect(orders.map((order) => order.user)).toEqual(['bob', 'carol']);
+      expect(global.fetch.mock.calls.map(([url]) => url)).toEqual([
+        'https://github.com/org/repo/pull/123',
+        'https://github.com/org/repo/pull/123/timeline_more_items?cursor=abc',
+      ]);
+      expect(global.fetch.mock.calls[0][1].credentials).toBe('same-origin');
+    });
+
+    it('should cache orders per PR until cleared', async () => {
+      await loadTimelineOrders(prId);
+      await loadTimelineOrders(prId);
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+
+      clearTimelineCache(prId);
+      await loadTimelineOrders(prId);
+      expect(global.fetch).toHaveBeenCalledTimes(4);
+    });
+
+    it('should only download pages that changed since the last load', async () => {
+      const first = await loadTimelineOrders(prId);
+      const [, fragmentUrl] = global.fetch.mock.calls.map(([url]) => url);
+
+      clearTimelineCache(prId);
+      await expect(loadTimelineOrders(prId)).resolves.toEqual(first);
+      const revalidations = global.fetch.mock.calls.slice(2);
+      expect(revalidations).toHaveLength(2);
+      revalidations.forEach(([, init]) => {
+        expect(init.headers['If-None-Match']).toBeDefined();
+      });
+
+      // A teammate re-saves an order in a collapsed part of the timeline
+      mockTimeline({
+        'https://github.com/org/repo/pull/123': `
+          ${orderComment('bob', ['a.js', 'b.js'])}
+          <form class="ajax-pagination-form" action="/org/repo/pull/123/timeline_more_items">
+            <input type="hidden" name="cursor" value="abc">
+          </form>`,
+        [fragmentUrl]: orderComment('carol', ['a.js', 'b.js']),
+      });
+
+      clearTimelineCache(prId);
+      const orders = await loadTimelineOrders(prId);
+      expect(orders.find((order) => order.user === 'carol').order).toEqual([
+        'a.js',
+        'b.js',
+      ]);
+    });
+
+    it('should not cache failures', async () => {
+      mockTimeline({});
+      await expect(loadTimelineOrders(prId)).rejects.toThrow(
+        'Failed to fetch timeline: HTTP 404'
+      );
+
+      mockTimeline({ 'https://github.com/org/repo/pull/123': '' });
+      await expect(loadTimelineOrders(prId)).resolves.toEqual([]);
+    });
+
+    it('should only be needed when the page is missing comments', () => {
+      expect(isTimelineIncomplete()).toBe(false);
+
+      document.body.innerHTML =
+        '<include-fragment src="/org/repo/pull/123/review_menu"></include-fragment>';
+      expect(isTimelineIncomplete()).toBe(false);
+
+      document.body.innerHTML =
+        '<include-fragment src="/org/repo/pull/123/timeline_more_items"></include-fragment>';
+      expect(isTimelineIncomplete()).toBe(true);
+
+      document.body.innerHTML = '';
+      window.location = new URL('https://github.com/org/repo/pull/123/files');
+      expect(isTimelineIncomplete()).toBe(true);
+    });
+
+    it("should load everyone's orders on the Files tab", async () => {
+      global.chrome = {
+        storage: { local: { get: (keys, callback) => callback({}) } },
+        runtime: { lastError: null },
+      };
+      window.location = new URL('https://github.com/org/repo/pull/123/files');
+
+      const orders = await loadAllOrders();
+      delete global.chrome;
+
+      expect(orders.map((order) => order.user)).toEqual(['bob', 'carol']);
+    });
+  });
 });
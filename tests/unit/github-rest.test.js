@@ -0,0 +1,134 @@
+/**
+ * @jest-environment node
+ */
+
+import {
+  createGitHubClient,
+  handleRestMessage,
+} from '../../utils/github-rest.js';
+import { startMockGitHubServer } from '../helpers/mock-github-server.js';
+
+describe('GitHub REST client', () => {
+  const prId = 'org/repo/42';
+  let server;
+  let client;
+
+  beforeEach(async () => {
+    server = await startMockGitHubServer();
+    client = createGitHubClient({ token: 'test-token', baseUrl: server.url });
+  });
+
+  afterEach(async () => {
+    await server.close();
+  });
+
+  it('should require a token', () => {
+    expect(() => createGitHubClient({})).toThrow('GitHub token is required');
+  });
+
+  it('should get the user the token belongs to', async () => {
+    await expect(client.getAuthenticatedUser()).resolves.toEqual({
+      login: 'alice',
+    });
+  });
+
+  it('should create, list and update comments', async () => {
+    const created = await client.createComment(prId, 'first');
+    expect(created).toMatchObject({ user: 'alice', body: 'first' });
+
+    const updated = await client.updateComment(prId, created.id, 'edited');
+    expect(updated).toMatchObject({ id: created.id, body: 'edited' });
+
+    const comments = await client.listComments(prId);
+    expect(comments.map((comment) => comment.body)).toEqual(['edited']);
+    expect(server.requests.map((request) => request.method)).toEqual([
+      'POST',
+      'PATCH',
+      'GET',
+    ]);
+  });
+
+  it('should follow pages when listing comments', async () => {
+    for (let i = 0; i < 150; i++) {
+      server.addComment(prId, `comment ${i}`, 'bob');
+    }
+
+    const comments = await client.listComments(prId);
+
+    expect(comments.length).toBe(150);
+    expect(comments[149]).toMatchObject({ user: 'bob', body: 'comment 149' });
+    expect(server.requests.map((request) => request.path)).toEqual([
+      '/repos/org/repo/issues/42/comments?per_page=100&page=1',
+      '/repos/org/repo/issues/42/comments?per_page=100&page=2',
+    ]);
+  });
+
+  it('should report API errors with their status and message', async () => {
+    const badClient = createGitHubClient({
+      token: 'wrong',
+      baseUrl: server.url,
+    });
+    await expect(badClient.listComments(prId)).rejects.toThrow(
+      'GitHub API error: HTTP 401: Bad credentials'
+    );
+
+    const { id } = server.addComment(prId, 'not mine', 'bob');
+    await expect(client.updateComment(prId, id, 'hijack')).rejects.toThrow(
+      'HTTP 403'
+    );
+  });
+
+  it('should reject malformed PR and comment IDs before calling the API', async () => {
+    await expect(client.listComments('org/repo')).rejects.toThrow(
+      'Invalid PR ID'
+    );
+    await expect(client.updateComment(prId, '1/../2', 'x')).rejects.toThrow(
+      'Invalid comment ID'
+    );
+    expect(server.requests).toEqual([]);
+  });
+
+  describe('handleRestMessage', () => {
+    it('should only report whether a token is configured', async () => {
+      await expect(
+        handleRestMessage({ action: 'status' }, { token: 'secret' })
+      ).resolves.toEqual({ enabled: true });
+      await expect(
+        handleRestMessage({ action: 'status' }, { token: null })
+      ).resolves.toEqual({ enabled: false });
+    });
+
+    it('should run comment actions with the saved token', async () => {
+      const options = { token: 'test-token', baseUrl: server.url };
+
+      const created = await handleRestMessage(
+        { action: 'createComment', prId, body: 'order' },
+        options
+      );
+      await handleRestMessage(
+        {
+          action: 'updateComment',
+          prId,
+          commentId: created.id,
+          body: 'new order',
+        },
+        options
+      );
+      const comments = await handleRestMessage(
+        { action: 'listComments', prId },
+        options
+      );
+
+      expect(comments.map((comment) => comment.body)).toEqual(['new order']);
+    });
+
+    it('should reject requests without a token or with unknown actions', async () => {
+      await expect(
+        handleRestMessage({ action: 'listComments', prId }, {})
+      ).rejects.toThrow('No GitHub token configured');
+      await expect(
+        handleRestMessage({ action: 'deleteRepo' }, { token: 'test-token' })
+      ).rejects.toThrow('Unknown GitHub REST action: deleteRepo');
+    });
+  });
+});
@@ -0,0 +1,239 @@
+/**
+ * Unit tests for the Message Bus
+ */
+import { jest } from '@jest/globals';
+import {
+  BUS_MESSAGE_TYPE,
+  BusMessageKind,
+  PR_TAB_URL_PATTERN,
+  createBusMessage,
+  validateBusMessage,
+  handleBusMessage,
+  getStorageChangeMessages,
+  sendBusMessage,
+  broadcastToTabs,
+} from '../../utils/message-bus.js';
+
+describe('Message Bus', () => {
+  describe('createBusMessage', () => {
+    it('should build typed messages with sanitized payloads', () => {
+      expect(
+        createBusMessage(BusMessageKind.APPLY_ORDER, {
+          prId: 'o/r/1',
+          order: ['a.js', 'b.js'],
+          sections: [
+            { name: 'Core', start: 'a.js' },
+            { name: 'Gone', start: 'gone.js' },
+          ],
+          extra: true,
+        })
+      ).toEqual({
+        type: BUS_MESSAGE_TYPE,
+        kind: 'applyOrder',
+        payload: {
+          prId: 'o/r/1',
+          order: ['a.js', 'b.js'],
+          sections: [{ name: 'Core', start: 'a.js' }],
+        },
+      });
+
+      expect(
+        createBusMessage(BusMessageKind.PREFERENCE_CHANGED, { key: 'x' })
+      ).toMatchObject({ payload: { key: 'x', value: null } });
+    });
+
+    it('should reject invalid payloads', () => {
+      expect(() => createBusMessage(BusMessageKind.GET_STATE, {})).toThrow(
+        'PR ID is required'
+      );
+      expect(() =>
+        createBusMessage(BusMessageKind.ORDERS_CHANGED, {
+          prId: 'o/r/1',
+          order: [],
+        })
+      ).toThrow('Order cannot be empty');
+      expect(() =>
+        createBusMessage(BusMessageKind.PREFERENCE_CHANGED, { value: 1 })
+      ).toThrow('Preference key is required');
+      expect(() => createBusMessage(BusMessageKind.GET_STATE)).toThrow(
+        'Message payload must be an object'
+      );
+    });
+  });
+
+  describe('validateBusMessage', () => {
+    it('should reject other messages and unknown kinds', () => {
+      expect(() => validateBusMessage({ type: 'other' })).toThrow(
+        'Not a bus message'
+      );
+      expect(() =>
+        validateBusMessage({ type: BUS_MESSAGE_TYPE, kind: 'toString' })
+      ).toThrow('Unknown message kind: toString');
+    });
+  });
+
+  describe('handleBusMessage', () => {
+    it('should run the handler for the kind with the payload', async () => {
+      const handlers = { getState: jest.fn(async ({ prId }) => prId) };
+      const message = createBusMessage(BusMessageKind.GET_STATE, {
+        prId: 'o/r/1',
+      });
+
+      await expect(handleBusMessage(message, handlers)).resolves.toBe('o/r/1');
+    });
+
+    it('should reject kinds this side does not answer', async () => {
+      const message = createBusMessage(BusMessageKind.GET_STATE, {
+        prId: 'o/r/1',
+      });
+
+      await expect(handleBusMessage(message, {})).rejects.toThrow(
+        'No handler for message: getState'
+      );
+    });
+  });
+
+  describe('getStorageChangeMessages', () => {
+    it('should describe saved orders and changed preferences', () => {
+      const messages = getStorageChangeMessages({
+        'pr-order:o/r/1': {
+          oldValue: { order: ['a.js'], timestamp: '2024-01-01T00:00:00Z' },
+          newValue: { order: ['b.js'], timestamp: '2024-01-02T00:00:00Z' },
+        },
+        'pr-order:o/r/2': {
+          oldValue: { order: ['a.js'], timestamp: '2024-01-01T00:00:00Z' },
+          newValue: {
+            order: ['a.js'],
+            timestamp: '2024-01-01T00:00:00Z',
+            prState: 'merged',
+          },
+        },
+        'pr-order:o/r/3': { oldValue: { order: ['a.js'] } },
+        'pr-reorder:preferences': {
+          oldValue: { lastPreset: 'alphabetical', reorderView: 'tree' },
+          newValue: { lastPreset: 'alphabetical', autoApplyConsensus: false },
+        },
+        'pr-reorder:preference-times': { newValue: { lastPreset: 1 } },
+      });
+
+      expect(messages).toEqual([
+        {
+          type: BUS_MESSAGE_TYPE,
+          kind: 'ordersChanged',
+          payload: {
+            prId: 'o/r/1',
+            order: ['b.js'],
+            sections: [],
+            fromSync: false,
+          },
+        },
+        {
+          type: BUS_MESSAGE_TYPE,
+          kind: 'preferenceChanged',
+          payload: { key: 'reorderView', value: null },
+        },
+        {
+          type: BUS_MESSAGE_TYPE,
+          kind: 'preferenceChanged',
+          payload: { key: 'autoApplyConsensus', value: false },
+        },
+      ]);
+    });
+
+    it('should mark orders copied from another device', () => {
+      const fromSync = new Set(['o/r/2']);
+      const change = (order) => ({
+        newValue: { order, timestamp: '2024-01-02T00:00:00Z' },
+      });
+
+      const messages = getStorageChangeMessages(
+        {
+          'pr-order:o/r/1': change(['a.js']),
+          'pr-order:o/r/2': change(['b.js']),
+        },
+        (prId) => fromSync.has(prId)
+      );
+
+      expect(messages.map(({ payload }) => payload.fromSync)).toEqual([
+        false,
+        true,
+      ]);
+    });
+
+    it('should skip saved orders that fail validation', () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      expect(
+        getStorageChangeMessages({
+          'pr-order:o/r/1': { newValue: { order: [], timestamp: 'x' } },
+        })
+      ).toEqual([]);
+      expect(warn).toHaveBeenCalled();
+
+      warn.mockRestore();
+    });
+  });
+
+  describe('chrome messaging', () => {
+    let responses;
+
+    beforeEach(() => {
+      responses = {};
+      global.chrome = {
+        runtime: {
+          lastError: null,
+          sendMessage: jest.fn((message, callback) => callback(responses.sw)),
+        },
+        tabs: {
+          query: jest.fn(async () => [{ id: 1 }, { id: 2 }, { id: 3 }]),
+          sendMessage: jest.fn((tabId, message, callback) => {
+            chrome.runtime.lastError =
+              tabId === 3 ? { message: 'Receiving end does not exist' } : null;
+            callback(responses[tabId]);
+            chrome.runtime.lastError = null;
+          }),
+        },
+      };
+    });
+
+    afterEach(() => {
+      delete global.chrome;
+    });
+
+    it('should send requests to the service worker and unwrap results', async () => {
+      responses.sw = { ok: true, result: { order: null } };
+
+      await expect(
+        sendBusMessage(BusMessageKind.GET_STATE, { prId: 'o/r/1' })
+      ).resolves.toEqual({ order: null });
+      expect(chrome.runtime.sendMessage).toHaveBeenCalledWith(
+        {
+          type: BUS_MESSAGE_TYPE,
+          kind: 'getState',
+          payload: { prId: 'o/r/1' },
+        },
+        expect.any(Function)
+      );
+
+      responses.sw = { ok: false, error: 'No handler for message: getState' };
+      await expect(
+        sendBusMessage(BusMessageKind.GET_STATE, { prId: 'o/r/1' })
+      ).rejects.toThrow('No handler for message: getState');
+    });
+
+    it('should broadcast to PR tabs and collect their answers', async () => {
+      responses[1] = { ok: true, result: true };
+      responses[2] = { ok: false, error: 'Not a bus message' };
+      const message = createBusMessage(BusMessageKind.PREFERENCE_CHANGED, {
+        key: 'autoApplyConsensus',
+        value: true,
+      });
+
+      await expect(broadcastToTabs(message)).resolves.toEqual([true]);
+      expect(chrome.tabs.query).toHaveBeenCalledWith({
+        url: PR_TAB_URL_PATTERN,
+      });
+      expect(chrome.tabs.sendMessage).toHaveBeenCalledTimes(3);
+    });
+  });
+});
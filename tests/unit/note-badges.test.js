@@ -0,0 +1,76 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import { renderNoteBadges } from '../../content/note-badges.js';
+import { createMockFilesContainer } from '../helpers/dom.js';
+
+describe('Note Badges', () => {
+  const getBadge = (path) =>
+    document
+      .querySelector(`.file[data-path="${path}"]`)
+      .querySelector('.pr-reorder-note-badge');
+
+  beforeEach(() => {
+    document.body.appendChild(
+      createMockFilesContainer(
+        ['src/a.js', 'src/b.js', 'README.md'].map((path) => ({ path }))
+      )
+    );
+  });
+
+  afterEach(() => {
+    while (document.body.firstChild) {
+      document.body.removeChild(document.body.firstChild);
+    }
+  });
+
+  it('should show notes on the diff headers of the files they cover', () => {
+    const orders = [
+      {
+        user: 'alice',
+        order: ['src/a.js', 'src/b.js', 'README.md'],
+        notes: { 'src/a.js': 'read first: defines the interface' },
+      },
+      {
+        user: 'bob',
+        order: ['src/b.js', 'src/a.js', 'README.md'],
+        notes: { 'src/': 'core changes' },
+      },
+    ];
+
+    expect(renderNoteBadges(orders)).toBe(2);
+
+    const badge = getBadge('src/a.js');
+    expect(badge.parentElement.className).toBe('file-info');
+    expect(badge.textContent).toBe('📝 read first: defines the interface+1');
+    expect(badge.title).toBe(
+      'alice: read first: defines the interface\nbob (src/): core changes'
+    );
+    expect(getBadge('src/b.js').textContent).toBe('📝 core changes');
+    expect(getBadge('README.md')).toBeNull();
+  });
+
+  it('should replace badges from a previous render', () => {
+    const order = ['src/a.js', 'src/b.js', 'README.md'];
+    renderNoteBadges([{ user: 'alice', order, notes: { 'README.md': 'x' } }]);
+    renderNoteBadges([{ user: 'alice', order, notes: { 'src/a.js': 'y' } }]);
+
+    expect(document.querySelectorAll('.pr-reorder-note-badge').length).toBe(1);
+    expect(getBadge('src/a.js').textContent).toBe('📝 y');
+  });
+
+  it('should render note text as text, not HTML', () => {
+    renderNoteBadges([
+      {
+        user: 'mallory',
+        order: ['README.md'],
+        notes: { 'README.md': '<img src=x onerror=alert(1)>' },
+      },
+    ]);
+
+    const badge = getBadge('README.md');
+    expect(badge.querySelector('img')).toBeNull();
+    expect(badge.textContent).toBe('📝 <img src=x onerror=alert(1)>');
+  });
+});
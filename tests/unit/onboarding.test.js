@@ -2,7 +2,7 @@
  * Tests for onboarding tour functionality
  */
 
-import { describe, it, expect, beforeEach } from '@jest/globals';
+import { describe, it, expect, beforeEach, afterEach } from '@jest/globals';
 import {
   shouldShowTour,
   markTourComplete,
@@ -106,3 +106,62 @@ describe('markTourComplete', () => {
     expect(stored.timestamp).toBeLessThanOrEqual(after);
   });
 });
+
+describe('tour preference', () => {
+  let preferences;
+
+  beforeEach(() => {
+    preferences = {};
+    global.chrome = {
+      storage: {
+        local: {
+          get: (keys, callback) =>
+            callback(JSON.parse(JSON.stringify(preferences))),
+          set: (data, callback) => {
+            Object.assign(preferences, data);
+            callback();
+          },
+        },
+      },
+      runtime: { lastError: null },
+    };
+    global.localStorage = {
+      storage: {},
+      getItem(key) {
+        return this.storage[key] || null;
+      },
+      setItem(key, value) {
+        this.storage[key] = value;
+      },
+      removeItem(key) {
+        delete this.storage[key];
+      },
+    };
+  });
+
+  afterEach(() => {
+    delete global.chrome;
+  });
+
+  it('stores completion as an extension preference', async () => {
+    await markTourComplete();
+    expect(preferences['pr-reorder:preferences'].tourComplete).toBe(true);
+    expect(await shouldShowTour()).toBe(false);
+  });
+
+  it('still honours completion stored only in localStorage', async () => {
+    global.localStorage.setItem('pr-reorder-tour-complete', '{}');
+    expect(await shouldShowTour()).toBe(false);
+  });
+
+  it('shows the tour again after a reset from another page', async () => {
+    // The options page can't reach GitHub's localStorage
+    global.localStorage.setItem('pr-reorder-tour-complete', '{}');
+    preferences['pr-reorder:preferences'] = { tourComplete: true };
+
+    await resetTour();
+    global.localStorage.setItem('pr-reorder-tour-complete', '{}');
+
+    expect(await shouldShowTour()).toBe(true);
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * Unit tests for Order History
+ */
+import { createOrderHistory } from '../../utils/order-history.js';
+
+describe('order-history', () => {
+  describe('createOrderHistory', () => {
+    it('should start with the initial order and nothing to undo', () => {
+      const history = createOrderHistory(['a', 'b']);
+
+      expect(history.getCurrent()).toEqual(['a', 'b']);
+      expect(history.canUndo()).toBe(false);
+      expect(history.canRedo()).toBe(false);
+      expect(history.getPosition()).toEqual({ position: 1, total: 1 });
+    });
+
+    it('should undo and redo changes', () => {
+      const history = createOrderHistory(['a', 'b', 'c']);
+      history.push(['b', 'a', 'c'], 'Move file');
+      history.push(['c', 'b', 'a'], 'Apply preset');
+
+      expect(history.undo()).toEqual({
+        order: ['b', 'a', 'c'],
+        label: 'Apply preset',
+      });
+      expect(history.undo()).toEqual({
+        order: ['a', 'b', 'c'],
+        label: 'Move file',
+      });
+      expect(history.undo()).toBeNull();
+
+      expect(history.redo()).toEqual({
+        order: ['b', 'a', 'c'],
+        label: 'Move file',
+      });
+      expect(history.getPosition()).toEqual({ position: 2, total: 3 });
+    });
+
+    it('should ignore pushes that do not change the order', () => {
+      const history = createOrderHistory(['a', 'b']);
+
+      expect(history.push(['a', 'b'])).toBe(false);
+      expect(history.getPosition().total).toBe(1);
+    });
+
+    it('should discard redo entries on a new change', () => {
+      const history = createOrderHistory(['a', 'b', 'c']);
+      history.push(['b', 'a', 'c']);
+      history.undo();
+      history.push(['c', 'a', 'b']);
+
+      expect(history.canRedo()).toBe(false);
+      expect(history.getPosition()).toEqual({ position: 2, total: 2 });
+    });
+
+    it('should drop the oldest entries beyond the limit', () => {
+      const history = createOrderHistory(['a', 'b', 'c'], { limit: 3 });
+      history.push(['b', 'a', 'c']);
+      history.push(['b', 'c', 'a']);
+      history.push(['c', 'b', 'a']);
+
+      expect(history.getPosition()).toEqual({ position: 3, total: 3 });
+      history.undo();
+      expect(history.undo().order).toEqual(['b', 'a', 'c']);
+      expect(history.canUndo()).toBe(false);
+    });
+
+    it('should not share arrays with callers', () => {
+      const order = ['a', 'b'];
+      const history = createOrderHistory(order);
+      order.reverse();
+
+      history.getCurrent().push('c');
+      expect(history.getCurrent()).toEqual(['a', 'b']);
+    });
+
+    it('should reject invalid limits', () => {
+      expect(() => createOrderHistory([], { limit: 1 })).toThrow(
+        'History limit must be an integer of at least 2'
+      );
+    });
+  });
+});
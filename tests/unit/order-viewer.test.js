@@ -2,6 +2,7 @@
  * @jest-environment jsdom
  */
 
+import { jest } from '@jest/globals';
 import { createOrderViewerModal } from '../../ui/order-viewer.js';
 
 describe('Order Viewer Modal', () => {
@@ -341,6 +342,34 @@ describe('Order Viewer Modal', () => {
       modal.close();
     });
 
+    it('should say when every order is for an earlier commit', () => {
+      const modal = createOrderViewerModal({
+        orders: [
+          {
+            user: 'bob',
+            order: ['a.js'],
+            timestamp: '2024-01-01T00:00:00Z',
+            headSha: '0001112223',
+            stale: true,
+            weight: 0,
+          },
+        ],
+        consensus: [],
+        metadata: {
+          participantCount: 1,
+          agreementScore: 0,
+          conflicts: [],
+          mostRecentTimestamp: null,
+        },
+      });
+
+      expect(
+        document.querySelector('.pr-viewer-consensus-list').textContent
+      ).toContain('No current orders');
+
+      modal.close();
+    });
+
     it('should mark local orders with badge', () => {
       const orders = [
         {
@@ -370,5 +399,292 @@ describe('Order Viewer Modal', () => {
 
       modal.close();
     });
+
+    it('should show vote weight badge for weighted orders', () => {
+      const orders = [
+        {
+          user: 'alice',
+          order: ['a.js'],
+          timestamp: '2024-01-01T00:00:00Z',
+          weight: 1.5,
+          roles: ['author'],
+        },
+        {
+          user: 'bob',
+          order: ['a.js'],
+          timestamp: '2024-01-01T00:00:00Z',
+          weight: 1,
+          roles: [],
+        },
+        {
+          user: 'carol',
+          order: ['a.js'],
+          timestamp: '2024-01-01T00:00:00Z',
+          weight: 0.9530049122089577,
+          roles: [],
+        },
+      ];
+
+      const modal = createOrderViewerModal({
+        orders,
+        consensus: ['a.js'],
+        metadata: {
+          participantCount: 2,
+          agreementScore: 1.0,
+          conflicts: [],
+          mostRecentTimestamp: null,
+        },
+      });
+
+      const badges = document.querySelectorAll('.pr-viewer-weight-badge');
+      expect(badges.length).toBe(2);
+      expect(badges[0].textContent).toBe('×1.5');
+      expect(badges[0].title).toBe('Vote weight 1.5 (PR author)');
+      expect(badges[1].textContent).toBe('×0.95');
+      expect(badges[1].title).toBe('Vote weight 0.95');
+
+      modal.close();
+    });
+
+    it('should flag stale orders', () => {
+      const orders = [
+        {
+          user: 'alice',
+          order: ['a.js'],
+          timestamp: '2024-01-01T00:00:00Z',
+          headSha: 'abcdef1234567',
+          stale: true,
+        },
+      ];
+
+      const modal = createOrderViewerModal({
+        orders,
+        consensus: ['a.js'],
+        metadata: {
+          participantCount: 1,
+          agreementScore: 1.0,
+          conflicts: [],
+          mostRecentTimestamp: null,
+        },
+      });
+
+      const badge = Array.from(
+        document.querySelectorAll('.pr-reorder-badge')
+      ).find((el) => el.textContent === 'Outdated');
+
+      expect(badge).toBeDefined();
+      expect(badge.title).toContain('abcdef1');
+
+      modal.close();
+    });
+
+    it('should call onFreshnessChange when freshness mode is switched', () => {
+      const onFreshnessChange = jest.fn();
+
+      const modal = createOrderViewerModal({
+        orders: [],
+        consensus: [],
+        metadata: {
+          freshness: 'decay',
+          participantCount: 0,
+          agreementScore: 0,
+          conflicts: [],
+          mostRecentTimestamp: null,
+        },
+        onFreshnessChange,
+      });
+
+      const select = document.querySelector('.pr-viewer-freshness-select');
+      expect(select.value).toBe('decay');
+
+      select.value = 'current-head';
+      select.dispatchEvent(new Event('change'));
+
+      expect(onFreshnessChange).toHaveBeenCalledWith('current-head');
+
+      modal.close();
+    });
+
+    it('should show the strategy that produced the consensus', () => {
+      const modal = createOrderViewerModal({
+        orders: [],
+        consensus: [],
+        metadata: {
+          strategy: 'copeland',
+          participantCount: 0,
+          agreementScore: 0,
+          conflicts: [],
+          mostRecentTimestamp: null,
+        },
+        onStrategyChange: () => {},
+      });
+
+      const select = document.querySelector('.pr-viewer-strategy-select');
+      expect(select.value).toBe('copeland');
+      expect(select.disabled).toBe(false);
+
+      modal.close();
+    });
+
+    it('should call onStrategyChange when strategy is switched', () => {
+      const onStrategyChange = jest.fn();
+
+      const modal = createOrderViewerModal({
+        orders: [],
+        consensus: [],
+        metadata: {
+          participantCount: 0,
+          agreementScore: 0,
+          conflicts: [],
+          mostRecentTimestamp: null,
+        },
+        onStrategyChange,
+      });
+
+      const select = document.querySelector('.pr-viewer-strategy-select');
+      expect(select.value).toBe('average');
+
+      select.value = 'kemeny-approx';
+      select.dispatchEvent(new Event('change'));
+
+      expect(onStrategyChange).toHaveBeenCalledWith('kemeny-approx');
+
+      modal.close();
+    });
+
+    it('should only reorder the page when the consensus is applied', () => {
+      const onApplyConsensus = jest.fn();
+      const metadata = {
+        participantCount: 1,
+        agreementScore: 1,
+        conflicts: [],
+        mostRecentTimestamp: null,
+      };
+
+      const modal = createOrderViewerModal({
+        orders: [],
+        consensus: ['a.js'],
+        metadata,
+        onStrategyChange: jest.fn(),
+        onApplyConsensus,
+      });
+
+      const select = document.querySelector('.pr-viewer-strategy-select');
+      select.value = 'borda';
+      select.dispatchEvent(new Event('change'));
+      expect(onApplyConsensus).not.toHaveBeenCalled();
+
+      document.querySelector('.pr-viewer-apply-consensus-btn').click();
+      expect(onApplyConsensus).toHaveBeenCalledTimes(1);
+      modal.close();
+
+      const empty = createOrderViewerModal({
+        orders: [],
+        consensus: [],
+        metadata,
+        onApplyConsensus,
+      });
+      expect(
+        document.querySelector('.pr-viewer-apply-consensus-btn')
+      ).toBeNull();
+      empty.close();
+    });
+
+    it('should show ordering notes on consensus files and order cards', () => {
+      const orders = [
+        {
+          user: 'alice',
+          order: ['src/b.js', 'src/a.js', 'README.md'],
+          timestamp: '2024-01-01T00:00:00Z',
+          notes: {
+            'README.md': 'skim last',
+            'src/': 'core changes',
+          },
+        },
+        {
+          user: 'bob',
+          order: ['src/a.js', 'src/b.js', 'README.md'],
+          timestamp: '2024-01-01T01:00:00Z',
+          notes: { 'src/a.js': '<b>read first</b>' },
+        },
+      ];
+
+      const modal = createOrderViewerModal({
+        orders,
+        consensus: ['src/a.js', 'src/b.js', 'README.md'],
+        metadata: {
+          participantCount: 2,
+          agreementScore: 0.5,
+          conflicts: [],
+          mostRecentTimestamp: null,
+        },
+      });
+
+      const badges = document.querySelectorAll('.pr-viewer-note-badge');
+      expect(badges.length).toBe(3);
+      expect(badges[0].textContent).toBe('📝 2');
+      expect(badges[0].title).toBe(
+        'alice (src/): core changes\nbob: <b>read first</b>'
+      );
+      expect(badges[0].querySelector('b')).toBeNull();
+
+      // Alice's notes follow her order: the folder covers her first file
+      const aliceNotes = Array.from(
+        document.querySelectorAll('.pr-viewer-order-card')
+      )
+        .find(
+          (card) =>
+            card.querySelector('.pr-viewer-order-user').textContent === 'alice'
+        )
+        .querySelectorAll('.pr-viewer-order-note');
+      expect(Array.from(aliceNotes).map((note) => note.textContent)).toEqual([
+        'src/core changes',
+        'README.mdskim last',
+      ]);
+
+      modal.close();
+    });
+
+    it('should list sections on order cards and apply them with the order', () => {
+      const sections = [
+        { name: 'API contract', start: 'api.ts' },
+        { name: '<i>Tests</i>', start: 'api.test.ts' },
+      ];
+      const orders = [
+        {
+          user: 'alice',
+          order: ['api.ts', 'impl.ts', 'api.test.ts'],
+          timestamp: '2024-01-01T00:00:00Z',
+          sections,
+        },
+      ];
+      let applied = null;
+
+      const modal = createOrderViewerModal({
+        orders,
+        consensus: ['api.ts', 'impl.ts', 'api.test.ts'],
+        metadata: {
+          participantCount: 1,
+          agreementScore: 1.0,
+          conflicts: [],
+          mostRecentTimestamp: null,
+        },
+        onSelectOrder: (order, orderSections) => {
+          applied = { order, sections: orderSections };
+        },
+      });
+
+      const items = document.querySelectorAll('.pr-viewer-order-section');
+      expect(Array.from(items).map((item) => item.textContent)).toEqual([
+        'API contract2 files',
+        '<i>Tests</i>1 file',
+      ]);
+      expect(items[1].querySelector('i')).toBeNull();
+
+      document.querySelector('.pr-viewer-apply-btn').click();
+      expect(applied).toEqual({ order: orders[0].order, sections });
+
+      modal.close();
+    });
   });
 });
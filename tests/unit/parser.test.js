@@ -5,6 +5,8 @@ import {
   extractFiles,
   getFilePath,
   getFileMetadata,
+  getFileDiffText,
+  getFileAnchor,
   getFilesContainer,
 } from '../../utils/parser.js';
 import {
@@ -254,5 +256,86 @@ describe('parser', () => {
       expect(metadata.status).toBe('modified');
       expect(metadata.isModified).toBe(true);
     });
+
+    it('should extract imports from the rendered diff', () => {
+      const file = createMockFileElement('src/app.js', 2, 1);
+      file.appendChild(
+        createDiffTable([
+          ['blob-code-hunk', '@@ -1,2 +1,2 @@'],
+          ['blob-code-deletion', "import old from './old';"],
+          ['blob-code-addition', "import api from './api';"],
+          ['blob-code-context', "import React from 'react';"],
+        ])
+      );
+
+      expect(getFileMetadata(file).imports).toEqual(['./api', 'react']);
+    });
+  });
+
+  describe('getFileAnchor', () => {
+    it('should read the anchor from the file or its header', () => {
+      const file = createMockFileElement('a.js');
+      file.id = 'diff-abc123';
+      expect(getFileAnchor(file)).toBe('diff-abc123');
+
+      const classic = document.createElement('div');
+      classic.innerHTML =
+        '<div class="file-header" data-anchor="diff-def456"></div>';
+      expect(getFileAnchor(classic)).toBe('diff-def456');
+    });
+
+    it('should fall back to the header link', () => {
+      expect(getFileAnchor(createMockFileElement('src/a.js'))).toBe(
+        'diff-src/a.js'
+      );
+      expect(getFileAnchor(document.createElement('div'))).toBeNull();
+      expect(getFileAnchor(null)).toBeNull();
+    });
+  });
+
+  describe('getFileDiffText', () => {
+    it('should return added and context lines only', () => {
+      const file = createMockFileElement('a.py');
+      file.appendChild(
+        createDiffTable([
+          ['blob-code-hunk', '@@ -1 +1 @@'],
+          ['blob-code-deletion', 'import old'],
+          ['blob-code-addition', 'import new'],
+          ['blob-code-context', 'x = 1'],
+        ])
+      );
+
+      expect(getFileDiffText(file)).toBe('import new\nx = 1');
+    });
+
+    it('should return an empty string for files without a rendered diff', () => {
+      expect(getFileDiffText(createMockFileElement('a.js'))).toBe('');
+      expect(getFileDiffText(null)).toBe('');
+    });
   });
 });
+
+/**
+ * Create a diff table like GitHub's classic diff view
+ * @param {Array<Array<string>>} rows - [cell class, code] pairs
+ * @returns {HTMLElement}
+ */
+function createDiffTable(rows) {
+  const table = document.createElement('table');
+  const body = document.createElement('tbody');
+
+  rows.forEach(([className, code]) => {
+    const row = document.createElement('tr');
+    const cell = document.createElement('td');
+    cell.className = `blob-code ${className}`;
+    const inner = document.createElement('span');
+    inner.className = 'blob-code-inner';
+    inner.textContent = code;
+    cell.appendChild(inner);
+    row.appendChild(cell);
+    body.appendChild(row);
+  });
+
+  table.appendChild(body);
+  return table;
+}
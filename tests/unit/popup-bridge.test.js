@@ -0,0 +1,78 @@
+/**
+ * Unit tests for Popup Bridge
+ */
+import { jest } from '@jest/globals';
+import {
+  handlePopupMessage,
+  requestActiveTab,
+  POPUP_MESSAGE_TYPE,
+} from '../../utils/popup-bridge.js';
+
+describe('Popup Bridge', () => {
+  describe('handlePopupMessage', () => {
+    it('should run the handler for the action', async () => {
+      const handlers = { status: jest.fn(async () => ({ prId: 'o/r/1' })) };
+
+      await expect(
+        handlePopupMessage({ action: 'status' }, handlers)
+      ).resolves.toEqual({ prId: 'o/r/1' });
+    });
+
+    it('should reject unknown actions', async () => {
+      await expect(
+        handlePopupMessage({ action: 'toString' }, {})
+      ).rejects.toThrow('Unknown popup action: toString');
+    });
+  });
+
+  describe('requestActiveTab', () => {
+    let respond;
+
+    beforeEach(() => {
+      global.chrome = {
+        runtime: { lastError: null },
+        tabs: {
+          query: jest.fn(async () => [{ id: 7 }]),
+          sendMessage: jest.fn((tabId, message, callback) => respond(callback)),
+        },
+      };
+    });
+
+    afterEach(() => {
+      delete global.chrome;
+    });
+
+    it('should message the active tab and unwrap the result', async () => {
+      respond = (callback) => callback({ ok: true, result: { orderCount: 2 } });
+
+      await expect(requestActiveTab('status')).resolves.toEqual({
+        orderCount: 2,
+      });
+      expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(
+        7,
+        { type: POPUP_MESSAGE_TYPE, action: 'status' },
+        expect.any(Function)
+      );
+    });
+
+    it('should report tabs without the content script', async () => {
+      respond = (callback) => {
+        chrome.runtime.lastError = { message: 'Receiving end does not exist' };
+        callback(undefined);
+      };
+
+      await expect(requestActiveTab('status')).rejects.toThrow(
+        'Not a pull request page'
+      );
+    });
+
+    it('should pass on errors from the page', async () => {
+      respond = (callback) =>
+        callback({ ok: false, error: 'Open the Files changed tab first' });
+
+      await expect(requestActiveTab('reset')).rejects.toThrow(
+        'Open the Files changed tab first'
+      );
+    });
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import { jest } from '@jest/globals';
+import { createPresetEditorModal } from '../../ui/preset-editor.js';
+
+describe('Preset Editor Modal', () => {
+  let stored;
+
+  const layers = {
+    id: 'custom:layers',
+    name: 'Layers',
+    description: '',
+    buckets: [
+      { name: 'Models', patterns: ['app/models/**'], sort: 'alphabetical' },
+    ],
+    unmatchedSort: 'alphabetical',
+  };
+
+  const filesMetadata = [
+    { path: 'app/models/user.js' },
+    { path: 'app/models/post.js' },
+    { path: 'README.md' },
+  ];
+
+  const typeInto = (element, value) => {
+    element.value = value;
+    element.dispatchEvent(new Event('input', { bubbles: true }));
+  };
+
+  const click = (element) => {
+    element.dispatchEvent(new MouseEvent('click', { bubbles: true }));
+  };
+
+  const getSaveButton = () =>
+    document.querySelector('.pr-preset-editor [data-action="save"]');
+
+  beforeEach(() => {
+    stored = {};
+    global.chrome = {
+      storage: {
+        local: {
+          get: (keys, callback) => callback(stored),
+          set: (data, callback) => {
+            stored = { ...stored, ...data };
+            callback();
+          },
+        },
+      },
+      runtime: { lastError: null },
+    };
+  });
+
+  afterEach(() => {
+    while (document.body.firstChild) {
+      document.body.removeChild(document.body.firstChild);
+    }
+    delete global.chrome;
+  });
+
+  it('should show an empty state without presets', () => {
+    createPresetEditorModal();
+
+    expect(document.querySelector('.pr-preset-editor-empty')).not.toBeNull();
+    expect(document.querySelector('.pr-preset-editor-select')).toBeNull();
+  });
+
+  it('should render buckets with match counts for the current PR', () => {
+    createPresetEditorModal({ presets: [layers], filesMetadata });
+
+    const bucket = document.querySelector('.pr-preset-editor-bucket');
+    expect(bucket.querySelector('textarea').value).toBe('app/models/**');
+    expect(
+      bucket.querySelector('.pr-preset-editor-match-count').textContent
+    ).toBe('2 files');
+  });
+
+  it('should show validation errors and disable saving', () => {
+    createPresetEditorModal({ presets: [layers], filesMetadata });
+
+    typeInto(
+      document.querySelector('.pr-preset-editor-bucket textarea'),
+      '/[/'
+    );
+
+    const errors = document.querySelector('.pr-preset-editor-errors');
+    expect(errors.hidden).toBe(false);
+    expect(errors.textContent).toBe(
+      'Bucket 1 ("Models"): Invalid regular expression /[/'
+    );
+    expect(getSaveButton().disabled).toBe(true);
+  });
+
+  it('should add and reorder buckets', () => {
+    createPresetEditorModal({ presets: [layers], filesMetadata });
+
+    click(document.querySelector('[data-bucket-action="add"]'));
+    let rows = document.querySelectorAll('.pr-preset-editor-bucket');
+    expect(rows).toHaveLength(2);
+
+    typeInto(rows[1].querySelector('input'), 'Docs');
+    click(rows[1].querySelector('[data-bucket-action="up"]'));
+
+    rows = document.querySelectorAll('.pr-preset-editor-bucket');
+    expect(rows[0].querySelector('input').value).toBe('Docs');
+  });
+
+  it('should create a new preset and save it', async () => {
+    const onSave = jest.fn();
+    createPresetEditorModal({ presets: [], filesMetadata, onSave });
+
+    click(document.querySelector('[data-editor-action="new"]'));
+    typeInto(document.querySelector('.pr-preset-editor-name'), 'Docs first');
+    typeInto(
+      document.querySelector('.pr-preset-editor-bucket textarea'),
+      '*.md\n'
+    );
+
+    click(getSaveButton());
+    await new Promise((resolve) => setTimeout(resolve, 0));
+
+    expect(onSave).toHaveBeenCalledWith([
+      {
+        id: 'custom:docs-first',
+        name: 'Docs first',
+        description: '',
+        buckets: [
+          { name: 'Bucket 1', patterns: ['*.md'], sort: 'alphabetical' },
+        ],
+        unmatchedSort: 'alphabetical',
+      },
+    ]);
+    expect(stored['pr-reorder:preferences'].customPresets).toHaveLength(1);
+    expect(document.querySelector('.pr-preset-editor')).toBeNull();
+  });
+
+  it('should delete presets', () => {
+    createPresetEditorModal({ presets: [layers] });
+
+    click(document.querySelector('[data-editor-action="delete"]'));
+
+    expect(document.querySelector('.pr-preset-editor-empty')).not.toBeNull();
+    expect(getSaveButton().disabled).toBe(false);
+  });
+
+  it('should close on Escape without reaching document listeners', () => {
+    const onClose = jest.fn();
+    const documentListener = jest.fn();
+    document.addEventListener('keydown', documentListener);
+    createPresetEditorModal({ presets: [layers], onClose });
+
+    document
+      .querySelector('.pr-preset-editor-name')
+      .dispatchEvent(
+        new KeyboardEvent('keydown', { key: 'Escape', bubbles: true })
+      );
+
+    expect(onClose).toHaveBeenCalled();
+    expect(documentListener).not.toHaveBeenCalled();
+    document.removeEventListener('keydown', documentListener);
+  });
+});
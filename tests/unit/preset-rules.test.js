@@ -0,0 +1,197 @@
+/**
+ * Unit tests for Preset Rules
+ */
+import {
+  globToRegExp,
+  compilePattern,
+  parsePresetDefinition,
+  assignBuckets,
+  getTieBreakers,
+} from '../../utils/preset-rules.js';
+
+describe('preset-rules', () => {
+  describe('globToRegExp', () => {
+    it('should match * within a single path segment', () => {
+      const regex = globToRegExp('src/*.js');
+
+      expect(regex.test('src/index.js')).toBe(true);
+      expect(regex.test('src/lib/index.js')).toBe(false);
+    });
+
+    it('should match ** across directories', () => {
+      const regex = globToRegExp('src/**/*.js');
+
+      expect(regex.test('src/index.js')).toBe(true);
+      expect(regex.test('src/a/b/index.js')).toBe(true);
+      expect(regex.test('lib/index.js')).toBe(false);
+    });
+
+    it('should support ? and brace alternatives', () => {
+      expect(globToRegExp('v?.md').test('v2.md')).toBe(true);
+      expect(globToRegExp('{models,services}/**').test('services/a.js')).toBe(
+        true
+      );
+      expect(globToRegExp('{models,services}/**').test('views/a.js')).toBe(
+        false
+      );
+    });
+
+    it('should escape regex characters', () => {
+      expect(globToRegExp('a.b+c').test('a.b+c')).toBe(true);
+      expect(globToRegExp('a.b+c').test('aXb+c')).toBe(false);
+    });
+
+    it('should reject unbalanced braces', () => {
+      expect(() => globToRegExp('{a,b')).toThrow('Unclosed "{"');
+    });
+  });
+
+  describe('compilePattern', () => {
+    it('should match globs without a slash against the file name', () => {
+      const matches = compilePattern('*.sql');
+
+      expect(matches('db/migrate/001.sql')).toBe(true);
+      expect(matches('db/schema.rb')).toBe(false);
+    });
+
+    it('should treat /source/flags as a regular expression', () => {
+      const matches = compilePattern('/test/i');
+
+      expect(matches('src/Foo.TEST.js')).toBe(true);
+      expect(matches('src/foo.js')).toBe(false);
+    });
+
+    it('should ignore the global flag so matching is stateless', () => {
+      const matches = compilePattern('/a/g');
+
+      expect(matches('a.js')).toBe(true);
+      expect(matches('a.js')).toBe(true);
+    });
+
+    it('should throw on invalid regular expressions', () => {
+      expect(() => compilePattern('/[/')).toThrow(
+        'Invalid regular expression /[/'
+      );
+    });
+
+    it('should reject regular expressions with nested repetition', () => {
+      [
+        '/(a+)+$/',
+        '/(\\w+\\/)*x/',
+        '/^(a|ab)*$/',
+        '/((ab)*c)+/',
+        '/([a-z]+){2,}/',
+      ].forEach((pattern) => {
+        expect(() => compilePattern(pattern)).toThrow('can be very slow');
+      });
+
+      [
+        '/(^|\\/)tests?\\//',
+        '/\\.(js|ts)$/',
+        '/(?:src\\/)?[a-z]+\\.js/',
+        '/(\\(a\\))+/',
+        '/([+*])+/',
+        '/(ab+){1}/',
+      ].forEach((pattern) => {
+        expect(() => compilePattern(pattern)).not.toThrow();
+      });
+    });
+
+    it('should reject patterns that are too long', () => {
+      expect(() => compilePattern(`${'a/'.repeat(100)}*.js`)).toThrow(
+        'Pattern is longer than 200 characters'
+      );
+    });
+  });
+
+  describe('parsePresetDefinition', () => {
+    it('should normalize a valid definition', () => {
+      const { preset, errors } = parsePresetDefinition({
+        id: 'custom:layers',
+        name: '  Layers ',
+        buckets: [
+          { patterns: 'db/**' },
+          { name: 'Tests', patterns: ['*.test.js', ' '], sort: 'most-changed' },
+        ],
+      });
+
+      expect(errors).toEqual([]);
+      expect(preset).toEqual({
+        id: 'custom:layers',
+        name: 'Layers',
+        description: '',
+        buckets: [
+          { name: 'Bucket 1', patterns: ['db/**'], sort: 'alphabetical' },
+          { name: 'Tests', patterns: ['*.test.js'], sort: 'most-changed' },
+        ],
+        unmatchedSort: 'alphabetical',
+      });
+    });
+
+    it('should report every problem with its bucket', () => {
+      const { preset, errors } = parsePresetDefinition({
+        name: '',
+        buckets: [
+          { name: 'Models', patterns: [] },
+          { patterns: ['/[/'], sort: 'random' },
+        ],
+        unmatchedSort: 'sideways',
+      });
+
+      expect(preset).toBeNull();
+      expect(errors).toEqual([
+        'Preset name is required',
+        'Bucket 1 ("Models") needs at least one pattern',
+        'Bucket 2: Invalid regular expression /[/',
+        'Bucket 2: unknown sort "random"',
+        'Unmatched files: unknown sort "sideways"',
+      ]);
+    });
+
+    it('should require at least one bucket', () => {
+      expect(parsePresetDefinition({ name: 'x', buckets: [] }).errors).toEqual([
+        'Preset needs at least one bucket',
+      ]);
+    });
+
+    it('should reject non-objects', () => {
+      expect(parsePresetDefinition(null).errors).toEqual([
+        'Preset must be an object',
+      ]);
+      expect(
+        parsePresetDefinition({ name: 'x', buckets: ['a'] }).errors
+      ).toEqual(['Bucket 1 must be an object']);
+    });
+  });
+
+  describe('assignBuckets', () => {
+    it('should put each file in the first matching bucket', () => {
+      const files = [
+        { path: 'app/models/user.test.js' },
+        { path: 'app/models/user.js' },
+        { path: 'README.md' },
+      ];
+      const buckets = [
+        { patterns: ['*.test.js'] },
+        { patterns: ['app/models/**'] },
+      ];
+
+      const { groups, unmatched } = assignBuckets(files, buckets);
+
+      expect(groups.map((group) => group.map((f) => f.path))).toEqual([
+        ['app/models/user.test.js'],
+        ['app/models/user.js'],
+      ]);
+      expect(unmatched.map((f) => f.path)).toEqual(['README.md']);
+    });
+  });
+
+  describe('getTieBreakers', () => {
+    it('should list tie-breakers with names', () => {
+      getTieBreakers().forEach((tieBreaker) => {
+        expect(tieBreaker.id).toBeDefined();
+        expect(tieBreaker.name).toBeDefined();
+      });
+    });
+  });
+});
@@ -6,10 +6,17 @@ import {
   sortReverseAlphabetical,
   sortByExtension,
   sortReadmeFirstTestsLast,
+  sortTestsNextToImplementation,
   sortNewFilesFirst,
   sortMostChangedFirst,
+  sortImportsFirst,
   getAllPresets,
   applyPreset,
+  sortByRules,
+  generatePresetId,
+  createCustomPreset,
+  loadCustomPresets,
+  saveCustomPresets,
 } from '../../utils/presets.js';
 
 describe('presets', () => {
@@ -404,18 +411,137 @@ describe('presets', () => {
     });
   });
 
+  describe('sortTestsNextToImplementation', () => {
+    const sortPaths = (paths) =>
+      sortTestsNextToImplementation(paths.map((path) => ({ path }))).map(
+        (f) => f.path
+      );
+
+    it('should place each test right after its implementation', () => {
+      expect(
+        sortPaths([
+          'src/utils.test.js',
+          'src/app.spec.ts',
+          'src/utils.js',
+          'src/app.ts',
+          'README.md',
+        ])
+      ).toEqual([
+        'README.md',
+        'src/app.ts',
+        'src/app.spec.ts',
+        'src/utils.js',
+        'src/utils.test.js',
+      ]);
+    });
+
+    it('should pair tests across test directories and languages', () => {
+      expect(
+        sortPaths([
+          'src/__tests__/button.js',
+          'src/button.js',
+          'tests/test_parser.py',
+          'pkg/parser.py',
+          'src/test/java/com/acme/FooTest.java',
+          'src/main/java/com/acme/Foo.java',
+          'store/cache_test.go',
+          'store/cache.go',
+        ])
+      ).toEqual([
+        'pkg/parser.py',
+        'tests/test_parser.py',
+        'src/button.js',
+        'src/__tests__/button.js',
+        'src/main/java/com/acme/Foo.java',
+        'src/test/java/com/acme/FooTest.java',
+        'store/cache.go',
+        'store/cache_test.go',
+      ]);
+    });
+
+    it('should prefer the implementation in the closest directory', () => {
+      expect(
+        sortPaths([
+          'api/index.js',
+          'web/index.js',
+          'web/index.test.js',
+          'web/index.css',
+        ])
+      ).toEqual([
+        'api/index.js',
+        'web/index.css',
+        'web/index.js',
+        'web/index.test.js',
+      ]);
+    });
+
+    it('should group unmatched tests at the end', () => {
+      expect(
+        sortPaths([
+          'src/tests/helpers.js',
+          'src/removed.test.js',
+          'src/kept.js',
+          'src/kept.test.js',
+        ])
+      ).toEqual([
+        'src/kept.js',
+        'src/kept.test.js',
+        'src/removed.test.js',
+        'src/tests/helpers.js',
+      ]);
+    });
+
+    it('should not mutate original array', () => {
+      const files = [{ path: 'a.test.js' }, { path: 'a.js' }];
+      const original = [...files];
+
+      sortTestsNextToImplementation(files);
+
+      expect(files).toEqual(original);
+    });
+  });
+
+  describe('sortImportsFirst', () => {
+    it('should place imported files before their importers', () => {
+      const files = [
+        { path: 'src/app.js', imports: ['./api/client'] },
+        { path: 'src/api/client.js', imports: ['../config.js'] },
+        { path: 'README.md' },
+        { path: 'src/config.js', imports: [] },
+      ];
+
+      expect(sortImportsFirst(files).map((f) => f.path)).toEqual([
+        'README.md',
+        'src/config.js',
+        'src/api/client.js',
+        'src/app.js',
+      ]);
+    });
+
+    it('should not mutate original array', () => {
+      const files = [{ path: 'b.js', imports: ['./a'] }, { path: 'a.js' }];
+      const original = [...files];
+
+      sortImportsFirst(files);
+
+      expect(files).toEqual(original);
+    });
+  });
+
   describe('getAllPresets', () => {
     it('should return all available presets', () => {
       const presets = getAllPresets();
 
-      expect(presets).toHaveLength(6);
+      expect(presets).toHaveLength(8);
       expect(presets.map((p) => p.id)).toEqual([
         'alphabetical',
         'reverse-alphabetical',
         'by-extension',
         'readme-first-tests-last',
+        'tests-next-to-code',
         'new-files-first',
         'most-changed-first',
+        'imports-first',
       ]);
     });
 
@@ -462,4 +588,127 @@ describe('presets', () => {
       });
     });
   });
+
+  describe('custom presets', () => {
+    const layers = {
+      id: 'custom:layers',
+      name: 'Layers',
+      buckets: [
+        { name: 'Migrations', patterns: ['db/migrate/**'] },
+        { name: 'Models', patterns: ['app/models/**'], sort: 'most-changed' },
+        { name: 'Tests', patterns: ['/\\.test\\.js$/'] },
+      ],
+    };
+
+    const files = [
+      { path: 'test/models/user.test.js', additions: 1 },
+      { path: 'app/models/post.js', additions: 1 },
+      { path: 'README.md', additions: 1 },
+      { path: 'app/models/user.js', additions: 9 },
+      { path: 'db/migrate/002.rb', additions: 1 },
+      { path: 'db/migrate/001.rb', additions: 1 },
+    ];
+
+    it('should sort files bucket by bucket with tie-breakers', () => {
+      const sorted = sortByRules(files, {
+        ...layers,
+        buckets: layers.buckets.map((bucket) => ({
+          sort: 'alphabetical',
+          ...bucket,
+        })),
+        unmatchedSort: 'alphabetical',
+      });
+
+      expect(sorted.map((f) => f.path)).toEqual([
+        'db/migrate/001.rb',
+        'db/migrate/002.rb',
+        'app/models/user.js',
+        'app/models/post.js',
+        'test/models/user.test.js',
+        'README.md',
+      ]);
+    });
+
+    it('should list custom presets after the built-ins', () => {
+      const presets = getAllPresets([layers]);
+
+      expect(presets).toHaveLength(9);
+      expect(presets[8]).toMatchObject({
+        id: 'custom:layers',
+        name: 'Layers',
+        description: 'Migrations → Models → Tests',
+        custom: true,
+      });
+    });
+
+    it('should skip invalid custom presets', () => {
+      expect(getAllPresets([{ name: 'Broken', buckets: [] }])).toHaveLength(8);
+    });
+
+    it('should apply custom presets by id', () => {
+      const sorted = applyPreset('custom:layers', files, [layers]);
+      expect(sorted[0].path).toBe('db/migrate/001.rb');
+    });
+
+    it('should throw for invalid definitions', () => {
+      expect(() => createCustomPreset({ name: 'x' })).toThrow(
+        'Invalid preset: Preset needs at least one bucket'
+      );
+    });
+
+    it('should generate unique ids from names', () => {
+      expect(generatePresetId('Backend Layers!')).toBe('custom:backend-layers');
+      expect(
+        generatePresetId('Layers', ['custom:layers', 'custom:layers-2'])
+      ).toBe('custom:layers-3');
+      expect(generatePresetId('***')).toBe('custom:preset');
+    });
+  });
+
+  describe('custom preset storage', () => {
+    let stored;
+
+    beforeEach(() => {
+      stored = {};
+      global.chrome = {
+        storage: {
+          local: {
+            get: (keys, callback) => callback(stored),
+            set: (data, callback) => {
+              stored = { ...stored, ...data };
+              callback();
+            },
+          },
+        },
+        runtime: { lastError: null },
+      };
+    });
+
+    afterEach(() => {
+      delete global.chrome;
+    });
+
+    it('should save presets with generated ids and load them back', async () => {
+      const saved = await saveCustomPresets([
+        { name: 'Docs', buckets: [{ patterns: ['*.md'] }] },
+        { name: 'Docs', buckets: [{ patterns: ['docs/**'] }] },
+      ]);
+
+      expect(saved.map((preset) => preset.id)).toEqual([
+        'custom:docs',
+        'custom:docs-2',
+      ]);
+      expect(await loadCustomPresets()).toEqual(saved);
+    });
+
+    it('should refuse to save invalid presets', async () => {
+      await expect(saveCustomPresets([{ name: 'x' }])).rejects.toThrow(
+        'Invalid preset'
+      );
+    });
+
+    it('should return an empty list when nothing is saved', async () => {
+      expect(await loadCustomPresets()).toEqual([]);
+    });
+  });
 });
@@ -0,0 +1,494 @@
+/**
+ * @jest-environment jsdom
+ */
+
+import { jest } from '@jest/globals';
+import { createReorderModal } from '../../ui/reorder-modal.js';
+import { createMockFilesContainer } from '../helpers/dom.js';
+
+global.chrome = {
+  storage: {
+    local: {
+      get: (keys, callback) => callback({}),
+      set: (data, callback) => callback(),
+    },
+  },
+  runtime: {
+    lastError: null,
+  },
+};
+
+describe('Reorder Modal', () => {
+  const paths = ['a.js', 'b.js', 'c.js', 'd.js', 'e.js'];
+
+  const getItems = () =>
+    Array.from(document.querySelectorAll('.pr-reorder-file-item'));
+
+  const getItem = (path) =>
+    getItems().find((item) => item.dataset.path === path);
+
+  const getSelectedPaths = () =>
+    getItems()
+      .filter((item) => item.classList.contains('selected'))
+      .map((item) => item.dataset.path);
+
+  const click = (target, options = {}) => {
+    target.dispatchEvent(
+      new MouseEvent('click', { bubbles: true, ...options })
+    );
+  };
+
+  const pressKey = (target, key, options = {}) => {
+    target.dispatchEvent(
+      new KeyboardEvent('keydown', {
+        key,
+        bubbles: true,
+        cancelable: true,
+        ...options,
+      })
+    );
+  };
+
+  let modal;
+
+  beforeEach(() => {
+    document.body.appendChild(
+      createMockFilesContainer(paths.map((path) => ({ path })))
+    );
+    modal = createReorderModal({ initialOrder: paths });
+  });
+
+  afterEach(() => {
+    while (document.body.firstChild) {
+      document.body.removeChild(document.body.firstChild);
+    }
+  });
+
+  describe('multi-select', () => {
+    it('should select a single file on click', () => {
+      click(getItem('b.js'));
+      click(getItem('c.js'));
+
+      expect(getSelectedPaths()).toEqual(['c.js']);
+      expect(getItem('c.js').getAttribute('aria-label')).toBe(
+        'c.js, position 3 of 5, selected'
+      );
+    });
+
+    it('should toggle files with Ctrl+click and select ranges with Shift+click', () => {
+      click(getItem('a.js'));
+      click(getItem('c.js'), { ctrlKey: true });
+      expect(getSelectedPaths()).toEqual(['a.js', 'c.js']);
+
+      click(getItem('e.js'), { shiftKey: true });
+      expect(getSelectedPaths()).toEqual(['c.js', 'd.js', 'e.js']);
+    });
+
+    it('should extend the selection with Shift+Arrow keys', () => {
+      const item = getItem('b.js');
+      pressKey(item, ' ');
+      pressKey(item, 'ArrowDown', { shiftKey: true });
+      pressKey(getItem('c.js'), 'ArrowDown', { shiftKey: true });
+
+      expect(getSelectedPaths()).toEqual(['b.js', 'c.js', 'd.js']);
+    });
+
+    it('should show the selection bar with a count', () => {
+      const bar = document.querySelector('.pr-reorder-selection-bar');
+      expect(bar.hidden).toBe(true);
+
+      click(getItem('a.js'));
+      click(getItem('b.js'), { shiftKey: true });
+
+      expect(bar.hidden).toBe(false);
+      expect(bar.querySelector('.pr-reorder-selection-count').textContent).toBe(
+        '2 files selected'
+      );
+    });
+  });
+
+  describe('bulk move', () => {
+    const clickAction = (action) => {
+      click(document.querySelector(`[data-selection-action="${action}"]`));
+    };
+
+    beforeEach(() => {
+      click(getItem('b.js'));
+      click(getItem('d.js'), { ctrlKey: true });
+    });
+
+    it('should move the selection to the top', () => {
+      clickAction('top');
+      expect(modal.getOrder()).toEqual([
+        'b.js',
+        'd.js',
+        'a.js',
+        'c.js',
+        'e.js',
+      ]);
+    });
+
+    it('should move the selection to the bottom', () => {
+      clickAction('bottom');
+      expect(modal.getOrder()).toEqual([
+        'a.js',
+        'c.js',
+        'e.js',
+        'b.js',
+        'd.js',
+      ]);
+    });
+
+    it('should move the selection after a chosen file', () => {
+      const select = document.querySelector('.pr-reorder-selection-after');
+      select.dispatchEvent(new Event('focus'));
+
+      const options = Array.from(select.options).map((option) => option.value);
+      expect(options).toEqual(['', 'a.js', 'c.js', 'e.js']);
+
+      select.value = 'e.js';
+      select.dispatchEvent(new Event('change'));
+
+      expect(modal.getOrder()).toEqual([
+        'a.js',
+        'c.js',
+        'e.js',
+        'b.js',
+        'd.js',
+      ]);
+      expect(getItem('b.js').getAttribute('aria-label')).toBe(
+        'b.js, position 4 of 5, selected'
+      );
+    });
+
+    it('should move the selection one step with Ctrl+Arrow keys', () => {
+      pressKey(getItem('d.js'), 'ArrowDown', { ctrlKey: true });
+      expect(modal.getOrder()).toEqual([
+        'a.js',
+        'c.js',
+        'b.js',
+        'd.js',
+        'e.js',
+      ]);
+
+      pressKey(getItem('d.js'), 'ArrowUp', { ctrlKey: true });
+      pressKey(getItem('d.js'), 'ArrowUp', { ctrlKey: true });
+      expect(modal.getOrder()).toEqual([
+        'b.js',
+        'd.js',
+        'a.js',
+        'c.js',
+        'e.js',
+      ]);
+    });
+
+    it('should clear the selection', () => {
+      clickAction('clear');
+
+      expect(getSelectedPaths()).toEqual([]);
+      expect(document.querySelector('.pr-reorder-selection-bar').hidden).toBe(
+        true
+      );
+    });
+  });
+
+  describe('undo/redo', () => {
+    const getHistoryButton = (action) =>
+      document.querySelector(`[data-history="${action}"]`);
+
+    const getPosition = () =>
+      document.querySelector('.pr-reorder-history-position').textContent;
+
+    it('should start with nothing to undo', () => {
+      expect(getHistoryButton('undo').disabled).toBe(true);
+      expect(getHistoryButton('redo').disabled).toBe(true);
+      expect(getPosition()).toBe('1/1');
+    });
+
+    it('should undo and redo keyboard moves from the toolbar', () => {
+      pressKey(getItem('a.js'), 'ArrowDown', { ctrlKey: true });
+      expect(modal.getOrder()[0]).toBe('b.js');
+      expect(getPosition()).toBe('2/2');
+
+      click(getHistoryButton('undo'));
+      expect(modal.getOrder()).toEqual(paths);
+      expect(getPosition()).toBe('1/2');
+      expect(getHistoryButton('redo').disabled).toBe(false);
+
+      click(getHistoryButton('redo'));
+      expect(modal.getOrder()[0]).toBe('b.js');
+    });
+
+    it('should undo bulk moves with Ctrl+Z and redo with Ctrl+Shift+Z', () => {
+      click(getItem('e.js'));
+      click(document.querySelector('[data-selection-action="top"]'));
+      expect(modal.getOrder()[0]).toBe('e.js');
+
+      pressKey(getItem('b.js'), 'z', { ctrlKey: true });
+      expect(modal.getOrder()).toEqual(paths);
+
+      pressKey(getItem('b.js'), 'Z', { ctrlKey: true, shiftKey: true });
+      expect(modal.getOrder()[0]).toBe('e.js');
+    });
+
+    it('should record preset applications', () => {
+      const select = document.querySelector('.pr-reorder-preset-select');
+      select.value = 'reverse-alphabetical';
+      select.dispatchEvent(new Event('change'));
+
+      expect(modal.getOrder()[0]).toBe('e.js');
+
+      click(getHistoryButton('undo'));
+      expect(modal.getOrder()).toEqual(paths);
+    });
+  });
+
+  describe('tree view', () => {
+    const mixed = ['src/a.js', 'test/a.test.js', 'src/b.js', 'README.md'];
+
+    beforeEach(() => {
+      while (document.body.firstChild) {
+        document.body.removeChild(document.body.firstChild);
+      }
+      document.body.appendChild(
+        createMockFilesContainer(mixed.map((path) => ({ path })))
+      );
+      modal = createReorderModal({ initialOrder: mixed });
+    });
+
+    const showView = (view) =>
+      click(document.querySelector(`[data-view="${view}"]`));
+
+    it('should keep an order that mixes directories when switching views', () => {
+      showView('tree');
+      expect(modal.getOrder()).toEqual(mixed);
+
+      showView('list');
+      expect(modal.getOrder()).toEqual(mixed);
+      expect(document.querySelector('[data-history="undo"]').disabled).toBe(
+        true
+      );
+    });
+
+    it('should undo to a mixed order while the tree view is shown', () => {
+      showView('tree');
+      showView('list');
+      pressKey(getItem('src/a.js'), 'ArrowDown', { ctrlKey: true });
+      showView('tree');
+
+      click(document.querySelector('[data-history="undo"]'));
+      expect(modal.getOrder()).toEqual(mixed);
+    });
+  });
+
+  describe('preset preference', () => {
+    const createWithPreferences = async (preferences, options = {}) => {
+      const { get } = global.chrome.storage.local;
+      global.chrome.storage.local.get = (keys, callback) =>
+        callback({ 'pr-reorder:preferences': preferences });
+
+      document.querySelector('.pr-reorder-modal-overlay').remove();
+      modal = createReorderModal({ initialOrder: paths, ...options });
+      await new Promise((resolve) => setTimeout(resolve, 0));
+
+      global.chrome.storage.local.get = get;
+      return document.querySelector('.pr-reorder-preset-select');
+    };
+
+    it('should preselect the default preset over the last used one', async () => {
+      const select = await createWithPreferences({
+        defaultPreset: 'reverse-alphabetical',
+        lastPreset: 'alphabetical',
+      });
+
+      expect(select.value).toBe('reverse-alphabetical');
+    });
+
+    it('should fall back to the last used preset', async () => {
+      const select = await createWithPreferences({
+        lastPreset: 'alphabetical',
+      });
+
+      expect(select.value).toBe('alphabetical');
+    });
+
+    it('should only select the default preset without being asked to apply it', async () => {
+      await createWithPreferences({ defaultPreset: 'reverse-alphabetical' });
+
+      expect(modal.getOrder()).toEqual(paths);
+    });
+
+    it('should apply the default preset when asked to', async () => {
+      const select = await createWithPreferences(
+        { defaultPreset: 'reverse-alphabetical', lastPreset: 'alphabetical' },
+        { applyDefaultPreset: true }
+      );
+
+      expect(select.value).toBe('reverse-alphabetical');
+      expect(modal.getOrder()).toEqual([...paths].sort().reverse());
+
+      click(document.querySelector('[data-history="undo"]'));
+      expect(modal.getOrder()).toEqual(paths);
+    });
+
+    it('should not apply the last used preset', async () => {
+      await createWithPreferences(
+        { lastPreset: 'reverse-alphabetical' },
+        { applyDefaultPreset: true }
+      );
+
+      expect(modal.getOrder()).toEqual(paths);
+    });
+  });
+
+  describe('notes', () => {
+    const getNoteText = (path) =>
+      getItem(path).querySelector('.pr-reorder-note-text');
+
+    const editNote = (path, value, key = 'Enter') => {
+      click(getItem(path).querySelector('.pr-reorder-note-btn'));
+      const input = getItem(path).querySelector('.pr-reorder-note-input');
+      input.value = value;
+      pressKey(input, key);
+    };
+
+    it('should add, edit and remove a file note', () => {
+      editNote('b.js', 'read first: defines the interface');
+
+      expect(getNoteText('b.js').textContent).toBe(
+        'read first: defines the interface'
+      );
+      expect(getNoteText('b.js').hidden).toBe(false);
+      expect(modal.getNotes()).toEqual({
+        'b.js': 'read first: defines the interface',
+      });
+
+      editNote('b.js', '');
+      expect(getNoteText('b.js').hidden).toBe(true);
+      expect(modal.getNotes()).toEqual({});
+    });
+
+    it('should not select the file or close the modal while editing', () => {
+      editNote('c.js', 'ignored', 'Escape');
+
+      expect(getSelectedPaths()).toEqual([]);
+      expect(getNoteText('c.js').hidden).toBe(true);
+      expect(modal.getNotes()).toEqual({});
+      expect(
+        document.querySelector('.pr-reorder-modal-overlay')
+      ).not.toBeNull();
+    });
+
+    it('should keep notes while searching', () => {
+      editNote('a.js', 'start here');
+
+      const search = document.querySelector('[data-search-input]');
+      search.value = 'b';
+      search.dispatchEvent(new Event('input'));
+      search.value = '';
+      search.dispatchEvent(new Event('input'));
+
+      expect(getNoteText('a.js').textContent).toBe('start here');
+    });
+
+    it('should start from initial notes and save notes for files in the order', async () => {
+      document.querySelector('.pr-reorder-modal-overlay').remove();
+      const onSave = jest.fn();
+      createReorderModal({
+        initialOrder: paths,
+        initialNotes: { 'a.js': 'start here', 'removed.js': 'gone' },
+        onSave,
+      });
+
+      expect(getNoteText('a.js').textContent).toBe('start here');
+
+      click(document.querySelector('[data-action="save"]'));
+      await new Promise((resolve) => setTimeout(resolve, 250));
+
+      expect(onSave).toHaveBeenCalledWith(paths, { 'a.js': 'start here' }, []);
+    });
+  });
+
+  describe('sections', () => {
+    const getDivider = (path) =>
+      getItem(path).querySelector('.pr-reorder-section-divider');
+
+    const startSection = (path) => {
+      click(getItem(path));
+      click(document.querySelector('[data-selection-action="section"]'));
+      return getDivider(path).querySelector('.pr-reorder-section-name');
+    };
+
+    const rename = (input, value) => {
+      input.value = value;
+      input.dispatchEvent(new Event('change'));
+    };
+
+    it('should start a named section at the first selected file', () => {
+      const input = startSection('c.js');
+
+      expect(getItem('c.js').classList.contains('has-section')).toBe(true);
+      expect(input.value).toBe('Section 1');
+      expect(document.activeElement).toBe(input);
+
+      rename(input, '  Tests\n ');
+      expect(input.value).toBe('Tests');
+      expect(modal.getSections()).toEqual([{ name: 'Tests', start: 'c.js' }]);
+    });
+
+    it('should move the divider with its first file', () => {
+      rename(startSection('b.js'), 'API contract');
+      startSection('d.js');
+
+      click(getItem('b.js'));
+      click(document.querySelector('[data-selection-action="bottom"]'));
+
+      expect(modal.getOrder()).toEqual([
+        'a.js',
+        'c.js',
+        'd.js',
+        'e.js',
+        'b.js',
+      ]);
+      expect(modal.getSections()).toEqual([
+        { name: 'Section 2', start: 'd.js' },
+        { name: 'API contract', start: 'b.js' },
+      ]);
+    });
+
+    it('should remove a section when cleared or removed', () => {
+      rename(startSection('b.js'), '');
+      expect(getDivider('b.js')).toBeNull();
+
+      startSection('c.js');
+      click(getDivider('c.js').querySelector('.pr-reorder-section-remove'));
+      expect(getDivider('c.js')).toBeNull();
+      expect(getItem('c.js').classList.contains('has-section')).toBe(false);
+      expect(modal.getSections()).toEqual([]);
+    });
+
+    it('should start from initial sections and save them with the order', async () => {
+      document.querySelector('.pr-reorder-modal-overlay').remove();
+      const onSave = jest.fn();
+      createReorderModal({
+        initialOrder: paths,
+        initialSections: [
+          { name: 'Tests', start: 'd.js' },
+          { name: 'Gone', start: 'removed.js' },
+        ],
+        onSave,
+      });
+
+      expect(
+        getDivider('d.js').querySelector('.pr-reorder-section-name').value
+      ).toBe('Tests');
+
+      click(document.querySelector('[data-action="save"]'));
+      await new Promise((resolve) => setTimeout(resolve, 250));
+
+      expect(onSave).toHaveBeenCalledWith(paths, {}, [
+        { name: 'Tests', start: 'd.js' },
+      ]);
+    });
+  });
+});
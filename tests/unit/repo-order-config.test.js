@@ -0,0 +1,104 @@
+/**
+ * Unit tests for Repository Order Config
+ */
+import {
+  parseRepoOrderConfig,
+  REPO_ORDER_PRESET_ID,
+} from '../../utils/repo-order-config.js';
+import { sortByRules } from '../../utils/presets.js';
+
+describe('repo-order-config', () => {
+  describe('parseRepoOrderConfig', () => {
+    const yaml = [
+      'buckets:',
+      '  - name: Migrations',
+      '    patterns: [db/migrate/**]',
+      '  - name: Tests',
+      "    patterns: ['*.test.js']",
+      '    sort: reverse-alphabetical',
+    ].join('\n');
+
+    it('should parse YAML into a preset definition', () => {
+      const { preset, errors } = parseRepoOrderConfig(yaml);
+
+      expect(errors).toEqual([]);
+      expect(preset).toEqual({
+        id: REPO_ORDER_PRESET_ID,
+        name: 'Repository order',
+        description: '',
+        buckets: [
+          {
+            name: 'Migrations',
+            patterns: ['db/migrate/**'],
+            sort: 'alphabetical',
+          },
+          {
+            name: 'Tests',
+            patterns: ['*.test.js'],
+            sort: 'reverse-alphabetical',
+          },
+        ],
+        unmatchedSort: 'alphabetical',
+      });
+    });
+
+    it('should produce an order usable by preset sorting', () => {
+      const { preset } = parseRepoOrderConfig(yaml);
+      const files = [
+        { path: 'src/a.test.js' },
+        { path: 'README.md' },
+        { path: 'src/b.test.js' },
+        { path: 'db/migrate/001.sql' },
+      ];
+
+      expect(sortByRules(files, preset).map((f) => f.path)).toEqual([
+        'db/migrate/001.sql',
+        'src/b.test.js',
+        'src/a.test.js',
+        'README.md',
+      ]);
+    });
+
+    it('should parse JSON files as JSON', () => {
+      const { preset } = parseRepoOrderConfig(
+        JSON.stringify({ name: 'Docs', buckets: [{ patterns: ['*.md'] }] }),
+        '.github/pr-file-order.json'
+      );
+
+      expect(preset.name).toBe('Docs');
+      expect(preset.buckets[0].patterns).toEqual(['*.md']);
+    });
+
+    it('should report syntax errors', () => {
+      expect(
+        parseRepoOrderConfig('{"buckets": [', '.github/pr-file-order.json')
+          .errors[0]
+      ).toMatch(/^Invalid JSON: /);
+      expect(parseRepoOrderConfig('buckets:\n  - **').errors).toEqual([
+        'Line 2: quote values starting with "*"',
+      ]);
+    });
+
+    it('should report unknown keys and invalid rules together', () => {
+      const { preset, errors } = parseRepoOrderConfig(
+        'bucket:\n  - patterns: [a/**]\nunmatchedSort: random'
+      );
+
+      expect(preset).toBeNull();
+      expect(errors).toEqual([
+        'Unknown key "bucket" (expected one of: name, description, buckets, unmatchedSort)',
+        'Preset needs at least one bucket',
+        'Unmatched files: unknown sort "random"',
+      ]);
+    });
+
+    it('should reject empty files and non-mappings', () => {
+      expect(parseRepoOrderConfig('  \n').errors).toEqual([
+        'Config file is empty',
+      ]);
+      expect(parseRepoOrderConfig('- a').errors).toEqual([
+        'Config must be a mapping with a "buckets" list',
+      ]);
+    });
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * Unit tests for Retention Policy
+ */
+import {
+  normalizeRetention,
+  selectOrdersToPrune,
+  formatBytes,
+  DEFAULT_RETENTION,
+} from '../../utils/retention.js';
+
+describe('retention', () => {
+  const now = Date.parse('2024-06-01T00:00:00Z');
+  const daysAgo = (days) =>
+    new Date(now - days * 24 * 60 * 60 * 1000).toISOString();
+
+  describe('normalizeRetention', () => {
+    it('should fill in defaults', () => {
+      expect(normalizeRetention()).toEqual(DEFAULT_RETENTION);
+      expect(normalizeRetention({ maxAgeDays: 7 })).toEqual({
+        ...DEFAULT_RETENTION,
+        maxAgeDays: 7,
+      });
+    });
+
+    it('should reject limits that are not whole numbers in range', () => {
+      expect(() => normalizeRetention({ maxAgeDays: 0 })).toThrow(
+        'Max age must be a whole number from 1 to 3650'
+      );
+      expect(() => normalizeRetention({ maxCount: 1.5 })).toThrow(
+        'Max count must be a whole number from 1 to 10000'
+      );
+      expect(() => normalizeRetention({ maxCount: '5' })).toThrow();
+    });
+  });
+
+  describe('selectOrdersToPrune', () => {
+    const orders = {
+      'org/repo/1': { timestamp: daysAgo(1) },
+      'org/repo/2': { timestamp: daysAgo(5) },
+      'org/repo/3': { timestamp: daysAgo(3), prState: 'merged' },
+      'org/repo/4': { timestamp: daysAgo(40) },
+      'org/repo/5': { timestamp: 'not a date' },
+    };
+
+    it('should prune old, closed and excess orders', () => {
+      expect(
+        selectOrdersToPrune(
+          orders,
+          { maxAgeDays: 30, maxCount: 1, pruneClosed: true },
+          now
+        )
+      ).toEqual(['org/repo/3', 'org/repo/4', 'org/repo/5', 'org/repo/2']);
+    });
+
+    it('should keep closed PRs unless asked to prune them', () => {
+      expect(
+        selectOrdersToPrune(orders, normalizeRetention({ maxAgeDays: 30 }), now)
+      ).toEqual(['org/repo/4', 'org/repo/5']);
+    });
+  });
+
+  describe('formatBytes', () => {
+    it('should use readable units', () => {
+      expect(formatBytes(512)).toBe('512 B');
+      expect(formatBytes(3277)).toBe('3.2 KB');
+      expect(formatBytes(5 * 1024 * 1024)).toBe('5.0 MB');
+    });
+  });
+});
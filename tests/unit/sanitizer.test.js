@@ -10,6 +10,10 @@ import {
   sanitizeUsername,
   validateOrder,
   validateOrderCommentData,
+  validateOrderData,
+  sanitizeNotes,
+  sanitizeSections,
+  sanitizeCommitSha,
   escapeHTML,
   containsXSSPatterns,
 } from '../../utils/sanitizer.js';
@@ -223,6 +227,178 @@ describe('Sanitizer', () => {
     });
   });
 
+  describe('validateOrderData', () => {
+    it('should validate saved orders, which have no user', () => {
+      expect(
+        validateOrderData({
+          order: ['file1.js'],
+          timestamp: '2025-02-12T10:00:00Z',
+          version: '1.1',
+          headSha: 'ABCDEF1',
+        })
+      ).toEqual({
+        order: ['file1.js'],
+        timestamp: '2025-02-12T10:00:00.000Z',
+        version: '1.1',
+        headSha: 'abcdef1',
+      });
+      expect(() => validateOrderData({ user: 'test' })).toThrow(
+        'missing order'
+      );
+    });
+  });
+
+  describe('sanitizeCommitSha', () => {
+    it('should accept full and abbreviated SHAs', () => {
+      expect(sanitizeCommitSha('ABC1234')).toBe('abc1234');
+      expect(sanitizeCommitSha('a'.repeat(40))).toBe('a'.repeat(40));
+    });
+
+    it('should reject invalid SHAs', () => {
+      expect(() => sanitizeCommitSha('abc')).toThrow('Invalid commit SHA');
+      expect(() => sanitizeCommitSha('<script>')).toThrow();
+      expect(() => sanitizeCommitSha(123)).toThrow();
+    });
+
+    it('should keep head SHA in order comment data', () => {
+      const result = validateOrderCommentData({
+        user: 'testuser',
+        order: ['file.js'],
+        headSha: 'ABCDEF1',
+      });
+
+      expect(result.headSha).toBe('abcdef1');
+    });
+
+    it('should reject order comment data with invalid head SHA', () => {
+      expect(() =>
+        validateOrderCommentData({
+          user: 'testuser',
+          order: ['file.js'],
+          headSha: 'not-a-sha',
+        })
+      ).toThrow('Invalid commit SHA');
+    });
+  });
+
+  describe('revision', () => {
+    it('should keep valid revisions and reject others', () => {
+      const base = { user: 'testuser', order: ['a.js'] };
+
+      expect(validateOrderCommentData({ ...base, revision: 3 }).revision).toBe(
+        3
+      );
+      expect(validateOrderCommentData(base)).not.toHaveProperty('revision');
+      ['2', 0, 1.5, -1].forEach((revision) => {
+        expect(() => validateOrderCommentData({ ...base, revision })).toThrow(
+          'Revision must be a positive integer'
+        );
+      });
+    });
+  });
+
+  describe('sanitizeNotes', () => {
+    const order = ['src/a.js', 'README.md'];
+
+    it('should normalize notes and drop ones outside the order', () => {
+      expect(
+        sanitizeNotes(
+          {
+            'src/a.js': 'read\nfirst',
+            'src/': 'core',
+            'gone.js': 'renamed',
+            'README.md': '',
+          },
+          order
+        )
+      ).toEqual({ 'src/a.js': 'read first', 'src/': 'core' });
+    });
+
+    it('should reject malformed notes', () => {
+      expect(() => sanitizeNotes(['a'], order)).toThrow(
+        'Notes must be an object'
+      );
+      expect(() => sanitizeNotes({ 'src/a.js': 42 }, order)).toThrow(
+        'Note for src/a.js must be a string'
+      );
+      expect(() =>
+        sanitizeNotes({ 'src/a.js': 'x'.repeat(281) }, order)
+      ).toThrow('too long');
+    });
+
+    it('should keep notes in order comment data', () => {
+      const result = validateOrderCommentData({
+        user: 'testuser',
+        order,
+        notes: { 'README.md': '<script>alert(1)</script>' },
+      });
+
+      // Stored as-is; only ever rendered with textContent
+      expect(result.notes).toEqual({
+        'README.md': '<script>alert(1)</script>',
+      });
+      expect(
+        validateOrderCommentData({ user: 'testuser', order, notes: {} })
+      ).not.toHaveProperty('notes');
+    });
+  });
+
+  describe('sanitizeSections', () => {
+    const order = ['api.ts', 'impl.ts', 'impl.test.ts'];
+
+    it('should normalize sections and drop ones outside the order', () => {
+      expect(
+        sanitizeSections(
+          [
+            { name: 'Tests', start: 'impl.test.ts' },
+            { name: ' API\ncontract ', start: 'api.ts' },
+            { name: 'Gone', start: 'removed.ts' },
+            { name: '  ', start: 'impl.ts' },
+          ],
+          order
+        )
+      ).toEqual([
+        { name: 'API contract', start: 'api.ts' },
+        { name: 'Tests', start: 'impl.test.ts' },
+      ]);
+    });
+
+    it('should reject malformed sections', () => {
+      expect(() => sanitizeSections({}, order)).toThrow(
+        'Sections must be an array'
+      );
+      expect(() => sanitizeSections(['Tests'], order)).toThrow(
+        'Section at index 0 must be an object'
+      );
+      expect(() => sanitizeSections([{ start: 'api.ts' }], order)).toThrow(
+        'Section at index 0 must have a name'
+      );
+      expect(() =>
+        sanitizeSections([{ name: 'x'.repeat(81), start: 'api.ts' }], order)
+      ).toThrow('too long');
+      expect(() =>
+        sanitizeSections([{ name: 'API', start: 42 }], order)
+      ).toThrow('File path must be a string');
+    });
+
+    it('should keep sections in order comment data', () => {
+      const result = validateOrderCommentData({
+        user: 'testuser',
+        order,
+        version: '1.1',
+        sections: [{ name: '<b>Tests</b>', start: 'impl.test.ts' }],
+      });
+
+      expect(result.version).toBe('1.1');
+      expect(result.sections).toEqual([
+        { name: '<b>Tests</b>', start: 'impl.test.ts' },
+      ]);
+      expect(
+        validateOrderCommentData({ user: 'testuser', order, sections: [] })
+      ).not.toHaveProperty('sections');
+    });
+  });
+
   describe('escapeHTML', () => {
     it('should escape HTML entities', () => {
       expect(escapeHTML('<script>alert("XSS")</script>')).toContain('&lt;');
@@ -0,0 +1,95 @@
+/**
+ * Unit tests for Sections
+ */
+import {
+  normalizeSectionName,
+  pruneSections,
+  getSectionRanges,
+  pickSections,
+} from '../../utils/sections.js';
+
+describe('sections', () => {
+  const order = ['api.ts', 'types.ts', 'impl.ts', 'impl.test.ts'];
+
+  describe('normalizeSectionName', () => {
+    it('should collapse whitespace to one line', () => {
+      expect(normalizeSectionName('  API\ncontract ')).toBe('API contract');
+      expect(normalizeSectionName(undefined)).toBe('');
+    });
+  });
+
+  describe('pruneSections', () => {
+    it('should keep named sections in order and drop the rest', () => {
+      expect(
+        pruneSections(
+          [
+            { name: 'Tests', start: 'impl.test.ts' },
+            { name: 'API', start: 'api.ts' },
+            { name: 'Again', start: 'api.ts' },
+            { name: '', start: 'impl.ts' },
+            { name: 'Gone', start: 'removed.ts' },
+            null,
+          ],
+          order
+        )
+      ).toEqual([
+        { name: 'API', start: 'api.ts' },
+        { name: 'Tests', start: 'impl.test.ts' },
+      ]);
+      expect(pruneSections(undefined, order)).toEqual([]);
+    });
+  });
+
+  describe('getSectionRanges', () => {
+    it('should run each section up to the next one', () => {
+      expect(
+        getSectionRanges(
+          [
+            { name: 'Implementation', start: 'impl.ts' },
+            { name: 'API', start: 'types.ts' },
+          ],
+          order
+        )
+      ).toEqual([
+        { name: 'API', start: 'types.ts', files: ['types.ts'] },
+        {
+          name: 'Implementation',
+          start: 'impl.ts',
+          files: ['impl.ts', 'impl.test.ts'],
+        },
+      ]);
+    });
+  });
+
+  describe('pickSections', () => {
+    const orders = [
+      {
+        user: 'alice',
+        timestamp: '2024-01-02T00:00:00Z',
+        sections: [{ name: 'Alice', start: 'api.ts' }],
+      },
+      {
+        user: 'bob',
+        timestamp: '2024-01-03T00:00:00Z',
+        sections: [{ name: 'Bob', start: 'api.ts' }],
+      },
+      { user: 'carol', timestamp: '2024-01-04T00:00:00Z' },
+    ];
+
+    it("should prefer the current user's sections", () => {
+      expect(pickSections(orders, 'alice')).toEqual([
+        { name: 'Alice', start: 'api.ts' },
+      ]);
+    });
+
+    it('should fall back to the most recently saved sections', () => {
+      expect(pickSections(orders, 'carol')).toEqual([
+        { name: 'Bob', start: 'api.ts' },
+      ]);
+      expect(pickSections(orders, null)).toEqual([
+        { name: 'Bob', start: 'api.ts' },
+      ]);
+      expect(pickSections([{ user: 'carol' }], 'carol')).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * @jest-environment node
+ */
+
+import { deflateRawSync } from 'zlib';
+import {
+  encodeSharedOrder,
+  decodeSharedOrder,
+  getShareFragment,
+} from '../../utils/share-link.js';
+
+describe('Share Link', () => {
+  const files = ['src/b.js', 'README.md', 'src/a.js', 'docs/café.md'];
+  const order = ['src/a.js', 'src/b.js', 'docs/café.md', 'README.md'];
+
+  describe('encodeSharedOrder', () => {
+    it('should round-trip an order with sections and non-ASCII paths', async () => {
+      const encoded = await encodeSharedOrder(
+        {
+          order,
+          sections: [{ name: 'Docs 📚', start: 'docs/café.md' }],
+          user: 'alice',
+        },
+        files
+      );
+
+      expect(encoded).toMatch(/^[A-Za-z0-9_-]+$/);
+      await expect(decodeSharedOrder(encoded, files)).resolves.toEqual({
+        order,
+        sections: [{ name: 'Docs 📚', start: 'docs/café.md' }],
+        user: 'alice',
+      });
+    });
+
+    it('should stay short for large PRs', async () => {
+      const many = Array.from(
+        { length: 500 },
+        (_, i) => `packages/app/src/components/Component${i}.tsx`
+      );
+
+      const encoded = await encodeSharedOrder(
+        { order: [...many].reverse() },
+        many
+      );
+
+      expect(encoded.length).toBeLessThan(JSON.stringify(many).length / 10);
+    });
+
+    it('should keep paths that are not in the file list', async () => {
+      const encoded = await encodeSharedOrder(
+        { order: ['new.js', 'src/a.js'] },
+        ['src/a.js']
+      );
+
+      const decoded = await decodeSharedOrder(encoded, ['src/a.js']);
+      expect(decoded.order).toEqual(['new.js', 'src/a.js']);
+      expect(decoded.user).toBeNull();
+    });
+
+    it('should reject invalid orders', async () => {
+      await expect(encodeSharedOrder({ order: [] })).rejects.toThrow(
+        'Order cannot be empty'
+      );
+    });
+  });
+
+  describe('decodeSharedOrder', () => {
+    it('should refuse a different file list', async () => {
+      const encoded = await encodeSharedOrder({ order }, files);
+
+      await expect(decodeSharedOrder(encoded, files.slice(1))).rejects.toThrow(
+        "This PR's files have changed"
+      );
+    });
+
+    it('should reject corrupt data', async () => {
+      await expect(decodeSharedOrder('not*base64')).rejects.toThrow(
+        'Invalid shared order'
+      );
+      await expect(decodeSharedOrder('AAAA')).rejects.toThrow(
+        'Invalid shared order'
+      );
+    });
+
+    it('should reject malformed sections', async () => {
+      // Encoded like encodeSharedOrder, with a hand-written payload
+      const encode = (payload) =>
+        deflateRawSync(JSON.stringify(payload)).toString('base64url');
+
+      for (const s of [[1], [null], [['Docs']], [['Docs', null]], [[1, 0]]]) {
+        await expect(
+          decodeSharedOrder(encode({ v: 1, o: ['a.js'], s }))
+        ).rejects.toThrow('Invalid shared order: malformed section');
+      }
+
+      await expect(
+        decodeSharedOrder(encode({ v: 1, o: ['a.js'], s: [['Docs', 'a.js']] }))
+      ).resolves.toMatchObject({ sections: [{ name: 'Docs', start: 'a.js' }] });
+    });
+  });
+
+  describe('getShareFragment', () => {
+    it('should read the order from the fragment', () => {
+      expect(getShareFragment('#pr-order=abc_-1')).toBe('abc_-1');
+      expect(getShareFragment('#diff-123')).toBeNull();
+      expect(getShareFragment('')).toBeNull();
+    });
+  });
+});
@@ -2,6 +2,7 @@
  * Simplified storage tests
  */
 
+import { jest } from '@jest/globals';
 import {
   saveOrder,
   loadOrder,
@@ -10,6 +11,26 @@ import {
   savePreference,
   loadPreference,
   deletePreference,
+  loadRepoConfig,
+  saveRepoConfig,
+  getAllRepoConfigs,
+  deleteRepoConfig,
+  saveGitHubToken,
+  loadGitHubToken,
+  clearGitHubToken,
+  deleteOrder,
+  syncStorage,
+  getStorageStats,
+  markOrderPrState,
+  loadRetentionSettings,
+  saveRetentionSettings,
+  pruneStoredOrders,
+  getRecentOrders,
+  saveOrders,
+  deleteOrders,
+  getAllPreferences,
+  importPreferences,
+  parseStorageChanges,
 } from '../../utils/storage.js';
 
 // Mock chrome API
@@ -26,6 +47,29 @@ global.chrome = {
   },
 };
 
+// In-memory storage area
+const createArea = (items) => ({
+  get: (keys, callback) => {
+    const picked = keys
+      ? Object.fromEntries(
+          keys.filter((key) => key in items).map((key) => [key, items[key]])
+        )
+      : { ...items };
+    callback(JSON.parse(JSON.stringify(picked)));
+  },
+  set: (data, callback) => {
+    Object.assign(items, JSON.parse(JSON.stringify(data)));
+    callback();
+  },
+  remove: (keys, callback) => {
+    keys.forEach((key) => delete items[key]);
+    callback();
+  },
+  getBytesInUse: (keys, callback) => {
+    callback(JSON.stringify(items).length);
+  },
+});
+
 describe('Storage Layer - Basic Tests', () => {
   beforeEach(() => {
     global.chrome.runtime.lastError = null;
@@ -49,6 +93,55 @@ describe('Storage Layer - Basic Tests', () => {
       ]);
     });
 
+    it('should record head SHA when given', async () => {
+      let savedData = null;
+
+      global.chrome.storage.local.set = (data, callback) => {
+        savedData = data;
+        callback();
+      };
+
+      await saveOrder('org/repo/123', ['file1.js'], { headSha: 'abcdef1' });
+
+      expect(savedData['pr-order:org/repo/123'].headSha).toBe('abcdef1');
+    });
+
+    it('should store notes only when there are some', async () => {
+      let savedData = null;
+
+      global.chrome.storage.local.set = (data, callback) => {
+        savedData = data;
+        callback();
+      };
+
+      await saveOrder('org/repo/123', ['file1.js'], {
+        notes: { 'file1.js': 'read first' },
+      });
+      expect(savedData['pr-order:org/repo/123'].notes).toEqual({
+        'file1.js': 'read first',
+      });
+
+      await saveOrder('org/repo/123', ['file1.js'], { notes: {} });
+      expect(savedData['pr-order:org/repo/123']).not.toHaveProperty('notes');
+    });
+
+    it('should store section dividers only when there are some', async () => {
+      let savedData = null;
+
+      global.chrome.storage.local.set = (data, callback) => {
+        savedData = data;
+        callback();
+      };
+
+      const sections = [{ name: 'Tests', start: 'file1.js' }];
+      await saveOrder('org/repo/123', ['file1.js'], { sections });
+      expect(savedData['pr-order:org/repo/123'].sections).toEqual(sections);
+      expect(savedData['pr-order:org/repo/123'].version).toBe('1.1');
+
+      await saveOrder('org/repo/123', ['file1.js'], { sections: [] });
+      expect(savedData['pr-order:org/repo/123']).not.toHaveProperty('sections');
+    });
+
     it('should throw on invalid prId', async () => {
       await expect(saveOrder('', ['file.js'])).rejects.toThrow();
     });
@@ -63,7 +156,7 @@ describe('Storage Layer - Basic Tests', () => {
       const mockData = {
         order: ['file1.js'],
         timestamp: '2025-02-12T10:00:00Z',
-        version: '1.0',
+        version: CURRENT_VERSION,
       };
 
       global.chrome.storage.local.get = (keys, callback) => {
@@ -87,7 +180,7 @@ describe('Storage Layer - Basic Tests', () => {
   });
 
   describe('migrateData', () => {
-    it('should migrate from v0.1 to v1.0', () => {
+    it('should migrate from v0.1 to the current version', () => {
       const oldData = {
         order: ['file.js'],
         version: '0.1',
@@ -95,7 +188,21 @@ describe('Storage Layer - Basic Tests', () => {
 
       const migrated = migrateData(oldData);
 
-      expect(migrated.version).toBe('1.0');
+      expect(migrated.version).toBe('1.1');
+    });
+
+    it('should migrate v1.0 orders to v1.1 without sections', () => {
+      const oldData = {
+        order: ['file.js'],
+        timestamp: '2025-02-12T10:00:00Z',
+        version: '1.0',
+      };
+
+      const migrated = migrateData(oldData);
+
+      expect(migrated).toEqual({ ...oldData, version: '1.1' });
+      expect(migrated).not.toHaveProperty('sections');
+      expect(oldData.version).toBe('1.0');
     });
 
     it('should keep current version unchanged', () => {
@@ -224,4 +331,616 @@ describe('Storage Layer - Basic Tests', () => {
       await expect(deletePreference('')).rejects.toThrow();
     });
   });
+
+  describe('repo config', () => {
+    it('should return empty config when none saved', async () => {
+      global.chrome.storage.local.get = (keys, callback) => {
+        callback({});
+      };
+
+      await expect(loadRepoConfig('org/repo')).resolves.toEqual({});
+    });
+
+    it('should merge saved fields into existing config', async () => {
+      let savedData = null;
+
+      global.chrome.storage.local.get = (keys, callback) => {
+        callback({
+          'pr-reorder:repo-config:org/repo': { other: true },
+        });
+      };
+
+      global.chrome.storage.local.set = (data, callback) => {
+        savedData = data;
+        callback();
+      };
+
+      await saveRepoConfig('org/repo', { roleWeights: { author: 3 } });
+
+      expect(savedData['pr-reorder:repo-config:org/repo']).toEqual({
+        other: true,
+        roleWeights: { author: 3 },
+      });
+    });
+
+    it('should throw on invalid repo ID', async () => {
+      await expect(loadRepoConfig('')).rejects.toThrow();
+    });
+
+    it('should ignore invalid stored role weights', async () => {
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const weights = [{ author: -1 }, { author: 'heavy' }, { pirate: 2 }];
+
+      for (const roleWeights of weights) {
+        global.chrome.storage.local.get = (keys, callback) => {
+          callback({
+            'pr-reorder:repo-config:org/repo': { other: true, roleWeights },
+          });
+        };
+
+        await expect(loadRepoConfig('org/repo')).resolves.toEqual({
+          other: true,
+        });
+      }
+
+      // JSON turns NaN and Infinity into null
+      global.chrome.storage.local.get = (keys, callback) => {
+        callback({
+          'pr-reorder:repo-config:org/repo': { roleWeights: { author: null } },
+        });
+      };
+      await expect(loadRepoConfig('org/repo')).resolves.toEqual({});
+
+      expect(warnSpy).toHaveBeenCalledWith(
+        '[PR-Reorder] Ignoring invalid role weights:',
+        expect.any(String)
+      );
+      warnSpy.mockRestore();
+    });
+
+    it('should reject invalid role weights on save', async () => {
+      global.chrome.storage.local.get = (keys, callback) => {
+        callback({});
+      };
+
+      await expect(
+        saveRepoConfig('org/repo', { roleWeights: { author: -1 } })
+      ).rejects.toThrow('Weight for author must be a number of at least 0');
+      await expect(
+        saveRepoConfig('org/repo', { roleWeights: { author: NaN } })
+      ).rejects.toThrow('Weight for author');
+      await expect(
+        saveRepoConfig('org/repo', { roleWeights: { author: Infinity } })
+      ).rejects.toThrow('Weight for author');
+      await expect(
+        saveRepoConfig('org/repo', { roleWeights: { pirate: 1 } })
+      ).rejects.toThrow('Unknown role: pirate');
+      await expect(
+        saveRepoConfig('org/repo', { roleWeights: [1] })
+      ).rejects.toThrow('Role weights must be an object');
+    });
+
+    it('should list and delete repo configs', async () => {
+      const savedChrome = global.chrome;
+      const local = {
+        'pr-reorder:repo-config:org/repo': { roleWeights: { author: 0 } },
+        'pr-reorder:repo-config:org/other': { roleWeights: { author: -2 } },
+        'pr-reorder:preferences': {},
+      };
+      const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+      global.chrome = {
+        storage: { local: createArea(local), sync: createArea({}) },
+        runtime: { lastError: null },
+      };
+
+      try {
+        await expect(getAllRepoConfigs()).resolves.toEqual({
+          'org/repo': { roleWeights: { author: 0 } },
+          'org/other': {},
+        });
+
+        await deleteRepoConfig('org/repo');
+        expect(local['pr-reorder:repo-config:org/repo']).toBeUndefined();
+        expect(local['pr-reorder:repo-config:org/other']).toBeDefined();
+      } finally {
+        global.chrome = savedChrome;
+        warnSpy.mockRestore();
+      }
+    });
+  });
+
+  describe('GitHub token', () => {
+    let stored;
+
+    beforeEach(() => {
+      stored = {};
+      global.chrome.storage.local.get = (keys, callback) => {
+        callback(Object.fromEntries(keys.map((key) => [key, stored[key]])));
+      };
+      global.chrome.storage.local.set = (data, callback) => {
+        Object.assign(stored, data);
+        callback();
+      };
+      global.chrome.storage.local.remove = (keys, callback) => {
+        keys.forEach((key) => delete stored[key]);
+        callback();
+      };
+    });
+
+    it('should save, load and clear the token apart from preferences', async () => {
+      await expect(loadGitHubToken()).resolves.toBeNull();
+
+      await saveGitHubToken('  github_pat_abc123  ');
+      await expect(loadGitHubToken()).resolves.toBe('github_pat_abc123');
+      expect(Object.keys(stored)).toEqual(['pr-reorder:github-token']);
+
+      await clearGitHubToken();
+      await expect(loadGitHubToken()).resolves.toBeNull();
+    });
+
+    it('should reject empty tokens and tokens with spaces', async () => {
+      await expect(saveGitHubToken('')).rejects.toThrow(
+        'GitHub token must be a non-empty string without spaces'
+      );
+      await expect(saveGitHubToken('two words')).rejects.toThrow();
+      await expect(saveGitHubToken(null)).rejects.toThrow();
+    });
+  });
+
+  describe('sync', () => {
+    let local;
+    let synced;
+    let savedChrome;
+
+    beforeEach(() => {
+      local = {};
+      synced = {};
+      savedChrome = global.chrome;
+      global.chrome = {
+        storage: { local: createArea(local), sync: createArea(synced) },
+        runtime: { lastError: null },
+      };
+    });
+
+    afterEach(() => {
+      global.chrome = savedChrome;
+    });
+
+    it('should copy saved orders to sync in compact form', async () => {
+      await saveOrder('org/repo/1', ['a.js', 'b.js'], {
+        notes: { 'a.js': 'first' },
+      });
+
+      const compact = synced['pr-order:org/repo/1'];
+      expect(compact.o).toEqual(['a.js', 'b.js']);
+      expect(compact.n).toEqual({ 'a.js': 'first' });
+      expect(compact.t).toBe(
+        Date.parse(local['pr-order:org/repo/1'].timestamp)
+      );
+
+      await deleteOrder('org/repo/1');
+      expect(synced['pr-order:org/repo/1']).toEqual({
+        d: 1,
+        t: expect.any(Number),
+      });
+    });
+
+    it('should sync preferences one item each, with their change time', async () => {
+      await savePreference('consensusStrategy', 'borda');
+
+      expect(local['pr-reorder:preferences']).toEqual({
+        consensusStrategy: 'borda',
+      });
+      const entry = synced['pr-reorder:preference:consensusStrategy'];
+      expect(entry.v).toBe('borda');
+      expect(entry.t).toBe(
+        local['pr-reorder:preference-times'].consensusStrategy
+      );
+
+      await deletePreference('consensusStrategy');
+      expect(synced['pr-reorder:preference:consensusStrategy'].d).toBe(1);
+    });
+
+    it('should keep saving locally when sync fails', async () => {
+      global.chrome.storage.sync.set = (data, callback) => {
+        global.chrome.runtime.lastError = {
+          message: 'QUOTA_BYTES quota exceeded',
+        };
+        callback();
+        global.chrome.runtime.lastError = null;
+      };
+      const errorSpy = jest
+        .spyOn(console, 'error')
+        .mockImplementation(() => {});
+
+      await saveOrder('org/repo/1', ['a.js']);
+      await expect(loadOrder('org/repo/1')).resolves.toMatchObject({
+        order: ['a.js'],
+      });
+
+      expect(errorSpy).toHaveBeenCalled();
+      errorSpy.mockRestore();
+    });
+
+    it('should name the pulled orders before writing them', async () => {
+      synced['pr-order:org/repo/1'] = { o: ['remote.js'], t: 1 };
+      synced['pr-reorder:preference:view'] = { v: 'list', t: 1 };
+      const beforePull = jest.fn(() => {
+        expect(local['pr-order:org/repo/1']).toBeUndefined();
+      });
+
+      await syncStorage({ beforePull });
+      expect(beforePull).toHaveBeenCalledWith(['org/repo/1']);
+      expect(local['pr-order:org/repo/1'].order).toEqual(['remote.js']);
+
+      beforePull.mockClear();
+      await syncStorage({ beforePull });
+      expect(beforePull).not.toHaveBeenCalled();
+    });
+
+    it('should merge both ways with the newer copy winning', async () => {
+      const older = Date.parse('2024-01-01T00:00:00.000Z');
+      const newer = Date.parse('2024-02-01T00:00:00.000Z');
+
+      Object.assign(local, {
+        'pr-order:org/repo/1': {
+          order: ['local.js'],
+          timestamp: new Date(newer).toISOString(),
+          version: '1.1',
+        },
+        'pr-order:org/repo/2': {
+          order: ['stale.js'],
+          timestamp: new Date(older).toISOString(),
+          version: '1.1',
+        },
+        'pr-reorder:preferences': { lastPreset: 'alphabetical', view: 'tree' },
+        'pr-reorder:preference-times': { lastPreset: older, view: newer },
+        'pr-reorder:github-token': 'secret',
+      });
+      Object.assign(synced, {
+        'pr-order:org/repo/1': { o: ['remote.js'], t: older },
+        'pr-order:org/repo/2': { o: ['fresh.js'], t: newer, h: 'abc1234' },
+        'pr-order:org/repo/3': { o: ['other.js'], t: older },
+        'pr-reorder:preference:lastPreset': { v: 'by-type', t: newer },
+        'pr-reorder:preference:view': { v: 'list', t: older },
+      });
+
+      await expect(syncStorage()).resolves.toEqual({ pulled: 3, pushed: 2 });
+
+      expect(local['pr-order:org/repo/1'].order).toEqual(['local.js']);
+      expect(local['pr-order:org/repo/2']).toEqual({
+        order: ['fresh.js'],
+        timestamp: new Date(newer).toISOString(),
+        version: CURRENT_VERSION,
+        headSha: 'abc1234',
+      });
+      expect(local['pr-order:org/repo/3'].order).toEqual(['other.js']);
+      expect(local['pr-reorder:preferences']).toEqual({
+        lastPreset: 'by-type',
+        view: 'tree',
+      });
+
+      expect(synced['pr-order:org/repo/1'].o).toEqual(['local.js']);
+      expect(synced['pr-reorder:preference:view']).toEqual({
+        v: 'tree',
+        t: newer,
+      });
+      expect(JSON.stringify(synced)).not.toContain('secret');
+
+      // Nothing left to merge
+      await expect(syncStorage()).resolves.toEqual({ pulled: 0, pushed: 0 });
+    });
+
+    it('should keep items deleted on one device deleted on the other', async () => {
+      const deviceA = createArea(local);
+      const otherLocal = {};
+      const deviceB = createArea(otherLocal);
+      const useDevice = (area) => {
+        global.chrome.storage.local = area;
+      };
+
+      await saveOrder('org/repo/1', ['a.js']);
+      await savePreference('lastPreset', 'alphabetical');
+      useDevice(deviceB);
+      await syncStorage();
+      expect(otherLocal['pr-order:org/repo/1'].order).toEqual(['a.js']);
+
+      // A deletes while B still has both
+      useDevice(deviceA);
+      await deleteOrder('org/repo/1');
+      await deletePreference('lastPreset');
+
+      useDevice(deviceB);
+      await expect(syncStorage()).resolves.toEqual({ pulled: 2, pushed: 0 });
+      expect(otherLocal['pr-order:org/repo/1']).toBeUndefined();
+      expect(otherLocal['pr-reorder:preferences']).toEqual({});
+
+      useDevice(deviceA);
+      await syncStorage();
+      expect(local['pr-order:org/repo/1']).toBeUndefined();
+      expect(synced['pr-order:org/repo/1'].d).toBe(1);
+
+      // Saving again after the delete wins over it
+      await saveOrder('org/repo/1', ['b.js']);
+      useDevice(deviceB);
+      await syncStorage();
+      expect(otherLocal['pr-order:org/repo/1'].order).toEqual(['b.js']);
+    });
+
+    it('should forget deletions after a while', async () => {
+      synced['pr-order:org/repo/1'] = { d: 1, t: 1 };
+      synced['pr-reorder:preference:view'] = { d: 1, t: Date.now() };
+
+      await syncStorage();
+
+      expect(Object.keys(synced)).toEqual(['pr-reorder:preference:view']);
+    });
+
+    it('should do nothing without chrome.storage.sync', async () => {
+      delete global.chrome.storage.sync;
+
+      await expect(syncStorage()).resolves.toEqual({ pulled: 0, pushed: 0 });
+    });
+  });
+
+  describe('retention', () => {
+    let local;
+    let synced;
+    let savedChrome;
+
+    const daysAgo = (days) =>
+      new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+    beforeEach(() => {
+      local = {};
+      synced = {};
+      savedChrome = global.chrome;
+      global.chrome = {
+        storage: { local: createArea(local), sync: createArea(synced) },
+        runtime: { lastError: null },
+      };
+    });
+
+    afterEach(() => {
+      global.chrome = savedChrome;
+    });
+
+    it('should record merged and closed PRs on their saved order', async () => {
+      await saveOrder('org/repo/1', ['a.js']);
+
+      await expect(markOrderPrState('org/repo/1', 'merged')).resolves.toBe(
+        true
+      );
+      expect(local['pr-order:org/repo/1'].prState).toBe('merged');
+      await expect(markOrderPrState('org/repo/1', 'merged')).resolves.toBe(
+        false
+      );
+
+      await markOrderPrState('org/repo/1', 'open');
+      expect(local['pr-order:org/repo/1'].prState).toBeUndefined();
+
+      await expect(markOrderPrState('org/repo/2', 'closed')).resolves.toBe(
+        false
+      );
+      await expect(markOrderPrState('org/repo/1', 'gone')).rejects.toThrow(
+        'PR state must be open, closed or merged'
+      );
+    });
+
+    it('should save retention settings and fall back to defaults', async () => {
+      await expect(loadRetentionSettings()).resolves.toEqual({
+        maxAgeDays: 90,
+        maxCount: 200,
+        pruneClosed: false,
+      });
+
+      await saveRetentionSettings({ maxAgeDays: 30 });
+      await expect(loadRetentionSettings()).resolves.toMatchObject({
+        maxAgeDays: 30,
+      });
+
+      await expect(saveRetentionSettings({ maxCount: 0 })).rejects.toThrow(
+        'Max count must be a whole number from 1 to 10000'
+      );
+    });
+
+    it('should prune stale orders here and in sync, reporting bytes freed', async () => {
+      Object.assign(local, {
+        'pr-order:org/repo/1': { order: ['a.js'], timestamp: daysAgo(1) },
+        'pr-order:org/repo/2': { order: ['b.js'], timestamp: daysAgo(100) },
+        'pr-order:org/repo/3': {
+          order: ['c.js'],
+          timestamp: daysAgo(2),
+          prState: 'merged',
+        },
+        'pr-reorder:preferences': {
+          lastPreset: 'alphabetical',
+          retention: { maxAgeDays: 90, maxCount: 200, pruneClosed: true },
+        },
+      });
+      synced['pr-order:org/repo/2'] = { o: ['b.js'], t: 1 };
+      const before = (await getStorageStats()).bytesInUse;
+
+      const { pruned, bytesReclaimed } = await pruneStoredOrders();
+
+      expect(pruned.sort()).toEqual(['org/repo/2', 'org/repo/3']);
+      expect(Object.keys(local).sort()).toEqual([
+        'pr-order:org/repo/1',
+        'pr-reorder:preferences',
+      ]);
+      expect(synced['pr-order:org/repo/2'].d).toBe(1);
+      expect(bytesReclaimed).toBe(
+        before - (await getStorageStats()).bytesInUse
+      );
+      expect(bytesReclaimed).toBeGreaterThan(0);
+    });
+
+    it('should keep pruned orders gone after syncing with another device', async () => {
+      const otherLocal = {
+        'pr-order:org/repo/2': { order: ['b.js'], timestamp: daysAgo(100) },
+      };
+      local['pr-order:org/repo/2'] = { ...otherLocal['pr-order:org/repo/2'] };
+      synced['pr-order:org/repo/2'] = {
+        o: ['b.js'],
+        t: Date.parse(otherLocal['pr-order:org/repo/2'].timestamp),
+      };
+
+      await pruneStoredOrders();
+
+      // The other device still has it, but its next sync deletes it
+      global.chrome.storage.local = createArea(otherLocal);
+      await syncStorage();
+      expect(otherLocal).toEqual({});
+
+      global.chrome.storage.local = createArea(local);
+      await syncStorage();
+      expect(local).toEqual({});
+      expect(synced['pr-order:org/repo/2'].d).toBe(1);
+    });
+
+    it('should list the most recently saved orders first', async () => {
+      const [first, second, third] = [daysAgo(3), daysAgo(1), daysAgo(2)];
+      Object.assign(local, {
+        'pr-order:org/repo/1': { order: ['a.js'], timestamp: first },
+        'pr-order:org/repo/2': {
+          order: ['a.js', 'b.js'],
+          timestamp: second,
+        },
+        'pr-order:org/repo/3': { order: ['c.js'], timestamp: third },
+        'pr-reorder:preferences': {},
+      });
+
+      await expect(getRecentOrders(2)).resolves.toEqual([
+        { prId: 'org/repo/2', timestamp: second, fileCount: 2 },
+        { prId: 'org/repo/3', timestamp: third, fileCount: 1 },
+      ]);
+    });
+
+    it('should report unknown bytes when the browser cannot tell', async () => {
+      delete global.chrome.storage.local.getBytesInUse;
+      local['pr-order:org/repo/1'] = { order: ['a.js'], timestamp: daysAgo(2) };
+
+      await expect(pruneStoredOrders({ maxCount: 1 })).resolves.toEqual({
+        pruned: [],
+        bytesReclaimed: 0,
+      });
+      await expect(
+        pruneStoredOrders({ maxAgeDays: 1, maxCount: 1 })
+      ).resolves.toEqual({ pruned: ['org/repo/1'], bytesReclaimed: null });
+    });
+  });
+
+  describe('bulk changes', () => {
+    let local;
+    let synced;
+    let savedChrome;
+
+    beforeEach(() => {
+      local = {};
+      synced = {};
+      savedChrome = global.chrome;
+      global.chrome = {
+        storage: { local: createArea(local), sync: createArea(synced) },
+        runtime: { lastError: null },
+      };
+    });
+
+    afterEach(() => {
+      global.chrome = savedChrome;
+    });
+
+    it('should save and delete several orders here and in sync', async () => {
+      await saveOrders({
+        'org/repo/1': {
+          order: ['a.js'],
+          timestamp: '2024-02-01T00:00:00.000Z',
+          version: '1.0',
+        },
+        'org/repo/2': {
+          order: ['b.js'],
+          timestamp: '2024-02-02T00:00:00.000Z',
+          version: CURRENT_VERSION,
+        },
+      });
+
+      expect(local['pr-order:org/repo/1']).toEqual({
+        order: ['a.js'],
+        timestamp: '2024-02-01T00:00:00.000Z',
+        version: CURRENT_VERSION,
+      });
+      expect(Object.keys(synced).sort()).toEqual([
+        'pr-order:org/repo/1',
+        'pr-order:org/repo/2',
+      ]);
+
+      await deleteOrders(['org/repo/1']);
+      expect(Object.keys(local)).toEqual(['pr-order:org/repo/2']);
+      expect(synced['pr-order:org/repo/1'].d).toBe(1);
+      expect(synced['pr-order:org/repo/2'].o).toEqual(['b.js']);
+
+      await saveOrders({});
+      await deleteOrders([]);
+      expect(Object.keys(local)).toEqual(['pr-order:org/repo/2']);
+    });
+
+    it('should merge imported preferences', async () => {
+      await savePreference('lastPreset', 'alphabetical');
+      await savePreference('reorderView', 'tree');
+
+      await expect(
+        importPreferences({ lastPreset: 'by-extension', custom: 1 })
+      ).resolves.toBe(2);
+
+      await expect(getAllPreferences()).resolves.toEqual({
+        lastPreset: 'by-extension',
+        reorderView: 'tree',
+        custom: 1,
+      });
+      expect(synced['pr-reorder:preference:custom'].v).toBe(1);
+    });
+
+    it('should replace preferences, removing the rest from sync', async () => {
+      await savePreference('lastPreset', 'alphabetical');
+      await savePreference('reorderView', 'tree');
+
+      await importPreferences(
+        { lastPreset: 'by-extension' },
+        { replace: true }
+      );
+
+      await expect(getAllPreferences()).resolves.toEqual({
+        lastPreset: 'by-extension',
+      });
+      expect(Object.keys(local['pr-reorder:preference-times'])).toEqual([
+        'lastPreset',
+      ]);
+      expect(synced['pr-reorder:preference:lastPreset'].v).toBe('by-extension');
+      expect(synced['pr-reorder:preference:reorderView'].d).toBe(1);
+    });
+  });
+
+  describe('parseStorageChanges', () => {
+    it('should report orders saved again and changed preferences', () => {
+      const saved = { order: ['a.js'], timestamp: '2024-01-02T00:00:00Z' };
+
+      expect(
+        parseStorageChanges({
+          'pr-order:org/repo/1': { newValue: saved },
+          'pr-order:org/repo/2': {
+            oldValue: saved,
+            newValue: { ...saved, version: CURRENT_VERSION },
+          },
+          'pr-order:org/repo/3': { oldValue: saved },
+          'pr-reorder:preferences': {
+            oldValue: { custom: [{ id: 'a' }] },
+            newValue: { custom: [{ id: 'b' }], lastPreset: 'alphabetical' },
+          },
+          'pr-reorder:repo-config:org/repo': { newValue: {} },
+        })
+      ).toEqual({
+        orders: { 'org/repo/1': saved },
+        preferences: { custom: [{ id: 'b' }], lastPreset: 'alphabetical' },
+      });
+    });
+  });
 });
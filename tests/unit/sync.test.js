@@ -0,0 +1,153 @@
+/**
+ * Unit tests for Sync Helpers
+ */
+import {
+  getSyncItemSize,
+  fitsSyncItem,
+  compactOrder,
+  expandOrder,
+  selectOrdersToEvict,
+  mergeByTimestamp,
+  createDeletionMarker,
+  isDeletionMarker,
+  isExpiredDeletionMarker,
+  DELETION_MARKER_MAX_AGE,
+  SYNC_QUOTA_BYTES_PER_ITEM,
+  MAX_SYNCED_ORDERS,
+} from '../../utils/sync.js';
+
+describe('sync', () => {
+  const key = 'pr-order:org/repo/1';
+
+  describe('getSyncItemSize', () => {
+    it('should count the key and JSON value in UTF-8 bytes', () => {
+      expect(getSyncItemSize('k', 'ab')).toBe(5);
+      expect(getSyncItemSize('k', 'é')).toBe(5);
+      expect(fitsSyncItem('k', 'x'.repeat(SYNC_QUOTA_BYTES_PER_ITEM))).toBe(
+        false
+      );
+    });
+  });
+
+  describe('compactOrder', () => {
+    const data = {
+      order: ['a.js', 'b.js'],
+      timestamp: '2024-01-01T00:00:00.000Z',
+      version: '1.1',
+      headSha: 'abc1234',
+      notes: { 'a.js': 'start here' },
+      sections: [{ name: 'Core', start: 'a.js' }],
+    };
+
+    it('should round-trip through the compact form', () => {
+      const compact = compactOrder(key, data);
+
+      expect(compact).toEqual({
+        o: ['a.js', 'b.js'],
+        t: Date.parse('2024-01-01T00:00:00.000Z'),
+        h: 'abc1234',
+        n: { 'a.js': 'start here' },
+        s: [{ name: 'Core', start: 'a.js' }],
+      });
+      expect(expandOrder(compact, '1.1')).toEqual(data);
+    });
+
+    it('should drop notes, then sections, to fit one sync item', () => {
+      const bigNotes = { 'a.js': 'x'.repeat(SYNC_QUOTA_BYTES_PER_ITEM) };
+      expect(compactOrder(key, { ...data, notes: bigNotes }).s).toEqual(
+        data.sections
+      );
+
+      const bigSections = [
+        { name: 'x'.repeat(SYNC_QUOTA_BYTES_PER_ITEM), start: 'a.js' },
+      ];
+      const compact = compactOrder(key, {
+        ...data,
+        notes: bigNotes,
+        sections: bigSections,
+      });
+      expect(compact.n).toBeUndefined();
+      expect(compact.s).toBeUndefined();
+      expect(compact.o).toEqual(data.order);
+    });
+
+    it('should give up on orders too big to sync', () => {
+      const order = Array.from({ length: 1000 }, (_, i) => `src/file-${i}.js`);
+      expect(compactOrder(key, { order, timestamp: data.timestamp })).toBe(
+        null
+      );
+    });
+  });
+
+  describe('selectOrdersToEvict', () => {
+    const makeOrders = (count, fileCount = 1) => {
+      const orders = {};
+      for (let i = 0; i < count; i++) {
+        orders[`pr-order:org/repo/${i}`] = {
+          o: Array.from({ length: fileCount }, (_, j) => `file-${j}.js`),
+          t: i,
+        };
+      }
+      return orders;
+    };
+
+    it('should evict the least recently saved orders beyond the limit', () => {
+      const evicted = selectOrdersToEvict(makeOrders(MAX_SYNCED_ORDERS + 2));
+
+      expect(evicted).toEqual(['pr-order:org/repo/1', 'pr-order:org/repo/0']);
+    });
+
+    it('should keep the total size within the quota', () => {
+      // ~6 KB each, so only some fit in 100 KB
+      const orders = makeOrders(20, 500);
+      const others = { 'pr-reorder:preference:x': { v: 'x'.repeat(20000) } };
+
+      const evicted = selectOrdersToEvict(orders, others);
+
+      expect(evicted.length).toBeGreaterThan(0);
+      expect(evicted).toContain('pr-order:org/repo/0');
+      expect(evicted).not.toContain('pr-order:org/repo/19');
+    });
+  });
+
+  describe('mergeByTimestamp', () => {
+    it('should copy the newer side of each entry', () => {
+      const local = { a: { t: 2 }, b: { t: 1 }, c: { t: 5 }, d: { t: 3 } };
+      const synced = { a: { t: 1 }, b: { t: 4 }, c: { t: 5 }, e: { t: 1 } };
+
+      expect(mergeByTimestamp(local, synced)).toEqual({
+        toLocal: { b: { t: 4 }, e: { t: 1 } },
+        toSync: { a: { t: 2 }, d: { t: 3 } },
+      });
+    });
+
+    it('should delete entries older than a synced deletion marker', () => {
+      const local = { a: { t: 1 }, b: { t: 5 } };
+      const synced = {
+        a: { d: 1, t: 2 },
+        b: { d: 1, t: 3 },
+        c: { d: 1, t: 4 },
+      };
+
+      expect(mergeByTimestamp(local, synced)).toEqual({
+        toLocal: { a: { d: 1, t: 2 } },
+        toSync: { b: { t: 5 } },
+      });
+    });
+  });
+
+  describe('deletion markers', () => {
+    it('should expire after DELETION_MARKER_MAX_AGE', () => {
+      const marker = createDeletionMarker(1000);
+
+      expect(isDeletionMarker(marker)).toBe(true);
+      expect(isDeletionMarker({ o: [], t: 1000 })).toBe(false);
+      expect(
+        isExpiredDeletionMarker(marker, 1000 + DELETION_MARKER_MAX_AGE)
+      ).toBe(false);
+      expect(
+        isExpiredDeletionMarker(marker, 1001 + DELETION_MARKER_MAX_AGE)
+      ).toBe(true);
+    });
+  });
+});
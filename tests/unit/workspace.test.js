@@ -0,0 +1,205 @@
+/**
+ * Unit tests for Workspace export and import
+ */
+import {
+  findOrderConflicts,
+  planOrderImport,
+  mergeCustomPresets,
+  exportWorkspace,
+  importWorkspace,
+} from '../../utils/workspace.js';
+
+const saved = (order, timestamp) => ({ order, timestamp, version: '1.1' });
+
+const docsPreset = {
+  id: 'custom:docs',
+  name: 'Docs first',
+  buckets: [{ name: 'Docs', patterns: ['**/*.md'] }],
+};
+const testsPreset = {
+  id: 'custom:tests',
+  name: 'Tests last',
+  buckets: [{ name: 'Tests', patterns: ['**/*.test.js'] }],
+};
+
+describe('Workspace', () => {
+  const existing = {
+    'o/r/1': saved(['a.js'], '2024-01-03T00:00:00.000Z'),
+    'o/r/2': saved(['b.js'], '2024-01-01T00:00:00.000Z'),
+    'o/r/3': saved(['c.js'], '2024-01-01T00:00:00.000Z'),
+    'o/r/4': saved(['d.js'], '2024-01-01T00:00:00.000Z'),
+  };
+  const incoming = {
+    'o/r/1': saved(['a.js', 'x.js'], '2024-01-02T00:00:00.000Z'),
+    'o/r/2': saved(['b.js', 'x.js'], '2024-01-02T00:00:00.000Z'),
+    'o/r/3': saved(['c.js'], '2024-01-01T00:00:00.000Z'),
+    'o/r/5': saved(['e.js'], '2024-01-01T00:00:00.000Z'),
+  };
+
+  describe('findOrderConflicts', () => {
+    it('should list PRs saved differently in both, with the newer side', () => {
+      expect(findOrderConflicts(existing, incoming)).toEqual([
+        {
+          prId: 'o/r/1',
+          existing: existing['o/r/1'],
+          incoming: incoming['o/r/1'],
+          newer: 'existing',
+        },
+        {
+          prId: 'o/r/2',
+          existing: existing['o/r/2'],
+          incoming: incoming['o/r/2'],
+          newer: 'incoming',
+        },
+      ]);
+    });
+  });
+
+  describe('planOrderImport', () => {
+    it('should merge, keeping the newer order by default', () => {
+      expect(planOrderImport(existing, incoming)).toEqual({
+        write: { 'o/r/2': incoming['o/r/2'], 'o/r/5': incoming['o/r/5'] },
+        remove: [],
+        skipped: 2,
+      });
+    });
+
+    it('should follow the choice made for each conflict', () => {
+      const { write, skipped } = planOrderImport(existing, incoming, {
+        choices: { 'o/r/1': 'incoming', 'o/r/2': 'existing' },
+      });
+
+      expect(Object.keys(write)).toEqual(['o/r/1', 'o/r/5']);
+      expect(skipped).toBe(2);
+    });
+
+    it('should replace every saved order', () => {
+      expect(
+        planOrderImport(existing, incoming, { strategy: 'replace' })
+      ).toEqual({ write: incoming, remove: ['o/r/4'], skipped: 0 });
+    });
+
+    it('should reject unknown strategies', () => {
+      expect(() =>
+        planOrderImport(existing, incoming, { strategy: 'append' })
+      ).toThrow('Unknown import strategy: append');
+    });
+  });
+
+  describe('mergeCustomPresets', () => {
+    it('should let imported presets replace ones with the same id', () => {
+      const edited = { ...docsPreset, name: 'Docs, then the rest' };
+
+      expect(mergeCustomPresets([docsPreset, testsPreset], [edited])).toEqual([
+        testsPreset,
+        edited,
+      ]);
+    });
+  });
+
+  describe('storage', () => {
+    let local;
+    let synced;
+
+    // In-memory storage area
+    const createArea = (items) => ({
+      get: (keys, callback) => {
+        const picked = keys
+          ? Object.fromEntries(
+              keys.filter((key) => key in items).map((key) => [key, items[key]])
+            )
+          : { ...items };
+        callback(JSON.parse(JSON.stringify(picked)));
+      },
+      set: (data, callback) => {
+        Object.assign(items, JSON.parse(JSON.stringify(data)));
+        callback();
+      },
+      remove: (keys, callback) => {
+        keys.forEach((key) => delete items[key]);
+        callback();
+      },
+    });
+
+    beforeEach(() => {
+      local = {
+        'pr-order:o/r/1': existing['o/r/1'],
+        'pr-order:o/r/4': existing['o/r/4'],
+        'pr-reorder:preferences': {
+          lastPreset: 'alphabetical',
+          reorderView: 'tree',
+          customPresets: [docsPreset],
+        },
+      };
+      synced = {};
+      global.chrome = {
+        storage: { local: createArea(local), sync: createArea(synced) },
+        runtime: { lastError: null },
+      };
+    });
+
+    afterEach(() => {
+      delete global.chrome;
+    });
+
+    it('should export orders, presets and preferences separately', async () => {
+      const workspace = await exportWorkspace();
+
+      expect(Object.keys(workspace.orders)).toEqual(['o/r/1', 'o/r/4']);
+      expect(workspace.customPresets).toEqual([
+        expect.objectContaining({ id: 'custom:docs' }),
+      ]);
+      expect(workspace.preferences).toEqual({
+        lastPreset: 'alphabetical',
+        reorderView: 'tree',
+      });
+    });
+
+    it('should merge a workspace into what is saved', async () => {
+      const result = await importWorkspace({
+        orders: incoming,
+        customPresets: [testsPreset],
+        preferences: { lastPreset: 'by-extension', customPresets: [] },
+      });
+
+      expect(result).toEqual({
+        imported: 3,
+        skipped: 1,
+        removed: 0,
+        presets: 1,
+        preferences: 1,
+      });
+      expect(local['pr-order:o/r/1'].order).toEqual(['a.js']);
+      expect(local['pr-order:o/r/4']).toBeDefined();
+      expect(local['pr-order:o/r/5'].order).toEqual(['e.js']);
+
+      const preferences = local['pr-reorder:preferences'];
+      expect(preferences.lastPreset).toBe('by-extension');
+      expect(preferences.reorderView).toBe('tree');
+      expect(preferences.customPresets.map((preset) => preset.id)).toEqual([
+        'custom:docs',
+        'custom:tests',
+      ]);
+    });
+
+    it('should replace everything that is saved', async () => {
+      const result = await importWorkspace(
+        {
+          orders: { 'o/r/5': incoming['o/r/5'] },
+          customPresets: [testsPreset],
+          preferences: { lastPreset: 'by-extension' },
+        },
+        { strategy: 'replace' }
+      );
+
+      expect(result).toMatchObject({ imported: 1, removed: 2 });
+      expect(
+        Object.keys(local).filter((key) => key.startsWith('pr-order:'))
+      ).toEqual(['pr-order:o/r/5']);
+      expect(local['pr-reorder:preferences']).toEqual({
+        lastPreset: 'by-extension',
+        customPresets: [expect.objectContaining({ id: 'custom:tests' })],
+      });
+    });
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * Unit tests for YAML Parser
+ */
+import { parseYaml } from '../../utils/yaml.js';
+
+describe('yaml', () => {
+  describe('parseYaml', () => {
+    it('should parse nested mappings and sequences', () => {
+      const text = [
+        '# Review order',
+        'name: Backend layers',
+        'buckets:',
+        '  - name: Models',
+        '    patterns:',
+        '      - app/models/**',
+        "      - 'lib/*.rb'",
+        '    sort: most-changed',
+        '  - name: Tests',
+        '    patterns: [spec/**, "*_spec.rb"]',
+        'unmatchedSort: alphabetical # trailing comment',
+      ].join('\n');
+
+      expect(parseYaml(text)).toEqual({
+        name: 'Backend layers',
+        buckets: [
+          {
+            name: 'Models',
+            patterns: ['app/models/**', 'lib/*.rb'],
+            sort: 'most-changed',
+          },
+          { name: 'Tests', patterns: ['spec/**', '*_spec.rb'] },
+        ],
+        unmatchedSort: 'alphabetical',
+      });
+    });
+
+    it('should allow sequences at the same indentation as their key', () => {
+      expect(parseYaml('items:\n- a\n- b\nnext: 1')).toEqual({
+        items: ['a', 'b'],
+        next: 1,
+      });
+    });
+
+    it('should parse scalars', () => {
+      expect(
+        parseYaml(
+          [
+            'yes: true',
+            'no: false',
+            'nothing: ~',
+            'empty:',
+            'count: 42',
+            'ratio: 1.5',
+            'url: https://example.com/#anchor',
+            "quote: 'it''s'",
+            'escaped: "a\\tb"',
+            'hash: "#not-a-comment"',
+          ].join('\n')
+        )
+      ).toEqual({
+        yes: true,
+        no: false,
+        nothing: null,
+        empty: null,
+        count: 42,
+        ratio: 1.5,
+        url: 'https://example.com/#anchor',
+        quote: "it's",
+        escaped: 'a\tb',
+        hash: '#not-a-comment',
+      });
+    });
+
+    it('should read apostrophes inside plain scalars as text', () => {
+      expect(
+        parseYaml(
+          [
+            'patterns:',
+            "  - docs/it's-fine.md  # note",
+            "  - [a's, 'b # c']  # flow",
+            "title: Bob's order # comment",
+          ].join('\n')
+        )
+      ).toEqual({
+        patterns: ["docs/it's-fine.md", ["a's", 'b # c']],
+        title: "Bob's order",
+      });
+    });
+
+    it('should return null for empty documents', () => {
+      expect(parseYaml('')).toBeNull();
+      expect(parseYaml('---\n# only comments\n')).toBeNull();
+    });
+
+    it('should report the line of syntax errors', () => {
+      expect(() => parseYaml('a: 1\n  b: 2')).toThrow(
+        'Line 2: unexpected indentation'
+      );
+      expect(() => parseYaml('a: 1\njust text')).toThrow(
+        'Line 2: expected "key: value"'
+      );
+      expect(() => parseYaml('a: 1\na: 2')).toThrow(
+        'Line 2: duplicate key "a"'
+      );
+      expect(() => parseYaml('a:\n\t- b')).toThrow(
+        'Line 2: tabs are not allowed for indentation'
+      );
+      expect(() => parseYaml('a: "open')).toThrow(
+        'Line 1: unterminated double-quoted string'
+      );
+      expect(() => parseYaml('a: [b, c')).toThrow(
+        'Line 1: unterminated flow sequence'
+      );
+    });
+
+    it('should require quotes around values that look like YAML syntax', () => {
+      expect(() => parseYaml('patterns:\n  - **/*.js')).toThrow(
+        'Line 2: quote values starting with "*"'
+      );
+      expect(() => parseYaml('a: {b, c}')).toThrow(
+        'Line 1: quote values starting with "{"'
+      );
+    });
+
+    it('should keep "__proto__" keys as plain data', () => {
+      const result = parseYaml('__proto__:\n  polluted: true');
+
+      expect(Object.keys(result)).toEqual(['__proto__']);
+      expect({}.polluted).toBeUndefined();
+      expect(result.polluted).toBeUndefined();
+    });
+
+    it('should reject multiple documents', () => {
+      expect(() => parseYaml('a: 1\n---\nb: 2')).toThrow(
+        'Line 2: multiple documents are not supported'
+      );
+    });
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Config Error Panel UI
+ * Explains why a repository order config could not be used
+ */
+
+/**
+ * Create config error panel
+ * Replaces any panel that is already shown.
+ * @param {Object} options - Panel options
+ * @param {string} options.path - Config file path
+ * @param {string} [options.url] - Link to the config file on GitHub
+ * @param {Array<string>} options.errors - Validation errors
+ * @param {Function} [options.onClose] - Callback when panel is dismissed
+ * @returns {Object} Panel instance ({element, close})
+ */
+export function createConfigErrorPanel(options = {}) {
+  const { path, url, errors = [], onClose } = options;
+
+  const existing = document.querySelector('.pr-reorder-config-errors');
+  if (existing) {
+    existing.remove();
+  }
+
+  const panel = document.createElement('section');
+  panel.className = 'pr-reorder-config-errors';
+  panel.setAttribute('role', 'alert');
+  panel.setAttribute('aria-labelledby', 'pr-reorder-config-errors-title');
+
+  const header = document.createElement('div');
+  header.className = 'pr-reorder-config-errors-header';
+
+  const title = document.createElement('h2');
+  title.id = 'pr-reorder-config-errors-title';
+  title.className = 'pr-reorder-config-errors-title';
+  title.textContent = 'File order config ignored';
+
+  const closeBtn = document.createElement('button');
+  closeBtn.className = 'pr-reorder-modal-close';
+  closeBtn.setAttribute('aria-label', 'Dismiss');
+  closeBtn.textContent = '×';
+
+  header.appendChild(title);
+  header.appendChild(closeBtn);
+
+  const intro = document.createElement('p');
+  intro.className = 'pr-reorder-config-errors-intro';
+  intro.appendChild(document.createTextNode('Fix these problems in '));
+
+  // SECURITY: Using textContent for repository-provided path
+  const fileRef = document.createElement(url ? 'a' : 'code');
+  fileRef.textContent = path;
+  if (url) {
+    fileRef.href = url;
+    fileRef.target = '_blank';
+    fileRef.rel = 'noopener noreferrer';
+  }
+  intro.appendChild(fileRef);
+  intro.appendChild(
+    document.createTextNode(' to order files for everyone by default:')
+  );
+
+  const list = document.createElement('ul');
+  list.className = 'pr-reorder-config-errors-list';
+  errors.forEach((error) => {
+    const item = document.createElement('li');
+    // SECURITY: Using textContent, errors quote repository content
+    item.textContent = error;
+    list.appendChild(item);
+  });
+
+  panel.appendChild(header);
+  panel.appendChild(intro);
+  panel.appendChild(list);
+
+  const close = () => {
+    panel.remove();
+    if (onClose) onClose();
+  };
+
+  closeBtn.addEventListener('click', close);
+
+  document.body.appendChild(panel);
+
+  return { element: panel, close };
+}
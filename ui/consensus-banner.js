@@ -0,0 +1,82 @@
+/**
+ * Consensus Banner UI
+ * Offers to apply a consensus that changed while the page was open, or an
+ * order shared in a link
+ */
+
+/**
+ * Describe which teammates saved new orders
+ * @param {Array<string>} teammates - Teammate logins
+ * @returns {string} Description
+ */
+function describeTeammates(teammates) {
+  if (teammates.length === 0) {
+    return 'A teammate saved a new order.';
+  }
+  if (teammates.length <= 2) {
+    return `New order from ${teammates.join(' and ')}.`;
+  }
+  return `New orders from ${teammates[0]} and ${teammates.length - 1} others.`;
+}
+
+/**
+ * Create consensus banner
+ * Replaces any banner that is already shown. Nothing is reordered until
+ * the user clicks Apply.
+ * @param {Object} options - Banner options
+ * @param {Array<string>} [options.teammates=[]] - Teammates with new orders
+ * @param {string} [options.message] - Message to show instead of naming the
+ *   teammates
+ * @param {Function} options.onApply - Callback to apply the new consensus
+ * @param {Function} [options.onDismiss] - Callback when banner is dismissed
+ * @returns {Object} Banner instance ({element, close})
+ */
+export function createConsensusBanner(options = {}) {
+  const { teammates = [], message: text, onApply, onDismiss } = options;
+
+  const existing = document.querySelector('.pr-reorder-consensus-banner');
+  if (existing) {
+    existing.remove();
+  }
+
+  const banner = document.createElement('div');
+  banner.className = 'pr-reorder-consensus-banner';
+  banner.setAttribute('role', 'status');
+  banner.setAttribute('aria-live', 'polite');
+
+  const message = document.createElement('span');
+  message.className = 'pr-reorder-consensus-banner-message';
+  // SECURITY: Using textContent for user data
+  message.textContent =
+    text || `${describeTeammates(teammates)} Consensus changed – apply?`;
+
+  const applyBtn = document.createElement('button');
+  applyBtn.className = 'btn btn-sm btn-primary';
+  applyBtn.textContent = 'Apply';
+
+  const dismissBtn = document.createElement('button');
+  dismissBtn.className = 'btn btn-sm';
+  dismissBtn.textContent = 'Dismiss';
+
+  banner.appendChild(message);
+  banner.appendChild(applyBtn);
+  banner.appendChild(dismissBtn);
+
+  const close = () => {
+    banner.remove();
+  };
+
+  applyBtn.addEventListener('click', () => {
+    close();
+    onApply();
+  });
+
+  dismissBtn.addEventListener('click', () => {
+    close();
+    if (onDismiss) onDismiss();
+  });
+
+  document.body.appendChild(banner);
+
+  return { element: banner, close };
+}
@@ -0,0 +1,109 @@
+/**
+ * File Notes
+ * Inline note editor for file and folder rows in the reorder modal
+ */
+
+import { MAX_NOTE_LENGTH, normalizeNote } from '../utils/annotations.js';
+
+/**
+ * Append note text and an edit button to a row
+ * Clicking the button swaps the text for an input: Enter or leaving the
+ * field saves, Escape cancels and an empty note removes it.
+ *
+ * @param {HTMLElement} row - File item or tree row
+ * @param {Object} options - Note options
+ * @param {string} options.target - File path or folder path ending in "/"
+ * @param {string} [options.note=''] - Current note
+ * @param {Function} [options.onChange] - Called with (target, note)
+ */
+export function appendNoteControls(row, options) {
+  const { target, note = '', onChange } = options;
+
+  // Clicks and keys inside the note belong to the note, not to the row's
+  // selection, drag and keyboard handlers or the modal's Escape handler
+  const wrapper = document.createElement('span');
+  wrapper.className = 'pr-reorder-note';
+  wrapper.dataset.noteTarget = target;
+  wrapper.addEventListener('click', (e) => e.stopPropagation());
+  wrapper.addEventListener('keydown', (e) => e.stopPropagation());
+
+  const text = document.createElement('span');
+  text.className = 'pr-reorder-note-text';
+
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'pr-reorder-note-btn';
+  button.textContent = '📝';
+
+  wrapper.appendChild(text);
+  wrapper.appendChild(button);
+  row.appendChild(wrapper);
+  updateNoteControls(row, note);
+
+  button.addEventListener('click', () => {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'pr-reorder-note-input';
+    input.maxLength = MAX_NOTE_LENGTH;
+    input.value = text.textContent;
+    input.placeholder = 'Why is this here? e.g. "read first: new interface"';
+    input.setAttribute('aria-label', `Note for ${target}`);
+
+    let finished = false;
+    const finish = (commit) => {
+      if (finished) return;
+      finished = true;
+
+      const value = normalizeNote(input.value);
+      input.remove();
+      text.hidden = !text.textContent;
+      button.hidden = false;
+      button.focus();
+
+      if (commit && value !== text.textContent) {
+        updateNoteControls(row, value);
+        if (onChange) onChange(target, value);
+      }
+    };
+
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        finish(true);
+      } else if (e.key === 'Escape') {
+        e.preventDefault();
+        finish(false);
+      }
+    });
+    input.addEventListener('blur', () => finish(true));
+
+    text.hidden = true;
+    button.hidden = true;
+    wrapper.insertBefore(input, button);
+    input.focus();
+  });
+}
+
+/**
+ * Show a note in a row created by appendNoteControls
+ * @param {HTMLElement} row - File item or tree row
+ * @param {string} note - Note text ('' for none)
+ */
+export function updateNoteControls(row, note) {
+  const wrapper = row.querySelector(':scope > .pr-reorder-note');
+  if (!wrapper) return;
+
+  const target = wrapper.dataset.noteTarget;
+  const text = wrapper.querySelector('.pr-reorder-note-text');
+  const button = wrapper.querySelector('.pr-reorder-note-btn');
+
+  // SECURITY: Using textContent for user data
+  text.textContent = note;
+  text.title = note;
+  text.hidden = !note;
+
+  const label = `${note ? 'Edit' : 'Add'} note for ${target}`;
+  button.title = note ? 'Edit note' : 'Add a note on why this is here';
+  button.setAttribute('aria-label', label);
+  button.classList.toggle('has-note', Boolean(note));
+}
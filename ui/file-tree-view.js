@@ -0,0 +1,397 @@
+/**
+ * File Tree View
+ * Collapsible directory tree for reordering files folder by folder
+ */
+
+import {
+  buildFileTree,
+  flattenFileTree,
+  countFiles,
+  findSiblings,
+  moveTreeNode,
+} from '../utils/file-tree.js';
+import { appendNoteControls } from './file-notes.js';
+
+/**
+ * Create file tree view
+ * Moving a folder node carries all of its descendants with it. The view
+ * keeps its own tree and reports the flattened order through onChange.
+ *
+ * @param {Object} options - View options
+ * @param {Array<string>} options.order - Initial file order
+ * @param {Array<Object>} options.filesMetadata - File metadata
+ * @param {Function} [options.onChange] - Called with the flat order after a move
+ * @param {Function} [options.announce] - Called with screen reader messages
+ * @param {Function} [options.getNote] - Returns the note for a file or folder path
+ * @param {Function} [options.onNoteChange] - Called with (target, note) after a note edit
+ * @returns {Object} View instance ({element, setOrder, getOrder})
+ */
+export function createFileTreeView(options = {}) {
+  const {
+    order = [],
+    filesMetadata = [],
+    onChange,
+    announce,
+    getNote,
+    onNoteChange,
+  } = options;
+
+  const metadataMap = new Map();
+  filesMetadata.forEach((meta) => {
+    metadataMap.set(meta.path, meta);
+  });
+
+  const collapsed = new Set();
+  let tree = buildFileTree(order);
+
+  const element = document.createElement('ul');
+  element.className = 'pr-reorder-file-tree';
+  element.setAttribute('role', 'tree');
+  element.setAttribute('aria-label', 'Files grouped by directory');
+
+  const notify = (message) => {
+    if (announce) announce(message);
+  };
+
+  const render = () => {
+    // Clear the tree (safe: no user content)
+    while (element.firstChild) {
+      element.firstChild.remove();
+    }
+    tree.forEach((node, index) => {
+      element.appendChild(
+        createTreeNode(node, {
+          index,
+          total: tree.length,
+          level: 1,
+          collapsed,
+          metadataMap,
+          getNote,
+          onNoteChange,
+        })
+      );
+    });
+  };
+
+  const findNodeElement = (nodePath) =>
+    Array.from(element.querySelectorAll('.pr-reorder-tree-node')).find(
+      (item) => item.dataset.nodePath === nodePath
+    );
+
+  const move = (sourcePath, targetPath) => {
+    const moved = moveTreeNode(tree, sourcePath, targetPath);
+    if (!moved) {
+      notify('Files can only be moved within their own folder');
+      return false;
+    }
+
+    tree = moved;
+    render();
+
+    const siblings = findSiblings(tree, sourcePath);
+    const position = siblings.findIndex((node) => node.path === sourcePath);
+    const item = findNodeElement(sourcePath);
+    if (item) item.focus();
+
+    notify(
+      `Moved ${siblings[position].name} to position ${position + 1} of ${siblings.length}`
+    );
+
+    if (onChange) onChange(flattenFileTree(tree));
+    return true;
+  };
+
+  const toggle = (item, expand) => {
+    const nodePath = item.dataset.nodePath;
+    const isCollapsed = collapsed.has(nodePath);
+    if (expand === !isCollapsed) return;
+
+    if (isCollapsed) {
+      collapsed.delete(nodePath);
+    } else {
+      collapsed.add(nodePath);
+    }
+
+    const group = item.querySelector(':scope > .pr-reorder-tree-group');
+    group.hidden = !isCollapsed;
+    item.setAttribute('aria-expanded', String(isCollapsed));
+    item.querySelector('.pr-reorder-tree-toggle').textContent = isCollapsed
+      ? '▾'
+      : '▸';
+  };
+
+  setupTreeDragAndDrop(element, move);
+  setupTreeKeyboardNavigation(element, { move, toggle });
+
+  element.addEventListener('click', (e) => {
+    const toggleIcon = e.target.closest('.pr-reorder-tree-toggle');
+    if (!toggleIcon) return;
+    toggle(toggleIcon.closest('.pr-reorder-tree-node'));
+  });
+
+  render();
+
+  return {
+    element,
+    setOrder: (newOrder) => {
+      tree = buildFileTree(newOrder);
+      render();
+    },
+    getOrder: () => flattenFileTree(tree),
+  };
+}
+
+/**
+ * Create tree node element
+ * @param {Object} node - Tree node
+ * @param {Object} context - Render context
+ * @param {number} context.index - Position among siblings
+ * @param {number} context.total - Number of siblings
+ * @param {number} context.level - Depth in tree (1-based)
+ * @param {Set<string>} context.collapsed - Collapsed directory paths
+ * @param {Map<string, Object>} context.metadataMap - Metadata by path
+ * @param {Function} [context.getNote] - Returns the note for a node path
+ * @param {Function} [context.onNoteChange] - Called after a note edit
+ * @returns {HTMLElement}
+ */
+function createTreeNode(node, context) {
+  const { index, total, level, collapsed, metadataMap, getNote, onNoteChange } =
+    context;
+  const isDirectory = node.type === 'directory';
+
+  const item = document.createElement('li');
+  item.className = `pr-reorder-tree-node ${
+    isDirectory ? 'pr-reorder-tree-directory' : 'pr-reorder-tree-file'
+  }`;
+  item.setAttribute('role', 'treeitem');
+  item.setAttribute('draggable', 'true');
+  item.setAttribute('tabindex', '0');
+  item.setAttribute('aria-level', String(level));
+  item.dataset.nodePath = node.path;
+
+  const row = document.createElement('div');
+  row.className = 'pr-reorder-tree-row';
+
+  const toggleIcon = document.createElement('span');
+  toggleIcon.className = 'pr-reorder-tree-toggle';
+  toggleIcon.setAttribute('aria-hidden', 'true');
+
+  const name = document.createElement('span');
+  name.className = 'pr-reorder-file-path';
+  // SECURITY: Using textContent for user data
+  name.textContent = node.name;
+  name.title = node.path;
+
+  row.appendChild(toggleIcon);
+  row.appendChild(name);
+  item.appendChild(row);
+
+  if (!isDirectory) {
+    item.setAttribute(
+      'aria-label',
+      `${node.path}, position ${index + 1} of ${total}`
+    );
+    appendChangeStats(row, metadataMap.get(node.path));
+    appendNoteControls(row, {
+      target: node.path,
+      note: getNote ? getNote(node.path) : '',
+      onChange: onNoteChange,
+    });
+    return item;
+  }
+
+  const fileCount = countFiles(node);
+  const isCollapsed = collapsed.has(node.path);
+
+  toggleIcon.textContent = isCollapsed ? '▸' : '▾';
+  item.setAttribute('aria-expanded', String(!isCollapsed));
+  item.setAttribute(
+    'aria-label',
+    `${node.path} folder, ${fileCount} ${fileCount === 1 ? 'file' : 'files'}, position ${index + 1} of ${total}`
+  );
+
+  const count = document.createElement('span');
+  count.className = 'pr-reorder-tree-count';
+  count.textContent = String(fileCount);
+  row.appendChild(count);
+
+  // Folder notes explain the group as a whole
+  appendNoteControls(row, {
+    target: node.path,
+    note: getNote ? getNote(node.path) : '',
+    onChange: onNoteChange,
+  });
+
+  const group = document.createElement('ul');
+  group.className = 'pr-reorder-tree-group';
+  group.setAttribute('role', 'group');
+  group.hidden = isCollapsed;
+
+  node.children.forEach((child, childIndex) => {
+    group.appendChild(
+      createTreeNode(child, {
+        ...context,
+        index: childIndex,
+        total: node.children.length,
+        level: level + 1,
+      })
+    );
+  });
+
+  item.appendChild(group);
+  return item;
+}
+
+/**
+ * Append +/- change stats to a row
+ * @param {HTMLElement} row - Tree row element
+ * @param {Object} [metadata] - File metadata
+ */
+function appendChangeStats(row, metadata) {
+  if (!metadata || (!(metadata.additions > 0) && !(metadata.deletions > 0))) {
+    return;
+  }
+
+  const changes = document.createElement('span');
+  changes.className = 'pr-reorder-file-changes';
+
+  if (metadata.additions > 0) {
+    const additions = document.createElement('span');
+    additions.className = 'pr-reorder-file-additions';
+    additions.textContent = `+${metadata.additions}`;
+    changes.appendChild(additions);
+    changes.appendChild(document.createTextNode(' '));
+  }
+
+  if (metadata.deletions > 0) {
+    const deletions = document.createElement('span');
+    deletions.className = 'pr-reorder-file-deletions';
+    deletions.textContent = `-${metadata.deletions}`;
+    changes.appendChild(deletions);
+  }
+
+  row.appendChild(changes);
+}
+
+/**
+ * Setup drag and drop for tree nodes
+ * @param {HTMLElement} tree - Tree root element
+ * @param {Function} move - Move callback (sourcePath, targetPath)
+ */
+function setupTreeDragAndDrop(tree, move) {
+  let draggingPath = null;
+
+  const clearDragOver = () => {
+    tree.querySelectorAll('.drag-over').forEach((el) => {
+      el.classList.remove('drag-over');
+    });
+  };
+
+  tree.addEventListener('dragstart', (e) => {
+    // Nested nodes are draggable too; the innermost one is the target
+    const item = e.target.closest('.pr-reorder-tree-node');
+    if (!item) return;
+
+    draggingPath = item.dataset.nodePath;
+    item.classList.add('dragging');
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', draggingPath);
+  });
+
+  tree.addEventListener('dragend', (e) => {
+    const item = e.target.closest('.pr-reorder-tree-node');
+    if (item) item.classList.remove('dragging');
+    draggingPath = null;
+    clearDragOver();
+  });
+
+  tree.addEventListener('dragover', (e) => {
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+
+    const row = e.target.closest('.pr-reorder-tree-row');
+    if (!row || row.classList.contains('drag-over')) return;
+
+    clearDragOver();
+    row.classList.add('drag-over');
+  });
+
+  tree.addEventListener('drop', (e) => {
+    e.preventDefault();
+    clearDragOver();
+
+    const target = e.target.closest('.pr-reorder-tree-node');
+    const dragging = tree.querySelector('.dragging');
+    if (!target || !draggingPath || (dragging && dragging.contains(target))) {
+      return;
+    }
+
+    move(draggingPath, target.dataset.nodePath);
+  });
+}
+
+/**
+ * Setup keyboard navigation for tree nodes
+ * ↑/↓ move focus, ←/→ collapse/expand, Enter toggles a folder and
+ * Ctrl/Cmd+↑/↓ moves the focused node among its siblings.
+ *
+ * @param {HTMLElement} tree - Tree root element
+ * @param {Object} actions - Tree actions
+ * @param {Function} actions.move - Move callback (sourcePath, targetPath)
+ * @param {Function} actions.toggle - Toggle callback (item, expand?)
+ */
+function setupTreeKeyboardNavigation(tree, { move, toggle }) {
+  const getVisibleNodes = () =>
+    Array.from(tree.querySelectorAll('.pr-reorder-tree-node')).filter(
+      (item) => !item.parentElement.closest('[hidden]')
+    );
+
+  tree.addEventListener('keydown', (e) => {
+    const item = e.target.closest('.pr-reorder-tree-node');
+    if (!item) return;
+
+    const isDirectory = item.classList.contains('pr-reorder-tree-directory');
+    const isExpanded = item.getAttribute('aria-expanded') === 'true';
+    let handled = false;
+
+    if ((e.ctrlKey || e.metaKey) && ['ArrowUp', 'ArrowDown'].includes(e.key)) {
+      const sibling =
+        e.key === 'ArrowUp'
+          ? item.previousElementSibling
+          : item.nextElementSibling;
+      if (sibling) {
+        move(item.dataset.nodePath, sibling.dataset.nodePath);
+      }
+      handled = true;
+    } else if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+      const visible = getVisibleNodes();
+      const index = visible.indexOf(item);
+      const next = visible[e.key === 'ArrowUp' ? index - 1 : index + 1];
+      if (next) next.focus();
+      handled = true;
+    } else if (e.key === 'ArrowRight' && isDirectory) {
+      if (isExpanded) {
+        const firstChild = item.querySelector('.pr-reorder-tree-node');
+        if (firstChild) firstChild.focus();
+      } else {
+        toggle(item, true);
+      }
+      handled = true;
+    } else if (e.key === 'ArrowLeft') {
+      if (isDirectory && isExpanded) {
+        toggle(item, false);
+      } else {
+        const parent = item.parentElement.closest('.pr-reorder-tree-node');
+        if (parent) parent.focus();
+      }
+      handled = true;
+    } else if (e.key === 'Enter' && isDirectory) {
+      toggle(item);
+      handled = true;
+    }
+
+    if (handled) {
+      e.preventDefault();
+    }
+  });
+}
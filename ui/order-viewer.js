@@ -7,6 +7,16 @@ import {
   calculateOrderDiff,
   formatPositionChange,
 } from '../utils/order-diff.js';
+import {
+  getConsensusStrategies,
+  getFreshnessModes,
+} from '../content/consensus.js';
+import {
+  collectFileNotes,
+  formatNote,
+  noteAppliesTo,
+} from '../utils/annotations.js';
+import { getSectionRanges } from '../utils/sections.js';
 
 /**
  * Create and show order viewer modal
@@ -15,11 +25,23 @@ import {
  * @param {Array<string>} options.consensus - Consensus order
  * @param {Object} options.metadata - Consensus metadata
  * @param {Function} [options.onClose] - Callback when modal closes
- * @param {Function} [options.onSelectOrder] - Callback when user selects an order to apply
+ * @param {Function} [options.onSelectOrder] - Callback with (order, sections) when user selects an order to apply
+ * @param {Function} [options.onStrategyChange] - Callback when user picks another consensus strategy
+ * @param {Function} [options.onFreshnessChange] - Callback when user picks another freshness mode
+ * @param {Function} [options.onApplyConsensus] - Callback when user applies the consensus shown
  * @returns {Object} Modal instance
  */
 export function createOrderViewerModal(options = {}) {
-  const { orders, consensus, metadata, onClose, onSelectOrder } = options;
+  const {
+    orders,
+    consensus,
+    metadata,
+    onClose,
+    onSelectOrder,
+    onStrategyChange,
+    onFreshnessChange,
+    onApplyConsensus,
+  } = options;
 
   // Create modal structure
   const overlay = createModalOverlay();
@@ -29,7 +51,12 @@ export function createOrderViewerModal(options = {}) {
   const footer = createModalFooter();
 
   // Create sections
-  const consensusSection = createConsensusSection(consensus, metadata);
+  const consensusSection = createConsensusSection(
+    consensus,
+    metadata,
+    { onStrategyChange, onFreshnessChange, onApplyConsensus },
+    orders
+  );
   const ordersSection = createOrdersSection(orders, onSelectOrder);
 
   // Assemble modal
@@ -161,9 +188,16 @@ function createModalFooter() {
  * Create consensus section
  * @param {Array<string>} consensus - Consensus order
  * @param {Object} metadata - Consensus metadata
+ * @param {Object} [callbacks={}] - Setting change and apply callbacks
+ * @param {Array<Object>} [orders=[]] - User orders, for their notes
  * @returns {HTMLElement}
  */
-function createConsensusSection(consensus, metadata) {
+function createConsensusSection(
+  consensus,
+  metadata,
+  callbacks = {},
+  orders = []
+) {
   const section = document.createElement('div');
   section.className = 'pr-viewer-section';
 
@@ -205,6 +239,20 @@ function createConsensusSection(consensus, metadata) {
   header.appendChild(title);
   header.appendChild(stats);
   section.appendChild(header);
+  const settings = createConsensusSettings(metadata, callbacks);
+  section.appendChild(settings);
+
+  // Settings only change this preview; the page is reordered on apply
+  if (callbacks.onApplyConsensus && consensus.length > 0) {
+    const applyBtn = document.createElement('button');
+    applyBtn.className =
+      'pr-reorder-btn pr-reorder-btn-primary pr-viewer-apply-consensus-btn';
+    applyBtn.textContent = 'Apply Consensus';
+    applyBtn.addEventListener('click', () => {
+      callbacks.onApplyConsensus();
+    });
+    settings.appendChild(applyBtn);
+  }
 
   // Consensus file list
   const fileList = document.createElement('div');
@@ -213,11 +261,15 @@ function createConsensusSection(consensus, metadata) {
   if (consensus.length === 0) {
     const empty = document.createElement('p');
     empty.className = 'pr-viewer-empty';
-    empty.textContent = 'No consensus yet. Be the first to create an order!';
+    empty.textContent =
+      orders.length > 0
+        ? 'No current orders. Every order was made for an earlier commit.'
+        : 'No consensus yet. Be the first to create an order!';
     fileList.appendChild(empty);
   } else {
     consensus.forEach((file, index) => {
       const item = createConsensusFileItem(file, index, metadata.conflicts);
+      appendNoteBadge(item, collectFileNotes(orders, file));
       fileList.appendChild(item);
     });
   }
@@ -245,6 +297,90 @@ function createConsensusSection(consensus, metadata) {
   return section;
 }
 
+/**
+ * Create consensus settings (strategy and freshness pickers)
+ * Shows how the consensus was produced and lets the user switch
+ * @param {Object} metadata - Consensus metadata
+ * @param {Object} callbacks - Change callbacks
+ * @param {Function} [callbacks.onStrategyChange] - Callback when strategy changes
+ * @param {Function} [callbacks.onFreshnessChange] - Callback when freshness mode changes
+ * @returns {HTMLElement}
+ */
+function createConsensusSettings(metadata, callbacks) {
+  const settings = document.createElement('div');
+  settings.className = 'pr-viewer-settings';
+
+  settings.appendChild(
+    createSettingPicker({
+      name: 'strategy',
+      label: 'Strategy:',
+      choices: getConsensusStrategies(),
+      value: metadata.strategy || 'average',
+      onChange: callbacks.onStrategyChange,
+    })
+  );
+
+  settings.appendChild(
+    createSettingPicker({
+      name: 'freshness',
+      label: 'Orders:',
+      choices: getFreshnessModes(),
+      value: metadata.freshness || 'all',
+      onChange: callbacks.onFreshnessChange,
+    })
+  );
+
+  return settings;
+}
+
+/**
+ * Create a labelled select for a consensus setting
+ * Disabled when no change callback is given
+ * @param {Object} options - Picker options
+ * @param {string} options.name - Setting name (used for id and class)
+ * @param {string} options.label - Label text
+ * @param {Array<Object>} options.choices - Choices with {id, name, description}
+ * @param {string} options.value - Selected choice ID
+ * @param {Function} [options.onChange] - Callback with the new choice ID
+ * @returns {HTMLElement}
+ */
+function createSettingPicker({ name, label, choices, value, onChange }) {
+  const picker = document.createElement('div');
+  picker.className = 'pr-viewer-setting';
+
+  const labelEl = document.createElement('label');
+  labelEl.className = 'pr-viewer-setting-label';
+  labelEl.textContent = label;
+  labelEl.setAttribute('for', `pr-viewer-${name}-select`);
+
+  const select = document.createElement('select');
+  select.id = `pr-viewer-${name}-select`;
+  select.className = `pr-viewer-setting-select pr-viewer-${name}-select`;
+
+  choices.forEach((choice) => {
+    const option = document.createElement('option');
+    option.value = choice.id;
+    option.textContent = choice.name;
+    option.title = choice.description;
+    select.appendChild(option);
+  });
+
+  select.value = value;
+
+  if (onChange) {
+    select.addEventListener('change', (e) => {
+      onChange(e.target.value);
+    });
+  } else {
+    select.disabled = true;
+  }
+
+  picker.appendChild(labelEl);
+  picker.appendChild(select);
+
+  return picker;
+}
+
 /**
  * Create consensus file item
  * @param {string} file - File path
@@ -285,6 +421,99 @@ function createConsensusFileItem(file, index, conflicts) {
   return item;
 }
 
+/**
+ * Append a badge with every user's notes for a file
+ * @param {HTMLElement} item - File item
+ * @param {Array<Object>} notes - Notes with {user, target, text}
+ */
+function appendNoteBadge(item, notes) {
+  if (notes.length === 0) return;
+
+  const badge = document.createElement('span');
+  badge.className = 'pr-reorder-badge pr-viewer-note-badge';
+  // SECURITY: Using textContent for user data
+  badge.textContent = `📝 ${notes.length}`;
+  badge.title = notes.map(formatNote).join('\n');
+  badge.setAttribute(
+    'aria-label',
+    `${notes.length} ${notes.length === 1 ? 'note' : 'notes'}: ${notes
+      .map(formatNote)
+      .join('; ')}`
+  );
+  item.appendChild(badge);
+}
+
+/**
+ * Create order notes list, in the order of the files they cover
+ * @param {Object} notes - Notes by file path or folder path
+ * @param {Array<string>} order - File order
+ * @returns {HTMLElement}
+ */
+function createOrderNotes(notes, order) {
+  const list = document.createElement('ul');
+  list.className = 'pr-viewer-order-notes';
+  list.setAttribute('aria-label', 'Notes');
+
+  const position = (target) =>
+    order.findIndex((path) => noteAppliesTo(target, path));
+  const targets = Object.keys(notes).sort((a, b) => position(a) - position(b));
+
+  targets.forEach((target) => {
+    const text = notes[target];
+    const item = document.createElement('li');
+    item.className = 'pr-viewer-order-note';
+
+    const path = document.createElement('span');
+    path.className = 'pr-viewer-file-path';
+    // SECURITY: Using textContent for user data
+    path.textContent = target;
+
+    const note = document.createElement('span');
+    note.className = 'pr-viewer-order-note-text';
+    note.textContent = text;
+
+    item.appendChild(path);
+    item.appendChild(note);
+    list.appendChild(item);
+  });
+
+  return list;
+}
+
+/**
+ * Create the list of sections an order is split into
+ * @param {Array<Object>} sections - Sections with {name, start}
+ * @param {Array<string>} order - File order
+ * @returns {HTMLElement}
+ */
+function createOrderSections(sections, order) {
+  const list = document.createElement('ol');
+  list.className = 'pr-viewer-order-sections';
+  list.setAttribute('aria-label', 'Sections');
+
+  getSectionRanges(sections, order).forEach((section) => {
+    const item = document.createElement('li');
+    item.className = 'pr-viewer-order-section';
+    item.title = `Starts at ${section.start}`;
+
+    const name = document.createElement('span');
+    name.className = 'pr-viewer-order-section-name';
+    // SECURITY: Using textContent for user data
+    name.textContent = section.name;
+
+    const count = document.createElement('span');
+    count.className = 'pr-viewer-order-section-count';
+    const files = section.files.length;
+    count.textContent = `${files} ${files === 1 ? 'file' : 'files'}`;
+
+    item.appendChild(name);
+    item.appendChild(count);
+    list.appendChild(item);
+  });
+
+  return list;
+}
+
 /**
  * Create conflict item
  * @param {Object} conflict - Conflict data
@@ -392,6 +621,24 @@ function createOrderCard(order, allOrders, onSelectOrder) {
     cardHeader.appendChild(badge);
   }
 
+  // Stale badge for orders made against an older head commit
+  if (order.stale) {
+    const badge = document.createElement('span');
+    badge.className = 'pr-reorder-badge pr-reorder-badge-warning';
+    badge.textContent = 'Outdated';
+    badge.title = `Made against commit ${order.headSha.slice(0, 7)}, before the latest push`;
+    cardHeader.appendChild(badge);
+  }
+
+  // Vote weight badge (only when it differs from a regular vote)
+  if (typeof order.weight === 'number' && order.weight !== 1) {
+    const badge = document.createElement('span');
+    badge.className = 'pr-reorder-badge pr-viewer-weight-badge';
+    badge.textContent = `×${formatWeight(order.weight)}`;
+    badge.title = formatWeightTitle(order);
+    cardHeader.appendChild(badge);
+  }
+
   card.appendChild(cardHeader);
 
   // File list preview (first 5 files)
@@ -426,6 +673,16 @@ function createOrderCard(order, allOrders, onSelectOrder) {
 
   card.appendChild(fileList);
 
+  // Review phases the order is split into
+  if (order.sections && order.sections.length > 0) {
+    card.appendChild(createOrderSections(order.sections, order.order));
+  }
+
+  // Notes explaining the order
+  if (order.notes && Object.keys(order.notes).length > 0) {
+    card.appendChild(createOrderNotes(order.notes, order.order));
+  }
+
   // Buttons container
   const buttonsContainer = document.createElement('div');
   buttonsContainer.className = 'pr-viewer-card-buttons';
@@ -437,7 +694,7 @@ function createOrderCard(order, allOrders, onSelectOrder) {
       'pr-reorder-btn pr-reorder-btn-secondary pr-viewer-apply-btn';
     applyBtn.textContent = 'Apply This Order';
     applyBtn.addEventListener('click', () => {
-      onSelectOrder(order.order);
+      onSelectOrder(order.order, order.sections || []);
     });
     buttonsContainer.appendChild(applyBtn);
   }
@@ -459,6 +716,34 @@ function createOrderCard(order, allOrders, onSelectOrder) {
   return card;
 }
 
+/**
+ * Describe why an order has its vote weight
+ * @param {Object} order - Order data with weight and roles
+ * @returns {string} Tooltip text
+ */
+function formatWeightTitle(order) {
+  const roleLabels = {
+    author: 'PR author',
+    codeOwner: 'code owner',
+    reviewer: 'requested reviewer',
+  };
+  const roles = (order.roles || []).map((role) => roleLabels[role] || role);
+
+  const weight = formatWeight(order.weight);
+  return roles.length > 0
+    ? `Vote weight ${weight} (${roles.join(', ')})`
+    : `Vote weight ${weight}`;
+}
+
+/**
+ * Format a vote weight for display
+ * @param {number} weight - Vote weight
+ * @returns {number} Weight rounded to two decimal places
+ */
+function formatWeight(weight) {
+  return Number(weight.toFixed(2));
+}
+
 /**
  * Format timestamp for display
  * @param {Date} date - Date object
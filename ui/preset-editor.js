@@ -0,0 +1,549 @@
+/**
+ * Preset Editor Modal
+ * Create and edit custom sort presets built from ordered pattern buckets
+ */
+
+import {
+  getTieBreakers,
+  parsePresetDefinition,
+  assignBuckets,
+  DEFAULT_TIE_BREAKER,
+} from '../utils/preset-rules.js';
+import { saveCustomPresets } from '../utils/presets.js';
+import { showNotification } from '../utils/error-handler.js';
+
+/**
+ * Create and show preset editor modal
+ * @param {Object} options - Modal options
+ * @param {Array<Object>} [options.presets] - Saved custom preset definitions
+ * @param {Array<Object>} [options.filesMetadata] - Current PR files, used to preview bucket matches
+ * @param {Function} [options.onSave] - Callback with the saved definitions
+ * @param {Function} [options.onClose] - Callback when modal closes
+ * @returns {Object} Modal instance
+ */
+export function createPresetEditorModal(options = {}) {
+  const { presets = [], filesMetadata = [], onSave, onClose } = options;
+
+  // Working copy, edited in place until saved
+  const working = presets.map((preset) => ({
+    ...preset,
+    buckets: preset.buckets.map((bucket) => ({
+      ...bucket,
+      patterns: [...bucket.patterns],
+    })),
+  }));
+  let selectedIndex = working.length > 0 ? 0 : -1;
+
+  const overlay = document.createElement('div');
+  overlay.className = 'pr-reorder-modal-overlay';
+
+  const modal = document.createElement('div');
+  modal.className = 'pr-reorder-modal pr-preset-editor';
+  modal.setAttribute('role', 'dialog');
+  modal.setAttribute('aria-modal', 'true');
+  modal.setAttribute('aria-labelledby', 'pr-preset-editor-title');
+
+  const header = createEditorHeader();
+  const toolbar = document.createElement('div');
+  toolbar.className = 'pr-preset-editor-toolbar';
+  const body = document.createElement('div');
+  body.className = 'pr-reorder-modal-body';
+  const footer = createEditorFooter();
+  const saveBtn = footer.querySelector('[data-action="save"]');
+
+  modal.appendChild(header);
+  modal.appendChild(toolbar);
+  modal.appendChild(body);
+  modal.appendChild(footer);
+  overlay.appendChild(modal);
+
+  const close = () => {
+    overlay.remove();
+    if (onClose) onClose();
+  };
+
+  /**
+   * Validate all presets, show errors for the selected one and update
+   * the match preview
+   */
+  const refreshValidation = () => {
+    const results = working.map(parsePresetDefinition);
+    saveBtn.disabled = results.some((result) => !result.preset);
+
+    const errorList = body.querySelector('.pr-preset-editor-errors');
+    if (!errorList) return;
+
+    // Clear errors (safe: no user content)
+    while (errorList.firstChild) {
+      errorList.firstChild.remove();
+    }
+
+    const current = results[selectedIndex];
+    const otherInvalid = results
+      .map((result, index) => ({ result, index }))
+      .filter(({ result, index }) => !result.preset && index !== selectedIndex)
+      .map(
+        ({ index }) =>
+          `Preset "${working[index].name || 'Untitled'}" has errors`
+      );
+
+    [...current.errors, ...otherInvalid].forEach((message) => {
+      const item = document.createElement('li');
+      // SECURITY: Using textContent for user data
+      item.textContent = message;
+      errorList.appendChild(item);
+    });
+    errorList.hidden = errorList.children.length === 0;
+
+    const counts = current.preset
+      ? assignBuckets(filesMetadata, current.preset.buckets).groups.map(
+          (group) => group.length
+        )
+      : [];
+    body
+      .querySelectorAll('.pr-preset-editor-match-count')
+      .forEach((element, index) => {
+        const count = counts[index];
+        element.textContent =
+          count === undefined
+            ? ''
+            : `${count} ${count === 1 ? 'file' : 'files'}`;
+      });
+  };
+
+  const render = () => {
+    renderToolbar(toolbar, working, selectedIndex);
+
+    // Clear body (safe: no user content)
+    while (body.firstChild) {
+      body.firstChild.remove();
+    }
+
+    if (selectedIndex === -1) {
+      const empty = document.createElement('p');
+      empty.className = 'pr-preset-editor-empty';
+      empty.textContent =
+        'No custom presets yet. Click "New preset" to create one.';
+      body.appendChild(empty);
+      saveBtn.disabled = false;
+      return;
+    }
+
+    body.appendChild(createPresetForm(working[selectedIndex]));
+    refreshValidation();
+  };
+
+  // Toolbar: switch, add and delete presets
+  toolbar.addEventListener('change', (e) => {
+    if (e.target.matches('.pr-preset-editor-select')) {
+      selectedIndex = Number(e.target.value);
+      render();
+    }
+  });
+
+  toolbar.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-editor-action]');
+    if (!button) return;
+
+    if (button.dataset.editorAction === 'new') {
+      working.push({
+        name: `Custom preset ${working.length + 1}`,
+        buckets: [createEmptyBucket()],
+        unmatchedSort: DEFAULT_TIE_BREAKER,
+      });
+      selectedIndex = working.length - 1;
+    } else if (button.dataset.editorAction === 'delete' && selectedIndex >= 0) {
+      working.splice(selectedIndex, 1);
+      selectedIndex = Math.min(selectedIndex, working.length - 1);
+    }
+
+    render();
+    const name = body.querySelector('.pr-preset-editor-name');
+    if (name) name.focus();
+  });
+
+  // Form edits update the working copy without re-rendering
+  body.addEventListener('input', (e) => {
+    const preset = working[selectedIndex];
+    const field = e.target.dataset.field;
+    if (!preset || !field) return;
+
+    const bucketElement = e.target.closest('.pr-preset-editor-bucket');
+    if (bucketElement) {
+      const bucket = preset.buckets[Number(bucketElement.dataset.index)];
+      bucket[field] =
+        field === 'patterns' ? e.target.value.split('\n') : e.target.value;
+    } else {
+      preset[field] = e.target.value;
+    }
+
+    if (field === 'name' && !bucketElement) {
+      renderToolbar(toolbar, working, selectedIndex);
+    }
+    refreshValidation();
+  });
+
+  body.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-bucket-action]');
+    const preset = working[selectedIndex];
+    if (!button || !preset) return;
+
+    const action = button.dataset.bucketAction;
+    const bucketElement = button.closest('.pr-preset-editor-bucket');
+    const index = bucketElement ? Number(bucketElement.dataset.index) : -1;
+    const { buckets } = preset;
+
+    if (action === 'add') {
+      buckets.push(createEmptyBucket());
+    } else if (action === 'remove') {
+      buckets.splice(index, 1);
+    } else if (action === 'up' && index > 0) {
+      [buckets[index - 1], buckets[index]] = [
+        buckets[index],
+        buckets[index - 1],
+      ];
+    } else if (action === 'down' && index < buckets.length - 1) {
+      [buckets[index], buckets[index + 1]] = [
+        buckets[index + 1],
+        buckets[index],
+      ];
+    } else {
+      return;
+    }
+
+    render();
+  });
+
+  const save = async () => {
+    saveBtn.disabled = true;
+
+    try {
+      const saved = await saveCustomPresets(working);
+      showNotification('Custom presets saved', 'success');
+      overlay.remove();
+      if (onSave) onSave(saved);
+    } catch (error) {
+      console.error('Failed to save custom presets:', error);
+      showNotification(`Failed to save presets: ${error.message}`, 'error');
+      saveBtn.disabled = false;
+    }
+  };
+
+  header
+    .querySelector('.pr-reorder-modal-close')
+    .addEventListener('click', close);
+  footer
+    .querySelector('[data-action="cancel"]')
+    .addEventListener('click', close);
+  saveBtn.addEventListener('click', save);
+
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay) {
+      close();
+    }
+  });
+
+  // Keep keys away from the reorder modal underneath (Escape would close
+  // it, "/" would jump to its search box)
+  overlay.addEventListener('keydown', (e) => {
+    e.stopPropagation();
+    if (e.key === 'Escape') {
+      close();
+    }
+  });
+
+  render();
+  document.body.appendChild(overlay);
+
+  return { close };
+}
+
+/**
+ * Create an empty bucket definition
+ * @returns {Object}
+ */
+function createEmptyBucket() {
+  return { name: '', patterns: [''], sort: DEFAULT_TIE_BREAKER };
+}
+
+/**
+ * Create editor header
+ * @returns {HTMLElement}
+ */
+function createEditorHeader() {
+  const header = document.createElement('div');
+  header.className = 'pr-reorder-modal-header';
+
+  const title = document.createElement('h2');
+  title.id = 'pr-preset-editor-title';
+  title.className = 'pr-reorder-modal-title';
+  title.textContent = 'Custom Presets';
+
+  const closeBtn = document.createElement('button');
+  closeBtn.className = 'pr-reorder-modal-close';
+  closeBtn.setAttribute('aria-label', 'Close preset editor');
+
+  // SECURITY: innerHTML used only for static SVG icons (safe)
+  closeBtn.innerHTML = `
+    <svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor">
+      <path d="M3.72 3.72a.75.75 0 0 1 1.06 0L8 6.94l3.22-3.22a.749.749 0 0 1 1.275.326.749.749 0 0 1-.215.734L9.06 8l3.22 3.22a.749.749 0 0 1-.326 1.275.749.749 0 0 1-.734-.215L8 9.06l-3.22 3.22a.751.751 0 0 1-1.042-.018.751.751 0 0 1-.018-1.042L6.94 8 3.72 4.78a.75.75 0 0 1 0-1.06Z"></path>
+    </svg>
+  `;
+
+  header.appendChild(title);
+  header.appendChild(closeBtn);
+
+  return header;
+}
+
+/**
+ * Create editor footer
+ * @returns {HTMLElement}
+ */
+function createEditorFooter() {
+  const footer = document.createElement('div');
+  footer.className = 'pr-reorder-modal-footer';
+
+  const actions = document.createElement('div');
+  actions.className = 'pr-reorder-footer-right';
+  actions.style.marginLeft = 'auto';
+
+  const cancelBtn = document.createElement('button');
+  cancelBtn.className = 'pr-reorder-btn pr-reorder-btn-secondary';
+  cancelBtn.textContent = 'Cancel';
+  cancelBtn.setAttribute('data-action', 'cancel');
+
+  const saveBtn = document.createElement('button');
+  saveBtn.className = 'pr-reorder-btn pr-reorder-btn-primary';
+  saveBtn.textContent = 'Save presets';
+  saveBtn.setAttribute('data-action', 'save');
+
+  actions.appendChild(cancelBtn);
+  actions.appendChild(saveBtn);
+  footer.appendChild(actions);
+
+  return footer;
+}
+
+/**
+ * Render preset switcher with new/delete buttons
+ * @param {HTMLElement} toolbar - Toolbar element
+ * @param {Array<Object>} presets - Working preset definitions
+ * @param {number} selectedIndex - Selected preset index (-1 for none)
+ */
+function renderToolbar(toolbar, presets, selectedIndex) {
+  // Clear toolbar (safe: no user content)
+  while (toolbar.firstChild) {
+    toolbar.firstChild.remove();
+  }
+
+  if (presets.length > 0) {
+    const select = document.createElement('select');
+    select.className = 'pr-preset-editor-select';
+    select.setAttribute('aria-label', 'Preset to edit');
+
+    presets.forEach((preset, index) => {
+      const option = document.createElement('option');
+      option.value = String(index);
+      // SECURITY: Using textContent for user data
+      option.textContent = preset.name || 'Untitled';
+      select.appendChild(option);
+    });
+    select.value = String(selectedIndex);
+    toolbar.appendChild(select);
+  }
+
+  const newBtn = document.createElement('button');
+  newBtn.type = 'button';
+  newBtn.className = 'pr-reorder-btn pr-reorder-btn-secondary';
+  newBtn.textContent = '+ New preset';
+  newBtn.dataset.editorAction = 'new';
+  toolbar.appendChild(newBtn);
+
+  if (selectedIndex >= 0) {
+    const deleteBtn = document.createElement('button');
+    deleteBtn.type = 'button';
+    deleteBtn.className = 'pr-reorder-btn pr-reorder-btn-secondary';
+    deleteBtn.textContent = 'Delete';
+    deleteBtn.dataset.editorAction = 'delete';
+    toolbar.appendChild(deleteBtn);
+  }
+}
+
+/**
+ * Create a labelled form field
+ * @param {string} labelText - Label text
+ * @param {HTMLElement} control - Input, select or textarea
+ * @returns {HTMLElement}
+ */
+function createField(labelText, control) {
+  const label = document.createElement('label');
+  label.className = 'pr-preset-editor-field';
+
+  const text = document.createElement('span');
+  text.className = 'pr-preset-editor-label';
+  text.textContent = labelText;
+
+  label.appendChild(text);
+  label.appendChild(control);
+  return label;
+}
+
+/**
+ * Create tie-breaker dropdown
+ * @param {string} value - Selected tie-breaker id
+ * @param {string} field - Field name the select edits
+ * @returns {HTMLSelectElement}
+ */
+function createTieBreakerSelect(value, field) {
+  const select = document.createElement('select');
+  select.className = 'pr-preset-editor-sort';
+  select.dataset.field = field;
+
+  getTieBreakers().forEach((tieBreaker) => {
+    const option = document.createElement('option');
+    option.value = tieBreaker.id;
+    option.textContent = tieBreaker.name;
+    select.appendChild(option);
+  });
+  select.value = value || DEFAULT_TIE_BREAKER;
+
+  return select;
+}
+
+/**
+ * Create form for one preset
+ * @param {Object} preset - Working preset definition
+ * @returns {HTMLElement}
+ */
+function createPresetForm(preset) {
+  const form = document.createElement('div');
+  form.className = 'pr-preset-editor-form';
+
+  const name = document.createElement('input');
+  name.type = 'text';
+  name.className = 'pr-preset-editor-name';
+  name.dataset.field = 'name';
+  name.value = preset.name || '';
+
+  const description = document.createElement('input');
+  description.type = 'text';
+  description.className = 'pr-preset-editor-description';
+  description.dataset.field = 'description';
+  description.placeholder = 'Optional';
+  description.value = preset.description || '';
+
+  form.appendChild(createField('Name', name));
+  form.appendChild(createField('Description', description));
+
+  const hint = document.createElement('p');
+  hint.className = 'pr-preset-editor-hint';
+  hint.textContent =
+    'Files go to the first bucket with a matching pattern, one pattern per line. ' +
+    'Use globs (src/**/*.js, *.sql, {models,services}/**) or /regex/flags.';
+  form.appendChild(hint);
+
+  const list = document.createElement('ol');
+  list.className = 'pr-preset-editor-buckets';
+  preset.buckets.forEach((bucket, index) => {
+    list.appendChild(createBucketRow(bucket, index, preset.buckets.length));
+  });
+  form.appendChild(list);
+
+  const addBtn = document.createElement('button');
+  addBtn.type = 'button';
+  addBtn.className = 'pr-reorder-btn pr-reorder-btn-secondary';
+  addBtn.textContent = '+ Add bucket';
+  addBtn.dataset.bucketAction = 'add';
+  form.appendChild(addBtn);
+
+  form.appendChild(
+    createField(
+      'Files matching no bucket (placed last)',
+      createTieBreakerSelect(preset.unmatchedSort, 'unmatchedSort')
+    )
+  );
+
+  const errors = document.createElement('ul');
+  errors.className = 'pr-preset-editor-errors';
+  errors.setAttribute('role', 'alert');
+  errors.hidden = true;
+  form.appendChild(errors);
+
+  return form;
+}
+
+/**
+ * Create row for one bucket
+ * @param {Object} bucket - Bucket definition
+ * @param {number} index - Bucket index
+ * @param {number} total - Number of buckets
+ * @returns {HTMLElement}
+ */
+function createBucketRow(bucket, index, total) {
+  const row = document.createElement('li');
+  row.className = 'pr-preset-editor-bucket';
+  row.dataset.index = String(index);
+
+  const name = document.createElement('input');
+  name.type = 'text';
+  name.dataset.field = 'name';
+  name.placeholder = `Bucket ${index + 1}`;
+  name.value = bucket.name || '';
+
+  const patterns = document.createElement('textarea');
+  patterns.dataset.field = 'patterns';
+  patterns.rows = 2;
+  patterns.placeholder = 'db/migrations/**';
+  patterns.value = (bucket.patterns || []).join('\n');
+
+  const controls = document.createElement('div');
+  controls.className = 'pr-preset-editor-bucket-controls';
+
+  [
+    {
+      action: 'up',
+      label: '↑',
+      title: 'Move bucket up',
+      disabled: index === 0,
+    },
+    {
+      action: 'down',
+      label: '↓',
+      title: 'Move bucket down',
+      disabled: index === total - 1,
+    },
+    {
+      action: 'remove',
+      label: '✕',
+      title: 'Remove bucket',
+      disabled: total === 1,
+    },
+  ].forEach(({ action, label, title, disabled }) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'pr-reorder-btn pr-reorder-btn-secondary';
+    button.textContent = label;
+    button.title = title;
+    button.setAttribute('aria-label', title);
+    button.dataset.bucketAction = action;
+    button.disabled = disabled;
+    controls.appendChild(button);
+  });
+
+  const count = document.createElement('span');
+  count.className = 'pr-preset-editor-match-count';
+  controls.appendChild(count);
+
+  row.appendChild(createField('Bucket name', name));
+  row.appendChild(createField('Patterns', patterns));
+  row.appendChild(
+    createField(
+      'Sort within bucket',
+      createTieBreakerSelect(bucket.sort, 'sort')
+    )
+  );
+  row.appendChild(controls);
+
+  return row;
+}
@@ -5,7 +5,11 @@
 
 import { getCurrentOrder } from '../content/dom-manipulator.js';
 import { extractAllFilesMetadata } from '../utils/parser.js';
-import { getAllPresets, applyPreset } from '../utils/presets.js';
+import {
+  getAllPresets,
+  applyPreset,
+  loadCustomPresets,
+} from '../utils/presets.js';
 import { savePreference, loadPreference } from '../utils/storage.js';
 import {
   downloadOrderAsJSON,
@@ -15,22 +19,48 @@ import {
 } from '../utils/export-import.js';
 import { getPRId, getCurrentUser } from '../content/github-api.js';
 import { showNotification } from '../utils/error-handler.js';
+import { moveElements } from '../utils/array-utils.js';
+import { createOrderHistory } from '../utils/order-history.js';
+import { createFileTreeView } from './file-tree-view.js';
+import { createPresetEditorModal } from './preset-editor.js';
+import { appendNoteControls, updateNoteControls } from './file-notes.js';
+import { setSectionDivider } from './section-dividers.js';
+import { pruneNotes } from '../utils/annotations.js';
+import { pruneSections } from '../utils/sections.js';
 import {
   filterFiles,
   highlightMatches,
   getFileCountMessage,
 } from '../utils/search-filter.js';
 
+// Notes and section names being edited in each file list, so items
+// created while filtering or reordering show them
+const fileListNotes = new WeakMap();
+const fileListSections = new WeakMap();
+
 /**
  * Create and show reorder modal
  * @param {Object} options - Modal options
  * @param {Array<string>} [options.initialOrder] - Initial file order
- * @param {Function} options.onSave - Callback when order is saved
+ * @param {Object} [options.initialNotes] - Notes by file path or folder path
+ * @param {Array<Object>} [options.initialSections] - Section dividers with
+ *   {name, start}
+ * @param {boolean} [options.applyDefaultPreset=false] - Apply the default
+ *   preset from the options page on open, e.g. when there's no saved order
+ * @param {Function} options.onSave - Callback with (order, notes, sections)
+ *   when saved
  * @param {Function} [options.onCancel] - Callback when cancelled
  * @returns {Object} Modal instance
  */
 export function createReorderModal(options = {}) {
-  const { initialOrder, onSave, onCancel } = options;
+  const {
+    initialOrder,
+    initialNotes = {},
+    initialSections = [],
+    applyDefaultPreset = false,
+    onSave,
+    onCancel,
+  } = options;
 
   // Get current files
   const filesMetadata = extractAllFilesMetadata();
@@ -118,12 +148,22 @@ export function createReorderModal(options = {}) {
   }
 
   // Create file list
-  const fileList = createFileList(filesMetadata, currentOrder);
+  const notes = { ...initialNotes };
+  // Section names by the path of each section's first file
+  const sections = new Map(
+    pruneSections(initialSections, currentOrder).map(({ name, start }) => [
+      start,
+      name,
+    ])
+  );
+  const fileList = createFileList(filesMetadata, currentOrder, notes, sections);
+  const selectionBar = createSelectionBar();
 
   // Assemble modal
   body.appendChild(fileList);
   modal.appendChild(header);
   modal.appendChild(presetBar);
+  modal.appendChild(selectionBar);
   modal.appendChild(body);
   modal.appendChild(footer);
   overlay.appendChild(modal);
@@ -136,10 +176,227 @@ export function createReorderModal(options = {}) {
     onDragEnd: () => {
       // Drag ended
     },
+    onReorder: (label) => recordHistory(label),
   });
 
   // Setup keyboard navigation
-  setupKeyboardNavigation(fileList);
+  setupKeyboardNavigation(fileList, {
+    onReorder: (label) => recordHistory(label),
+  });
+
+  // Setup multi-select and bulk move commands
+  const announce = (message) =>
+    announceToScreenReader(message, 'assertive', modal);
+
+  const refreshSelectionBar = () => {
+    const count = getSelectedItems(fileList).length;
+    selectionBar.hidden = count === 0 || fileList.hidden;
+    selectionBar.querySelector('.pr-reorder-selection-count').textContent =
+      `${count} ${count === 1 ? 'file' : 'files'} selected`;
+  };
+
+  setupSelection(fileList, () => {
+    refreshSelectionBar();
+    const count = getSelectedItems(fileList).length;
+    announce(
+      count > 0
+        ? `${count} ${count === 1 ? 'file' : 'files'} selected`
+        : 'Selection cleared'
+    );
+  });
+
+  const moveSelection = (placement) => {
+    const count = moveSelectedItems(fileList, placement);
+    if (count === 0) return;
+
+    const where =
+      placement.position === 'after'
+        ? `after ${placement.after}`
+        : `to ${placement.position}`;
+    const message = `Moved ${count} ${count === 1 ? 'file' : 'files'} ${where}`;
+    recordHistory(message);
+    announce(message);
+  };
+
+  const moveAfterSelect = selectionBar.querySelector(
+    '.pr-reorder-selection-after'
+  );
+
+  selectionBar.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-selection-action]');
+    if (!button) return;
+
+    const action = button.dataset.selectionAction;
+    if (action === 'clear') {
+      clearSelection(fileList);
+      refreshSelectionBar();
+      announce('Selection cleared');
+    } else if (action === 'section') {
+      startSection();
+    } else {
+      moveSelection({ position: action });
+    }
+  });
+
+  // Start a named section at the first selected file
+  const startSection = () => {
+    const [item] = getSelectedItems(fileList);
+    if (!item) return;
+
+    const start = item.dataset.path;
+    if (!sections.has(start)) {
+      sections.set(start, `Section ${sections.size + 1}`);
+      announce(`Section started at ${start}`);
+    }
+
+    const input = showSectionDivider(item, sections);
+    input.focus();
+    input.select();
+  };
+
+  // Rebuild targets on focus so they follow the current order and selection
+  moveAfterSelect.addEventListener('focus', () => {
+    updateMoveAfterOptions(moveAfterSelect, fileList);
+  });
+
+  moveAfterSelect.addEventListener('change', () => {
+    const after = moveAfterSelect.value;
+    if (!after) return;
+    moveSelection({ position: 'after', after });
+    moveAfterSelect.value = '';
+  });
+
+  // Directory tree view, created on first use. The flat list stays the
+  // source of truth for save/export. The tree groups files by directory,
+  // so its order is only copied back when the user moves a node in it.
+  let treeView = null;
+  const searchInput = header.querySelector('[data-search-input]');
+  const searchClearBtn = header.querySelector('.pr-reorder-search-clear');
+  const viewButtons = presetBar.querySelectorAll('[data-view]');
+
+  const toMetadata = (order) =>
+    order
+      .map((path) => filesMetadata.find((m) => m.path === path))
+      .filter(Boolean);
+
+  const isTreeActive = () => treeView !== null && !treeView.element.hidden;
+
+  // Showing the list's order in the tree never changes the order itself
+  const syncTreeView = () => {
+    if (!isTreeActive()) return;
+    treeView.setOrder(getOrderFromList(fileList));
+  };
+
+  const setView = (view) => {
+    const showTree = view === 'tree';
+
+    if (showTree && !treeView) {
+      treeView = createFileTreeView({
+        order: [],
+        filesMetadata,
+        onChange: (order) => {
+          updateFileList(fileList, toMetadata(order));
+          recordHistory('Move in tree view');
+        },
+        announce: (message) =>
+          announceToScreenReader(message, 'assertive', modal),
+        getNote: (target) => notes[target],
+        onNoteChange: (target, note) => {
+          setNote(notes, target, note);
+          // Keep the (hidden) flat list showing the same file note
+          const item = Array.from(fileList.children).find(
+            (child) => child.dataset.path === target
+          );
+          if (item) updateNoteControls(item, note);
+        },
+      });
+      treeView.element.hidden = true;
+      body.appendChild(treeView.element);
+    }
+
+    // Search and selection work on the flat list only
+    if (showTree) {
+      clearSelection(fileList);
+    }
+    if (showTree && searchInput.value) {
+      searchClearBtn.click();
+    }
+    searchInput.disabled = showTree;
+
+    fileList.hidden = showTree;
+    if (treeView) {
+      treeView.element.hidden = !showTree;
+    }
+    syncTreeView();
+    refreshSelectionBar();
+
+    viewButtons.forEach((button) => {
+      button.setAttribute('aria-pressed', String(button.dataset.view === view));
+    });
+  };
+
+  // Undo/redo history of every change to the order
+  const history = createOrderHistory(getOrderFromList(fileList));
+  const undoBtn = presetBar.querySelector('[data-history="undo"]');
+  const redoBtn = presetBar.querySelector('[data-history="redo"]');
+  const historyPosition = presetBar.querySelector(
+    '.pr-reorder-history-position'
+  );
+
+  const refreshHistoryControls = () => {
+    const { position, total } = history.getPosition();
+    undoBtn.disabled = !history.canUndo();
+    redoBtn.disabled = !history.canRedo();
+    historyPosition.textContent = `${position}/${total}`;
+    historyPosition.title = `History step ${position} of ${total}`;
+  };
+
+  const recordHistory = (label) => {
+    // A filtered list only holds part of the order
+    if (searchInput.value) return;
+
+    if (history.push(getOrderFromList(fileList), label)) {
+      refreshHistoryControls();
+    }
+  };
+
+  const restoreHistory = (entry, verb) => {
+    if (!entry) return;
+
+    if (searchInput.value) {
+      searchClearBtn.click();
+    }
+    updateFileList(fileList, toMetadata(entry.order));
+    syncTreeView();
+    refreshHistoryControls();
+    announce(`${verb}: ${entry.label}`);
+  };
+
+  const undo = () => restoreHistory(history.undo(), 'Undone');
+  const redo = () => restoreHistory(history.redo(), 'Redone');
+
+  undoBtn.addEventListener('click', undo);
+  redoBtn.addEventListener('click', redo);
+
+  // Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z or Ctrl/Cmd+Y redoes. Text fields
+  // keep their native undo.
+  modal.addEventListener('keydown', (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.target.matches('input, select')) {
+      return;
+    }
+
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+      undo();
+    } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+      redo();
+    } else {
+      return;
+    }
+    e.preventDefault();
+  });
+
+  refreshHistoryControls();
 
   // Setup event handlers
   const closeBtn = header.querySelector('.pr-reorder-modal-close');
@@ -180,7 +437,13 @@ export function createReorderModal(options = {}) {
       if (triggerButton && triggerButton.focus) {
         triggerButton.focus();
       }
-      if (onSave) onSave(newOrder);
+      if (onSave) {
+        onSave(
+          newOrder,
+          pruneNotes(notes, newOrder),
+          getSections(sections, newOrder)
+        );
+      }
     }, 200); // Match --pr-duration-normal
   };
 
@@ -233,6 +496,8 @@ export function createReorderModal(options = {}) {
         const totalCount = importedData.order.length;
 
         updateFileList(fileList, sortedMetadata);
+        syncTreeView();
+        recordHistory(`Import order from ${importedData.user}`);
 
         const successMessage =
           matchedCount < totalCount
@@ -262,15 +527,14 @@ export function createReorderModal(options = {}) {
       const order = getOrderFromList(fileList);
       const prId = getPRId();
       const user = getCurrentUser();
-      const url = generateShareableURL(order, prId, user);
+      const url = await generateShareableURL(order, prId, user, {
+        files: filesMetadata.map((m) => m.path),
+        sections: getSections(sections, order),
+      });
 
       await copyToClipboard(url);
-      showNotification('Shareable URL copied to clipboard', 'success');
-      announceToScreenReader(
-        'Shareable URL copied to clipboard',
-        'polite',
-        modal
-      );
+      showNotification('Share link copied to clipboard', 'success');
+      announceToScreenReader('Share link copied to clipboard', 'polite', modal);
     } catch (error) {
       console.error('Failed to generate shareable URL:', error);
       showNotification('Failed to generate shareable URL', 'error');
@@ -291,6 +555,9 @@ export function createReorderModal(options = {}) {
   importBtn.addEventListener('click', handleImport);
   shareBtn.addEventListener('click', handleShare);
 
+  // Custom presets load asynchronously and are added to the dropdown
+  let customPresets = [];
+
   // Handle preset selection
   presetSelect.addEventListener('change', async (e) => {
     const presetId = e.target.value;
@@ -301,10 +568,12 @@ export function createReorderModal(options = {}) {
 
     try {
       // Apply preset
-      const sorted = applyPreset(presetId, filesMetadata);
+      const sorted = applyPreset(presetId, filesMetadata, customPresets);
 
       // Update file list
       updateFileList(fileList, sorted);
+      syncTreeView();
+      recordHistory(`Apply preset ${e.target.selectedOptions[0].textContent}`);
 
       // Save last used preset
       await savePreference('lastPreset', presetId);
@@ -313,16 +582,69 @@ export function createReorderModal(options = {}) {
     }
   });
 
-  // Load and set last used preset
-  loadPreference('lastPreset').then((lastPreset) => {
-    if (lastPreset) {
-      presetSelect.value = lastPreset;
+  // Load custom presets, then apply the default preset from the options
+  // page if asked to, or else just select it (or the last used one)
+  loadCustomPresets()
+    .catch((error) => {
+      console.error('Failed to load custom presets:', error);
+      return [];
+    })
+    .then((presets) => {
+      customPresets = presets;
+      populatePresetOptions(presetSelect, customPresets);
+      return loadPreference('defaultPreset');
+    })
+    .then((defaultPreset) => {
+      // Unless the user already changed the order while presets loaded
+      if (defaultPreset && applyDefaultPreset && !history.canUndo()) {
+        presetSelect.value = defaultPreset;
+        presetSelect.dispatchEvent(new Event('change'));
+        return null;
+      }
+      return defaultPreset || loadPreference('lastPreset');
+    })
+    .then((presetId) => {
+      if (presetId) {
+        presetSelect.value = presetId;
+      }
+    });
+
+  presetBar
+    .querySelector('[data-action="edit-presets"]')
+    .addEventListener('click', () => {
+      createPresetEditorModal({
+        presets: customPresets,
+        filesMetadata,
+        onSave: (saved) => {
+          customPresets = saved;
+          populatePresetOptions(presetSelect, customPresets);
+          announce('Custom presets saved');
+        },
+      });
+    });
+
+  viewButtons.forEach((button) => {
+    button.addEventListener('click', () => {
+      setView(button.dataset.view);
+      savePreference('reorderView', button.dataset.view).catch((error) => {
+        console.error('Failed to save view preference:', error);
+      });
+    });
+  });
+
+  // Restore last used view
+  loadPreference('reorderView').then((view) => {
+    if (view === 'tree') {
+      setView('tree');
     }
   });
 
   // Setup search functionality
   setupSearchHandlers(header, fileList, filesMetadata, currentOrder);
 
+  // Filtering rebuilds the list items, which drops their selection
+  searchInput.addEventListener('input', refreshSelectionBar);
+
   // Close on overlay click
   overlay.addEventListener('click', (e) => {
     if (e.target === overlay) {
@@ -358,6 +680,8 @@ export function createReorderModal(options = {}) {
   return {
     close,
     getOrder: () => getOrderFromList(fileList),
+    getNotes: () => pruneNotes(notes, getOrderFromList(fileList)),
+    getSections: () => getSections(sections, getOrderFromList(fileList)),
   };
 }
 
@@ -477,28 +801,201 @@ function createPresetBar() {
   select.id = 'pr-reorder-preset-select';
   select.className = 'pr-reorder-preset-select';
 
+  populatePresetOptions(select, []);
+
+  const editBtn = document.createElement('button');
+  editBtn.type = 'button';
+  editBtn.className = 'pr-reorder-btn pr-reorder-btn-secondary';
+  editBtn.textContent = '✎ Custom';
+  editBtn.title = 'Create and edit custom presets';
+  editBtn.setAttribute('data-action', 'edit-presets');
+
+  bar.appendChild(label);
+  bar.appendChild(select);
+  bar.appendChild(editBtn);
+  bar.appendChild(createHistoryControls());
+  bar.appendChild(createViewToggle());
+
+  return bar;
+}
+
+/**
+ * Fill preset dropdown with built-in and custom presets
+ * Keeps the current selection when it still exists.
+ * @param {HTMLSelectElement} select - Preset dropdown
+ * @param {Array<Object>} customPresets - Custom preset definitions
+ */
+function populatePresetOptions(select, customPresets) {
+  const selected = select.value;
+
+  // Clear options (safe: no user content)
+  while (select.firstChild) {
+    select.firstChild.remove();
+  }
+
   // Add default option
   const defaultOption = document.createElement('option');
   defaultOption.value = '';
   defaultOption.textContent = 'Choose a preset...';
   select.appendChild(defaultOption);
 
+  const customGroup = document.createElement('optgroup');
+  customGroup.label = 'Custom';
+
   // Add preset options
-  const presets = getAllPresets();
-  presets.forEach((preset) => {
+  getAllPresets(customPresets).forEach((preset) => {
     const option = document.createElement('option');
     option.value = preset.id;
+    // SECURITY: Using textContent for user data
     option.textContent = preset.name;
     option.title = preset.description;
-    select.appendChild(option);
+    (preset.custom ? customGroup : select).appendChild(option);
   });
 
-  bar.appendChild(label);
-  bar.appendChild(select);
+  if (customGroup.children.length > 0) {
+    select.appendChild(customGroup);
+  }
+
+  select.value = selected;
+  if (select.value !== selected) {
+    select.value = '';
+  }
+}
+
+/**
+ * Create undo/redo buttons with history position indicator
+ * @returns {HTMLElement}
+ */
+function createHistoryControls() {
+  const controls = document.createElement('div');
+  controls.className = 'pr-reorder-history';
+  controls.setAttribute('role', 'group');
+  controls.setAttribute('aria-label', 'History');
+
+  [
+    { action: 'undo', label: '↶ Undo', title: 'Undo (Ctrl+Z)' },
+    { action: 'redo', label: '↷ Redo', title: 'Redo (Ctrl+Shift+Z)' },
+  ].forEach(({ action, label, title }) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'pr-reorder-btn pr-reorder-btn-secondary';
+    button.textContent = label;
+    button.title = title;
+    button.dataset.history = action;
+    button.disabled = true;
+    controls.appendChild(button);
+  });
+
+  const position = document.createElement('span');
+  position.className = 'pr-reorder-history-position';
+  controls.appendChild(position);
+
+  return controls;
+}
+
+/**
+ * Create list/tree view toggle
+ * @returns {HTMLElement}
+ */
+function createViewToggle() {
+  const toggle = document.createElement('div');
+  toggle.className = 'pr-reorder-view-toggle';
+  toggle.setAttribute('role', 'group');
+  toggle.setAttribute('aria-label', 'File view');
+
+  [
+    { view: 'list', label: 'List', title: 'Show files as a flat list' },
+    { view: 'tree', label: 'Tree', title: 'Group files by directory' },
+  ].forEach(({ view, label, title }) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'pr-reorder-btn pr-reorder-btn-secondary';
+    button.textContent = label;
+    button.title = title;
+    button.dataset.view = view;
+    button.setAttribute('aria-pressed', String(view === 'list'));
+    toggle.appendChild(button);
+  });
+
+  return toggle;
+}
+
+/**
+ * Create toolbar for bulk actions on selected files
+ * @returns {HTMLElement}
+ */
+function createSelectionBar() {
+  const bar = document.createElement('div');
+  bar.className = 'pr-reorder-selection-bar';
+  bar.setAttribute('role', 'toolbar');
+  bar.setAttribute('aria-label', 'Selected files');
+  bar.hidden = true;
+
+  const count = document.createElement('span');
+  count.className = 'pr-reorder-selection-count';
+  bar.appendChild(count);
+
+  [
+    { action: 'top', label: 'Move to top' },
+    { action: 'bottom', label: 'Move to bottom' },
+  ].forEach(({ action, label }) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'pr-reorder-btn pr-reorder-btn-secondary';
+    button.textContent = label;
+    button.dataset.selectionAction = action;
+    bar.appendChild(button);
+  });
+
+  const afterSelect = document.createElement('select');
+  afterSelect.className = 'pr-reorder-selection-after';
+  afterSelect.setAttribute('aria-label', 'Move selected files after');
+  const placeholder = document.createElement('option');
+  placeholder.value = '';
+  placeholder.textContent = 'Move after file...';
+  afterSelect.appendChild(placeholder);
+  bar.appendChild(afterSelect);
+
+  const sectionBtn = document.createElement('button');
+  sectionBtn.type = 'button';
+  sectionBtn.className = 'pr-reorder-btn pr-reorder-btn-secondary';
+  sectionBtn.textContent = 'Start section';
+  sectionBtn.title = 'Insert a named divider before the first selected file';
+  sectionBtn.dataset.selectionAction = 'section';
+  bar.appendChild(sectionBtn);
+
+  const clearBtn = document.createElement('button');
+  clearBtn.type = 'button';
+  clearBtn.className = 'pr-reorder-btn pr-reorder-btn-secondary';
+  clearBtn.textContent = 'Clear selection';
+  clearBtn.dataset.selectionAction = 'clear';
+  bar.appendChild(clearBtn);
 
   return bar;
 }
 
+/**
+ * Fill the "move after" dropdown with files outside the selection
+ * @param {HTMLSelectElement} select - Move after dropdown
+ * @param {HTMLElement} list - File list element
+ */
+function updateMoveAfterOptions(select, list) {
+  // Keep the placeholder option
+  while (select.options.length > 1) {
+    select.lastChild.remove();
+  }
+
+  Array.from(list.querySelectorAll('.pr-reorder-file-item'))
+    .filter((item) => !item.classList.contains('selected'))
+    .forEach((item) => {
+      const option = document.createElement('option');
+      option.value = item.dataset.path;
+      // SECURITY: Using textContent for user data
+      option.textContent = item.dataset.path;
+      select.appendChild(option);
+    });
+}
+
 /**
  * Create modal body
  * @returns {HTMLElement}
@@ -537,7 +1034,7 @@ function createModalFooter() {
   const shareBtn = document.createElement('button');
   shareBtn.className = 'pr-reorder-btn pr-reorder-btn-secondary';
   shareBtn.textContent = '🔗 Share';
-  shareBtn.title = 'Generate shareable URL';
+  shareBtn.title = 'Copy a link that opens this PR in this order';
   shareBtn.setAttribute('data-action', 'share');
 
   leftActions.appendChild(exportBtn);
@@ -568,16 +1065,64 @@ function createModalFooter() {
   return footer;
 }
 
+/**
+ * Set or remove a note
+ * @param {Object} notes - Notes by target
+ * @param {string} target - File path or folder path ending in "/"
+ * @param {string} note - Note text ('' removes the note)
+ */
+function setNote(notes, target, note) {
+  if (note) {
+    notes[target] = note;
+  } else {
+    delete notes[target];
+  }
+}
+
+/**
+ * Show the divider for a section starting at a file item
+ * @param {HTMLElement} item - File item
+ * @param {Map<string, string>} sections - Section names by first file
+ * @returns {HTMLElement} The divider's name input
+ */
+function showSectionDivider(item, sections) {
+  const start = item.dataset.path;
+
+  return setSectionDivider(item, {
+    name: sections.get(start),
+    onRename: (name) => sections.set(start, name),
+    onRemove: () => sections.delete(start),
+  });
+}
+
+/**
+ * Get the sections to save, in the order of their first files
+ * @param {Map<string, string>} sections - Section names by first file
+ * @param {Array<string>} order - File order
+ * @returns {Array<Object>} Sections with {name, start}
+ */
+function getSections(sections, order) {
+  return pruneSections(
+    Array.from(sections, ([start, name]) => ({ name, start })),
+    order
+  );
+}
+
 /**
  * Create file list
  * @param {Array<Object>} filesMetadata - File metadata
  * @param {Array<string>} order - Current order
+ * @param {Object} [notes={}] - Notes by target, updated as notes are edited
+ * @param {Map<string, string>} [sections] - Section names by first file,
+ *   updated as dividers are edited
  * @returns {HTMLElement}
  */
-function createFileList(filesMetadata, order) {
+function createFileList(filesMetadata, order, notes = {}, sections) {
   const list = document.createElement('ul');
   list.className = 'pr-reorder-file-list';
   list.setAttribute('role', 'list');
+  fileListNotes.set(list, notes);
+  if (sections) fileListSections.set(list, sections);
 
   // Create map for quick lookup
   const metadataMap = new Map();
@@ -590,7 +1135,7 @@ function createFileList(filesMetadata, order) {
   order.forEach((filePath, index) => {
     const metadata = metadataMap.get(filePath);
     if (metadata) {
-      const item = createFileItem(metadata, index, '', total);
+      const item = createFileItem(metadata, index, '', total, notes, sections);
       list.appendChild(item);
     }
   });
@@ -605,9 +1150,18 @@ function createFileList(filesMetadata, order) {
  * @param {number} index - Item index
  * @param {string} search - Search query for highlighting
  * @param {number} total - Total number of items
+ * @param {Object} [notes] - Notes by target, updated when the note is edited
+ * @param {Map<string, string>} [sections] - Section names by first file
  * @returns {HTMLElement}
  */
-function createFileItem(metadata, index, search = '', total = 0) {
+function createFileItem(
+  metadata,
+  index,
+  search = '',
+  total = 0,
+  notes,
+  sections
+) {
   const item = document.createElement('li');
   item.className = 'pr-reorder-file-item';
   item.setAttribute('draggable', 'true');
@@ -672,6 +1226,18 @@ function createFileItem(metadata, index, search = '', total = 0) {
     item.appendChild(changes);
   }
 
+  if (notes) {
+    appendNoteControls(item, {
+      target: metadata.path,
+      note: notes[metadata.path],
+      onChange: (target, note) => setNote(notes, target, note),
+    });
+  }
+
+  if (sections && sections.has(metadata.path)) {
+    showSectionDivider(item, sections);
+  }
+
   return item;
 }
 
@@ -682,17 +1248,31 @@ function createFileItem(metadata, index, search = '', total = 0) {
  */
 function setupDragAndDrop(list, callbacks) {
   let dragOverItem = null;
+  let grabbedItem = null;
 
   list.addEventListener('dragstart', (e) => {
     const item = e.target.closest('.pr-reorder-file-item');
     if (!item) return;
 
-    // Apply will-change hint for GPU acceleration
-    item.style.willChange = 'transform, opacity';
+    // Dragging a selected item drags the whole selection
+    const selected = getSelectedItems(list);
+    const dragged =
+      item.classList.contains('selected') && selected.length > 1
+        ? selected
+        : [item];
+    grabbedItem = item;
+
+    dragged.forEach((draggedItem) => {
+      // Apply will-change hint for GPU acceleration
+      draggedItem.style.willChange = 'transform, opacity';
+      draggedItem.classList.add('dragging');
+    });
 
-    item.classList.add('dragging');
     e.dataTransfer.effectAllowed = 'move';
-    e.dataTransfer.setData('text/plain', item.dataset.path);
+    e.dataTransfer.setData(
+      'text/plain',
+      dragged.map((draggedItem) => draggedItem.dataset.path).join('\n')
+    );
 
     const index = Array.from(list.children).indexOf(item);
     if (callbacks.onDragStart) {
@@ -704,11 +1284,15 @@ function setupDragAndDrop(list, callbacks) {
     const item = e.target.closest('.pr-reorder-file-item');
     if (!item) return;
 
-    item.classList.remove('dragging');
+    const dragged = Array.from(list.querySelectorAll('.dragging'));
+    dragged.forEach((draggedItem) => draggedItem.classList.remove('dragging'));
+    grabbedItem = null;
 
     // Remove will-change hint after animation completes
     setTimeout(() => {
-      item.style.willChange = 'auto';
+      dragged.forEach((draggedItem) => {
+        draggedItem.style.willChange = 'auto';
+      });
     }, 200); // Match animation duration
 
     // Remove drag-over class from all items
@@ -748,15 +1332,43 @@ function setupDragAndDrop(list, callbacks) {
     e.preventDefault();
 
     const dropTarget = e.target.closest('.pr-reorder-file-item');
-    const dragging = list.querySelector('.dragging');
+    const draggedItems = Array.from(list.querySelectorAll('.dragging'));
+    const dragging = draggedItems.length > 1 ? grabbedItem : draggedItems[0];
 
-    if (!dropTarget || !dragging || dropTarget === dragging) {
+    if (!dropTarget || !dragging || dropTarget.classList.contains('dragging')) {
       return;
     }
 
     // Remove drag-over class
     dropTarget.classList.remove('drag-over');
 
+    if (draggedItems.length > 1) {
+      const paths = draggedItems.map((item) => item.dataset.path);
+      const movingDown =
+        Array.from(list.children).indexOf(dragging) <
+        Array.from(list.children).indexOf(dropTarget);
+      const rest = getOrderFromList(list).filter(
+        (path) => !paths.includes(path)
+      );
+      const targetIndex = rest.indexOf(dropTarget.dataset.path);
+
+      moveItemsInList(list, paths, movingDown ? targetIndex + 1 : targetIndex);
+
+      if (callbacks.onReorder) {
+        callbacks.onReorder(`Move ${paths.length} files`);
+      }
+
+      const modal = list.closest('.pr-reorder-modal');
+      if (modal) {
+        announceToScreenReader(
+          `Moved ${paths.length} files`,
+          'assertive',
+          modal
+        );
+      }
+      return;
+    }
+
     // Add drop completion animation
     dragging.classList.add('dropping');
 
@@ -778,6 +1390,10 @@ function setupDragAndDrop(list, callbacks) {
 
     // Update aria-labels
     updateAriaLabels(list);
+
+    if (callbacks.onReorder) {
+      callbacks.onReorder('Move file');
+    }
   });
 }
 
@@ -785,8 +1401,10 @@ function setupDragAndDrop(list, callbacks) {
  * Setup keyboard navigation
  * Group 12: Enhanced keyboard navigation with drag mode
  * @param {HTMLElement} list - File list element
+ * @param {Object} [callbacks] - Event callbacks
+ * @param {Function} [callbacks.onReorder] - Called with a label after a move
  */
-function setupKeyboardNavigation(list) {
+function setupKeyboardNavigation(list, callbacks = {}) {
   // Get modal for ARIA announcements
   const modal = list.closest('.pr-reorder-modal');
 
@@ -862,6 +1480,10 @@ function setupKeyboardNavigation(list) {
     dragModeItem.classList.remove('pr-reorder-drag-mode');
     dragModeItem.removeAttribute('aria-grabbed');
 
+    if (callbacks.onReorder) {
+      callbacks.onReorder('Move file');
+    }
+
     // Task 12.6: Announce completion
     if (modal) {
       announceToScreenReader(
@@ -930,6 +1552,38 @@ function setupKeyboardNavigation(list) {
           modal
         );
       }
+    } else if (
+      (e.ctrlKey || e.metaKey) &&
+      (e.key === 'ArrowUp' || e.key === 'ArrowDown') &&
+      item.classList.contains('selected') &&
+      getSelectedItems(list).length > 1
+    ) {
+      // Move the whole selection one step as a block
+      const paths = getSelectedItems(list).map((el) => el.dataset.path);
+      const order = getOrderFromList(list);
+      const blockStart = order
+        .slice(0, order.indexOf(paths[0]))
+        .filter((path) => !paths.includes(path)).length;
+      const restLength = order.length - paths.length;
+      const toIndex =
+        e.key === 'ArrowUp'
+          ? Math.max(0, blockStart - 1)
+          : Math.min(restLength, blockStart + 1);
+
+      moveItemsInList(list, paths, toIndex);
+      handled = true;
+
+      if (callbacks.onReorder) {
+        callbacks.onReorder(`Move ${paths.length} files`);
+      }
+
+      if (modal) {
+        announceToScreenReader(
+          `Moved ${paths.length} files to positions ${toIndex + 1} to ${toIndex + paths.length} of ${items.length}`,
+          'assertive',
+          modal
+        );
+      }
     } else {
       // Task 12.9: Ensure existing Ctrl/Cmd shortcuts still work
       // Move up (Ctrl+↑ or Cmd+↑)
@@ -954,6 +1608,10 @@ function setupKeyboardNavigation(list) {
         }
       }
 
+      if (newPosition !== null && callbacks.onReorder) {
+        callbacks.onReorder('Move file');
+      }
+
       // Announce position change for Ctrl/Cmd shortcuts
       if (newPosition !== null && modal) {
         announceToScreenReader(
@@ -964,7 +1622,8 @@ function setupKeyboardNavigation(list) {
       }
 
       // Navigate up (↑) - only when not in drag mode
-      if (!e.ctrlKey && !e.metaKey && e.key === 'ArrowUp') {
+      // (Shift+↑/↓ extends the selection instead)
+      if (!e.ctrlKey && !e.metaKey && !e.shiftKey && e.key === 'ArrowUp') {
         if (index > 0) {
           items[index - 1].focus();
           handled = true;
@@ -972,7 +1631,7 @@ function setupKeyboardNavigation(list) {
       }
 
       // Navigate down (↓) - only when not in drag mode
-      if (!e.ctrlKey && !e.metaKey && e.key === 'ArrowDown') {
+      if (!e.ctrlKey && !e.metaKey && !e.shiftKey && e.key === 'ArrowDown') {
         if (index < items.length - 1) {
           items[index + 1].focus();
           handled = true;
@@ -987,9 +1646,170 @@ function setupKeyboardNavigation(list) {
 }
 
 /**
- * Update aria-labels after reordering
+ * Setup multi-select of file items
+ * Click selects one file, Ctrl/Cmd+click toggles, Shift+click selects a
+ * range. From the keyboard, Space toggles, Shift+↑/↓ extends the range
+ * and Ctrl/Cmd+A selects all.
+ *
+ * @param {HTMLElement} list - File list element
+ * @param {Function} onChange - Called after the selection changes
+ */
+function setupSelection(list, onChange) {
+  let anchor = null;
+
+  const selectRange = (from, to) => {
+    const items = Array.from(list.children);
+    const [start, end] = [items.indexOf(from), items.indexOf(to)].sort(
+      (a, b) => a - b
+    );
+    items.forEach((item, index) => {
+      item.classList.toggle('selected', index >= start && index <= end);
+    });
+  };
+
+  const hasAnchor = () => anchor !== null && list.contains(anchor);
+
+  list.addEventListener('click', (e) => {
+    const item = e.target.closest('.pr-reorder-file-item');
+    if (!item) return;
+
+    if (e.shiftKey && hasAnchor()) {
+      selectRange(anchor, item);
+    } else if (e.ctrlKey || e.metaKey) {
+      item.classList.toggle('selected');
+      anchor = item;
+    } else {
+      Array.from(list.children).forEach((child) => {
+        child.classList.toggle('selected', child === item);
+      });
+      anchor = item;
+    }
+
+    updateAriaLabels(list);
+    onChange();
+  });
+
+  list.addEventListener('keydown', (e) => {
+    // Keys already handled by keyboard navigation (e.g. drag mode)
+    const item = e.target.closest('.pr-reorder-file-item');
+    if (!item || e.defaultPrevented) return;
+
+    let handled = false;
+
+    if (
+      e.shiftKey &&
+      !e.ctrlKey &&
+      !e.metaKey &&
+      (e.key === 'ArrowUp' || e.key === 'ArrowDown')
+    ) {
+      const next =
+        e.key === 'ArrowUp'
+          ? item.previousElementSibling
+          : item.nextElementSibling;
+      if (next) {
+        if (!hasAnchor()) anchor = item;
+        selectRange(anchor, next);
+        next.focus();
+      }
+      handled = true;
+    } else if (e.key === ' ' && !e.ctrlKey && !e.metaKey) {
+      item.classList.toggle('selected');
+      anchor = item;
+      handled = true;
+    } else if ((e.ctrlKey || e.metaKey) && e.key === 'a') {
+      Array.from(list.children).forEach((child) => {
+        child.classList.add('selected');
+      });
+      handled = true;
+    }
+
+    if (handled) {
+      e.preventDefault();
+      updateAriaLabels(list);
+      onChange();
+    }
+  });
+}
+
+/**
+ * Get selected file items
  * @param {HTMLElement} list - File list element
+ * @returns {Array<HTMLElement>} Selected items in list order
  */
+function getSelectedItems(list) {
+  return Array.from(list.querySelectorAll('.pr-reorder-file-item.selected'));
+}
+
+/**
+ * Clear file selection
+ * @param {HTMLElement} list - File list element
+ */
+function clearSelection(list) {
+  getSelectedItems(list).forEach((item) => {
+    item.classList.remove('selected');
+  });
+  updateAriaLabels(list);
+}
+
+/**
+ * Move file items together as one block
+ * @param {HTMLElement} list - File list element
+ * @param {Array<string>} paths - Paths of items to move
+ * @param {number} toIndex - Destination index among the remaining items
+ */
+function moveItemsInList(list, paths, toIndex) {
+  const focused = document.activeElement;
+  const items = new Map(
+    Array.from(list.children).map((item) => [item.dataset.path, item])
+  );
+
+  moveElements(getOrderFromList(list), paths, toIndex).forEach((path) => {
+    list.appendChild(items.get(path));
+  });
+
+  // Re-appending blurs the focused item
+  if (focused && list.contains(focused)) {
+    focused.focus();
+  }
+
+  updateAriaLabels(list);
+}
+
+/**
+ * Move selected items to the top, the bottom or after a file
+ * @param {HTMLElement} list - File list element
+ * @param {Object} placement - Where to move the selection
+ * @param {string} placement.position - 'top', 'bottom' or 'after'
+ * @param {string} [placement.after] - File path to move after
+ * @returns {number} Number of files moved
+ */
+function moveSelectedItems(list, placement) {
+  const paths = getSelectedItems(list).map((item) => item.dataset.path);
+  if (paths.length === 0) {
+    return 0;
+  }
+
+  const rest = getOrderFromList(list).filter((path) => !paths.includes(path));
+  let toIndex;
+
+  if (placement.position === 'top') {
+    toIndex = 0;
+  } else if (placement.position === 'bottom') {
+    toIndex = rest.length;
+  } else if (placement.position === 'after') {
+    const afterIndex = rest.indexOf(placement.after);
+    if (afterIndex === -1) {
+      throw new Error(`File not in list: ${placement.after}`);
+    }
+    toIndex = afterIndex + 1;
+  } else {
+    throw new Error(`Unknown placement: ${placement.position}`);
+  }
+
+  moveItemsInList(list, paths, toIndex);
+  return paths.length;
+}
+
 /**
  * Update aria-labels after reordering
  * Task 14.2: Update aria-labels to reflect new positions
@@ -999,9 +1819,10 @@ function updateAriaLabels(list) {
   const total = items.length;
   items.forEach((item, index) => {
     const path = item.dataset.path;
+    const selected = item.classList.contains('selected') ? ', selected' : '';
     item.setAttribute(
       'aria-label',
-      `${path}, position ${index + 1} of ${total}`
+      `${path}, position ${index + 1} of ${total}${selected}`
     );
   });
 }
@@ -1039,14 +1860,24 @@ function updateFileList(list, filesMetadata, search = '') {
     const existingItem = existingItems.get(metadata.path);
     if (existingItem && !search) {
       // Reuse existing item to preserve event listeners (only when not searching)
+      const selected = existingItem.classList.contains('selected')
+        ? ', selected'
+        : '';
       existingItem.setAttribute(
         'aria-label',
-        `${metadata.path}, position ${index + 1} of ${total}`
+        `${metadata.path}, position ${index + 1} of ${total}${selected}`
       );
       list.appendChild(existingItem);
     } else {
       // Create new item (or recreate when searching to apply highlighting)
-      const item = createFileItem(metadata, index, search, total);
+      const item = createFileItem(
+        metadata,
+        index,
+        search,
+        total,
+        fileListNotes.get(list),
+        fileListSections.get(list)
+      );
       list.appendChild(item);
     }
   });
@@ -1196,11 +2027,21 @@ function setupSearchHandlers(header, fileList, filesMetadata, currentOrder) {
   // Initialize file count
   updateFileCount(filesMetadata.length, filesMetadata.length);
 
+  // Order of the unfiltered list, captured when a search starts so that
+  // moves made before searching survive clearing it
+  let baseOrder = currentOrder;
+  let isFiltered = false;
+
   // Filter and update file list
   const applyFilter = (search) => {
+    if (!isFiltered) {
+      baseOrder = getOrderFromList(fileList);
+    }
+    isFiltered = Boolean(search);
+
     if (!search) {
       // Show all files in current order
-      const sortedMetadata = currentOrder
+      const sortedMetadata = baseOrder
         .map((path) => filesMetadata.find((m) => m.path === path))
         .filter(Boolean);
       updateFileList(fileList, sortedMetadata);
@@ -1210,7 +2051,7 @@ function setupSearchHandlers(header, fileList, filesMetadata, currentOrder) {
     }
 
     // Filter files
-    const filtered = filterFiles(currentOrder, search);
+    const filtered = filterFiles(baseOrder, search);
     const filteredMetadata = filtered
       .map((path) => filesMetadata.find((m) => m.path === path))
       .filter(Boolean);
@@ -0,0 +1,93 @@
+/**
+ * Section Dividers
+ * Named dividers shown above the first file of each section in the
+ * reorder modal
+ */
+
+import {
+  MAX_SECTION_NAME_LENGTH,
+  normalizeSectionName,
+} from '../utils/sections.js';
+
+/**
+ * Show a section divider above a file item
+ * The divider is part of the item, so it moves with the section's first
+ * file. Renaming to an empty name removes the section.
+ *
+ * @param {HTMLElement} item - File item that starts the section
+ * @param {Object} options - Divider options
+ * @param {string} options.name - Section name
+ * @param {Function} [options.onRename] - Called with the new name
+ * @param {Function} [options.onRemove] - Called when the section is removed
+ * @returns {HTMLElement} The divider's name input
+ */
+export function setSectionDivider(item, options) {
+  const { name, onRename, onRemove } = options;
+  const start = item.dataset.path;
+
+  removeSectionDivider(item);
+
+  // Clicks and keys inside the divider belong to it, not to the item's
+  // selection, drag and keyboard handlers or the modal's Escape handler
+  const divider = document.createElement('div');
+  divider.className = 'pr-reorder-section-divider';
+  divider.addEventListener('click', (e) => e.stopPropagation());
+  divider.addEventListener('keydown', (e) => e.stopPropagation());
+
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.className = 'pr-reorder-section-name';
+  input.maxLength = MAX_SECTION_NAME_LENGTH;
+  input.value = name;
+  input.placeholder = 'Section name';
+  input.setAttribute('aria-label', `Name of the section starting at ${start}`);
+
+  const removeBtn = document.createElement('button');
+  removeBtn.type = 'button';
+  removeBtn.className = 'pr-reorder-section-remove';
+  removeBtn.textContent = '✕';
+  removeBtn.title = 'Remove section';
+  removeBtn.setAttribute('aria-label', `Remove section starting at ${start}`);
+
+  const remove = () => {
+    removeSectionDivider(item);
+    item.focus();
+    if (onRemove) onRemove();
+  };
+
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      input.blur();
+    }
+  });
+
+  input.addEventListener('change', () => {
+    const value = normalizeSectionName(input.value);
+    if (!value) {
+      remove();
+      return;
+    }
+    input.value = value;
+    if (onRename) onRename(value);
+  });
+
+  removeBtn.addEventListener('click', remove);
+
+  divider.appendChild(input);
+  divider.appendChild(removeBtn);
+  item.insertBefore(divider, item.firstChild);
+  item.classList.add('has-section');
+
+  return input;
+}
+
+/**
+ * Remove the section divider from a file item
+ * @param {HTMLElement} item - File item
+ */
+export function removeSectionDivider(item) {
+  const divider = item.querySelector(':scope > .pr-reorder-section-divider');
+  if (divider) divider.remove();
+  item.classList.remove('has-section');
+}
@@ -0,0 +1,110 @@
+/**
+ * Annotations
+ * Short notes explaining why a file or folder sits where it does in an
+ * order ("read this first: defines the new interface").
+ *
+ * Notes are stored as an object keyed by target: a file path, or a
+ * folder path ending in "/" for a note on the whole group.
+ */
+
+export const MAX_NOTE_LENGTH = 280;
+export const MAX_NOTES = 1000;
+
+/**
+ * Normalize note text to a single trimmed line
+ * Control characters and runs of whitespace become single spaces.
+ * @param {*} text - Note text
+ * @returns {string} Normalized text ('' for no note)
+ */
+export function normalizeNote(text) {
+  if (text === null || text === undefined) {
+    return '';
+  }
+
+  return String(text)
+    .replace(/\p{Cc}/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Check whether a note target is a folder
+ * @param {string} target - Note target
+ * @returns {boolean}
+ */
+export function isFolderTarget(target) {
+  return target.endsWith('/');
+}
+
+/**
+ * Check whether a note target covers a file
+ * @param {string} target - File path or folder path ending in "/"
+ * @param {string} path - File path
+ * @returns {boolean}
+ */
+export function noteAppliesTo(target, path) {
+  return isFolderTarget(target) ? path.startsWith(target) : target === path;
+}
+
+/**
+ * Drop notes whose target no longer matches a file in the order
+ * @param {Object} notes - Notes by target
+ * @param {Array<string>} order - File order
+ * @returns {Object} Notes with non-empty text for targets in the order
+ */
+export function pruneNotes(notes, order) {
+  const pruned = {};
+
+  Object.entries(notes || {}).forEach(([target, text]) => {
+    const note = normalizeNote(text);
+    if (note && order.some((path) => noteAppliesTo(target, path))) {
+      pruned[target] = note;
+    }
+  });
+
+  return pruned;
+}
+
+/**
+ * Get the notes that apply to a file: its folders' notes, outermost
+ * first, then its own
+ * @param {Object} [notes] - Notes by target
+ * @param {string} path - File path
+ * @returns {Array<Object>} Notes with {target, text}
+ */
+export function getFileNotes(notes, path) {
+  if (!notes) {
+    return [];
+  }
+
+  return Object.keys(notes)
+    .filter((target) => noteAppliesTo(target, path))
+    .sort((a, b) => a.length - b.length)
+    .map((target) => ({ target, text: notes[target] }));
+}
+
+/**
+ * Collect every user's notes for a file
+ * @param {Array<Object>} orders - Orders with {user, notes}
+ * @param {string} path - File path
+ * @returns {Array<Object>} Notes with {user, target, text}
+ */
+export function collectFileNotes(orders, path) {
+  return orders.flatMap((order) =>
+    getFileNotes(order.notes, path).map((note) => ({
+      user: order.user,
+      ...note,
+    }))
+  );
+}
+
+/**
+ * Format a collected note as one line of text
+ * Folder notes name their folder, so it's clear they cover several files.
+ * @param {Object} note - Note with {user, target, text}
+ * @returns {string} e.g. "alice (src/api/): read this first"
+ */
+export function formatNote(note) {
+  const folder = isFolderTarget(note.target) ? ` (${note.target})` : '';
+  return `${note.user}${folder}: ${note.text}`;
+}
@@ -23,30 +23,68 @@ export function moveElement(arr, fromIndex, toIndex) {
   return result;
 }
 
+/**
+ * Move several elements together as one block
+ * Moved elements keep their relative order from the source array.
+ * @param {Array} arr - Source array
+ * @param {Array} elements - Elements to move
+ * @param {number} toIndex - Destination index in the array without the moved elements
+ * @returns {Array} New array with elements moved
+ */
+export function moveElements(arr, elements, toIndex) {
+  const moving = new Set(elements);
+  const block = arr.filter((element) => moving.has(element));
+  const rest = arr.filter((element) => !moving.has(element));
+
+  if (toIndex < 0 || toIndex > rest.length) {
+    throw new Error(`Invalid toIndex: ${toIndex}`);
+  }
+
+  rest.splice(toIndex, 0, ...block);
+  return rest;
+}
+
 /**
  * Calculate average position of elements across multiple arrays
  * @param {Array<Array<string>>} arrays - Arrays of elements
  * @param {string} element - Element to find average position for
+ * @param {Array<number>} [weights] - Weight per array (defaults to 1 each)
  * @returns {number} Average position (0-indexed)
  */
-export function calculateAveragePosition(arrays, element) {
-  const positions = arrays
-    .map((arr) => arr.indexOf(element))
-    .filter((pos) => pos !== -1);
+export function calculateAveragePosition(arrays, element, weights) {
+  let sum = 0;
+  let totalWeight = 0;
+  let found = false;
+
+  arrays.forEach((arr, i) => {
+    const pos = arr.indexOf(element);
+    if (pos === -1) return;
 
-  if (positions.length === 0) {
+    const weight = weights ? weights[i] : 1;
+    sum += pos * weight;
+    totalWeight += weight;
+    found = true;
+  });
+
+  if (!found) {
     return -1;
   }
 
-  return positions.reduce((sum, pos) => sum + pos, 0) / positions.length;
+  // All arrays containing the element have zero weight: fall back to plain average
+  if (totalWeight === 0) {
+    return calculateAveragePosition(arrays, element);
+  }
+
+  return sum / totalWeight;
 }
 
 /**
  * Sort elements by their average positions across multiple arrays
  * @param {Array<Array<string>>} arrays - Arrays of elements
+ * @param {Array<number>} [weights] - Weight per array (defaults to 1 each)
  * @returns {Array<string>} Sorted array of unique elements
  */
-export function sortByAveragePosition(arrays) {
+export function sortByAveragePosition(arrays, weights) {
   if (arrays.length === 0) {
     return [];
   }
@@ -58,7 +96,7 @@ export function sortByAveragePosition(arrays) {
   // Calculate average position for each element
   const elementsWithPositions = Array.from(allElements).map((element) => ({
     element,
-    avgPosition: calculateAveragePosition(arrays, element),
+    avgPosition: calculateAveragePosition(arrays, element, weights),
   }));
 
   // Sort by average position
@@ -0,0 +1,398 @@
+/**
+ * Dependency Graph
+ * Finds import relationships between the files changed in a PR and
+ * orders files so dependencies come before the files that use them.
+ *
+ * Imports are read from the diff text GitHub renders, so only imports
+ * on added or context lines are seen. Supported languages: JavaScript /
+ * TypeScript (relative imports), Python and Go.
+ */
+
+const JS_EXTENSIONS = ['.ts', '.tsx', '.js', '.jsx', '.mjs', '.cjs', '.mts'];
+
+/**
+ * Detect the language of a file from its extension
+ * @param {string} path - File path
+ * @returns {string|null} 'javascript', 'python', 'go' or null
+ */
+export function getLanguage(path) {
+  const match = /\.([^./]+)$/.exec(path);
+  const extension = match ? match[1].toLowerCase() : '';
+
+  if (
+    ['js', 'jsx', 'mjs', 'cjs', 'ts', 'tsx', 'mts', 'cts'].includes(extension)
+  ) {
+    return 'javascript';
+  }
+  if (extension === 'py') return 'python';
+  if (extension === 'go') return 'go';
+  return null;
+}
+
+/**
+ * Collect every first capture group of a global regex
+ * @param {RegExp} regex - Global regular expression
+ * @param {string} text - Text to search
+ * @returns {Array<string>} Captured values
+ */
+function matchAll(regex, text) {
+  return Array.from(text.matchAll(regex), (match) => match[1]);
+}
+
+/**
+ * Extract JavaScript/TypeScript module specifiers
+ * @param {string} source - Source text
+ * @returns {Array<string>} Specifiers
+ */
+function extractJavaScriptImports(source) {
+  return [
+    // import x from '...', export { x } from '...' (may span lines)
+    ...matchAll(/\bfrom\s*['"]([^'"\n]+)['"]/g, source),
+    // import '...'
+    ...matchAll(/\bimport\s*['"]([^'"\n]+)['"]/g, source),
+    // require('...'), import('...')
+    ...matchAll(/\b(?:require|import)\s*\(\s*['"]([^'"\n]+)['"]\s*\)/g, source),
+  ];
+}
+
+/**
+ * Extract Python module names
+ * "from pkg import a" yields both "pkg" and "pkg.a", since "a" may be a
+ * submodule; relative imports keep their leading dots.
+ * @param {string} source - Source text
+ * @returns {Array<string>} Module names
+ */
+function extractPythonImports(source) {
+  const imports = [];
+
+  source.split('\n').forEach((line) => {
+    const fromMatch = /^\s*from\s+(\.*[\w.]*)\s+import\s+(.+)$/.exec(line);
+    if (fromMatch) {
+      const [, module, names] = fromMatch;
+      const separator = module.endsWith('.') || !module ? '' : '.';
+      imports.push(module);
+      names
+        .replace(/[()\\]/g, '')
+        .split(',')
+        .map((name) => name.trim().split(/\s+/)[0])
+        .filter((name) => /^\w+$/.test(name))
+        .forEach((name) => imports.push(`${module}${separator}${name}`));
+      return;
+    }
+
+    const importMatch = /^\s*import\s+(.+)$/.exec(line);
+    if (importMatch) {
+      importMatch[1]
+        .split(',')
+        .map((part) => part.trim().split(/\s+/)[0])
+        .filter((name) => /^[\w.]+$/.test(name))
+        .forEach((name) => imports.push(name));
+    }
+  });
+
+  return imports;
+}
+
+/**
+ * Extract Go import paths
+ * @param {string} source - Source text
+ * @returns {Array<string>} Import paths
+ */
+function extractGoImports(source) {
+  const blocks = matchAll(/\bimport\s*\(([^)]*)\)/g, source);
+
+  return [
+    ...blocks.flatMap((block) => matchAll(/"([^"\n]+)"/g, block)),
+    ...matchAll(/\bimport\s+(?:[\w.]+\s+)?"([^"\n]+)"/g, source),
+  ];
+}
+
+/**
+ * Extract import specifiers from source text
+ * @param {string} source - Source text (may be partial)
+ * @param {string} path - File path, used to detect the language
+ * @returns {Array<string>} Unique specifiers in order of appearance
+ */
+export function extractImports(source, path) {
+  if (!source) {
+    return [];
+  }
+
+  const extractors = {
+    javascript: extractJavaScriptImports,
+    python: extractPythonImports,
+    go: extractGoImports,
+  };
+  const extractor = extractors[getLanguage(path)];
+
+  return extractor ? Array.from(new Set(extractor(source))) : [];
+}
+
+/**
+ * Get the directory of a path
+ * @param {string} path - File path
+ * @returns {string} Directory ('' for top-level files)
+ */
+function dirname(path) {
+  const index = path.lastIndexOf('/');
+  return index === -1 ? '' : path.slice(0, index);
+}
+
+/**
+ * Join and normalize path segments, resolving "." and ".."
+ * @param {string} dir - Base directory
+ * @param {string} relative - Relative path
+ * @returns {string|null} Normalized path, or null if it leaves the root
+ */
+function joinPath(dir, relative) {
+  const segments = [];
+
+  for (const segment of `${dir}/${relative}`.split('/')) {
+    if (segment === '..') {
+      if (segments.length === 0) return null;
+      segments.pop();
+    } else if (segment && segment !== '.') {
+      segments.push(segment);
+    }
+  }
+
+  return segments.join('/');
+}
+
+/**
+ * Resolve a relative JavaScript/TypeScript import to changed files
+ * Package and alias imports are ignored.
+ * @param {string} specifier - Module specifier
+ * @param {string} fromPath - Importing file
+ * @param {Set<string>} paths - Changed file paths
+ * @returns {Array<string>} Matching paths
+ */
+function resolveJavaScript(specifier, fromPath, paths) {
+  if (!specifier.startsWith('.')) {
+    return [];
+  }
+
+  const base = joinPath(dirname(fromPath), specifier);
+  if (base === null) {
+    return [];
+  }
+
+  const candidates = [
+    base,
+    ...JS_EXTENSIONS.map((extension) => `${base}${extension}`),
+    ...JS_EXTENSIONS.map((extension) => `${base}/index${extension}`),
+  ];
+  // TypeScript ESM imports name the compiled .js file
+  if (/\.[mc]?js$/.test(base)) {
+    const stem = base.replace(/\.[mc]?js$/, '');
+    candidates.push(`${stem}.ts`, `${stem}.tsx`, `${stem}.mts`);
+  }
+
+  const match = candidates.find((candidate) => paths.has(candidate));
+  return match ? [match] : [];
+}
+
+/**
+ * Resolve a Python import to changed files
+ * Absolute imports are matched by path suffix, since the source root
+ * (e.g. "src/") isn't known.
+ * @param {string} module - Module name
+ * @param {string} fromPath - Importing file
+ * @param {Set<string>} paths - Changed file paths
+ * @returns {Array<string>} Matching paths
+ */
+function resolvePython(module, fromPath, paths) {
+  const dots = /^\.*/.exec(module)[0].length;
+  const modulePath = module.slice(dots).split('.').filter(Boolean).join('/');
+
+  if (dots > 0) {
+    const base = joinPath(
+      dirname(fromPath),
+      [...Array(dots - 1).fill('..'), modulePath].join('/')
+    );
+    if (base === null) {
+      return [];
+    }
+    const prefix = base ? `${base}/` : '';
+    const candidates = modulePath
+      ? [`${base}.py`, `${prefix}__init__.py`]
+      : [`${prefix}__init__.py`];
+    const match = candidates.find((candidate) => paths.has(candidate));
+    return match ? [match] : [];
+  }
+
+  if (!modulePath) {
+    return [];
+  }
+
+  const suffixes = [`${modulePath}.py`, `${modulePath}/__init__.py`];
+  for (const suffix of suffixes) {
+    const match = Array.from(paths).find(
+      (path) => path === suffix || path.endsWith(`/${suffix}`)
+    );
+    if (match) return [match];
+  }
+
+  return [];
+}
+
+/**
+ * Resolve a Go import to changed files
+ * A Go import names a package directory, so every changed non-test .go
+ * file in that directory is a dependency.
+ * @param {string} importPath - Import path
+ * @param {string} fromPath - Importing file
+ * @param {Set<string>} paths - Changed file paths
+ * @returns {Array<string>} Matching paths
+ */
+function resolveGo(importPath, fromPath, paths) {
+  const fromDir = dirname(fromPath);
+
+  return Array.from(paths).filter((path) => {
+    const dir = dirname(path);
+    return (
+      path.endsWith('.go') &&
+      !path.endsWith('_test.go') &&
+      dir &&
+      dir !== fromDir &&
+      (importPath === dir || importPath.endsWith(`/${dir}`))
+    );
+  });
+}
+
+/**
+ * Build the import graph among changed files
+ * @param {Array<Object>} files - File metadata with {path, imports}
+ * @returns {Map<string, Array<string>>} Path to the changed files it imports
+ */
+export function buildDependencyGraph(files) {
+  const paths = new Set(files.map((file) => file.path));
+  const resolvers = {
+    javascript: resolveJavaScript,
+    python: resolvePython,
+    go: resolveGo,
+  };
+  const graph = new Map();
+
+  files.forEach((file) => {
+    const resolve = resolvers[getLanguage(file.path)];
+    const dependencies = new Set();
+
+    if (resolve) {
+      (file.imports || []).forEach((specifier) => {
+        resolve(specifier, file.path, paths).forEach((dependency) => {
+          if (dependency !== file.path) {
+            dependencies.add(dependency);
+          }
+        });
+      });
+    }
+
+    graph.set(file.path, Array.from(dependencies));
+  });
+
+  return graph;
+}
+
+/**
+ * Find strongly connected components (import cycles) with Tarjan's
+ * algorithm
+ * @param {Array<string>} paths - Graph nodes
+ * @param {Map<string, Array<string>>} graph - Dependency graph
+ * @returns {Map<string, number>} Path to component id
+ */
+function findComponents(paths, graph) {
+  const index = new Map();
+  const lowLink = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const component = new Map();
+  let nextIndex = 0;
+  let nextComponent = 0;
+
+  const visit = (path) => {
+    index.set(path, nextIndex);
+    lowLink.set(path, nextIndex);
+    nextIndex += 1;
+    stack.push(path);
+    onStack.add(path);
+
+    graph.get(path).forEach((dependency) => {
+      if (!index.has(dependency)) {
+        visit(dependency);
+        lowLink.set(path, Math.min(lowLink.get(path), lowLink.get(dependency)));
+      } else if (onStack.has(dependency)) {
+        lowLink.set(path, Math.min(lowLink.get(path), index.get(dependency)));
+      }
+    });
+
+    if (lowLink.get(path) === index.get(path)) {
+      let member;
+      do {
+        member = stack.pop();
+        onStack.delete(member);
+        component.set(member, nextComponent);
+      } while (member !== path);
+      nextComponent += 1;
+    }
+  };
+
+  paths.forEach((path) => {
+    if (!index.has(path)) visit(path);
+  });
+
+  return component;
+}
+
+/**
+ * Order files so dependencies come before their dependents
+ * The order is stable: whenever several files could come next, the one
+ * earliest in the input wins. Files in an import cycle are kept together
+ * in their input order.
+ *
+ * @param {Array<Object>} files - File metadata with {path, imports}
+ * @returns {Array<Object>} Ordered files
+ */
+export function sortByDependencies(files) {
+  const graph = buildDependencyGraph(files);
+  const paths = files.map((file) => file.path);
+  const component = findComponents(paths, graph);
+
+  // Collapse cycles into components, each listing its members in input order
+  const members = new Map();
+  const componentDependencies = new Map();
+  paths.forEach((path) => {
+    const id = component.get(path);
+    if (!members.has(id)) {
+      members.set(id, []);
+      componentDependencies.set(id, new Set());
+    }
+    members.get(id).push(path);
+    graph.get(path).forEach((dependency) => {
+      const dependencyId = component.get(dependency);
+      if (dependencyId !== id) {
+        componentDependencies.get(id).add(dependencyId);
+      }
+    });
+  });
+
+  // Components in order of their first member's input position
+  const pending = Array.from(members.keys());
+  const placed = new Set();
+  const orderedPaths = [];
+
+  while (pending.length > 0) {
+    const readyIndex = pending.findIndex((id) =>
+      Array.from(componentDependencies.get(id)).every((dependency) =>
+        placed.has(dependency)
+      )
+    );
+    // The component graph is acyclic, so one is always ready
+    const [id] = pending.splice(readyIndex, 1);
+    placed.add(id);
+    orderedPaths.push(...members.get(id));
+  }
+
+  const fileByPath = new Map(files.map((file) => [file.path, file]));
+  return orderedPaths.map((path) => fileByPath.get(path));
+}
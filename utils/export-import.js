@@ -1,11 +1,35 @@
 /**
  * Export/Import functionality for file orders
- * Enables sharing orders via JSON export/import and shareable URLs
+ * Enables sharing orders via JSON export/import and shareable PR links
  */
 
+import { validateOrderData } from './sanitizer.js';
+import { parsePresetDefinition } from './preset-rules.js';
+import { getAllPresets } from './presets.js';
+import { normalizeRetention, RETENTION_PREFERENCE } from './retention.js';
+import {
+  getConsensusStrategies,
+  getFreshnessModes,
+} from '../content/consensus.js';
+import {
+  encodeSharedOrder,
+  decodeSharedOrder,
+  getShareFragment,
+  SHARE_FRAGMENT_KEY,
+} from './share-link.js';
+
 const SUPPORTED_VERSIONS = ['1.0'];
 const CURRENT_VERSION = '1.0';
 
+// Marks a file holding everything the extension keeps for the user, rather
+// than a single order
+const WORKSPACE_TYPE = 'pr-reorder-workspace';
+const WORKSPACE_VERSIONS = ['1.0'];
+const WORKSPACE_VERSION = '1.0';
+
+// owner/repo/number
+const PR_ID_PATTERN = /^([^/\s]+)\/([^/\s]+)\/(\d+)$/;
+
 /**
  * Export order to JSON format
  * @param {Array<string>} order - Array of file paths in order
@@ -68,48 +92,57 @@ export function importOrderFromJSON(json) {
 }
 
 /**
- * Generate a shareable URL with base64-encoded order data
+ * Generate a link to a PR that carries an order in its fragment
+ * GitHub ignores the fragment, and the content script offers to apply the
+ * order when the link is opened.
  * @param {Array<string>} order - Array of file paths
- * @param {string} prId - PR identifier
- * @param {string} user - Username
- * @param {Object} [metadata] - Optional metadata
- * @returns {string} Data URL with base64-encoded JSON
+ * @param {string} prId - PR identifier (e.g., "owner/repo/123")
+ * @param {string} [user] - Username of the person sharing it
+ * @param {Object} [options={}] - Share options
+ * @param {Array<string>} [options.files=[]] - All the PR's files, so paths
+ *   can be sent as indexes into the list
+ * @param {Array<Object>} [options.sections=[]] - Section dividers
+ * @returns {Promise<string>} PR files URL with a #pr-order= fragment
+ * @throws {Error} If the PR ID or order is invalid
  */
-export function generateShareableURL(order, prId, user, metadata = null) {
-  const json = exportOrderToJSON(order, prId, user, metadata);
-  const base64 = btoa(json);
-  return `data:text/plain;base64,${base64}`;
+export async function generateShareableURL(order, prId, user, options = {}) {
+  const { files = [], sections = [] } = options;
+  const match = typeof prId === 'string' && prId.match(PR_ID_PATTERN);
+  if (!match) {
+    throw new Error(`Invalid PR ID: ${prId}`);
+  }
+
+  const encoded = await encodeSharedOrder({ order, sections, user }, files);
+  const [, owner, repo, number] = match;
+  return `https://github.com/${owner}/${repo}/pull/${number}/files#${SHARE_FRAGMENT_KEY}=${encoded}`;
 }
 
 /**
- * Parse a shareable URL and extract order data
- * @param {string} url - Shareable URL (data:text/plain;base64,...)
- * @returns {Object} Parsed order data
- * @throws {Error} If URL is invalid or malformed
+ * Read the order from a shared PR link
+ * @param {string} url - Link from generateShareableURL
+ * @param {Array<string>} [files=[]] - All the PR's files, needed to resolve
+ *   paths sent as indexes
+ * @returns {Promise<Object>} {prId, user, order, sections}, with user null
+ *   if the link doesn't name one
+ * @throws {Error} If the link is not a shared order or can't be decoded
  */
-export function parseShareableURL(url) {
-  // Validate URL format
-  if (!url || typeof url !== 'string') {
+export async function parseShareableURL(url, files = []) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
     throw new Error('Invalid shareable URL format');
   }
 
-  const prefix = 'data:text/plain;base64,';
-  if (!url.startsWith(prefix)) {
+  const match = parsed.pathname.match(/^\/([^/]+)\/([^/]+)\/pull\/(\d+)/);
+  const encoded = getShareFragment(parsed.hash);
+  if (parsed.hostname !== 'github.com' || !match || !encoded) {
     throw new Error('Invalid shareable URL format');
   }
 
-  // Extract and decode base64
-  const base64 = url.substring(prefix.length);
-  let json;
-
-  try {
-    json = atob(base64);
-  } catch (error) {
-    throw new Error(`Failed to decode base64: ${error.message}`);
-  }
-
-  // Parse and validate
-  return importOrderFromJSON(json);
+  const [, owner, repo, number] = match;
+  const shared = await decodeSharedOrder(encoded, files);
+  return { prId: `${owner}/${repo}/${number}`, ...shared };
 }
 
 /**
@@ -158,19 +191,7 @@ export function validateImportData(data) {
  */
 export function downloadOrderAsJSON(order, prId, user, metadata = null) {
   const json = exportOrderToJSON(order, prId, user, metadata);
-  const blob = new Blob([json], { type: 'application/json' });
-  const url = URL.createObjectURL(blob);
-
-  // Create download link
-  const link = document.createElement('a');
-  link.href = url;
-  link.download = `pr-order-${prId.replace(/\//g, '-')}-${Date.now()}.json`;
-  document.body.appendChild(link);
-  link.click();
-
-  // Cleanup
-  document.body.removeChild(link);
-  URL.revokeObjectURL(url);
+  downloadJSON(json, `pr-order-${prId.replace(/\//g, '-')}-${Date.now()}.json`);
 }
 
 /**
@@ -194,3 +215,199 @@ export async function copyToClipboard(url) {
 
   await navigator.clipboard.writeText(url);
 }
+
+/**
+ * Export a workspace bundle to JSON format
+ * @param {Object} workspace - {orders, customPresets, preferences}, see
+ *   exportWorkspace
+ * @returns {string} JSON string representation
+ */
+export function exportWorkspaceToJSON(workspace) {
+  const exportData = {
+    type: WORKSPACE_TYPE,
+    version: WORKSPACE_VERSION,
+    exportedAt: new Date().toISOString(),
+    orders: workspace.orders,
+    customPresets: workspace.customPresets,
+    preferences: workspace.preferences,
+  };
+
+  return JSON.stringify(exportData, null, 2);
+}
+
+/**
+ * Validate and sanitize one saved order from a workspace bundle
+ * Uses the same checks as order comments.
+ * @param {string} prId - PR identifier
+ * @param {*} data - Saved order {order, timestamp, headSha?, notes?,
+ *   sections?}
+ * @returns {Object} Sanitized saved order
+ * @throws {Error} If the order is invalid
+ */
+function sanitizeStoredOrder(prId, data) {
+  if (!PR_ID_PATTERN.test(prId)) {
+    throw new Error(`Invalid PR ID: ${prId}`);
+  }
+
+  try {
+    // The timestamp settles conflicts, so it can't default to now
+    if (!data || !data.timestamp) {
+      throw new Error('Missing timestamp');
+    }
+    return validateOrderData(data);
+  } catch (error) {
+    throw new Error(`Invalid order for ${prId}: ${error.message}`);
+  }
+}
+
+/**
+ * Check that a value is a plain object
+ * @param {*} value - Value
+ * @returns {boolean} True for objects that aren't arrays
+ */
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Build a check that a value is one of the given ids
+ * @param {Array<string>} ids - Allowed ids
+ * @returns {Function} (value) => boolean
+ */
+function oneOf(ids) {
+  return (value) => ids.includes(value);
+}
+
+/**
+ * Check that a value is a boolean
+ * @param {*} value - Value
+ * @returns {boolean} True for true and false
+ */
+function isBoolean(value) {
+  return typeof value === 'boolean';
+}
+
+/**
+ * Validate imported preferences against the values the extension accepts
+ * Unknown keys are dropped, so a bundle from a newer version still imports.
+ * Custom presets travel separately and are dropped too.
+ * @param {Object} preferences - Imported preferences
+ * @param {Array<Object>} customPresets - Validated custom presets from the
+ *   same bundle, which preset preferences may name
+ * @returns {Object} Preferences with known keys only
+ * @throws {Error} If a known preference has an invalid value
+ */
+function sanitizePreferences(preferences, customPresets) {
+  const presetIds = getAllPresets(customPresets).map((preset) => preset.id);
+  const isPresetId = (value) => value === null || presetIds.includes(value);
+
+  const checks = {
+    autoApplyConsensus: isBoolean,
+    postToGitHub: isBoolean,
+    tourComplete: isBoolean,
+    consensusStrategy: oneOf(
+      getConsensusStrategies().map((strategy) => strategy.id)
+    ),
+    consensusFreshness: oneOf(getFreshnessModes().map((mode) => mode.id)),
+    defaultPreset: isPresetId,
+    lastPreset: isPresetId,
+    reorderView: oneOf(['list', 'tree']),
+  };
+
+  const sanitized = {};
+  Object.entries(preferences).forEach(([key, value]) => {
+    if (key === RETENTION_PREFERENCE) {
+      if (!isPlainObject(value)) {
+        throw new Error('Invalid preference retention: must be an object');
+      }
+      try {
+        sanitized[key] = normalizeRetention(value);
+      } catch (error) {
+        throw new Error(`Invalid preference retention: ${error.message}`);
+      }
+      return;
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(checks, key)) {
+      return;
+    }
+    if (!checks[key](value)) {
+      throw new Error(`Invalid preference ${key}: ${JSON.stringify(value)}`);
+    }
+    sanitized[key] = value;
+  });
+
+  return sanitized;
+}
+
+/**
+ * Import a workspace bundle
+ * @param {string} json - JSON string from exportWorkspaceToJSON
+ * @returns {Object} Sanitized {orders, customPresets, preferences}
+ * @throws {Error} If JSON is invalid or anything in it fails validation
+ */
+export function importWorkspaceFromJSON(json) {
+  let data;
+
+  try {
+    data = JSON.parse(json);
+  } catch (error) {
+    throw new Error(`Invalid JSON: ${error.message}`);
+  }
+
+  if (!data || data.type !== WORKSPACE_TYPE) {
+    throw new Error('Not a PR File Reorder workspace export');
+  }
+  if (!WORKSPACE_VERSIONS.includes(data.version)) {
+    throw new Error(`Unsupported version: ${data.version}`);
+  }
+
+  const { orders = {}, customPresets = [], preferences = {} } = data;
+  if (!isPlainObject(orders)) {
+    throw new Error('Orders must be an object');
+  }
+  if (!Array.isArray(customPresets)) {
+    throw new Error('Custom presets must be an array');
+  }
+  if (!isPlainObject(preferences)) {
+    throw new Error('Preferences must be an object');
+  }
+
+  const sanitizedOrders = {};
+  Object.entries(orders).forEach(([prId, order]) => {
+    sanitizedOrders[prId] = sanitizeStoredOrder(prId, order);
+  });
+
+  const sanitizedPresets = customPresets.map((definition) => {
+    const { preset, errors } = parsePresetDefinition(definition);
+    if (!preset) {
+      throw new Error(`Invalid preset: ${errors.join('; ')}`);
+    }
+    return preset;
+  });
+
+  return {
+    orders: sanitizedOrders,
+    customPresets: sanitizedPresets,
+    preferences: sanitizePreferences(preferences, sanitizedPresets),
+  };
+}
+
+/**
+ * Download a JSON string as a file
+ * @param {string} json - JSON to download
+ * @param {string} filename - File name
+ */
+export function downloadJSON(json, filename) {
+  const blob = new Blob([json], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
@@ -0,0 +1,166 @@
+/**
+ * File Tree
+ * Group a flat file order into a directory tree and flatten it back
+ */
+
+/**
+ * Build a directory tree from a flat file order
+ * A directory takes the position of its first file, so all files of a
+ * directory end up grouped together. Chains of directories with a single
+ * subdirectory are collapsed into one node (e.g. "src/utils").
+ *
+ * @param {Array<string>} order - File paths in order
+ * @returns {Array<Object>} Root nodes ({type, name, path, children?})
+ */
+export function buildFileTree(order) {
+  const root = { children: [] };
+  const subdirectories = new Map([[root, new Map()]]);
+
+  order.forEach((filePath) => {
+    const parts = filePath.split('/');
+    let parent = root;
+    let prefix = '';
+
+    parts.slice(0, -1).forEach((part) => {
+      prefix += `${part}/`;
+      const dirs = subdirectories.get(parent);
+      let dir = dirs.get(part);
+
+      if (!dir) {
+        dir = { type: 'directory', name: part, path: prefix, children: [] };
+        dirs.set(part, dir);
+        subdirectories.set(dir, new Map());
+        parent.children.push(dir);
+      }
+
+      parent = dir;
+    });
+
+    parent.children.push({
+      type: 'file',
+      name: parts[parts.length - 1],
+      path: filePath,
+    });
+  });
+
+  return root.children.map(collapseDirectoryChain);
+}
+
+/**
+ * Merge directories whose only child is another directory
+ * @param {Object} node - Tree node
+ * @returns {Object} Collapsed node
+ */
+function collapseDirectoryChain(node) {
+  if (node.type !== 'directory') {
+    return node;
+  }
+
+  let current = node;
+  while (
+    current.children.length === 1 &&
+    current.children[0].type === 'directory'
+  ) {
+    const [child] = current.children;
+    current = {
+      ...child,
+      name: `${current.name}/${child.name}`,
+    };
+  }
+
+  return {
+    ...current,
+    children: current.children.map(collapseDirectoryChain),
+  };
+}
+
+/**
+ * Flatten a directory tree back into a file order
+ * @param {Array<Object>} nodes - Tree nodes
+ * @returns {Array<string>} File paths in order
+ */
+export function flattenFileTree(nodes) {
+  return nodes.flatMap((node) =>
+    node.type === 'directory' ? flattenFileTree(node.children) : [node.path]
+  );
+}
+
+/**
+ * Count files in a tree node
+ * @param {Object} node - Tree node
+ * @returns {number} Number of descendant files (1 for a file)
+ */
+export function countFiles(node) {
+  return node.type === 'directory'
+    ? node.children.reduce((sum, child) => sum + countFiles(child), 0)
+    : 1;
+}
+
+/**
+ * Find the sibling list containing a node
+ * @param {Array<Object>} nodes - Tree nodes to search
+ * @param {string} nodePath - Path of node to find
+ * @returns {Array<Object>|null} Sibling list or null if not found
+ */
+export function findSiblings(nodes, nodePath) {
+  if (nodes.some((node) => node.path === nodePath)) {
+    return nodes;
+  }
+
+  for (const node of nodes) {
+    if (node.type === 'directory' && nodePath.startsWith(node.path)) {
+      return findSiblings(node.children, nodePath);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Deep copy a tree
+ * @param {Array<Object>} nodes - Tree nodes
+ * @returns {Array<Object>} Copied nodes
+ */
+function cloneTree(nodes) {
+  return nodes.map((node) =>
+    node.type === 'directory'
+      ? { ...node, children: cloneTree(node.children) }
+      : { ...node }
+  );
+}
+
+/**
+ * Move a node next to a target, carrying all its descendants
+ * Nodes can only move among their siblings, since a file's directory is
+ * fixed by its path. A target deeper in the tree resolves to the sibling
+ * that contains it. Like the flat list, the node lands after the target
+ * when moving down and before it when moving up.
+ *
+ * @param {Array<Object>} nodes - Tree nodes
+ * @param {string} sourcePath - Path of node to move
+ * @param {string} targetPath - Path of node to drop on
+ * @returns {Array<Object>|null} New tree, or null if the move is not possible
+ */
+export function moveTreeNode(nodes, sourcePath, targetPath) {
+  const tree = cloneTree(nodes);
+  const siblings = findSiblings(tree, sourcePath);
+  if (!siblings) {
+    return null;
+  }
+
+  const sourceIndex = siblings.findIndex((node) => node.path === sourcePath);
+  const targetIndex = siblings.findIndex(
+    (node) =>
+      node.path === targetPath ||
+      (node.type === 'directory' && targetPath.startsWith(node.path))
+  );
+
+  if (targetIndex === -1 || targetIndex === sourceIndex) {
+    return null;
+  }
+
+  const [source] = siblings.splice(sourceIndex, 1);
+  siblings.splice(targetIndex, 0, source);
+
+  return tree;
+}
@@ -0,0 +1,214 @@
+/**
+ * GitHub REST Client
+ * Issue comment endpoints used by the personal access token backend.
+ * Runs in the background service worker, so it never depends on the page.
+ */
+
+export const GITHUB_API_URL = 'https://api.github.com';
+export const REST_MESSAGE_TYPE = 'pr-reorder:github-rest';
+
+const API_VERSION = '2022-11-28';
+const PER_PAGE = 100;
+const MAX_PAGES = 30;
+
+/**
+ * Split a PR ID into its repository path and issue number
+ * @param {string} prId - PR identifier (e.g., "org/repo/123")
+ * @returns {Object} {repoPath, number}
+ * @throws {Error} If the PR ID is invalid
+ */
+function parsePrId(prId) {
+  const match =
+    typeof prId === 'string' && prId.match(/^([^/\s]+)\/([^/\s]+)\/(\d+)$/);
+  if (!match) {
+    throw new Error('Invalid PR ID');
+  }
+
+  const [, owner, repo, number] = match;
+  return {
+    repoPath: `${encodeURIComponent(owner)}/${encodeURIComponent(repo)}`,
+    number,
+  };
+}
+
+/**
+ * Validate a comment ID
+ * @param {*} commentId - Comment ID
+ * @returns {number} Comment ID
+ * @throws {Error} If the comment ID is invalid
+ */
+function validateCommentId(commentId) {
+  if (!Number.isSafeInteger(commentId) || commentId <= 0) {
+    throw new Error('Invalid comment ID');
+  }
+  return commentId;
+}
+
+/**
+ * Keep the comment fields the extension uses
+ * @param {Object} comment - Issue comment from the API
+ * @returns {Object} {id, user, body, createdAt, updatedAt}
+ */
+function toComment(comment) {
+  return {
+    id: comment.id,
+    user: comment.user ? comment.user.login : null,
+    body: comment.body || '',
+    createdAt: comment.created_at,
+    updatedAt: comment.updated_at,
+  };
+}
+
+/**
+ * Create a client for the GitHub REST API
+ * @param {Object} options - Client options
+ * @param {string} options.token - Personal access token
+ * @param {string} [options.baseUrl] - API root, for GitHub Enterprise or tests
+ * @param {Function} [options.fetch] - Fetch implementation
+ * @returns {Object} Client with getAuthenticatedUser, listComments,
+ *   createComment and updateComment
+ * @throws {Error} If no token is given
+ */
+export function createGitHubClient(options = {}) {
+  const {
+    token,
+    baseUrl = GITHUB_API_URL,
+    fetch: fetchImpl = globalThis.fetch,
+  } = options;
+
+  if (!token) {
+    throw new Error('GitHub token is required');
+  }
+
+  /**
+   * Send a request and parse the JSON response
+   * @param {string} method - HTTP method
+   * @param {string} path - API path
+   * @param {Object} [body] - JSON body
+   * @returns {Promise<*>} Parsed response
+   */
+  const request = async (method, path, body) => {
+    const headers = {
+      Accept: 'application/vnd.github+json',
+      Authorization: `Bearer ${token}`,
+      'X-GitHub-Api-Version': API_VERSION,
+    };
+    if (body !== undefined) {
+      headers['Content-Type'] = 'application/json';
+    }
+
+    const response = await fetchImpl(`${baseUrl}${path}`, {
+      method,
+      headers,
+      ...(body !== undefined && { body: JSON.stringify(body) }),
+    });
+
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      const detail = error.message ? `: ${error.message}` : '';
+      throw new Error(`GitHub API error: HTTP ${response.status}${detail}`);
+    }
+
+    return await response.json();
+  };
+
+  return {
+    /**
+     * Get the user the token belongs to
+     * @returns {Promise<Object>} {login}
+     */
+    async getAuthenticatedUser() {
+      const user = await request('GET', '/user');
+      return { login: user.login };
+    },
+
+    /**
+     * List every comment on a PR, oldest first
+     * @param {string} prId - PR identifier
+     * @returns {Promise<Array<Object>>} Comments
+     */
+    async listComments(prId) {
+      const { repoPath, number } = parsePrId(prId);
+      const comments = [];
+
+      for (let page = 1; page <= MAX_PAGES; page++) {
+        const batch = await request(
+          'GET',
+          `/repos/${repoPath}/issues/${number}/comments?per_page=${PER_PAGE}&page=${page}`
+        );
+        comments.push(...batch.map(toComment));
+        if (batch.length < PER_PAGE) break;
+      }
+
+      return comments;
+    },
+
+    /**
+     * Add a comment to a PR
+     * @param {string} prId - PR identifier
+     * @param {string} body - Comment body
+     * @returns {Promise<Object>} Created comment
+     */
+    async createComment(prId, body) {
+      const { repoPath, number } = parsePrId(prId);
+      const comment = await request(
+        'POST',
+        `/repos/${repoPath}/issues/${number}/comments`,
+        { body }
+      );
+      return toComment(comment);
+    },
+
+    /**
+     * Replace the body of a PR comment
+     * @param {string} prId - PR identifier
+     * @param {number} commentId - Comment ID
+     * @param {string} body - New comment body
+     * @returns {Promise<Object>} Updated comment
+     */
+    async updateComment(prId, commentId, body) {
+      const { repoPath } = parsePrId(prId);
+      const comment = await request(
+        'PATCH',
+        `/repos/${repoPath}/issues/comments/${validateCommentId(commentId)}`,
+        { body }
+      );
+      return toComment(comment);
+    },
+  };
+}
+
+/**
+ * Handle a REST request sent by a content script
+ * The "status" action only reports whether a token is configured, so
+ * content scripts never see the token itself.
+ *
+ * @param {Object} message - {action, prId, commentId, body}
+ * @param {Object} options - Client options, see createGitHubClient
+ * @returns {Promise<*>} Action result
+ * @throws {Error} If no token is configured or the request fails
+ */
+export async function handleRestMessage(message, options = {}) {
+  const { action, prId, commentId, body } = message;
+
+  if (action === 'status') {
+    return { enabled: Boolean(options.token) };
+  }
+
+  if (!options.token) {
+    throw new Error('No GitHub token configured');
+  }
+
+  const client = createGitHubClient(options);
+
+  switch (action) {
+    case 'listComments':
+      return await client.listComments(prId);
+    case 'createComment':
+      return await client.createComment(prId, body);
+    case 'updateComment':
+      return await client.updateComment(prId, commentId, body);
+    default:
+      throw new Error(`Unknown GitHub REST action: ${action}`);
+  }
+}
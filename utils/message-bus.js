@@ -0,0 +1,225 @@
+/**
+ * Message Bus
+ * Typed messages between the background service worker, the popup, the
+ * options page and the content scripts on open PR tabs. The service
+ * worker relays storage changes to every PR tab, so tabs showing the same
+ * PR stay consistent when one of them saves an order.
+ */
+
+import { validateOrder, sanitizeSections } from './sanitizer.js';
+import { parseStorageChanges } from './storage.js';
+
+export const BUS_MESSAGE_TYPE = 'pr-reorder:bus';
+
+/**
+ * Message kinds
+ */
+export const BusMessageKind = {
+  // Extension page or tab -> worker: saved state for a PR
+  GET_STATE: 'getState',
+  // Extension page -> worker -> tabs: show files in a given order
+  APPLY_ORDER: 'applyOrder',
+  // Worker -> tabs: an order was saved, possibly in another tab or on
+  // another device
+  ORDERS_CHANGED: 'ordersChanged',
+  // Worker -> tabs: a preference changed, possibly on the options page
+  PREFERENCE_CHANGED: 'preferenceChanged',
+};
+
+// Pages where content scripts listen for bus messages
+export const PR_TAB_URL_PATTERN = 'https://github.com/*/*/pull/*';
+
+/**
+ * Validate a PR ID in a payload
+ * @param {*} prId - PR identifier
+ * @throws {Error} If the PR ID is missing
+ */
+function requirePrId(prId) {
+  if (!prId || typeof prId !== 'string') {
+    throw new Error('PR ID is required');
+  }
+}
+
+/**
+ * Validate an order with optional sections
+ * @param {Object} payload - {prId, order, sections?}
+ * @returns {Object} Sanitized payload
+ * @throws {Error} If the payload is invalid
+ */
+function validateOrderPayload(payload) {
+  requirePrId(payload.prId);
+  const order = validateOrder(payload.order);
+  const sections = payload.sections
+    ? sanitizeSections(payload.sections, order)
+    : [];
+
+  return { prId: payload.prId, order, sections };
+}
+
+// Validates and sanitizes the payload for each kind
+const PAYLOAD_VALIDATORS = {
+  [BusMessageKind.GET_STATE]: (payload) => {
+    requirePrId(payload.prId);
+    return { prId: payload.prId };
+  },
+  [BusMessageKind.APPLY_ORDER]: validateOrderPayload,
+  [BusMessageKind.ORDERS_CHANGED]: (payload) => ({
+    ...validateOrderPayload(payload),
+    fromSync: payload.fromSync === true,
+  }),
+  [BusMessageKind.PREFERENCE_CHANGED]: (payload) => {
+    if (!payload.key || typeof payload.key !== 'string') {
+      throw new Error('Preference key is required');
+    }
+    return {
+      key: payload.key,
+      value: payload.value !== undefined ? payload.value : null,
+    };
+  },
+};
+
+/**
+ * Validate a bus message
+ * @param {*} message - {type, kind, payload}
+ * @returns {Object} Message with a sanitized payload
+ * @throws {Error} If the kind is unknown or the payload is invalid
+ */
+export function validateBusMessage(message) {
+  if (!message || message.type !== BUS_MESSAGE_TYPE) {
+    throw new Error('Not a bus message');
+  }
+
+  const { kind } = message;
+  if (!Object.prototype.hasOwnProperty.call(PAYLOAD_VALIDATORS, kind)) {
+    throw new Error(`Unknown message kind: ${kind}`);
+  }
+
+  const payload = message.payload;
+  if (!payload || typeof payload !== 'object') {
+    throw new Error('Message payload must be an object');
+  }
+
+  return {
+    type: BUS_MESSAGE_TYPE,
+    kind,
+    payload: PAYLOAD_VALIDATORS[kind](payload),
+  };
+}
+
+/**
+ * Create a bus message
+ * @param {string} kind - One of BusMessageKind
+ * @param {Object} payload - Payload for the kind
+ * @returns {Object} Message {type, kind, payload}
+ * @throws {Error} If the kind is unknown or the payload is invalid
+ */
+export function createBusMessage(kind, payload) {
+  return validateBusMessage({ type: BUS_MESSAGE_TYPE, kind, payload });
+}
+
+/**
+ * Run a bus message's handler
+ * @param {Object} message - {type, kind, payload}
+ * @param {Object} handlers - Async handler for each kind this side
+ *   answers, called with the payload
+ * @returns {Promise<*>} Handler result
+ * @throws {Error} If the message is invalid or has no handler here
+ */
+export async function handleBusMessage(message, handlers) {
+  const { kind, payload } = validateBusMessage(message);
+
+  if (!Object.prototype.hasOwnProperty.call(handlers, kind)) {
+    throw new Error(`No handler for message: ${kind}`);
+  }
+
+  return await handlers[kind](payload);
+}
+
+/**
+ * Turn a local storage change into messages for PR tabs
+ * @param {Object} changes - chrome.storage.onChanged changes
+ * @param {Function} [isFromSync] - Tells whether a PR's order was copied
+ *   from another device rather than saved on this one
+ * @returns {Array<Object>} ordersChanged and preferenceChanged messages
+ */
+export function getStorageChangeMessages(changes, isFromSync = () => false) {
+  const { orders, preferences } = parseStorageChanges(changes);
+  const messages = [];
+
+  Object.entries(orders).forEach(([prId, data]) => {
+    try {
+      messages.push(
+        createBusMessage(BusMessageKind.ORDERS_CHANGED, {
+          prId,
+          order: data.order,
+          sections: data.sections,
+          fromSync: isFromSync(prId),
+        })
+      );
+    } catch (error) {
+      console.warn('[PR-Reorder] Skipping invalid saved order:', error.message);
+    }
+  });
+
+  Object.entries(preferences).forEach(([key, value]) => {
+    messages.push(
+      createBusMessage(BusMessageKind.PREFERENCE_CHANGED, { key, value })
+    );
+  });
+
+  return messages;
+}
+
+/**
+ * Send a bus message to the background service worker
+ * @param {string} kind - One of BusMessageKind
+ * @param {Object} payload - Payload for the kind
+ * @returns {Promise<*>} Handler result
+ * @throws {Error} If the message is invalid or the request fails
+ */
+export function sendBusMessage(kind, payload) {
+  const message = createBusMessage(kind, payload);
+
+  return new Promise((resolve, reject) => {
+    chrome.runtime.sendMessage(message, (response) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+      } else if (!response) {
+        reject(new Error('No response from the background service worker'));
+      } else if (!response.ok) {
+        reject(new Error(response.error));
+      } else {
+        resolve(response.result);
+      }
+    });
+  });
+}
+
+/**
+ * Send a bus message to every open PR tab
+ * Tabs without a content script are skipped.
+ * @param {Object} message - Bus message
+ * @returns {Promise<Array<*>>} Results from the tabs that answered
+ */
+export async function broadcastToTabs(message) {
+  const tabs = await chrome.tabs.query({ url: PR_TAB_URL_PATTERN });
+
+  const responses = await Promise.all(
+    tabs.map(
+      (tab) =>
+        new Promise((resolve) => {
+          chrome.tabs.sendMessage(tab.id, message, (response) => {
+            // Tabs still loading or opened before the extension have no
+            // content script; reading lastError marks it as handled
+            if (chrome.runtime.lastError || !response || !response.ok) {
+              resolve(null);
+            } else {
+              resolve({ result: response.result });
+            }
+          });
+        })
+    )
+  );
+
+  return responses.filter(Boolean).map(({ result }) => result);
+}
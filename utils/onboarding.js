@@ -3,14 +3,35 @@
  * Manages first-time user experience and guided tour
  */
 
+import { savePreference, loadPreference } from './storage.js';
+
 const TOUR_STORAGE_KEY = 'pr-reorder-tour-complete';
 
+// Kept in extension storage so the options page can reset the tour; the
+// page's localStorage key is still read for users who finished it before
+const TOUR_PREFERENCE = 'tourComplete';
+
+/**
+ * Check whether extension storage is available
+ * @returns {boolean} True if the tour state can be kept as a preference
+ */
+function hasExtensionStorage() {
+  return typeof chrome !== 'undefined' && Boolean(chrome.storage?.local);
+}
+
 /**
  * Check if tour should be shown to user
  * @returns {Promise<boolean>} True if tour should be shown
  */
 export async function shouldShowTour() {
   try {
+    if (hasExtensionStorage()) {
+      const complete = await loadPreference(TOUR_PREFERENCE);
+      if (complete !== null) {
+        return !complete;
+      }
+    }
+
     const stored = localStorage.getItem(TOUR_STORAGE_KEY);
     return !stored;
   } catch (error) {
@@ -30,6 +51,10 @@ export async function markTourComplete() {
       timestamp: Date.now(),
     };
     localStorage.setItem(TOUR_STORAGE_KEY, JSON.stringify(data));
+
+    if (hasExtensionStorage()) {
+      await savePreference(TOUR_PREFERENCE, true);
+    }
   } catch (error) {
     console.error('Failed to mark tour complete:', error);
   }
@@ -37,10 +62,16 @@ export async function markTourComplete() {
 
 /**
  * Reset tour (for testing or user request)
+ * Works from the options page too, where the page's localStorage isn't
+ * GitHub's: the preference takes priority over it.
  * @returns {Promise<void>}
  */
 export async function resetTour() {
   try {
+    if (hasExtensionStorage()) {
+      await savePreference(TOUR_PREFERENCE, false);
+    }
+
     localStorage.removeItem(TOUR_STORAGE_KEY);
   } catch (error) {
     console.error('Failed to reset tour:', error);
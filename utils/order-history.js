@@ -0,0 +1,97 @@
+/**
+ * Order History
+ * Bounded undo/redo stack of file orders
+ */
+
+export const DEFAULT_HISTORY_LIMIT = 50;
+
+/**
+ * Create order history
+ * @param {Array<string>} initialOrder - Order before any change
+ * @param {Object} [options] - History options
+ * @param {number} [options.limit=DEFAULT_HISTORY_LIMIT] - Max entries kept, oldest dropped first
+ * @returns {Object} History instance
+ */
+export function createOrderHistory(initialOrder, options = {}) {
+  const { limit = DEFAULT_HISTORY_LIMIT } = options;
+
+  if (!Number.isInteger(limit) || limit < 2) {
+    throw new Error('History limit must be an integer of at least 2');
+  }
+
+  const entries = [{ order: [...initialOrder], label: 'Initial order' }];
+  let index = 0;
+
+  return {
+    /**
+     * Record a new order, discarding any redo entries
+     * @param {Array<string>} order - New order
+     * @param {string} [label] - Description of the change
+     * @returns {boolean} False if the order did not change
+     */
+    push(order, label = 'Reorder') {
+      if (isSameOrder(order, entries[index].order)) {
+        return false;
+      }
+
+      entries.splice(index + 1);
+      entries.push({ order: [...order], label });
+      if (entries.length > limit) {
+        entries.shift();
+      }
+      index = entries.length - 1;
+      return true;
+    },
+
+    /**
+     * Step back one entry
+     * @returns {Object|null} {order, label} of the restored order and the
+     *   undone change, or null if there is nothing to undo
+     */
+    undo() {
+      if (index === 0) {
+        return null;
+      }
+
+      const { label } = entries[index];
+      index -= 1;
+      return { order: [...entries[index].order], label };
+    },
+
+    /**
+     * Step forward one entry
+     * @returns {Object|null} {order, label} of the redone change, or null
+     *   if there is nothing to redo
+     */
+    redo() {
+      if (index === entries.length - 1) {
+        return null;
+      }
+
+      index += 1;
+      return { order: [...entries[index].order], label: entries[index].label };
+    },
+
+    canUndo: () => index > 0,
+
+    canRedo: () => index < entries.length - 1,
+
+    getCurrent: () => [...entries[index].order],
+
+    /**
+     * Get current position in history
+     * @returns {Object} {position, total} (position is 1-based)
+     */
+    getPosition: () => ({ position: index + 1, total: entries.length }),
+  };
+}
+
+/**
+ * Check whether two orders are identical
+ * @param {Array<string>} a - First order
+ * @param {Array<string>} b - Second order
+ * @returns {boolean}
+ */
+function isSameOrder(a, b) {
+  return a.length === b.length && a.every((path, i) => path === b[i]);
+}
@@ -5,6 +5,8 @@
  * BUG-004: Enhanced with error boundaries and DOM structure detection
  */
 
+import { extractImports } from './dependency-graph.js';
+
 // Parser error types
 export const ParserErrorType = {
   CONTAINER_NOT_FOUND: 'container_not_found',
@@ -324,6 +326,114 @@ export function getFilePath(fileElement) {
   }
 }
 
+/**
+ * Get the anchor that links to a file's diff (e.g. "diff-3f2a...")
+ * The file tree sidebar and jump-to-file menu link to this anchor.
+ * @param {HTMLElement} fileElement - The file element
+ * @returns {string|null} Anchor id without "#", or null if not found
+ */
+export function getFileAnchor(fileElement) {
+  if (!fileElement) {
+    return null;
+  }
+
+  if (fileElement.id && fileElement.id.startsWith('diff-')) {
+    return fileElement.id;
+  }
+
+  // Classic file header, then any anchored or linking descendant
+  const anchored = fileElement.querySelector('[data-anchor^="diff-"]');
+  if (anchored) {
+    return anchored.dataset.anchor;
+  }
+
+  const identified = fileElement.querySelector('[id^="diff-"]');
+  if (identified) {
+    return identified.id;
+  }
+
+  const link = fileElement.querySelector('a[href*="#diff-"]');
+  if (link) {
+    const href = link.getAttribute('href');
+    return href.slice(href.indexOf('#') + 1);
+  }
+
+  return null;
+}
+
+/**
+ * Get the header element of a file's diff (where its name is shown)
+ * @param {HTMLElement} fileElement - The file element
+ * @returns {HTMLElement|null} Header element or null if not found
+ */
+export function getFileHeader(fileElement) {
+  if (!fileElement) {
+    return null;
+  }
+
+  // Classic file info, then the React diff view's heading
+  const info = fileElement.querySelector('.file-info');
+  if (info) {
+    return info;
+  }
+
+  const heading = fileElement.querySelector('h2, h3, [role="heading"]');
+  if (heading) {
+    return heading.parentElement;
+  }
+
+  return fileElement.querySelector('.file-header');
+}
+
+/**
+ * Check whether a file is marked "Viewed" by the current user
+ * @param {HTMLElement} fileElement - The file element
+ * @returns {boolean}
+ */
+export function isFileViewed(fileElement) {
+  if (!fileElement) {
+    return false;
+  }
+
+  // Classic "Viewed" checkbox
+  if (
+    fileElement.querySelector(
+      'input.js-reviewed-checkbox:checked, input[name="viewed"]:checked'
+    )
+  ) {
+    return true;
+  }
+
+  // New GitHub toggle button
+  return Array.from(
+    fileElement.querySelectorAll('button[aria-pressed="true"]')
+  ).some((button) => button.textContent.trim() === 'Viewed');
+}
+
+/**
+ * Get the new-side source text rendered in a file's diff
+ * Added and context lines are included; deleted lines and hunk headers
+ * are not. Collapsed or not-yet-loaded diffs yield an empty string.
+ * @param {HTMLElement} fileElement - The file element
+ * @returns {string} Source lines joined with newlines
+ */
+export function getFileDiffText(fileElement) {
+  if (!fileElement) {
+    return '';
+  }
+
+  // Classic diff table cells, then the React diff view
+  const cells = fileElement.querySelectorAll('td.blob-code, td.diff-text-cell');
+
+  return Array.from(cells)
+    .filter((cell) => !/deletion|hunk/.test(cell.className))
+    .map((cell) => {
+      const inner = cell.querySelector('.blob-code-inner, .diff-text-inner');
+      return (inner || cell).textContent;
+    })
+    .join('\n');
+}
+
 /**
  * Extract metadata from a file element
  * @param {HTMLElement} fileElement - The file element
@@ -343,6 +453,7 @@ export function getFileMetadata(fileElement) {
     isModified: false,
     oldPath: null,
     newPath: null,
+    imports: [],
   };
 
   if (!fileElement) {
@@ -383,6 +494,14 @@ export function getFileMetadata(fileElement) {
   metadata.isDeleted = metadata.status === 'removed';
   metadata.isModified = metadata.status === 'modified';
 
+  // Import specifiers, for dependency-aware ordering
+  if (metadata.path) {
+    metadata.imports = extractImports(
+      getFileDiffText(fileElement),
+      metadata.path
+    );
+  }
+
   return metadata;
 }
 
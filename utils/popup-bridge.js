@@ -0,0 +1,57 @@
+/**
+ * Popup Bridge
+ * Messages between the toolbar popup and the content script on the
+ * active PR tab
+ */
+
+export const POPUP_MESSAGE_TYPE = 'pr-reorder:popup';
+
+/**
+ * Run a popup request in the content script
+ * @param {Object} message - {type, action}
+ * @param {Object} handlers - Async handler for each action, by name
+ * @returns {Promise<*>} Handler result
+ * @throws {Error} If the action is unknown
+ */
+export async function handlePopupMessage(message, handlers) {
+  const { action } = message;
+
+  if (!Object.prototype.hasOwnProperty.call(handlers, action)) {
+    throw new Error(`Unknown popup action: ${action}`);
+  }
+
+  return await handlers[action]();
+}
+
+/**
+ * Send a request from the popup to the active tab's content script
+ * @param {string} action - 'status', 'applyConsensus', 'applyMine',
+ *   'reset' or 'openReorder'
+ * @returns {Promise<*>} Action result
+ * @throws {Error} If the tab has no content script or the action fails
+ */
+export async function requestActiveTab(action) {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!tab) {
+    throw new Error('No active tab');
+  }
+
+  return new Promise((resolve, reject) => {
+    chrome.tabs.sendMessage(
+      tab.id,
+      { type: POPUP_MESSAGE_TYPE, action },
+      (response) => {
+        if (chrome.runtime.lastError) {
+          // No content script: not a PR page
+          reject(new Error('Not a pull request page'));
+        } else if (!response) {
+          reject(new Error('No response from the page'));
+        } else if (!response.ok) {
+          reject(new Error(response.error));
+        } else {
+          resolve(response.result);
+        }
+      }
+    );
+  });
+}
@@ -0,0 +1,347 @@
+/**
+ * Preset Rules
+ * Rule language for user-defined presets: an ordered list of buckets,
+ * each matching files by glob or regex patterns and sorting its files
+ * with its own tie-breaker. Definitions are plain JSON so they can be
+ * stored in preferences or committed to a repository.
+ *
+ * Example:
+ *   {
+ *     name: 'Backend layers',
+ *     buckets: [
+ *       { name: 'Migrations', patterns: ['db/migrate/**'] },
+ *       { name: 'Models', patterns: ['app/models/**'], sort: 'most-changed' },
+ *       { name: 'Tests', patterns: ['/(^|\\/)tests?\\//'] },
+ *     ],
+ *     unmatchedSort: 'alphabetical',
+ *   }
+ */
+
+export const DEFAULT_TIE_BREAKER = 'alphabetical';
+
+// Patterns can come from a repository's committed config, so they're kept
+// short enough to match quickly
+const MAX_PATTERN_LENGTH = 200;
+
+/**
+ * Get available tie-breakers for sorting files within a bucket
+ * @returns {Array<Object>} Tie-breaker definitions ({id, name})
+ */
+export function getTieBreakers() {
+  return [
+    { id: 'alphabetical', name: 'Alphabetical (A-Z)' },
+    { id: 'reverse-alphabetical', name: 'Reverse Alphabetical (Z-A)' },
+    { id: 'extension', name: 'By File Extension' },
+    { id: 'most-changed', name: 'Most Changed First' },
+    { id: 'new-first', name: 'New Files First' },
+    { id: 'none', name: 'Keep Current Order' },
+  ];
+}
+
+/**
+ * Convert a glob to a regular expression
+ * Supports `**` (any number of directories), `*` and `?` (within one path
+ * segment) and `{a,b}` alternatives.
+ *
+ * @param {string} glob - Glob pattern
+ * @returns {RegExp} Anchored regular expression
+ * @throws {Error} If braces are unbalanced
+ */
+export function globToRegExp(glob) {
+  let source = '';
+  let inGroup = false;
+  let i = 0;
+
+  while (i < glob.length) {
+    const char = glob[i];
+
+    if (char === '*' && glob[i + 1] === '*') {
+      // "**/" also matches zero directories
+      if (glob[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 3;
+      } else {
+        source += '.*';
+        i += 2;
+      }
+      continue;
+    }
+
+    if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '{' && !inGroup) {
+      source += '(?:';
+      inGroup = true;
+    } else if (char === '}' && inGroup) {
+      source += ')';
+      inGroup = false;
+    } else if (char === ',' && inGroup) {
+      source += '|';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+    i += 1;
+  }
+
+  if (inGroup) {
+    throw new Error(`Unclosed "{" in pattern ${glob}`);
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Check whether a regular expression has a repeating quantifier at a
+ * position
+ * @param {string} source - Regular expression source
+ * @param {number} index - Position to check
+ * @returns {boolean} True for *, + and {n,m} with m above 1
+ */
+function isRepeatAt(source, index) {
+  const char = source[index];
+  if (char === '*' || char === '+') {
+    return true;
+  }
+
+  const range = source.slice(index).match(/^\{(\d+)(,(\d*))?\}/);
+  if (!range) {
+    return false;
+  }
+  const max = range[2] === undefined ? range[1] : range[3];
+  return max === '' || Number(max) > 1;
+}
+
+/**
+ * Check a regular expression for nested repetition such as (a+)+ or
+ * (a|ab)*, which can take exponential time to fail on some paths
+ * @param {string} source - Regular expression source
+ * @returns {boolean} True if a repeated group contains a repetition or
+ *   alternatives
+ */
+function hasNestedRepetition(source) {
+  // For each open group, whether it repeats or branches inside
+  const groups = [];
+  let inClass = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (char === '\\') {
+      i += 1;
+    } else if (inClass) {
+      inClass = char !== ']';
+    } else if (char === '[') {
+      inClass = true;
+    } else if (char === '(') {
+      groups.push(false);
+    } else if (char === ')') {
+      const varies = groups.pop();
+      if (varies && isRepeatAt(source, i + 1)) {
+        return true;
+      }
+      if (varies && groups.length > 0) {
+        groups[groups.length - 1] = true;
+      }
+    } else if (groups.length > 0 && (char === '|' || isRepeatAt(source, i))) {
+      groups[groups.length - 1] = true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Compile a pattern into a path matcher
+ * Patterns written as /source/flags are regular expressions tested
+ * against the full path. Anything else is a glob; a glob without "/"
+ * matches the file name in any directory (like .gitignore).
+ *
+ * @param {string} pattern - Glob or /regex/
+ * @returns {Function} Matcher (path) => boolean
+ * @throws {Error} If the pattern is invalid, too long, or a regular
+ *   expression with nested repetition
+ */
+export function compilePattern(pattern) {
+  if (pattern.length > MAX_PATTERN_LENGTH) {
+    throw new Error(
+      `Pattern is longer than ${MAX_PATTERN_LENGTH} characters: ${pattern.slice(0, 40)}…`
+    );
+  }
+
+  const regexParts = pattern.match(/^\/(.+)\/([a-z]*)$/);
+
+  if (regexParts) {
+    if (hasNestedRepetition(regexParts[1])) {
+      throw new Error(
+        `Regular expression ${pattern} repeats a group that repeats or has alternatives, which can be very slow`
+      );
+    }
+
+    let regex;
+    try {
+      // Global/sticky flags would make test() stateful
+      regex = new RegExp(regexParts[1], regexParts[2].replace(/[gy]/g, ''));
+    } catch (error) {
+      throw new Error(`Invalid regular expression ${pattern}`);
+    }
+    return (path) => regex.test(path);
+  }
+
+  const glob = globToRegExp(pattern);
+  return pattern.includes('/')
+    ? (path) => glob.test(path)
+    : (path) => glob.test(path.split('/').pop());
+}
+
+/**
+ * Describe a bucket for error messages
+ * @param {Object} bucket - Raw bucket definition
+ * @param {number} index - Bucket index
+ * @returns {string} Label such as 'Bucket 2 ("Models")'
+ */
+function describeBucket(bucket, index) {
+  const name =
+    bucket && typeof bucket.name === 'string' && bucket.name.trim()
+      ? ` ("${bucket.name.trim()}")`
+      : '';
+  return `Bucket ${index + 1}${name}`;
+}
+
+/**
+ * Validate a tie-breaker id
+ * @param {*} sort - Tie-breaker id (undefined means the default)
+ * @param {string} label - Context for the error message
+ * @param {Array<string>} errors - Error list to append to
+ * @returns {string} Tie-breaker id
+ */
+function parseTieBreaker(sort, label, errors) {
+  const id = sort === undefined || sort === null ? DEFAULT_TIE_BREAKER : sort;
+  if (!getTieBreakers().some((tieBreaker) => tieBreaker.id === id)) {
+    errors.push(`${label}: unknown sort "${id}"`);
+  }
+  return id;
+}
+
+/**
+ * Validate and normalize a preset definition
+ * @param {Object} definition - Raw preset definition
+ * @returns {Object} {preset, errors}: the normalized definition (null if
+ *   invalid) and a list of human-readable errors
+ */
+export function parsePresetDefinition(definition) {
+  if (
+    !definition ||
+    typeof definition !== 'object' ||
+    Array.isArray(definition)
+  ) {
+    return { preset: null, errors: ['Preset must be an object'] };
+  }
+
+  const errors = [];
+  const name =
+    typeof definition.name === 'string' ? definition.name.trim() : '';
+  if (!name) {
+    errors.push('Preset name is required');
+  }
+
+  const rawBuckets = Array.isArray(definition.buckets)
+    ? definition.buckets
+    : [];
+  if (rawBuckets.length === 0) {
+    errors.push('Preset needs at least one bucket');
+  }
+
+  const buckets = rawBuckets.map((bucket, index) => {
+    const label = describeBucket(bucket, index);
+
+    if (!bucket || typeof bucket !== 'object' || Array.isArray(bucket)) {
+      errors.push(`${label} must be an object`);
+      return null;
+    }
+
+    // A single pattern may be given as a string
+    const rawPatterns =
+      typeof bucket.patterns === 'string' ? [bucket.patterns] : bucket.patterns;
+    const patterns = Array.isArray(rawPatterns)
+      ? rawPatterns
+          .filter((pattern) => typeof pattern === 'string')
+          .map((pattern) => pattern.trim())
+          .filter(Boolean)
+      : [];
+
+    if (patterns.length === 0) {
+      errors.push(`${label} needs at least one pattern`);
+    }
+
+    patterns.forEach((pattern) => {
+      try {
+        compilePattern(pattern);
+      } catch (error) {
+        errors.push(`${label}: ${error.message}`);
+      }
+    });
+
+    return {
+      name:
+        typeof bucket.name === 'string' && bucket.name.trim()
+          ? bucket.name.trim()
+          : `Bucket ${index + 1}`,
+      patterns,
+      sort: parseTieBreaker(bucket.sort, label, errors),
+    };
+  });
+
+  const unmatchedSort = parseTieBreaker(
+    definition.unmatchedSort,
+    'Unmatched files',
+    errors
+  );
+
+  if (errors.length > 0) {
+    return { preset: null, errors };
+  }
+
+  const preset = {
+    name,
+    description:
+      typeof definition.description === 'string'
+        ? definition.description.trim()
+        : '',
+    buckets,
+    unmatchedSort,
+  };
+  if (typeof definition.id === 'string' && definition.id) {
+    preset.id = definition.id;
+  }
+
+  return { preset, errors: [] };
+}
+
+/**
+ * Assign files to the first bucket with a matching pattern
+ * @param {Array<Object>} files - File metadata objects
+ * @param {Array<Object>} buckets - Normalized bucket definitions
+ * @returns {Object} {groups, unmatched}: files per bucket (same order as
+ *   buckets) and files matching no bucket, each in input order
+ */
+export function assignBuckets(files, buckets) {
+  const matchers = buckets.map((bucket) => bucket.patterns.map(compilePattern));
+  const groups = buckets.map(() => []);
+  const unmatched = [];
+
+  files.forEach((file) => {
+    const index = matchers.findIndex((patterns) =>
+      patterns.some((matches) => matches(file.path))
+    );
+
+    if (index === -1) {
+      unmatched.push(file);
+    } else {
+      groups[index].push(file);
+    }
+  });
+
+  return { groups, unmatched };
+}
@@ -3,6 +3,17 @@
  * Common file ordering patterns for quick application
  */
 
+import {
+  parsePresetDefinition,
+  assignBuckets,
+  DEFAULT_TIE_BREAKER,
+} from './preset-rules.js';
+import { savePreference, loadPreference } from './storage.js';
+import { sortByDependencies } from './dependency-graph.js';
+
+export const CUSTOM_PRESETS_PREFERENCE = 'customPresets';
+const CUSTOM_PRESET_PREFIX = 'custom:';
+
 /**
  * Get file extension from path
  * @param {string} path - File path
@@ -38,6 +49,112 @@ function isTestFile(path) {
   );
 }
 
+/**
+ * Test file naming conventions, each capturing the covered file's name
+ */
+const TEST_NAME_PATTERNS = [
+  /^(.+)\.(?:test|spec)\.[^.]+$/, // foo.test.js, foo.spec.ts
+  /^test_(.+)\.py$/, // test_foo.py
+  /^(.+)_test\.(?:py|go)$/, // foo_test.py, foo_test.go
+  /^(.+?)Tests?\.(?:java|kt|scala)$/, // FooTest.java, FooTests.kt
+];
+
+/**
+ * Get the file name without its last extension
+ * @param {string} path - File path
+ * @returns {string}
+ */
+function getStem(path) {
+  return path
+    .split('/')
+    .pop()
+    .replace(/\.[^.]+$/, '');
+}
+
+/**
+ * Get the name of the file a test covers, from its naming convention
+ * @param {string} path - File path
+ * @returns {string|null} Covered file name without extension, or null if
+ *   the path isn't named like a test
+ */
+function getTestSubject(path) {
+  const filename = path.split('/').pop();
+
+  for (const pattern of TEST_NAME_PATTERNS) {
+    const match = pattern.exec(filename);
+    if (match) {
+      return match[1];
+    }
+  }
+
+  // __tests__/foo.js covers foo.js
+  if (path.split('/').includes('__tests__')) {
+    return getStem(path);
+  }
+
+  return null;
+}
+
+/**
+ * Count directory segments two paths share at the start and the end
+ * Catches both src/foo.js ~ src/__tests__/foo.js and
+ * src/main/java/a/Foo.java ~ src/test/java/a/FooTest.java.
+ * @param {string} pathA - File path
+ * @param {string} pathB - File path
+ * @returns {number}
+ */
+function countSharedDirectories(pathA, pathB) {
+  const dirsA = pathA.split('/').slice(0, -1);
+  const dirsB = pathB.split('/').slice(0, -1);
+  const max = Math.min(dirsA.length, dirsB.length);
+
+  let prefix = 0;
+  while (prefix < max && dirsA[prefix] === dirsB[prefix]) prefix++;
+
+  let suffix = 0;
+  while (
+    suffix < max - prefix &&
+    dirsA[dirsA.length - 1 - suffix] === dirsB[dirsB.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  return prefix + suffix;
+}
+
+/**
+ * Find the implementation file a test covers
+ * Among files with the covered name, prefers the one in the closest
+ * directory, then the same extension.
+ * @param {string} testPath - Test file path
+ * @param {Array<Object>} candidates - Non-test files, alphabetical
+ * @returns {Object|null} Implementation file or null
+ */
+function findImplementation(testPath, candidates) {
+  const subject = getTestSubject(testPath);
+  if (!subject) {
+    return null;
+  }
+
+  const extension = getExtension(testPath);
+  let best = null;
+  let bestScore = -1;
+
+  candidates.forEach((file) => {
+    if (getStem(file.path) !== subject) return;
+
+    const score =
+      countSharedDirectories(testPath, file.path) * 2 +
+      (getExtension(file.path) === extension ? 1 : 0);
+    if (score > bestScore) {
+      best = file;
+      bestScore = score;
+    }
+  });
+
+  return best;
+}
+
 /**
  * Calculate total changes for a file
  * @param {Object} file - File metadata
@@ -119,6 +236,43 @@ export function sortReadmeFirstTestsLast(files) {
   });
 }
 
+/**
+ * Sort with each test right after the file it covers
+ * Tests are paired by name (foo.test.js, foo.spec.ts, __tests__/foo.js,
+ * test_foo.py, FooTest.java); tests without a changed implementation
+ * file come last.
+ * @param {Array<Object>} files - Array of file metadata objects
+ * @returns {Array<Object>} Sorted files
+ */
+export function sortTestsNextToImplementation(files) {
+  const sorted = sortAlphabetical(files);
+  const isTest = (file) =>
+    getTestSubject(file.path) !== null || isTestFile(file.path);
+  const implementations = sorted.filter((file) => !isTest(file));
+
+  const testsByImplementation = new Map();
+  const unmatchedTests = [];
+
+  sorted.filter(isTest).forEach((test) => {
+    const implementation = findImplementation(test.path, implementations);
+
+    if (implementation) {
+      const tests = testsByImplementation.get(implementation) || [];
+      testsByImplementation.set(implementation, [...tests, test]);
+    } else {
+      unmatchedTests.push(test);
+    }
+  });
+
+  return [
+    ...implementations.flatMap((file) => [
+      file,
+      ...(testsByImplementation.get(file) || []),
+    ]),
+    ...unmatchedTests,
+  ];
+}
+
 /**
  * Sort with new files first
  * @param {Array<Object>} files - Array of file metadata objects
@@ -158,11 +312,160 @@ export function sortMostChangedFirst(files) {
   });
 }
 
+/**
+ * Sort so imported files come before the files that import them
+ * Independent files and files in an import cycle are kept alphabetical.
+ * @param {Array<Object>} files - Array of file metadata objects (with
+ *   imports extracted from the diff)
+ * @returns {Array<Object>} Sorted files
+ */
+export function sortImportsFirst(files) {
+  return sortByDependencies(sortAlphabetical(files));
+}
+
+/**
+ * Sort functions backing the tie-breakers of custom preset buckets
+ */
+const TIE_BREAKER_SORTS = {
+  alphabetical: sortAlphabetical,
+  'reverse-alphabetical': sortReverseAlphabetical,
+  extension: sortByExtension,
+  'most-changed': sortMostChangedFirst,
+  'new-first': sortNewFilesFirst,
+  none: (files) => [...files],
+};
+
+/**
+ * Sort files with a custom preset's bucket rules
+ * Files go to the first bucket with a matching pattern; buckets keep
+ * their defined order and unmatched files come last.
+ *
+ * @param {Array<Object>} files - Array of file metadata objects
+ * @param {Object} definition - Normalized preset definition
+ * @returns {Array<Object>} Sorted files
+ */
+export function sortByRules(files, definition) {
+  const { groups, unmatched } = assignBuckets(files, definition.buckets);
+  const unmatchedSort =
+    TIE_BREAKER_SORTS[definition.unmatchedSort || DEFAULT_TIE_BREAKER];
+
+  return [
+    ...groups.flatMap((group, index) =>
+      TIE_BREAKER_SORTS[definition.buckets[index].sort](group)
+    ),
+    ...unmatchedSort(unmatched),
+  ];
+}
+
+/**
+ * Generate a unique id for a custom preset
+ * @param {string} name - Preset name
+ * @param {Array<string>} [existingIds] - Ids already in use
+ * @returns {string} Id such as "custom:backend-layers"
+ */
+export function generatePresetId(name, existingIds = []) {
+  const slug =
+    name
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '') || 'preset';
+
+  let id = `${CUSTOM_PRESET_PREFIX}${slug}`;
+  let suffix = 2;
+  while (existingIds.includes(id)) {
+    id = `${CUSTOM_PRESET_PREFIX}${slug}-${suffix}`;
+    suffix += 1;
+  }
+  return id;
+}
+
+/**
+ * Turn a custom preset definition into a preset
+ * @param {Object} definition - Custom preset definition (see preset-rules.js)
+ * @returns {Object} Preset with id, name, description, sort and custom flag
+ * @throws {Error} If the definition is invalid
+ */
+export function createCustomPreset(definition) {
+  const { preset, errors } = parsePresetDefinition(definition);
+
+  if (!preset) {
+    throw new Error(`Invalid preset: ${errors.join('; ')}`);
+  }
+
+  return {
+    id: preset.id || generatePresetId(preset.name),
+    name: preset.name,
+    description:
+      preset.description ||
+      preset.buckets.map((bucket) => bucket.name).join(' → '),
+    sort: (files) => sortByRules(files, preset),
+    custom: true,
+  };
+}
+
+/**
+ * Load saved custom preset definitions
+ * Definitions that no longer validate are skipped.
+ * @returns {Promise<Array<Object>>} Normalized definitions
+ */
+export async function loadCustomPresets() {
+  const stored = await loadPreference(CUSTOM_PRESETS_PREFERENCE, []);
+
+  if (!Array.isArray(stored)) {
+    return [];
+  }
+
+  return stored
+    .map((definition) => parsePresetDefinition(definition).preset)
+    .filter((preset) => preset && preset.id);
+}
+
+/**
+ * Save custom preset definitions, replacing the stored ones
+ * Presets without an id get one generated from their name.
+ * @param {Array<Object>} definitions - Custom preset definitions
+ * @returns {Promise<Array<Object>>} Saved definitions
+ * @throws {Error} If any definition is invalid
+ */
+export async function saveCustomPresets(definitions) {
+  if (!Array.isArray(definitions)) {
+    throw new Error('Custom presets must be an array');
+  }
+
+  const ids = [];
+  const presets = definitions.map((definition) => {
+    const { preset, errors } = parsePresetDefinition(definition);
+    if (!preset) {
+      throw new Error(`Invalid preset: ${errors.join('; ')}`);
+    }
+
+    if (!preset.id || ids.includes(preset.id)) {
+      preset.id = generatePresetId(preset.name, ids);
+    }
+    ids.push(preset.id);
+    return preset;
+  });
+
+  await savePreference(CUSTOM_PRESETS_PREFERENCE, presets);
+  return presets;
+}
+
 /**
  * Get all available presets
+ * @param {Array<Object>} [customPresets] - Custom preset definitions to
+ *   list after the built-ins (invalid ones are skipped)
  * @returns {Array<Object>} Array of preset definitions
  */
-export function getAllPresets() {
+export function getAllPresets(customPresets = []) {
+  const custom = customPresets.flatMap((definition) => {
+    try {
+      return [createCustomPreset(definition)];
+    } catch (error) {
+      console.warn('Skipping invalid custom preset:', error.message);
+      return [];
+    }
+  });
+
   return [
     {
       id: 'alphabetical',
@@ -188,6 +491,13 @@ export function getAllPresets() {
       description: 'Place README files first and test files last',
       sort: sortReadmeFirstTestsLast,
     },
+    {
+      id: 'tests-next-to-code',
+      name: 'Tests Next to Code',
+      description:
+        'Place each test right after the file it covers, unmatched tests last',
+      sort: sortTestsNextToImplementation,
+    },
     {
       id: 'new-files-first',
       name: 'New Files First',
@@ -200,6 +510,14 @@ export function getAllPresets() {
       description: 'Sort by number of changes (additions + deletions)',
       sort: sortMostChangedFirst,
     },
+    {
+      id: 'imports-first',
+      name: 'Imports First',
+      description:
+        'Place files before the changed files that import them (JS/TS, Python, Go)',
+      sort: sortImportsFirst,
+    },
+    ...custom,
   ];
 }
 
@@ -207,11 +525,12 @@ export function getAllPresets() {
  * Apply a preset by ID
  * @param {string} presetId - Preset identifier
  * @param {Array<Object>} files - Array of file metadata objects
+ * @param {Array<Object>} [customPresets] - Custom preset definitions
  * @returns {Array<Object>} Sorted files
  * @throws {Error} If preset ID is invalid
  */
-export function applyPreset(presetId, files) {
-  const presets = getAllPresets();
+export function applyPreset(presetId, files, customPresets = []) {
+  const presets = getAllPresets(customPresets);
   const preset = presets.find((p) => p.id === presetId);
 
   if (!preset) {
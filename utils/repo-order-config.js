@@ -0,0 +1,85 @@
+/**
+ * Repository Order Config
+ * Ordering rules committed to a repository, read from the PR's base
+ * branch. The file uses the same bucket rules as custom presets:
+ *
+ *   # .github/pr-file-order.yml
+ *   name: Backend layers
+ *   buckets:
+ *     - name: Migrations
+ *       patterns: [db/migrate/**]
+ *     - name: Models
+ *       patterns:
+ *         - app/models/**
+ *       sort: most-changed
+ *     - name: Tests
+ *       patterns: ['*.test.js', '/(^|\/)tests?\//']
+ *   unmatchedSort: alphabetical
+ */
+
+import { parseYaml } from './yaml.js';
+import { parsePresetDefinition } from './preset-rules.js';
+
+/**
+ * Config file locations, in lookup order
+ */
+export const REPO_ORDER_CONFIG_PATHS = [
+  '.github/pr-file-order.yml',
+  '.github/pr-file-order.json',
+];
+
+export const REPO_ORDER_PRESET_ID = 'repo-config';
+
+const DEFAULT_NAME = 'Repository order';
+const ALLOWED_KEYS = ['name', 'description', 'buckets', 'unmatchedSort'];
+
+/**
+ * Parse the text of a repository order config
+ * JSON is used for .json files; anything else is read as YAML.
+ *
+ * @param {string} text - File contents
+ * @param {string} [path=REPO_ORDER_CONFIG_PATHS[0]] - File path
+ * @returns {Object} {preset, errors}: a preset definition with id
+ *   'repo-config' (null if invalid) and a list of human-readable errors
+ */
+export function parseRepoOrderConfig(text, path = REPO_ORDER_CONFIG_PATHS[0]) {
+  if (!text || !text.trim()) {
+    return { preset: null, errors: ['Config file is empty'] };
+  }
+
+  let data;
+  try {
+    data = path.endsWith('.json') ? JSON.parse(text) : parseYaml(text);
+  } catch (error) {
+    const prefix = path.endsWith('.json') ? 'Invalid JSON: ' : '';
+    return { preset: null, errors: [`${prefix}${error.message}`] };
+  }
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return {
+      preset: null,
+      errors: ['Config must be a mapping with a "buckets" list'],
+    };
+  }
+
+  // Typos such as "bucket" would otherwise be silently ignored
+  const errors = Object.keys(data)
+    .filter((key) => !ALLOWED_KEYS.includes(key))
+    .map(
+      (key) =>
+        `Unknown key "${key}" (expected one of: ${ALLOWED_KEYS.join(', ')})`
+    );
+
+  const result = parsePresetDefinition({
+    name: DEFAULT_NAME,
+    ...data,
+    id: REPO_ORDER_PRESET_ID,
+  });
+  errors.push(...result.errors);
+
+  if (errors.length > 0) {
+    return { preset: null, errors };
+  }
+
+  return { preset: result.preset, errors: [] };
+}
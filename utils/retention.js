@@ -0,0 +1,100 @@
+/**
+ * Retention Policy
+ * Decides which locally saved PR orders are old enough to remove
+ */
+
+export const RETENTION_PREFERENCE = 'retention';
+
+export const DEFAULT_RETENTION = {
+  maxAgeDays: 90,
+  maxCount: 200,
+  // Opt-in: a closed PR's order is still worth keeping if it reopens
+  pruneClosed: false,
+};
+
+const MAX_AGE_DAYS_LIMIT = 3650;
+const MAX_COUNT_LIMIT = 10000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Validate a retention limit
+ * @param {*} value - Limit
+ * @param {number} max - Largest allowed value
+ * @param {string} name - Name for error messages
+ * @returns {number} Limit
+ * @throws {Error} If the limit isn't a whole number in range
+ */
+function validateLimit(value, max, name) {
+  if (!Number.isInteger(value) || value < 1 || value > max) {
+    throw new Error(`${name} must be a whole number from 1 to ${max}`);
+  }
+  return value;
+}
+
+/**
+ * Fill in and validate retention settings
+ * @param {Object} [settings={}] - {maxAgeDays, maxCount, pruneClosed}
+ * @returns {Object} Complete retention settings
+ * @throws {Error} If a setting is invalid
+ */
+export function normalizeRetention(settings = {}) {
+  const merged = { ...DEFAULT_RETENTION, ...settings };
+
+  return {
+    maxAgeDays: validateLimit(merged.maxAgeDays, MAX_AGE_DAYS_LIMIT, 'Max age'),
+    maxCount: validateLimit(merged.maxCount, MAX_COUNT_LIMIT, 'Max count'),
+    pruneClosed: Boolean(merged.pruneClosed),
+  };
+}
+
+/**
+ * Choose which saved orders to prune
+ * Orders older than the max age go first, then orders for PRs seen merged
+ * or closed (if enabled), then the oldest orders beyond the max count.
+ *
+ * @param {Object} orders - Saved orders by PR ID, each with {timestamp,
+ *   prState?}
+ * @param {Object} settings - Retention settings, see normalizeRetention
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {Array<string>} PR IDs to prune
+ */
+export function selectOrdersToPrune(orders, settings, now = Date.now()) {
+  const { maxAgeDays, maxCount, pruneClosed } = settings;
+  const cutoff = now - maxAgeDays * DAY_MS;
+
+  const pruned = [];
+  const kept = [];
+
+  Object.entries(orders).forEach(([prId, data]) => {
+    const time = new Date(data.timestamp).getTime() || 0;
+    const closed = data.prState === 'closed' || data.prState === 'merged';
+
+    if (time < cutoff || (pruneClosed && closed)) {
+      pruned.push(prId);
+    } else {
+      kept.push({ prId, time });
+    }
+  });
+
+  kept
+    .sort((a, b) => b.time - a.time)
+    .slice(maxCount)
+    .forEach(({ prId }) => pruned.push(prId));
+
+  return pruned;
+}
+
+/**
+ * Format a byte count for display
+ * @param {number} bytes - Byte count
+ * @returns {string} e.g. "512 B" or "3.2 KB"
+ */
+export function formatBytes(bytes) {
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  if (bytes < 1024 * 1024) {
+    return `${(bytes / 1024).toFixed(1)} KB`;
+  }
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
@@ -3,6 +3,19 @@
  * SECURITY: This module provides safe DOM manipulation helpers
  */
 
+import {
+  MAX_NOTE_LENGTH,
+  MAX_NOTES,
+  normalizeNote,
+  pruneNotes,
+} from './annotations.js';
+import {
+  MAX_SECTIONS,
+  MAX_SECTION_NAME_LENGTH,
+  normalizeSectionName,
+  pruneSections,
+} from './sections.js';
+
 /**
  * Safely set text content (prevents XSS)
  * @param {HTMLElement} element - Target element
@@ -102,6 +115,20 @@ export function sanitizeUsername(username) {
   return username;
 }
 
+/**
+ * Validate and sanitize a git commit SHA
+ * @param {*} sha - Commit SHA to validate
+ * @returns {string} Lowercased SHA
+ * @throws {Error} If SHA is invalid
+ */
+export function sanitizeCommitSha(sha) {
+  if (typeof sha !== 'string' || !/^[0-9a-f]{7,40}$/i.test(sha)) {
+    throw new Error('Invalid commit SHA');
+  }
+
+  return sha.toLowerCase();
+}
+
 /**
  * Validate order array
  * @param {*} order - Order to validate
@@ -140,29 +167,97 @@ export function validateOrder(order) {
 }
 
 /**
- * Validate and sanitize order comment data
- * @param {*} data - Order comment data
+ * Validate and sanitize per-file notes
+ * Notes for files or folders that aren't in the order are dropped, since
+ * files can be renamed or removed after an order is saved.
+ * @param {*} notes - Notes by file path or folder path ending in "/"
+ * @param {Array<string>} order - Validated file order
+ * @returns {Object} Sanitized notes
+ * @throws {Error} If notes are invalid
+ */
+export function sanitizeNotes(notes, order) {
+  if (!notes || typeof notes !== 'object' || Array.isArray(notes)) {
+    throw new Error('Notes must be an object');
+  }
+
+  const entries = Object.entries(notes);
+  if (entries.length > MAX_NOTES) {
+    throw new Error(`Too many notes (max ${MAX_NOTES})`);
+  }
+
+  entries.forEach(([target, text]) => {
+    sanitizeFilePath(target);
+
+    if (typeof text !== 'string') {
+      throw new Error(`Note for ${target} must be a string`);
+    }
+    if (normalizeNote(text).length > MAX_NOTE_LENGTH) {
+      throw new Error(
+        `Note for ${target} too long (max ${MAX_NOTE_LENGTH} characters)`
+      );
+    }
+  });
+
+  // Note text is normalized to one line and only ever set with textContent
+  return pruneNotes(notes, order);
+}
+
+/**
+ * Validate and sanitize section dividers
+ * Sections whose first file isn't in the order are dropped, like notes.
+ * @param {*} sections - Sections with {name, start}
+ * @param {Array<string>} order - Validated file order
+ * @returns {Array<Object>} Sanitized sections
+ * @throws {Error} If sections are invalid
+ */
+export function sanitizeSections(sections, order) {
+  if (!Array.isArray(sections)) {
+    throw new Error('Sections must be an array');
+  }
+
+  if (sections.length > MAX_SECTIONS) {
+    throw new Error(`Too many sections (max ${MAX_SECTIONS})`);
+  }
+
+  sections.forEach((section, index) => {
+    if (!section || typeof section !== 'object') {
+      throw new Error(`Section at index ${index} must be an object`);
+    }
+    if (typeof section.name !== 'string') {
+      throw new Error(`Section at index ${index} must have a name`);
+    }
+    if (normalizeSectionName(section.name).length > MAX_SECTION_NAME_LENGTH) {
+      throw new Error(
+        `Section name at index ${index} too long (max ${MAX_SECTION_NAME_LENGTH} characters)`
+      );
+    }
+    sanitizeFilePath(section.start);
+  });
+
+  // Names are normalized to one line and only ever set with textContent
+  return pruneSections(sections, order);
+}
+
+/**
+ * Validate and sanitize order data, without the user who saved it
+ * Used for order comments and for saved orders brought in from exports.
+ * @param {*} data - Order data {order, timestamp?, version?, revision?,
+ *   headSha?, notes?, sections?}
  * @returns {Object} Sanitized data
  * @throws {Error} If data is invalid
  */
-export function validateOrderCommentData(data) {
+export function validateOrderData(data) {
   if (!data || typeof data !== 'object') {
     throw new Error('Order data must be an object');
   }
 
-  const { user, order, timestamp, version } = data;
-
-  // Validate required fields
-  if (!user) {
-    throw new Error('Order data missing user field');
-  }
+  const { order, timestamp, version, headSha, notes, sections, revision } =
+    data;
 
   if (!order) {
     throw new Error('Order data missing order field');
   }
 
-  // Sanitize and validate
-  const sanitizedUser = sanitizeUsername(user);
   const sanitizedOrder = validateOrder(order);
 
   // Validate timestamp (optional but should be valid if present)
@@ -175,12 +270,68 @@ export function validateOrderCommentData(data) {
     sanitizedTimestamp = date.toISOString();
   }
 
-  return {
-    user: sanitizedUser,
+  const sanitized = {
     order: sanitizedOrder,
     timestamp: sanitizedTimestamp || new Date().toISOString(),
     version: String(version || '1.0'),
   };
+
+  // Times the user's order comment has been edited in place (optional)
+  if (revision !== undefined) {
+    if (!Number.isSafeInteger(revision) || revision < 1) {
+      throw new Error('Revision must be a positive integer');
+    }
+    sanitized.revision = revision;
+  }
+
+  // Head commit the order was made against (optional)
+  if (headSha) {
+    sanitized.headSha = sanitizeCommitSha(headSha);
+  }
+
+  // Per-file notes (optional)
+  if (notes) {
+    const sanitizedNotes = sanitizeNotes(notes, sanitizedOrder);
+    if (Object.keys(sanitizedNotes).length > 0) {
+      sanitized.notes = sanitizedNotes;
+    }
+  }
+
+  // Section dividers (optional, since version 1.1)
+  if (sections) {
+    const sanitizedSections = sanitizeSections(sections, sanitizedOrder);
+    if (sanitizedSections.length > 0) {
+      sanitized.sections = sanitizedSections;
+    }
+  }
+
+  return sanitized;
+}
+
+/**
+ * Validate and sanitize order comment data
+ * @param {*} data - Order comment data
+ * @returns {Object} Sanitized data
+ * @throws {Error} If data is invalid
+ */
+export function validateOrderCommentData(data) {
+  if (!data || typeof data !== 'object') {
+    throw new Error('Order data must be an object');
+  }
+
+  // Validate required fields
+  if (!data.user) {
+    throw new Error('Order data missing user field');
+  }
+
+  if (!data.order) {
+    throw new Error('Order data missing order field');
+  }
+
+  return {
+    user: sanitizeUsername(data.user),
+    ...validateOrderData(data),
+  };
 }
 
 /**
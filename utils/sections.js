@@ -0,0 +1,92 @@
+/**
+ * Sections
+ * Named dividers that split an order into review phases
+ *
+ * Sections are stored next to the order as [{name, start}], where start
+ * is the first file of the section. The order itself stays a plain list
+ * of file paths, so consensus and validation never see the dividers.
+ */
+
+import { normalizeNote } from './annotations.js';
+
+export const MAX_SECTION_NAME_LENGTH = 80;
+export const MAX_SECTIONS = 100;
+
+/**
+ * Normalize a section name to a single trimmed line
+ * @param {*} name - Raw name
+ * @returns {string}
+ */
+export function normalizeSectionName(name) {
+  return normalizeNote(name);
+}
+
+/**
+ * Drop unnamed sections and sections whose first file isn't in the order
+ * Sections are returned in order position; if two start at the same file
+ * the first one wins.
+ *
+ * @param {Array<Object>} sections - Sections with {name, start}
+ * @param {Array<string>} order - File order
+ * @returns {Array<Object>} Pruned sections
+ */
+export function pruneSections(sections, order) {
+  if (!Array.isArray(sections)) return [];
+
+  const positions = new Map(order.map((path, index) => [path, index]));
+  const seen = new Set();
+  const pruned = [];
+
+  sections.forEach((section) => {
+    if (!section) return;
+    const name = normalizeSectionName(section.name);
+    const { start } = section;
+    if (!name || !positions.has(start) || seen.has(start)) return;
+
+    seen.add(start);
+    pruned.push({ name, start });
+  });
+
+  return pruned.sort((a, b) => positions.get(a.start) - positions.get(b.start));
+}
+
+/**
+ * Get the files each section covers
+ * A section runs from its first file up to the next section's first file.
+ * @param {Array<Object>} sections - Sections with {name, start}
+ * @param {Array<string>} order - File order
+ * @returns {Array<Object>} Sections with {name, start, files}
+ */
+export function getSectionRanges(sections, order) {
+  const pruned = pruneSections(sections, order);
+  const starts = pruned.map((section) => order.indexOf(section.start));
+
+  return pruned.map((section, index) => ({
+    ...section,
+    files: order.slice(starts[index], starts[index + 1] ?? order.length),
+  }));
+}
+
+/**
+ * Pick the sections to show with a combined order
+ * Dividers don't take part in consensus, so the page uses one person's
+ * sections: the current user's, else the most recently saved ones.
+ *
+ * @param {Array<Object>} orders - Orders with {user, timestamp, sections}
+ * @param {string|null} [user] - Current user
+ * @returns {Array<Object>} Sections with {name, start}
+ */
+export function pickSections(orders, user) {
+  const withSections = orders.filter(
+    (order) => Array.isArray(order.sections) && order.sections.length > 0
+  );
+  if (withSections.length === 0) return [];
+
+  const own = withSections.find((order) => user && order.user === user);
+  if (own) return own.sections;
+
+  const time = (order) => new Date(order.timestamp).getTime() || 0;
+  return withSections.reduce((latest, order) =>
+    time(order) > time(latest) ? order : latest
+  ).sections;
+}
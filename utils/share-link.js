@@ -0,0 +1,226 @@
+/**
+ * Share Link Encoding
+ * Packs an order into a short, URL-safe string for a PR link's fragment.
+ * File paths become indexes into the PR's sorted file list where they can,
+ * and the JSON is deflated and base64url-encoded.
+ */
+
+import {
+  validateOrder,
+  sanitizeSections,
+  sanitizeUsername,
+} from './sanitizer.js';
+
+// Fragment key, as in https://github.com/org/repo/pull/1/files#pr-order=...
+export const SHARE_FRAGMENT_KEY = 'pr-order';
+
+const SHARE_FORMAT_VERSION = 1;
+
+// Orders are at most 10000 paths; this stops a small link inflating into
+// something far bigger
+const MAX_DECODED_BYTES = 4 * 1024 * 1024;
+
+/**
+ * Get the PR's files in the order both ends of a link agree on
+ * @param {Array<string>} files - File paths in any order
+ * @returns {Array<string>} Unique paths, sorted
+ */
+function getFileIndex(files) {
+  return [...new Set(files)].sort();
+}
+
+/**
+ * Fingerprint a file list, so a link is only decoded against the same files
+ * @param {Array<string>} fileIndex - Sorted file paths
+ * @returns {string} FNV-1a hash in base 36
+ */
+function hashFileIndex(fileIndex) {
+  let hash = 0x811c9dc5;
+  for (const char of fileIndex.join('\n')) {
+    hash ^= char.codePointAt(0);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash.toString(36);
+}
+
+/**
+ * Run bytes through a compression or decompression stream
+ * @param {Uint8Array} bytes - Input
+ * @param {CompressionStream|DecompressionStream} stream - Transform
+ * @returns {Promise<Uint8Array>} Output
+ * @throws {Error} If the input is corrupt or the output too large
+ */
+async function transformBytes(bytes, stream) {
+  const writer = stream.writable.getWriter();
+  const writing = writer.write(bytes).then(() => writer.close());
+  // Corrupt input also fails the read below, which reports it
+  writing.catch(() => {});
+
+  const reader = stream.readable.getReader();
+  const chunks = [];
+  let length = 0;
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    length += value.length;
+    if (length > MAX_DECODED_BYTES) {
+      await reader.cancel();
+      throw new Error('Shared order is too large');
+    }
+    chunks.push(value);
+  }
+
+  await writing;
+
+  const output = new Uint8Array(length);
+  let offset = 0;
+  chunks.forEach((chunk) => {
+    output.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return output;
+}
+
+/**
+ * Encode bytes as base64url without padding
+ * @param {Uint8Array} bytes - Bytes
+ * @returns {string} base64url text
+ */
+function toBase64Url(bytes) {
+  let binary = '';
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary)
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+/**
+ * Decode base64url text
+ * @param {string} text - base64url text, with or without padding
+ * @returns {Uint8Array} Bytes
+ * @throws {Error} If the text isn't base64url
+ */
+function fromBase64Url(text) {
+  if (!/^[A-Za-z0-9_-]*={0,2}$/.test(text)) {
+    throw new Error('Shared order is not valid base64url');
+  }
+
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+}
+
+/**
+ * Encode an order for a share link
+ * @param {Object} shared - Order to share
+ * @param {Array<string>} shared.order - File paths in order
+ * @param {Array<Object>} [shared.sections=[]] - Section dividers with
+ *   {name, start}
+ * @param {string} [shared.user] - Login of the user sharing it
+ * @param {Array<string>} [files=[]] - All the PR's files; paths in this
+ *   list are encoded as indexes
+ * @returns {Promise<string>} base64url text
+ * @throws {Error} If the order is invalid
+ */
+export async function encodeSharedOrder(shared, files = []) {
+  const order = validateOrder(shared.order);
+  const sections = sanitizeSections(shared.sections || [], order);
+
+  const fileIndex = getFileIndex(files);
+  const positions = new Map(fileIndex.map((path, index) => [path, index]));
+  const encodePath = (path) =>
+    positions.has(path) ? positions.get(path) : path;
+
+  const payload = { v: SHARE_FORMAT_VERSION, o: order.map(encodePath) };
+  if (shared.user) payload.u = shared.user;
+  if (sections.length > 0) {
+    payload.s = sections.map(({ name, start }) => [name, encodePath(start)]);
+  }
+  if (fileIndex.length > 0) payload.h = hashFileIndex(fileIndex);
+
+  const json = new TextEncoder().encode(JSON.stringify(payload));
+  return toBase64Url(
+    await transformBytes(json, new CompressionStream('deflate-raw'))
+  );
+}
+
+/**
+ * Decode an order from a share link
+ * @param {string} text - base64url text from encodeSharedOrder
+ * @param {Array<string>} [files=[]] - All the PR's files, needed when the
+ *   link encodes paths as indexes
+ * @returns {Promise<Object>} {order, sections, user}, with user null if
+ *   the link doesn't name one
+ * @throws {Error} If the text is corrupt, the order invalid, or the PR's
+ *   files differ from when the link was made
+ */
+export async function decodeSharedOrder(text, files = []) {
+  let payload;
+  try {
+    const bytes = await transformBytes(
+      fromBase64Url(text),
+      new DecompressionStream('deflate-raw')
+    );
+    payload = JSON.parse(new TextDecoder().decode(bytes));
+  } catch (error) {
+    throw new Error(`Invalid shared order: ${error.message}`);
+  }
+
+  if (!payload || payload.v !== SHARE_FORMAT_VERSION) {
+    throw new Error('Unsupported shared order version');
+  }
+  if (!Array.isArray(payload.o)) {
+    throw new Error('Order must be an array');
+  }
+
+  const fileIndex = getFileIndex(files);
+  if (payload.h !== undefined && payload.h !== hashFileIndex(fileIndex)) {
+    throw new Error(
+      "This PR's files have changed since the link was made, or haven't all loaded yet"
+    );
+  }
+
+  const decodePath = (entry) => {
+    if (typeof entry !== 'number') return entry;
+    if (!Number.isInteger(entry) || entry < 0 || entry >= fileIndex.length) {
+      throw new Error('Shared order refers to an unknown file');
+    }
+    return fileIndex[entry];
+  };
+
+  // Each section is [name, start], with start a path or a file index
+  const isSection = (entry) =>
+    Array.isArray(entry) &&
+    typeof entry[0] === 'string' &&
+    ['string', 'number'].includes(typeof entry[1]);
+  if (Array.isArray(payload.s) && !payload.s.every(isSection)) {
+    throw new Error('Invalid shared order: malformed section');
+  }
+
+  const order = validateOrder(payload.o.map(decodePath));
+  const sections = Array.isArray(payload.s)
+    ? sanitizeSections(
+        payload.s.map(([name, start]) => ({ name, start: decodePath(start) })),
+        order
+      )
+    : [];
+  const user = payload.u ? sanitizeUsername(payload.u) : null;
+
+  return { order, sections, user };
+}
+
+/**
+ * Read the shared order from a URL fragment
+ * @param {string} hash - URL fragment, e.g. location.hash
+ * @returns {string|null} Encoded order, or null if there is none
+ */
+export function getShareFragment(hash) {
+  const match = (hash || '').match(
+    new RegExp(`^#${SHARE_FRAGMENT_KEY}=([A-Za-z0-9_-]+)`)
+  );
+  return match ? match[1] : null;
+}
@@ -1,9 +1,28 @@
 /**
  * Storage Layer
- * Provides abstraction over chrome.storage.local with versioning and migration
+ * Provides abstraction over chrome.storage.local with versioning and migration.
+ * Orders and preferences are also copied to chrome.storage.sync so they
+ * follow the user across devices; local storage stays the source of truth.
  */
 
-export const CURRENT_VERSION = '1.0';
+import {
+  compactOrder,
+  expandOrder,
+  fitsSyncItem,
+  mergeByTimestamp,
+  selectOrdersToEvict,
+  toMillis,
+  createDeletionMarker,
+  isDeletionMarker,
+  isExpiredDeletionMarker,
+} from './sync.js';
+import {
+  RETENTION_PREFERENCE,
+  normalizeRetention,
+  selectOrdersToPrune,
+} from './retention.js';
+
+export const CURRENT_VERSION = '1.1';
 const STORAGE_PREFIX = 'pr-order:';
 
 /**
@@ -52,6 +71,145 @@ function extractPrId(key) {
   return key.substring(STORAGE_PREFIX.length);
 }
 
+/**
+ * Check whether chrome.storage.sync is available
+ * @returns {boolean} True if orders and preferences can be synced
+ */
+function isSyncAvailable() {
+  return typeof chrome !== 'undefined' && Boolean(chrome.storage?.sync);
+}
+
+/**
+ * Read items from a storage area
+ * @param {string} area - 'local' or 'sync'
+ * @param {Array<string>|null} keys - Keys to read, or null for everything
+ * @returns {Promise<Object>} Items by key
+ */
+function getFromArea(area, keys) {
+  return new Promise((resolve, reject) => {
+    chrome.storage[area].get(keys, (result) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+      } else {
+        resolve(result || {});
+      }
+    });
+  });
+}
+
+/**
+ * Write items to a storage area
+ * @param {string} area - 'local' or 'sync'
+ * @param {Object} items - Items by key
+ * @returns {Promise<void>}
+ */
+function setInArea(area, items) {
+  return new Promise((resolve, reject) => {
+    chrome.storage[area].set(items, () => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+/**
+ * Remove items from a storage area
+ * @param {string} area - 'local' or 'sync'
+ * @param {Array<string>} keys - Keys to remove
+ * @returns {Promise<void>}
+ */
+function removeFromArea(area, keys) {
+  return new Promise((resolve, reject) => {
+    chrome.storage[area].remove(keys, () => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+/**
+ * Write items to chrome.storage.sync within its quotas
+ * The least recently saved orders are evicted to make room. Orders that
+ * would be evicted straight away aren't written at all.
+ * @param {Object} items - Sync items by key
+ * @returns {Promise<void>}
+ */
+async function writeToSync(items) {
+  const current = await getFromArea('sync', null);
+  const merged = { ...current, ...items };
+
+  const orders = {};
+  const others = {};
+  Object.entries(merged).forEach(([key, value]) => {
+    if (extractPrId(key)) {
+      orders[key] = value;
+    } else {
+      others[key] = value;
+    }
+  });
+
+  const evicted = selectOrdersToEvict(orders, others);
+
+  const stale = evicted.filter((key) => key in current);
+  if (stale.length > 0) {
+    await removeFromArea('sync', stale);
+  }
+
+  const toWrite = { ...items };
+  evicted.forEach((key) => delete toWrite[key]);
+  if (Object.keys(toWrite).length > 0) {
+    await setInArea('sync', toWrite);
+  }
+}
+
+/**
+ * Copy items to chrome.storage.sync without failing the local save
+ * @param {Object} items - Sync items by key
+ * @returns {Promise<void>}
+ */
+async function pushToSync(items) {
+  if (!isSyncAvailable()) {
+    return;
+  }
+
+  try {
+    await writeToSync(items);
+  } catch (error) {
+    console.error('[PR-Reorder] Failed to sync, kept on this device:', error);
+  }
+}
+
+/**
+ * Remove items from chrome.storage.sync without failing the local change
+ * Each item is replaced by a deletion marker, so devices that still have
+ * it delete it on their next sync rather than syncing it back.
+ * @param {Array<string>} keys - Sync keys
+ * @returns {Promise<void>}
+ */
+async function removeFromSync(keys) {
+  if (!isSyncAvailable() || keys.length === 0) {
+    return;
+  }
+
+  const marker = createDeletionMarker();
+  const markers = {};
+  keys.forEach((key) => {
+    markers[key] = marker;
+  });
+
+  try {
+    await writeToSync(markers);
+  } catch (error) {
+    console.error('[PR-Reorder] Failed to remove synced data:', error);
+  }
+}
+
 /**
  * Migrate data from old version to current version
  * @param {Object} data - Old data
@@ -81,9 +239,15 @@ export function migrateData(data) {
     migrated.version = '1.0';
   }
 
+  // Migration from 1.0 to 1.1
+  if (migrated.version === '1.0') {
+    // 1.1 added optional section dividers; older orders simply have none
+    migrated.version = '1.1';
+  }
+
   // Future migrations go here
-  // if (migrated.version === '1.0') {
-  //   migrated.version = '1.1';
+  // if (migrated.version === '1.1') {
+  //   migrated.version = '1.2';
   //   // migration logic
   // }
 
@@ -94,13 +258,18 @@ export function migrateData(data) {
  * Save order for a PR
  * @param {string} prId - PR identifier (e.g., "org/repo/123")
  * @param {Array<string>} order - Ordered array of file paths
+ * @param {Object} [options={}] - Save options
+ * @param {string|null} [options.headSha] - Head commit the order was made against
+ * @param {Object} [options.notes] - Notes by file path or folder path
+ * @param {Array<Object>} [options.sections] - Section dividers with {name, start}
  * @returns {Promise<void>}
  * @throws {Error} If validation fails or storage operation fails
  */
-export async function saveOrder(prId, order) {
+export async function saveOrder(prId, order, options = {}) {
   validatePrId(prId);
   validateOrder(order);
 
+  const { headSha = null, notes = null, sections = null } = options;
   const key = getStorageKey(prId);
   const data = {
     order,
@@ -108,7 +277,19 @@ export async function saveOrder(prId, order) {
     version: CURRENT_VERSION,
   };
 
-  return new Promise((resolve, reject) => {
+  if (headSha) {
+    data.headSha = headSha;
+  }
+
+  if (notes && Object.keys(notes).length > 0) {
+    data.notes = notes;
+  }
+
+  if (sections && sections.length > 0) {
+    data.sections = sections;
+  }
+
+  await new Promise((resolve, reject) => {
     chrome.storage.local.set({ [key]: data }, () => {
       if (chrome.runtime.lastError) {
         reject(new Error(chrome.runtime.lastError.message));
@@ -117,6 +298,11 @@ export async function saveOrder(prId, order) {
       }
     });
   });
+
+  const compact = compactOrder(key, data);
+  if (compact) {
+    await pushToSync({ [key]: compact });
+  }
 }
 
 /**
@@ -170,7 +356,7 @@ export async function deleteOrder(prId) {
 
   const key = getStorageKey(prId);
 
-  return new Promise((resolve, reject) => {
+  await new Promise((resolve, reject) => {
     chrome.storage.local.remove([key], () => {
       if (chrome.runtime.lastError) {
         reject(new Error(chrome.runtime.lastError.message));
@@ -179,6 +365,9 @@ export async function deleteOrder(prId) {
       }
     });
   });
+
+  // Otherwise the next sync would bring it back
+  await removeFromSync([key]);
 }
 
 /**
@@ -208,6 +397,27 @@ export async function getAllOrders() {
   });
 }
 
+/**
+ * Get the most recently saved orders
+ * @param {number} [limit=10] - Maximum number of orders
+ * @returns {Promise<Array<Object>>} {prId, timestamp, fileCount}, newest
+ *   first
+ * @throws {Error} If storage operation fails
+ */
+export async function getRecentOrders(limit = 10) {
+  const orders = await getAllOrders();
+
+  return Object.entries(orders)
+    .filter(([, data]) => data && Array.isArray(data.order))
+    .map(([prId, data]) => ({
+      prId,
+      timestamp: data.timestamp,
+      fileCount: data.order.length,
+    }))
+    .sort((a, b) => toMillis(b.timestamp) - toMillis(a.timestamp))
+    .slice(0, limit);
+}
+
 /**
  * Clear all stored orders (use with caution)
  * @returns {Promise<void>}
@@ -221,7 +431,7 @@ export async function clearAllOrders() {
     return Promise.resolve();
   }
 
-  return new Promise((resolve, reject) => {
+  await new Promise((resolve, reject) => {
     chrome.storage.local.remove(keys, () => {
       if (chrome.runtime.lastError) {
         reject(new Error(chrome.runtime.lastError.message));
@@ -230,6 +440,75 @@ export async function clearAllOrders() {
       }
     });
   });
+
+  await removeFromSync(keys);
+}
+
+/**
+ * Save several orders at once, e.g. from a workspace import
+ * Orders are written as given, keeping their timestamps.
+ * @param {Object} orders - Validated saved orders by PR ID
+ * @returns {Promise<void>}
+ * @throws {Error} If storage operation fails
+ */
+export async function saveOrders(orders) {
+  const items = {};
+  Object.entries(orders).forEach(([prId, data]) => {
+    items[getStorageKey(prId)] = migrateData(data);
+  });
+
+  const keys = Object.keys(items);
+  if (keys.length === 0) {
+    return;
+  }
+
+  await setInArea('local', items);
+
+  const compact = {};
+  keys.forEach((key) => {
+    const entry = compactOrder(key, items[key]);
+    if (entry) compact[key] = entry;
+  });
+  if (Object.keys(compact).length > 0) {
+    await pushToSync(compact);
+  }
+}
+
+/**
+ * Delete several orders at once
+ * @param {Array<string>} prIds - PR identifiers
+ * @returns {Promise<void>}
+ * @throws {Error} If storage operation fails
+ */
+export async function deleteOrders(prIds) {
+  const keys = prIds.map(getStorageKey);
+  if (keys.length === 0) {
+    return;
+  }
+
+  await removeFromArea('local', keys);
+  await removeFromSync(keys);
+}
+
+/**
+ * Get how many bytes local storage is using
+ * @returns {Promise<number|null>} Bytes in use, or null if the browser
+ *   can't tell
+ */
+function getBytesInUse() {
+  if (typeof chrome.storage.local.getBytesInUse !== 'function') {
+    return Promise.resolve(null);
+  }
+
+  return new Promise((resolve, reject) => {
+    chrome.storage.local.getBytesInUse(null, (bytes) => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+      } else {
+        resolve(bytes);
+      }
+    });
+  });
 }
 
 /**
@@ -241,6 +520,7 @@ export async function getStorageStats() {
 
   return {
     totalOrders: Object.keys(orders).length,
+    bytesInUse: await getBytesInUse(),
     oldestOrder: Object.values(orders).reduce((oldest, current) => {
       if (!oldest) return current.timestamp;
       return new Date(current.timestamp) < new Date(oldest)
@@ -256,7 +536,102 @@ export async function getStorageStats() {
   };
 }
 
+/**
+ * Record that a PR was seen merged or closed
+ * Its saved order is then removed by the next prune if the retention
+ * settings allow it.
+ * @param {string} prId - PR identifier
+ * @param {string} prState - 'open', 'closed' or 'merged'
+ * @returns {Promise<boolean>} True if a saved order was updated
+ * @throws {Error} If validation fails or storage operation fails
+ */
+export async function markOrderPrState(prId, prState) {
+  validatePrId(prId);
+  if (!['open', 'closed', 'merged'].includes(prState)) {
+    throw new Error('PR state must be open, closed or merged');
+  }
+
+  const key = getStorageKey(prId);
+  const { [key]: data } = await getFromArea('local', [key]);
+
+  if (!data || (data.prState || 'open') === prState) {
+    return false;
+  }
+
+  const updated = { ...data, prState };
+  if (prState === 'open') {
+    delete updated.prState;
+  }
+  await setInArea('local', { [key]: updated });
+  return true;
+}
+
+/**
+ * Load the retention settings
+ * Invalid saved settings fall back to the defaults.
+ * @returns {Promise<Object>} {maxAgeDays, maxCount, pruneClosed}
+ */
+export async function loadRetentionSettings() {
+  const saved = await loadPreference(RETENTION_PREFERENCE, {});
+
+  try {
+    return normalizeRetention(saved);
+  } catch (error) {
+    console.warn('Ignoring invalid retention settings:', error.message);
+    return normalizeRetention();
+  }
+}
+
+/**
+ * Save the retention settings
+ * @param {Object} settings - {maxAgeDays, maxCount, pruneClosed}
+ * @returns {Promise<Object>} Saved settings
+ * @throws {Error} If a setting is invalid
+ */
+export async function saveRetentionSettings(settings) {
+  const normalized = normalizeRetention(settings);
+  await savePreference(RETENTION_PREFERENCE, normalized);
+  return normalized;
+}
+
+/**
+ * Remove saved orders the retention settings no longer keep
+ * Pruned orders are replaced by deletion markers in sync, so other devices
+ * delete their copies instead of bringing them back.
+ * @param {Object} [settings] - Retention settings, defaults to the saved ones
+ * @returns {Promise<Object>} {pruned, bytesReclaimed} with the pruned PR IDs
+ *   and the bytes freed (null if the browser can't tell)
+ * @throws {Error} If a setting is invalid or storage operation fails
+ */
+export async function pruneStoredOrders(settings) {
+  const retention = settings
+    ? normalizeRetention(settings)
+    : await loadRetentionSettings();
+
+  const orders = await getAllOrders();
+  const pruned = selectOrdersToPrune(orders, retention);
+
+  if (pruned.length === 0) {
+    return { pruned, bytesReclaimed: 0 };
+  }
+
+  const keys = pruned.map(getStorageKey);
+  const before = await getBytesInUse();
+  await removeFromArea('local', keys);
+  const after = await getBytesInUse();
+  await removeFromSync(keys);
+
+  return {
+    pruned,
+    bytesReclaimed: before === null || after === null ? null : before - after,
+  };
+}
+
 const PREFERENCES_KEY = 'pr-reorder:preferences';
+// When each preference was last changed, to resolve sync conflicts
+const PREFERENCE_TIMES_KEY = 'pr-reorder:preference-times';
+// Synced preferences are stored one per item: {v: value, t: time}
+const SYNC_PREFERENCE_PREFIX = 'pr-reorder:preference:';
 
 /**
  * Save a user preference
@@ -269,25 +644,42 @@ export async function savePreference(key, value) {
     throw new Error('Preference key is required');
   }
 
-  return new Promise((resolve, reject) => {
-    chrome.storage.local.get([PREFERENCES_KEY], (result) => {
-      if (chrome.runtime.lastError) {
-        reject(new Error(chrome.runtime.lastError.message));
-        return;
-      }
+  const time = Date.now();
 
-      const preferences = result[PREFERENCES_KEY] || {};
-      preferences[key] = value;
-
-      chrome.storage.local.set({ [PREFERENCES_KEY]: preferences }, () => {
+  await new Promise((resolve, reject) => {
+    chrome.storage.local.get(
+      [PREFERENCES_KEY, PREFERENCE_TIMES_KEY],
+      (result) => {
         if (chrome.runtime.lastError) {
           reject(new Error(chrome.runtime.lastError.message));
-        } else {
-          resolve();
+          return;
         }
-      });
-    });
+
+        const preferences = result[PREFERENCES_KEY] || {};
+        const times = result[PREFERENCE_TIMES_KEY] || {};
+        preferences[key] = value;
+        times[key] = time;
+
+        chrome.storage.local.set(
+          { [PREFERENCES_KEY]: preferences, [PREFERENCE_TIMES_KEY]: times },
+          () => {
+            if (chrome.runtime.lastError) {
+              reject(new Error(chrome.runtime.lastError.message));
+            } else {
+              resolve();
+            }
+          }
+        );
+      }
+    );
   });
+
+  // Preferences too big for one sync item stay on this device
+  const syncKey = `${SYNC_PREFERENCE_PREFIX}${key}`;
+  const entry = { v: value, t: time };
+  if (fitsSyncItem(syncKey, entry)) {
+    await pushToSync({ [syncKey]: entry });
+  }
 }
 
 /**
@@ -324,23 +716,456 @@ export async function deletePreference(key) {
     throw new Error('Preference key is required');
   }
 
+  await new Promise((resolve, reject) => {
+    chrome.storage.local.get(
+      [PREFERENCES_KEY, PREFERENCE_TIMES_KEY],
+      (result) => {
+        if (chrome.runtime.lastError) {
+          reject(new Error(chrome.runtime.lastError.message));
+          return;
+        }
+
+        const preferences = result[PREFERENCES_KEY] || {};
+        const times = result[PREFERENCE_TIMES_KEY] || {};
+        delete preferences[key];
+        delete times[key];
+
+        chrome.storage.local.set(
+          { [PREFERENCES_KEY]: preferences, [PREFERENCE_TIMES_KEY]: times },
+          () => {
+            if (chrome.runtime.lastError) {
+              reject(new Error(chrome.runtime.lastError.message));
+            } else {
+              resolve();
+            }
+          }
+        );
+      }
+    );
+  });
+
+  await removeFromSync([`${SYNC_PREFERENCE_PREFIX}${key}`]);
+}
+
+/**
+ * Get all user preferences
+ * @returns {Promise<Object>} Preference values by key
+ * @throws {Error} If storage operation fails
+ */
+export async function getAllPreferences() {
+  const result = await getFromArea('local', [PREFERENCES_KEY]);
+  return result[PREFERENCES_KEY] || {};
+}
+
+/**
+ * Save several preferences at once, e.g. from a workspace import
+ * @param {Object} preferences - Preference values by key
+ * @param {Object} [options={}] - Import options
+ * @param {boolean} [options.replace=false] - Delete preferences that
+ *   aren't in the import
+ * @returns {Promise<number>} Number of preferences saved
+ * @throws {Error} If storage operation fails
+ */
+export async function importPreferences(preferences, options = {}) {
+  const { replace = false } = options;
+  const time = Date.now();
+
+  const result = await getFromArea('local', [
+    PREFERENCES_KEY,
+    PREFERENCE_TIMES_KEY,
+  ]);
+  const current = result[PREFERENCES_KEY] || {};
+  const removed = replace
+    ? Object.keys(current).filter((key) => !(key in preferences))
+    : [];
+
+  const updated = replace ? {} : { ...current };
+  const times = replace ? {} : { ...(result[PREFERENCE_TIMES_KEY] || {}) };
+  const synced = {};
+  Object.entries(preferences).forEach(([key, value]) => {
+    updated[key] = value;
+    times[key] = time;
+
+    // Preferences too big for one sync item stay on this device
+    const syncKey = `${SYNC_PREFERENCE_PREFIX}${key}`;
+    const entry = { v: value, t: time };
+    if (fitsSyncItem(syncKey, entry)) {
+      synced[syncKey] = entry;
+    }
+  });
+
+  await setInArea('local', {
+    [PREFERENCES_KEY]: updated,
+    [PREFERENCE_TIMES_KEY]: times,
+  });
+
+  if (Object.keys(synced).length > 0) {
+    await pushToSync(synced);
+  }
+  await removeFromSync(removed.map((key) => `${SYNC_PREFERENCE_PREFIX}${key}`));
+
+  return Object.keys(preferences).length;
+}
+
+/**
+ * Describe a chrome.storage.onChanged event for local storage
+ * Only orders that were saved again count; rewrites that keep the
+ * timestamp, such as migrations or recording the PR state, and removals
+ * are left out.
+ * @param {Object} changes - Changes by key, each with {oldValue, newValue}
+ * @returns {Object} {orders, preferences}: saved orders by PR ID, and new
+ *   values by preference key (null if deleted)
+ */
+export function parseStorageChanges(changes) {
+  const orders = {};
+  const preferences = {};
+
+  Object.entries(changes).forEach(([key, { oldValue, newValue }]) => {
+    const prId = extractPrId(key);
+    if (prId) {
+      if (
+        newValue &&
+        (!oldValue || oldValue.timestamp !== newValue.timestamp)
+      ) {
+        orders[prId] = newValue;
+      }
+      return;
+    }
+
+    if (key === PREFERENCES_KEY) {
+      const before = oldValue || {};
+      const after = newValue || {};
+      new Set([...Object.keys(before), ...Object.keys(after)]).forEach(
+        (name) => {
+          if (JSON.stringify(before[name]) !== JSON.stringify(after[name])) {
+            preferences[name] = after[name] !== undefined ? after[name] : null;
+          }
+        }
+      );
+    }
+  });
+
+  return { orders, preferences };
+}
+
+/**
+ * Merge this device's orders and preferences with the synced copy
+ * The newer copy of each order and preference wins, by timestamp. Synced
+ * data is written to local storage, which everything else reads from, and
+ * local data newer than the synced copy is pushed. Items deleted on another
+ * device after they were last saved here are deleted here too. Only the
+ * most recently saved orders that fit in the sync quotas are kept synced.
+ *
+ * @param {Object} [options={}] - Sync options
+ * @param {Function} [options.beforePull] - Called with the IDs of the PRs
+ *   whose orders are about to be copied from another device, before they
+ *   are written to local storage
+ * @returns {Promise<Object>} {pulled, pushed} number of items copied or
+ *   deleted each way
+ * @throws {Error} If a storage operation fails
+ */
+export async function syncStorage(options = {}) {
+  const { beforePull } = options;
+
+  if (!isSyncAvailable()) {
+    return { pulled: 0, pushed: 0 };
+  }
+
+  const [local, synced] = await Promise.all([
+    getFromArea('local', null),
+    getFromArea('sync', null),
+  ]);
+
+  // Forget deletions every device has had time to see
+  const expired = Object.keys(synced).filter((key) =>
+    isExpiredDeletionMarker(synced[key])
+  );
+  if (expired.length > 0) {
+    await removeFromArea('sync', expired);
+    expired.forEach((key) => delete synced[key]);
+  }
+
+  // Orders, as compact entries keyed by storage key
+  const localOrders = {};
+  const syncedOrders = {};
+  Object.entries(local).forEach(([key, data]) => {
+    if (extractPrId(key) && data && Array.isArray(data.order)) {
+      // Orders too big to sync still need their time to win conflicts
+      localOrders[key] = compactOrder(key, data) || {
+        t: toMillis(data.timestamp),
+      };
+    }
+  });
+  Object.entries(synced).forEach(([key, entry]) => {
+    if (
+      extractPrId(key) &&
+      entry &&
+      (Array.isArray(entry.o) || isDeletionMarker(entry))
+    ) {
+      syncedOrders[key] = entry;
+    }
+  });
+
+  // Preferences, as {v, t} entries keyed by preference name
+  const preferences = local[PREFERENCES_KEY] || {};
+  const times = local[PREFERENCE_TIMES_KEY] || {};
+  const localPreferences = {};
+  const syncedPreferences = {};
+  Object.entries(preferences).forEach(([key, value]) => {
+    localPreferences[key] = { v: value, t: times[key] || 0 };
+  });
+  Object.entries(synced).forEach(([key, entry]) => {
+    if (key.startsWith(SYNC_PREFERENCE_PREFIX) && entry) {
+      syncedPreferences[key.substring(SYNC_PREFERENCE_PREFIX.length)] = entry;
+    }
+  });
+
+  const orderChanges = mergeByTimestamp(localOrders, syncedOrders);
+  const preferenceChanges = mergeByTimestamp(
+    localPreferences,
+    syncedPreferences
+  );
+
+  const toLocal = {};
+  const removedOrders = [];
+  Object.entries(orderChanges.toLocal).forEach(([key, entry]) => {
+    if (isDeletionMarker(entry)) {
+      removedOrders.push(key);
+    } else {
+      toLocal[key] = expandOrder(entry, CURRENT_VERSION);
+    }
+  });
+  const pulledPreferences = Object.entries(preferenceChanges.toLocal);
+  if (pulledPreferences.length > 0) {
+    pulledPreferences.forEach(([key, entry]) => {
+      if (isDeletionMarker(entry)) {
+        delete preferences[key];
+        delete times[key];
+      } else {
+        preferences[key] = entry.v;
+        times[key] = entry.t;
+      }
+    });
+    toLocal[PREFERENCES_KEY] = preferences;
+    toLocal[PREFERENCE_TIMES_KEY] = times;
+  }
+
+  const toSync = {};
+  Object.entries(orderChanges.toSync).forEach(([key, entry]) => {
+    if (entry.o) {
+      toSync[key] = entry;
+    }
+  });
+  Object.entries(preferenceChanges.toSync).forEach(([key, entry]) => {
+    const syncKey = `${SYNC_PREFERENCE_PREFIX}${key}`;
+    if (fitsSyncItem(syncKey, entry)) {
+      toSync[syncKey] = entry;
+    }
+  });
+
+  if (Object.keys(toLocal).length > 0) {
+    const pulledPrIds = Object.keys(toLocal).map(extractPrId).filter(Boolean);
+    if (beforePull && pulledPrIds.length > 0) {
+      beforePull(pulledPrIds);
+    }
+    await setInArea('local', toLocal);
+  }
+  if (removedOrders.length > 0) {
+    await removeFromArea('local', removedOrders);
+  }
+  await writeToSync(toSync);
+
+  return {
+    pulled: Object.keys(orderChanges.toLocal).length + pulledPreferences.length,
+    pushed: Object.keys(toSync).length,
+  };
+}
+
+const REPO_CONFIG_PREFIX = 'pr-reorder:repo-config:';
+// Roles a repo config can weight, see DEFAULT_ROLE_WEIGHTS in
+// content/consensus.js
+const WEIGHTED_ROLES = ['author', 'codeOwner', 'reviewer', 'default'];
+
+/**
+ * Validate per-role vote weights
+ * @param {*} roleWeights - Weights by role
+ * @returns {Object} The weights
+ * @throws {Error} If a role is unknown or a weight isn't a finite number
+ *   of at least 0
+ */
+function validateRoleWeights(roleWeights) {
+  if (
+    !roleWeights ||
+    typeof roleWeights !== 'object' ||
+    Array.isArray(roleWeights)
+  ) {
+    throw new Error('Role weights must be an object');
+  }
+
+  Object.entries(roleWeights).forEach(([role, weight]) => {
+    if (!WEIGHTED_ROLES.includes(role)) {
+      throw new Error(`Unknown role: ${role}`);
+    }
+    if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+      throw new Error(`Weight for ${role} must be a number of at least 0`);
+    }
+  });
+
+  return roleWeights;
+}
+
+/**
+ * Drop stored role weights that would corrupt the consensus
+ * @param {Object} config - Stored repository config
+ * @returns {Object} Config, without roleWeights if they are invalid
+ */
+function sanitizeRepoConfig(config) {
+  if (config.roleWeights === undefined) {
+    return config;
+  }
+
+  try {
+    validateRoleWeights(config.roleWeights);
+    return config;
+  } catch (error) {
+    console.warn('[PR-Reorder] Ignoring invalid role weights:', error.message);
+    const rest = { ...config };
+    delete rest.roleWeights;
+    return rest;
+  }
+}
+
+/**
+ * Validate a repository ID
+ * @param {string} repoId - Repository identifier (e.g., "org/repo")
+ * @throws {Error} If repoId is invalid
+ */
+function validateRepoId(repoId) {
+  if (!repoId || typeof repoId !== 'string') {
+    throw new Error('Repository ID is required');
+  }
+}
+
+/**
+ * Load per-repository configuration
+ * Invalid role weights are left out, so the default weights apply.
+ * @param {string} repoId - Repository identifier (e.g., "org/repo")
+ * @returns {Promise<Object>} Repository config (empty object if none saved)
+ */
+export async function loadRepoConfig(repoId) {
+  validateRepoId(repoId);
+
+  const key = `${REPO_CONFIG_PREFIX}${repoId}`;
+  const result = await getFromArea('local', [key]);
+  return sanitizeRepoConfig(result[key] || {});
+}
+
+/**
+ * Save per-repository configuration
+ * Merges the given fields into any existing config
+ * @param {string} repoId - Repository identifier (e.g., "org/repo")
+ * @param {Object} config - Config fields (e.g., {roleWeights: {author: 2}})
+ * @returns {Promise<void>}
+ * @throws {Error} If the config or its role weights are invalid
+ */
+export async function saveRepoConfig(repoId, config) {
+  if (!config || typeof config !== 'object') {
+    throw new Error('Repository config must be an object');
+  }
+  if (config.roleWeights !== undefined) {
+    validateRoleWeights(config.roleWeights);
+  }
+
+  const existing = await loadRepoConfig(repoId);
+  const key = `${REPO_CONFIG_PREFIX}${repoId}`;
+
+  await setInArea('local', { [key]: { ...existing, ...config } });
+}
+
+/**
+ * Get the configuration of every repository that has one
+ * @returns {Promise<Object>} Repository configs by repository ID
+ * @throws {Error} If storage operation fails
+ */
+export async function getAllRepoConfigs() {
+  const result = await getFromArea('local', null);
+  const configs = {};
+
+  Object.entries(result).forEach(([key, config]) => {
+    if (key.startsWith(REPO_CONFIG_PREFIX) && config) {
+      configs[key.substring(REPO_CONFIG_PREFIX.length)] =
+        sanitizeRepoConfig(config);
+    }
+  });
+
+  return configs;
+}
+
+/**
+ * Delete a repository's configuration
+ * @param {string} repoId - Repository identifier (e.g., "org/repo")
+ * @returns {Promise<void>}
+ * @throws {Error} If repoId is invalid or storage operation fails
+ */
+export async function deleteRepoConfig(repoId) {
+  validateRepoId(repoId);
+  await removeFromArea('local', [`${REPO_CONFIG_PREFIX}${repoId}`]);
+}
+
+// Kept apart from preferences so the token is never exported or synced
+const GITHUB_TOKEN_KEY = 'pr-reorder:github-token';
+
+/**
+ * Save the personal access token used for the GitHub REST backend
+ * @param {string} token - Fine-grained personal access token
+ * @returns {Promise<void>}
+ * @throws {Error} If the token is invalid or storage operation fails
+ */
+export async function saveGitHubToken(token) {
+  if (typeof token !== 'string' || !/^\S+$/.test(token.trim())) {
+    throw new Error('GitHub token must be a non-empty string without spaces');
+  }
+
   return new Promise((resolve, reject) => {
-    chrome.storage.local.get([PREFERENCES_KEY], (result) => {
+    chrome.storage.local.set({ [GITHUB_TOKEN_KEY]: token.trim() }, () => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+      } else {
+        resolve();
+      }
+    });
+  });
+}
+
+/**
+ * Load the GitHub personal access token
+ * @returns {Promise<string|null>} Token or null if none is saved
+ */
+export async function loadGitHubToken() {
+  return new Promise((resolve, reject) => {
+    chrome.storage.local.get([GITHUB_TOKEN_KEY], (result) => {
       if (chrome.runtime.lastError) {
         reject(new Error(chrome.runtime.lastError.message));
         return;
       }
 
-      const preferences = result[PREFERENCES_KEY] || {};
-      delete preferences[key];
+      resolve(result[GITHUB_TOKEN_KEY] || null);
+    });
+  });
+}
 
-      chrome.storage.local.set({ [PREFERENCES_KEY]: preferences }, () => {
-        if (chrome.runtime.lastError) {
-          reject(new Error(chrome.runtime.lastError.message));
-        } else {
-          resolve();
-        }
-      });
+/**
+ * Remove the GitHub personal access token
+ * @returns {Promise<void>}
+ */
+export async function clearGitHubToken() {
+  return new Promise((resolve, reject) => {
+    chrome.storage.local.remove([GITHUB_TOKEN_KEY], () => {
+      if (chrome.runtime.lastError) {
+        reject(new Error(chrome.runtime.lastError.message));
+      } else {
+        resolve();
+      }
     });
   });
 }
@@ -0,0 +1,211 @@
+/**
+ * Sync Helpers
+ * Compaction, quota accounting and conflict resolution for the copy of
+ * personal orders and preferences kept in chrome.storage.sync
+ */
+
+// chrome.storage.sync quotas
+export const SYNC_QUOTA_BYTES = 102400;
+export const SYNC_QUOTA_BYTES_PER_ITEM = 8192;
+export const SYNC_MAX_ITEMS = 512;
+
+// Only recent orders are synced; older ones stay on the device they were
+// saved on
+export const MAX_SYNCED_ORDERS = 100;
+
+// Left free so a preference can grow without failing the write
+const SYNC_HEADROOM_BYTES = 4096;
+
+// How long a deletion is remembered in sync. A device that stays offline
+// for longer can bring a deleted item back.
+export const DELETION_MARKER_MAX_AGE = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Get the UTF-8 length of a string
+ * @param {string} text - Text
+ * @returns {number} Length in bytes
+ */
+function getByteLength(text) {
+  return encodeURIComponent(text).replace(/%[0-9A-F]{2}/g, 'x').length;
+}
+
+/**
+ * Get the size chrome.storage.sync counts for an item
+ * @param {string} key - Item key
+ * @param {*} value - Item value
+ * @returns {number} Size in bytes
+ */
+export function getSyncItemSize(key, value) {
+  return getByteLength(key) + getByteLength(JSON.stringify(value));
+}
+
+/**
+ * Check whether an item fits in a single sync item
+ * @param {string} key - Item key
+ * @param {*} value - Item value
+ * @returns {boolean} True if it fits
+ */
+export function fitsSyncItem(key, value) {
+  return getSyncItemSize(key, value) <= SYNC_QUOTA_BYTES_PER_ITEM;
+}
+
+/**
+ * Convert an ISO timestamp to milliseconds
+ * @param {string} timestamp - ISO timestamp
+ * @returns {number} Milliseconds, or 0 if missing or invalid
+ */
+export function toMillis(timestamp) {
+  return new Date(timestamp).getTime() || 0;
+}
+
+/**
+ * Create a marker recording that a synced item was deleted
+ * It takes the item's place in sync, so devices that still have the item
+ * delete it instead of syncing it back.
+ * @param {number} [time=Date.now()] - When the item was deleted
+ * @returns {Object} Marker {d: 1, t}
+ */
+export function createDeletionMarker(time = Date.now()) {
+  return { d: 1, t: time };
+}
+
+/**
+ * Check whether a synced entry is a deletion marker
+ * @param {*} entry - Synced entry
+ * @returns {boolean} True if the entry records a deletion
+ */
+export function isDeletionMarker(entry) {
+  return Boolean(entry && entry.d === 1);
+}
+
+/**
+ * Check whether a deletion marker is old enough to forget
+ * @param {Object} entry - Synced entry
+ * @param {number} [now=Date.now()] - Current time
+ * @returns {boolean} True if it is a marker past DELETION_MARKER_MAX_AGE
+ */
+export function isExpiredDeletionMarker(entry, now = Date.now()) {
+  return isDeletionMarker(entry) && now - entry.t > DELETION_MARKER_MAX_AGE;
+}
+
+/**
+ * Compact a saved order for sync
+ * Uses short field names and drops the format version. If the order is
+ * still too big for one sync item, its notes and then its sections are
+ * left out.
+ *
+ * @param {string} key - Sync item key
+ * @param {Object} data - Saved order {order, timestamp, headSha?, notes?,
+ *   sections?}
+ * @returns {Object|null} Compact order {o, t, h?, n?, s?}, or null if even
+ *   the bare order is too big to sync
+ */
+export function compactOrder(key, data) {
+  const compact = { o: data.order, t: toMillis(data.timestamp) };
+  if (data.headSha) compact.h = data.headSha;
+  if (data.sections) compact.s = data.sections;
+  if (data.notes) compact.n = data.notes;
+
+  for (const field of [null, 'n', 's']) {
+    if (field) delete compact[field];
+    if (fitsSyncItem(key, compact)) {
+      return compact;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Expand a compact order back to the saved order format
+ * @param {Object} compact - Compact order {o, t, h?, n?, s?}
+ * @param {string} version - Data format version to record
+ * @returns {Object} Saved order {order, timestamp, version, ...}
+ */
+export function expandOrder(compact, version) {
+  const data = {
+    order: compact.o,
+    timestamp: new Date(compact.t).toISOString(),
+    version,
+  };
+  if (compact.h) data.headSha = compact.h;
+  if (compact.n) data.notes = compact.n;
+  if (compact.s) data.sections = compact.s;
+  return data;
+}
+
+/**
+ * Choose which synced orders to evict to stay within the sync quotas
+ * Keeps the most recently saved orders; the rest are evicted first.
+ *
+ * @param {Object} orders - Compact orders by sync key
+ * @param {Object} [others={}] - Other synced items by key, which count
+ *   towards the quotas but are never evicted
+ * @returns {Array<string>} Keys of orders to evict
+ */
+export function selectOrdersToEvict(orders, others = {}) {
+  let bytes = SYNC_HEADROOM_BYTES;
+  Object.entries(others).forEach(([key, value]) => {
+    bytes += getSyncItemSize(key, value);
+  });
+  const maxItems = Math.min(
+    MAX_SYNCED_ORDERS,
+    SYNC_MAX_ITEMS - Object.keys(others).length
+  );
+
+  const newestFirst = Object.keys(orders).sort(
+    (a, b) => (orders[b].t || 0) - (orders[a].t || 0)
+  );
+
+  let kept = 0;
+  return newestFirst.filter((key) => {
+    const size = getSyncItemSize(key, orders[key]);
+    if (kept < maxItems && bytes + size <= SYNC_QUOTA_BYTES) {
+      kept++;
+      bytes += size;
+      return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * Resolve conflicts between two copies by timestamp
+ * The newer copy of each entry wins; entries only one side has are copied
+ * to the other. Equal timestamps are left alone. A synced deletion marker
+ * newer than the local entry is returned in toLocal for the caller to
+ * delete it, even at the same time; an entry saved after the deletion
+ * replaces the marker.
+ *
+ * @param {Object} local - Entries by key, each with a numeric `t`
+ * @param {Object} synced - Entries or deletion markers by key, each with a
+ *   numeric `t`
+ * @returns {Object} {toLocal, toSync} entries that need writing
+ */
+export function mergeByTimestamp(local, synced) {
+  const toLocal = {};
+  const toSync = {};
+
+  Object.entries(synced).forEach(([key, entry]) => {
+    if (!local[key]) {
+      // Nothing here to delete
+      if (!isDeletionMarker(entry)) {
+        toLocal[key] = entry;
+      }
+    } else if (
+      entry.t > local[key].t ||
+      // A deletion always follows the save it deletes
+      (isDeletionMarker(entry) && entry.t === local[key].t)
+    ) {
+      toLocal[key] = entry;
+    }
+  });
+
+  Object.entries(local).forEach(([key, entry]) => {
+    if (!synced[key] || entry.t > synced[key].t) {
+      toSync[key] = entry;
+    }
+  });
+
+  return { toLocal, toSync };
+}
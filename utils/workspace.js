@@ -0,0 +1,200 @@
+/**
+ * Workspace
+ * Everything the extension keeps for the user (saved orders, custom
+ * presets and preferences) gathered into one bundle, and the rules for
+ * bringing a bundle back in on another machine
+ */
+
+import {
+  getAllOrders,
+  saveOrders,
+  deleteOrders,
+  getAllPreferences,
+  importPreferences,
+} from './storage.js';
+import {
+  loadCustomPresets,
+  saveCustomPresets,
+  CUSTOM_PRESETS_PREFERENCE,
+} from './presets.js';
+import { toMillis } from './sync.js';
+
+export const IMPORT_STRATEGIES = ['merge', 'replace'];
+
+/**
+ * Validate an import strategy
+ * @param {string} strategy - 'merge' or 'replace'
+ * @throws {Error} If the strategy is unknown
+ */
+function validateStrategy(strategy) {
+  if (!IMPORT_STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown import strategy: ${strategy}`);
+  }
+}
+
+/**
+ * Check whether two saved orders are the same save
+ * @param {Object} a - Saved order
+ * @param {Object} b - Saved order
+ * @returns {boolean} True if both have the same timestamp and files
+ */
+function isSameSave(a, b) {
+  return (
+    toMillis(a.timestamp) === toMillis(b.timestamp) &&
+    JSON.stringify(a.order) === JSON.stringify(b.order)
+  );
+}
+
+/**
+ * Find PRs with a different saved order here and in an import
+ * @param {Object} existing - Saved orders by PR ID
+ * @param {Object} incoming - Imported orders by PR ID
+ * @returns {Array<Object>} {prId, existing, incoming, newer} for each
+ *   conflict, where newer is 'existing' or 'incoming' (ties keep existing)
+ */
+export function findOrderConflicts(existing, incoming) {
+  return Object.entries(incoming)
+    .filter(
+      ([prId, data]) => existing[prId] && !isSameSave(existing[prId], data)
+    )
+    .map(([prId, data]) => ({
+      prId,
+      existing: existing[prId],
+      incoming: data,
+      newer:
+        toMillis(data.timestamp) > toMillis(existing[prId].timestamp)
+          ? 'incoming'
+          : 'existing',
+    }));
+}
+
+/**
+ * Decide which saved orders an import writes and removes
+ * Merging keeps PRs the import doesn't have, and resolves conflicts by the
+ * user's choice for that PR or else by the newer order. Replacing removes
+ * every saved order the import doesn't have and takes all imported ones.
+ *
+ * @param {Object} existing - Saved orders by PR ID
+ * @param {Object} incoming - Imported orders by PR ID
+ * @param {Object} [options={}] - Import options
+ * @param {string} [options.strategy='merge'] - 'merge' or 'replace'
+ * @param {Object} [options.choices={}] - 'existing' or 'incoming' by PR ID,
+ *   for conflicts when merging
+ * @returns {Object} {write, remove, skipped}: orders to write by PR ID, PR
+ *   IDs to remove, and how many imported orders were not written
+ * @throws {Error} If the strategy is unknown
+ */
+export function planOrderImport(existing, incoming, options = {}) {
+  const { strategy = 'merge', choices = {} } = options;
+  validateStrategy(strategy);
+
+  const write = {};
+  let skipped = 0;
+
+  Object.entries(incoming).forEach(([prId, data]) => {
+    const current = existing[prId];
+    if (!current || strategy === 'replace') {
+      write[prId] = data;
+      return;
+    }
+
+    if (isSameSave(current, data)) {
+      skipped++;
+      return;
+    }
+
+    const newer =
+      toMillis(data.timestamp) > toMillis(current.timestamp)
+        ? 'incoming'
+        : 'existing';
+    if ((choices[prId] || newer) === 'incoming') {
+      write[prId] = data;
+    } else {
+      skipped++;
+    }
+  });
+
+  const remove =
+    strategy === 'replace'
+      ? Object.keys(existing).filter((prId) => !(prId in incoming))
+      : [];
+
+  return { write, remove, skipped };
+}
+
+/**
+ * Merge imported custom presets into the saved ones
+ * Imported presets replace saved presets with the same id.
+ * @param {Array<Object>} existing - Saved preset definitions
+ * @param {Array<Object>} incoming - Imported preset definitions
+ * @returns {Array<Object>} Merged definitions
+ */
+export function mergeCustomPresets(existing, incoming) {
+  const incomingIds = new Set(incoming.map((preset) => preset.id));
+
+  return [
+    ...existing.filter((preset) => !incomingIds.has(preset.id)),
+    ...incoming,
+  ];
+}
+
+/**
+ * Gather everything stored for the user
+ * @returns {Promise<Object>} {orders, customPresets, preferences}
+ * @throws {Error} If storage operation fails
+ */
+export async function exportWorkspace() {
+  const [orders, customPresets, preferences] = await Promise.all([
+    getAllOrders(),
+    loadCustomPresets(),
+    getAllPreferences(),
+  ]);
+
+  // Custom presets are validated and travel separately
+  delete preferences[CUSTOM_PRESETS_PREFERENCE];
+
+  return { orders, customPresets, preferences };
+}
+
+/**
+ * Bring in a workspace bundle
+ * @param {Object} workspace - Validated {orders, customPresets,
+ *   preferences}, see importWorkspaceFromJSON
+ * @param {Object} [options={}] - See planOrderImport
+ * @returns {Promise<Object>} {imported, skipped, removed, presets,
+ *   preferences} counts
+ * @throws {Error} If the strategy is unknown or storage operation fails
+ */
+export async function importWorkspace(workspace, options = {}) {
+  const { strategy = 'merge' } = options;
+  const replace = strategy === 'replace';
+
+  const { write, remove, skipped } = planOrderImport(
+    await getAllOrders(),
+    workspace.orders,
+    options
+  );
+
+  await saveOrders(write);
+  await deleteOrders(remove);
+
+  // Custom presets are only taken from the validated list
+  const imported = { ...workspace.preferences };
+  delete imported[CUSTOM_PRESETS_PREFERENCE];
+
+  // Preferences first: replacing them drops the saved custom presets
+  const preferences = await importPreferences(imported, { replace });
+
+  const customPresets = replace
+    ? workspace.customPresets
+    : mergeCustomPresets(await loadCustomPresets(), workspace.customPresets);
+  await saveCustomPresets(customPresets);
+
+  return {
+    imported: Object.keys(write).length,
+    skipped,
+    removed: remove.length,
+    presets: workspace.customPresets.length,
+    preferences,
+  };
+}
@@ -0,0 +1,354 @@
+/**
+ * YAML Parser
+ * Parses the subset of YAML used by configuration files: block mappings,
+ * block sequences, flow sequences ([a, b]), quoted and plain scalars and
+ * comments. Anchors, tags, multi-document streams and block scalars are
+ * rejected with an error rather than silently misread.
+ */
+
+/**
+ * Check whether a quote starts a quoted scalar
+ * Quotes only open a string at the start of a value, so the apostrophe in
+ * a plain scalar like it's-fine.md is just a character.
+ * @param {string} line - Source line
+ * @param {number} index - Index of the quote
+ * @returns {boolean} True if the quote opens a string
+ */
+function opensQuote(line, index) {
+  // Line start, "- ", ": ", or inside a flow sequence after "[" or ","
+  return /(^|(^|\s)-\s|:\s|[[,])\s*$/.test(line.slice(0, index));
+}
+
+/**
+ * Strip a trailing comment from a line, ignoring "#" inside quotes
+ * @param {string} line - Source line
+ * @returns {string} Line without comment
+ */
+function stripComment(line) {
+  let quote = null;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if ((char === '"' || char === "'") && opensQuote(line, i)) {
+      quote = char;
+    } else if (char === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+      return line.slice(0, i);
+    }
+  }
+
+  return line;
+}
+
+/**
+ * Split source text into meaningful lines
+ * @param {string} text - YAML source
+ * @returns {Array<Object>} Lines as {number, indent, content}
+ * @throws {Error} If a line is indented with tabs
+ */
+function tokenizeLines(text) {
+  const lines = [];
+
+  text.split(/\r?\n/).forEach((raw, index) => {
+    const number = index + 1;
+    const line = stripComment(raw).replace(/\s+$/, '');
+    const content = line.trimStart();
+
+    if (!content || (content === '---' && lines.length === 0)) {
+      return;
+    }
+    if (/^\s*\t/.test(line)) {
+      throw new Error(`Line ${number}: tabs are not allowed for indentation`);
+    }
+    if (content === '---' || content === '...') {
+      throw new Error(`Line ${number}: multiple documents are not supported`);
+    }
+
+    lines.push({ number, indent: line.length - content.length, content });
+  });
+
+  return lines;
+}
+
+/**
+ * Find the ": " separating a mapping key from its value
+ * @param {string} content - Line content
+ * @returns {number} Index of the colon, or -1 if the line is not a mapping
+ */
+function findKeySeparator(content) {
+  let quote = null;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if ((char === '"' || char === "'") && i === 0) {
+      quote = char;
+    } else if (
+      char === ':' &&
+      (i === content.length - 1 || content[i + 1] === ' ')
+    ) {
+      return i;
+    }
+  }
+
+  return -1;
+}
+
+/**
+ * Split a flow sequence body on commas outside quotes
+ * @param {string} body - Text between the brackets
+ * @returns {Array<string>} Item sources
+ */
+function splitFlowItems(body) {
+  const items = [];
+  let current = '';
+  let quote = null;
+
+  for (const char of body) {
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if ((char === '"' || char === "'") && !current.trim()) {
+      // Only a quote at the start of an item opens a string
+      quote = char;
+    } else if (char === ',') {
+      items.push(current);
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  items.push(current);
+
+  return items.map((item) => item.trim());
+}
+
+/**
+ * Parse a scalar or flow value
+ * @param {string} source - Value source
+ * @param {number} number - Line number for error messages
+ * @returns {*} Parsed value
+ * @throws {Error} If the value is malformed or unsupported
+ */
+function parseScalar(source, number) {
+  const value = source.trim();
+
+  if (value.startsWith('"')) {
+    if (!/^"(?:[^"\\]|\\.)*"$/.test(value)) {
+      throw new Error(`Line ${number}: unterminated double-quoted string`);
+    }
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      throw new Error(`Line ${number}: invalid escape in ${value}`);
+    }
+  }
+
+  if (value.startsWith("'")) {
+    if (!/^'(?:[^']|'')*'$/.test(value)) {
+      throw new Error(`Line ${number}: unterminated single-quoted string`);
+    }
+    return value.slice(1, -1).replace(/''/g, "'");
+  }
+
+  if (value.startsWith('[')) {
+    if (!value.endsWith(']')) {
+      throw new Error(`Line ${number}: unterminated flow sequence`);
+    }
+    const body = value.slice(1, -1).trim();
+    if (!body) return [];
+    const items = splitFlowItems(body);
+    if (items.some((item) => item.startsWith('[') || item.startsWith('{'))) {
+      throw new Error(
+        `Line ${number}: nested flow collections are not supported`
+      );
+    }
+    return items.map((item) => parseScalar(item, number));
+  }
+
+  if (value === '{}') {
+    return {};
+  }
+
+  // These characters start YAML syntax (aliases, anchors, tags, block
+  // scalars, flow mappings) that this parser does not read as text
+  if (/^[*&!|>{@`%]/.test(value)) {
+    throw new Error(`Line ${number}: quote values starting with "${value[0]}"`);
+  }
+
+  if (/^(true|True|TRUE)$/.test(value)) return true;
+  if (/^(false|False|FALSE)$/.test(value)) return false;
+  if (/^(null|Null|NULL|~)$/.test(value) || value === '') return null;
+  if (/^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/.test(value)) {
+    return Number(value);
+  }
+
+  return value;
+}
+
+/**
+ * Parse a block (mapping or sequence) starting at the current line
+ * @param {Object} state - {lines, index}
+ * @param {number} indent - Indentation of the block
+ * @returns {*} Parsed block
+ */
+function parseBlock(state, indent) {
+  const line = state.lines[state.index];
+
+  if (line.content === '-' || line.content.startsWith('- ')) {
+    return parseSequence(state, indent);
+  }
+  return parseMapping(state, indent);
+}
+
+/**
+ * Parse the value after "key:" or "-" when it is written on later lines
+ * @param {Object} state - {lines, index}
+ * @param {number} parentIndent - Indentation of the key or dash
+ * @param {boolean} allowSameIndentSequence - Allow "key:\n- item"
+ * @returns {*} Parsed value, or null if nothing is nested
+ */
+function parseNested(state, parentIndent, allowSameIndentSequence) {
+  const next = state.lines[state.index];
+  if (!next) return null;
+
+  const isSequence = next.content === '-' || next.content.startsWith('- ');
+  if (
+    next.indent > parentIndent ||
+    (allowSameIndentSequence && next.indent === parentIndent && isSequence)
+  ) {
+    return parseBlock(state, next.indent);
+  }
+
+  return null;
+}
+
+/**
+ * Parse a block mapping
+ * @param {Object} state - {lines, index}
+ * @param {number} indent - Indentation of the keys
+ * @returns {Object} Parsed mapping
+ * @throws {Error} If a line is not a "key: value" pair
+ */
+function parseMapping(state, indent) {
+  const result = {};
+
+  while (state.index < state.lines.length) {
+    const line = state.lines[state.index];
+
+    if (line.indent < indent) break;
+    if (line.indent > indent) {
+      throw new Error(`Line ${line.number}: unexpected indentation`);
+    }
+
+    const separator = findKeySeparator(line.content);
+    if (separator === -1) {
+      throw new Error(`Line ${line.number}: expected "key: value"`);
+    }
+
+    const rawKey = line.content.slice(0, separator).trim();
+    const key = /^["']/.test(rawKey)
+      ? parseScalar(rawKey, line.number)
+      : rawKey;
+    if (Object.prototype.hasOwnProperty.call(result, key)) {
+      throw new Error(`Line ${line.number}: duplicate key "${key}"`);
+    }
+
+    const rest = line.content.slice(separator + 1).trim();
+    state.index += 1;
+
+    // defineProperty so a "__proto__" key can't replace the prototype
+    Object.defineProperty(result, key, {
+      value: rest
+        ? parseScalar(rest, line.number)
+        : parseNested(state, indent, true),
+      enumerable: true,
+      writable: true,
+      configurable: true,
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Parse a block sequence
+ * @param {Object} state - {lines, index}
+ * @param {number} indent - Indentation of the dashes
+ * @returns {Array} Parsed sequence
+ * @throws {Error} If a line at this indentation is not an item
+ */
+function parseSequence(state, indent) {
+  const result = [];
+
+  while (state.index < state.lines.length) {
+    const line = state.lines[state.index];
+
+    if (line.indent < indent) break;
+    if (line.indent > indent) {
+      throw new Error(`Line ${line.number}: unexpected indentation`);
+    }
+    if (line.content !== '-' && !line.content.startsWith('- ')) {
+      // A mapping key after "key:\n- item" ends the sequence
+      if (findKeySeparator(line.content) !== -1) break;
+      throw new Error(`Line ${line.number}: expected "- item"`);
+    }
+
+    const rest = line.content.slice(1).trim();
+
+    if (!rest) {
+      state.index += 1;
+      result.push(parseNested(state, indent, false));
+    } else if (findKeySeparator(rest) !== -1 && !/^[["']/.test(rest)) {
+      // "- key: value" starts a mapping indented to the key's column;
+      // re-read the rest of the line as that mapping's first line
+      const itemIndent = indent + line.content.indexOf(rest);
+      state.lines[state.index] = {
+        number: line.number,
+        indent: itemIndent,
+        content: rest,
+      };
+      result.push(parseMapping(state, itemIndent));
+    } else {
+      state.index += 1;
+      result.push(parseScalar(rest, line.number));
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Parse YAML source text
+ * @param {string} text - YAML source
+ * @returns {*} Parsed document (null for an empty document)
+ * @throws {Error} With a "Line N: ..." message if the text is malformed
+ */
+export function parseYaml(text) {
+  const state = { lines: tokenizeLines(text), index: 0 };
+
+  if (state.lines.length === 0) {
+    return null;
+  }
+
+  const first = state.lines[0];
+  const isBlock =
+    first.content === '-' ||
+    first.content.startsWith('- ') ||
+    (findKeySeparator(first.content) !== -1 && !first.content.startsWith('['));
+
+  const document = isBlock
+    ? parseBlock(state, first.indent)
+    : parseScalar(first.content, first.number);
+  if (!isBlock) state.index = 1;
+
+  if (state.index < state.lines.length) {
+    const line = state.lines[state.index];
+    throw new Error(`Line ${line.number}: unexpected indentation`);
+  }
+
+  return document;
+}